@@ -0,0 +1,196 @@
+/**
+ * Bill Calendar Module
+ * Schedules recurring bills and subscriptions from their cadence and next due date, lists
+ * what falls due in a date range and detects recurring charges in imported transactions.
+ * Dates are YYYY-MM-DD strings in local time.
+ */
+
+class BillCalendar {
+  constructor() {
+    // Payments per year and the spacing, in days, that identifies each cadence in transactions
+    this.CADENCES = {
+      weekly: { label: 'Weekly', perYear: 52, minDays: 6, maxDays: 8, minOccurrences: 3 },
+      monthly: { label: 'Monthly', perYear: 12, minDays: 26, maxDays: 35, minOccurrences: 3 },
+      quarterly: { label: 'Quarterly', perYear: 4, minDays: 84, maxDays: 98, minOccurrences: 2 },
+      annual: { label: 'Annual', perYear: 1, minDays: 355, maxDays: 375, minOccurrences: 2 }
+    };
+
+    // Charges from one payee may drift this far from their typical amount and still recur
+    this.AMOUNT_TOLERANCE = 0.15;
+  }
+
+  /**
+   * Convert a YYYY-MM-DD string to a local Date
+   */
+  toDate(isoDate) {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+
+  /**
+   * Convert a Date to a YYYY-MM-DD string in local time
+   */
+  toISODate(date) {
+    return [
+      date.getFullYear(),
+      String(date.getMonth() + 1).padStart(2, '0'),
+      String(date.getDate()).padStart(2, '0')
+    ].join('-');
+  }
+
+  /**
+   * Days from one date to another
+   */
+  daysBetween(fromISO, toISO) {
+    return Math.round((this.toDate(toISO) - this.toDate(fromISO)) / 86400000);
+  }
+
+  /**
+   * Move a due date forward one period. Monthly and longer cadences keep the original day
+   * of the month, falling back to the month's last day (a bill due on the 31st is due
+   * Feb 28 and then Mar 31).
+   */
+  advanceDueDate(isoDate, cadence, anchorDay = Number(isoDate.slice(8))) {
+    const date = this.toDate(isoDate);
+    if (cadence === 'weekly') {
+      return this.toISODate(new Date(date.getFullYear(), date.getMonth(), date.getDate() + 7));
+    }
+
+    const months = { monthly: 1, quarterly: 3, annual: 12 }[cadence] || 1;
+    const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+    const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+    return this.toISODate(new Date(target.getFullYear(), target.getMonth(), Math.min(anchorDay, lastDay)));
+  }
+
+  /**
+   * Due dates of a bill from startISO through endISO, inclusive. dueDay keeps a bill due on
+   * the 31st on the 31st after a shorter month moved nextDue earlier.
+   */
+  getOccurrences(bill, startISO, endISO) {
+    const anchorDay = bill.dueDay || Number(bill.nextDue.slice(8));
+    const dates = [];
+    let due = bill.nextDue;
+    while (due <= endISO) {
+      if (due >= startISO) dates.push(due);
+      due = this.advanceDueDate(due, bill.cadence, anchorDay);
+    }
+    return dates;
+  }
+
+  /**
+   * A bill's average cost per month
+   */
+  getMonthlyEquivalent(bill) {
+    const cadence = this.CADENCES[bill.cadence] || this.CADENCES.monthly;
+    return (bill.amount * cadence.perYear) / 12;
+  }
+
+  /**
+   * Average monthly cost of bills by budget category
+   */
+  getMonthlyTotalsByCategory(bills) {
+    return bills.reduce((totals, bill) => {
+      if (!bill.category) return totals;
+      totals[bill.category] = (totals[bill.category] || 0) + this.getMonthlyEquivalent(bill);
+      return totals;
+    }, {});
+  }
+
+  /**
+   * Every bill payment due from startISO through endISO, soonest first, with the total
+   */
+  getPaymentsDue(bills, startISO, endISO) {
+    const payments = bills
+      .flatMap(bill => this.getOccurrences(bill, startISO, endISO).map(date => ({ bill, date })))
+      .sort((a, b) => a.date.localeCompare(b.date));
+    return {
+      payments,
+      total: payments.reduce((sum, payment) => sum + payment.bill.amount, 0)
+    };
+  }
+
+  /**
+   * Bill payments in one calendar month (0-based, as in Date) keyed by day of the month
+   */
+  getCalendarMonth(bills, year, month) {
+    const start = this.toISODate(new Date(year, month, 1));
+    const end = this.toISODate(new Date(year, month + 1, 0));
+    const days = {};
+    this.getPaymentsDue(bills, start, end).payments.forEach(payment => {
+      const day = Number(payment.date.slice(8));
+      days[day] = days[day] || [];
+      days[day].push(payment);
+    });
+    return days;
+  }
+
+  /**
+   * Find charges in the ledger that repeat from the same payee at a steady cadence and a
+   * steady amount, skipping payees already set up as bills
+   */
+  detectRecurringCharges(transactions, bills = []) {
+    const normalize = description => (window.transactionCategorizer
+      ? window.transactionCategorizer.normalizePayee(description)
+      : (description || '').toLowerCase().trim());
+    const known = new Set(bills.map(bill => normalize(bill.name)));
+    const median = values => {
+      const sorted = [...values].sort((a, b) => a - b);
+      const middle = Math.floor(sorted.length / 2);
+      return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    };
+
+    const groups = new Map();
+    transactions
+      .filter(transaction => transaction.amount < 0 && transaction.category !== 'transfer')
+      .forEach(transaction => {
+        const payee = normalize(transaction.description);
+        if (!payee || known.has(payee)) return;
+        groups.set(payee, [...(groups.get(payee) || []), transaction]);
+      });
+
+    const detected = [];
+    groups.forEach((charges, payee) => {
+      if (charges.length < 2) return;
+      const sorted = [...charges].sort((a, b) => a.date.localeCompare(b.date));
+      const intervals = sorted.slice(1).map((charge, index) => this.daysBetween(sorted[index].date, charge.date));
+      const typicalInterval = median(intervals);
+
+      const cadence = Object.keys(this.CADENCES).find(key => {
+        const { minDays, maxDays } = this.CADENCES[key];
+        return typicalInterval >= minDays && typicalInterval <= maxDays;
+      });
+      if (!cadence) return;
+
+      const { minDays, maxDays, minOccurrences } = this.CADENCES[cadence];
+      if (sorted.length < minOccurrences) return;
+      if (!intervals.every(days => days >= minDays && days <= maxDays)) return;
+
+      const amounts = sorted.map(charge => Math.abs(charge.amount));
+      const typicalAmount = median(amounts);
+      if (!amounts.every(amount => Math.abs(amount - typicalAmount) <= typicalAmount * this.AMOUNT_TOLERANCE)) return;
+
+      const latest = sorted[sorted.length - 1];
+      const categoryCounts = sorted.reduce((counts, charge) => {
+        if (charge.category) counts[charge.category] = (counts[charge.category] || 0) + 1;
+        return counts;
+      }, {});
+      const category = Object.keys(categoryCounts).sort((a, b) => categoryCounts[b] - categoryCounts[a])[0] || null;
+
+      detected.push({
+        payee,
+        name: latest.description,
+        amount: Math.abs(latest.amount),
+        cadence,
+        nextDue: this.advanceDueDate(latest.date, cadence),
+        category,
+        occurrences: sorted.length,
+        account: latest.account || ''
+      });
+    });
+
+    return detected.sort((a, b) => b.amount - a.amount);
+  }
+}
+
+// Create singleton instance
+window.billCalendar = new BillCalendar();
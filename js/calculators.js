@@ -6,35 +6,90 @@
 class FinancialCalculators {
   constructor() {
     // Tax constants and rates
-    this.TAX_YEAR = 2024;
-    this.FEDERAL_TAX_BRACKETS = [
-      { min: 0, max: 11000, rate: 0.10 },
-      { min: 11001, max: 44725, rate: 0.12 },
-      { min: 44726, max: 95375, rate: 0.22 },
-      { min: 95376, max: 182050, rate: 0.24 },
-      { min: 182051, max: 231250, rate: 0.32 },
-      { min: 231251, max: 578125, rate: 0.35 },
-      { min: 578126, max: Infinity, rate: 0.37 }
-    ];
+    // Brackets, deductions and limits come from the year-keyed registry in taxTables.js;
+    // state schedules come from stateTaxes.js
+    this.TAX_YEAR = window.taxTables.getDefaultYear();
+    // Filing statuses use the same keys as the Income tab's filing-status select
+    this.FILING_STATUSES = {
+      'single': 'Single',
+      'married-jointly': 'Married Filing Jointly',
+      'married-separately': 'Married Filing Separately',
+      'head-of-household': 'Head of Household',
+      'qualifying-surviving-spouse': 'Qualifying Surviving Spouse'
+    };
 
     this.FICA_RATES = {
-      socialSecurity: { rate: 0.062, wageBase: 160200 },
+      socialSecurity: { rate: 0.062 },
       medicare: { rate: 0.0145, additionalRate: 0.009, threshold: 200000 }
     };
 
-    this.STATE_TAX_RATES = {
-      'AL': 0.05, 'AK': 0, 'AZ': 0.025, 'AR': 0.055, 'CA': 0.13,
-      'CO': 0.044, 'CT': 0.07, 'DE': 0.066, 'FL': 0, 'GA': 0.0575,
-      'HI': 0.11, 'ID': 0.06, 'IL': 0.0495, 'IN': 0.032, 'IA': 0.085,
-      'KS': 0.057, 'KY': 0.05, 'LA': 0.06, 'ME': 0.075, 'MD': 0.0575,
-      'MA': 0.05, 'MI': 0.0425, 'MN': 0.0985, 'MS': 0.05, 'MO': 0.054,
-      'MT': 0.069, 'NE': 0.0684, 'NV': 0, 'NH': 0, 'NJ': 0.1075,
-      'NM': 0.059, 'NY': 0.109, 'NC': 0.0475, 'ND': 0.0275, 'OH': 0.0399,
-      'OK': 0.05, 'OR': 0.099, 'PA': 0.0307, 'RI': 0.0599, 'SC': 0.07,
-      'SD': 0, 'TN': 0, 'TX': 0, 'UT': 0.0495, 'VT': 0.0876,
-      'VA': 0.0575, 'WA': 0, 'WV': 0.065, 'WI': 0.0765, 'WY': 0
+    // Payroll deductions tagged with the taxes they reduce; states listed in
+    // stateExceptions tax the deduction even though it is pre-tax federally
+    this.DEDUCTION_TYPES = {
+      'section-125': { label: 'Health Insurance (Section 125)', federal: true, state: true, fica: true },
+      'traditional-401k': { label: 'Traditional 401(k)', federal: true, state: true, fica: false, stateExceptions: ['PA'] },
+      'roth-401k': { label: 'Roth 401(k)', federal: false, state: false, fica: false },
+      'hsa': { label: 'HSA (Payroll)', federal: true, state: true, fica: true, stateExceptions: ['CA', 'NJ'] },
+      'pre-tax-other': { label: 'Other Pre-Tax (FSA, Commuter)', federal: true, state: true, fica: true },
+      'post-tax': { label: 'Other Post-Tax', federal: false, state: false, fica: false }
+    };
+
+    // Self-employment tax applies both halves of FICA to 92.35% of net profit
+    this.SELF_EMPLOYMENT = {
+      netEarningsFactor: 0.9235,
+      socialSecurityRate: 0.124,
+      medicareRate: 0.029,
+      minimumNetEarnings: 400,
+      qbiRate: 0.20
+    };
+
+    // Additional Medicare Tax thresholds on the return, by filing status
+    this.ADDITIONAL_MEDICARE_THRESHOLDS = {
+      'single': 200000,
+      'married-jointly': 250000,
+      'married-separately': 125000,
+      'head-of-household': 200000,
+      'qualifying-surviving-spouse': 200000
+    };
+
+    // Long-term capital gains and qualified dividend rates; the bands come from taxTables.js
+    this.CAPITAL_GAINS_RATES = { zero: 0, fifteen: 0.15, twenty: 0.20 };
+
+    // Net investment income tax applies above fixed (unindexed) MAGI thresholds
+    this.NET_INVESTMENT_INCOME_TAX = {
+      rate: 0.038,
+      thresholds: {
+        'single': 200000,
+        'married-jointly': 250000,
+        'married-separately': 125000,
+        'head-of-household': 200000,
+        'qualifying-surviving-spouse': 250000
+      }
+    };
+
+    // Pay schedules for the paycheck simulator
+    this.PAY_SCHEDULES = {
+      'weekly': { label: 'Weekly', periods: 52 },
+      'biweekly': { label: 'Biweekly', periods: 26 },
+      'semi-monthly': { label: 'Semi-monthly', periods: 24 },
+      'monthly': { label: 'Monthly', periods: 12 }
+    };
+
+    // Conservative baselines for variable income: a low percentile of all months, or the
+    // lowest of the most recent months
+    this.INCOME_BASELINE = { percentile: 0.1, trailingMonths: 12 };
+
+    // How each kind of debt accrues interest in the payoff simulator
+    this.DEBT_TYPES = {
+      'credit-card': { label: 'Credit Card', compounding: 'daily' },
+      installment: { label: 'Installment Loan', compounding: 'monthly' },
+      promo: { label: '0% Promo / Balance Transfer', compounding: 'daily' },
+      variable: { label: 'Variable-Rate Loan', compounding: 'monthly' }
     };
 
+    // Share of the balance a credit card requires each month when none is entered
+    this.CREDIT_CARD_MIN_PERCENT = 2;
+
     this.DEFAULT_ASSUMPTIONS = {
       hoursPerDay: 8,
       daysPerWeek: 5,
@@ -63,29 +118,118 @@ class FinancialCalculators {
   }
 
   /**
-   * Calculate federal tax
+   * Resolve a filing status key, falling back to single for unknown values
    */
-  calculateFederalTax(income) {
-    let tax = 0;
-    let remainingIncome = income;
+  normalizeFilingStatus(filingStatus) {
+    return this.FILING_STATUSES[filingStatus] ? filingStatus : 'single';
+  }
+
+  /**
+   * Get the tax tables for a year (defaults to the active tax year)
+   */
+  getTaxTable(taxYear = this.TAX_YEAR) {
+    return window.taxTables.get(taxYear);
+  }
+
+  /**
+   * Get the federal standard deduction for a filing status
+   */
+  getStandardDeduction(filingStatus, taxYear = this.TAX_YEAR) {
+    return this.getTaxTable(taxYear).standardDeductions[this.normalizeFilingStatus(filingStatus)];
+  }
 
-    for (const bracket of this.FEDERAL_TAX_BRACKETS) {
-      if (remainingIncome <= 0) break;
+  /**
+   * Apply a progressive bracket schedule to taxable income
+   */
+  calculateBracketTax(taxableIncome, brackets) {
+    let tax = 0;
 
-      const taxableAtBracket = Math.min(remainingIncome, bracket.max - bracket.min + 1);
-      tax += taxableAtBracket * bracket.rate;
-      remainingIncome -= taxableAtBracket;
+    for (const bracket of brackets) {
+      if (taxableIncome <= bracket.min) break;
+      tax += (Math.min(taxableIncome, bracket.max) - bracket.min) * bracket.rate;
     }
 
     return tax;
   }
 
+  /**
+   * Calculate federal tax on income after the standard deduction for the filing status
+   */
+  calculateFederalTax(income, filingStatus = 'single', taxYear = this.TAX_YEAR) {
+    const status = this.normalizeFilingStatus(filingStatus);
+    const table = this.getTaxTable(taxYear);
+    const taxableIncome = Math.max(0, income - table.standardDeductions[status]);
+    return this.calculateBracketTax(taxableIncome, table.federalBrackets[status]);
+  }
+
+  /**
+   * Total the investment income inputs. Qualified dividends and long-term gains are the
+   * preferential income taxed at capital gains rates; the rest is ordinary income.
+   */
+  summarizeInvestmentIncome(investmentIncome = null) {
+    const source = investmentIncome || {};
+    const interest = this.sanitizeNumber(source.interest);
+    const ordinaryDividends = this.sanitizeNumber(source.ordinaryDividends);
+    const qualifiedDividends = this.sanitizeNumber(source.qualifiedDividends);
+    const shortTermGains = this.sanitizeNumber(source.shortTermGains);
+    const longTermGains = this.sanitizeNumber(source.longTermGains);
+
+    return {
+      interest,
+      ordinaryDividends,
+      qualifiedDividends,
+      shortTermGains,
+      longTermGains,
+      preferential: qualifiedDividends + longTermGains,
+      total: interest + ordinaryDividends + qualifiedDividends + shortTermGains + longTermGains
+    };
+  }
+
+  /**
+   * Calculate federal income tax with qualified dividends and long-term gains stacked on
+   * top of ordinary income, filling the 0%, 15% and 20% bands in turn
+   */
+  calculateFederalIncomeTax(taxableIncome, preferentialIncome = 0, filingStatus = 'single', taxYear = this.TAX_YEAR) {
+    const status = this.normalizeFilingStatus(filingStatus);
+    const table = this.getTaxTable(taxYear);
+    const rates = this.CAPITAL_GAINS_RATES;
+
+    const preferential = Math.min(Math.max(0, preferentialIncome), taxableIncome);
+    const ordinaryIncome = taxableIncome - preferential;
+    const ordinaryTax = this.calculateBracketTax(ordinaryIncome, table.federalBrackets[status]);
+
+    const atZero = Math.min(preferential, Math.max(0, table.capitalGains.zeroRateMax[status] - ordinaryIncome));
+    const atFifteen = Math.min(preferential - atZero, Math.max(0, table.capitalGains.fifteenRateMax[status] - ordinaryIncome - atZero));
+    const atTwenty = preferential - atZero - atFifteen;
+    const capitalGainsTax = atZero * rates.zero + atFifteen * rates.fifteen + atTwenty * rates.twenty;
+
+    return {
+      ordinaryIncome,
+      ordinaryTax,
+      preferentialIncome: preferential,
+      capitalGainsTax,
+      capitalGainsBands: { atZero, atFifteen, atTwenty },
+      tax: ordinaryTax + capitalGainsTax
+    };
+  }
+
+  /**
+   * Calculate the 3.8% net investment income tax on the lesser of investment income and
+   * modified AGI over the filing status threshold
+   */
+  calculateNetInvestmentIncomeTax(netInvestmentIncome, modifiedAgi, filingStatus = 'single') {
+    const niit = this.NET_INVESTMENT_INCOME_TAX;
+    const threshold = niit.thresholds[this.normalizeFilingStatus(filingStatus)];
+    return Math.min(netInvestmentIncome, Math.max(0, modifiedAgi - threshold)) * niit.rate;
+  }
+
   /**
    * Calculate FICA taxes (Social Security and Medicare)
    */
-  calculateFICATax(income) {
-    // Social Security tax (6.2% up to wage base limit)
-    const socialSecurityTax = Math.min(income, this.FICA_RATES.socialSecurity.wageBase) * this.FICA_RATES.socialSecurity.rate;
+  calculateFICATax(income, taxYear = this.TAX_YEAR) {
+    // Social Security tax (6.2% up to the year's wage base limit)
+    const wageBase = this.getTaxTable(taxYear).socialSecurityWageBase;
+    const socialSecurityTax = Math.min(income, wageBase) * this.FICA_RATES.socialSecurity.rate;
 
     // Medicare tax (1.45% on all income + 0.9% additional on income over threshold)
     let medicareTax = income * this.FICA_RATES.medicare.rate;
@@ -99,60 +243,1223 @@ class FinancialCalculators {
   }
 
   /**
-   * Calculate state tax
+   * Get the marginal rate that applies to the next dollar of taxable income
+   */
+  getMarginalRate(taxableIncome, brackets) {
+    const bracket = brackets.find(b => taxableIncome >= b.min && taxableIncome < b.max);
+    return bracket ? bracket.rate : 0;
+  }
+
+  /**
+   * Explain why no state tax applies to a location without a state schedule
+   */
+  getUnmodeledStateNote(state) {
+    if (!state) return 'State could not be determined';
+    const type = window.zipResolver.getType(state);
+    if (type === 'military') {
+      return 'APO/FPO address: state of legal residence is unknown, so no state tax is included';
+    }
+    if (type === 'territory') {
+      return `${window.zipResolver.NAMES[state]} income tax is not modeled`;
+    }
+    return `No income tax schedule for ${state}`;
+  }
+
+  /**
+   * Calculate state income tax from the state's progressive schedule for the filing status.
+   * State schedules are published for one year only, so other tax years say so in the note.
    */
-  calculateStateTax(income, state) {
-    const stateRate = this.STATE_TAX_RATES[state] || 0;
-    return income * stateRate;
+  calculateStateTax(income, state, filingStatus = 'single', taxYear = this.TAX_YEAR) {
+    const status = this.normalizeFilingStatus(filingStatus);
+    const schedule = window.stateTaxes.resolve(state, status);
+    if (!schedule) {
+      return { state, tax: 0, taxableIncome: 0, deductions: 0, effectiveRate: 0, marginalRate: 0, note: this.getUnmodeledStateNote(state) };
+    }
+
+    // Some states start from federal taxable income and so follow the federal deduction
+    const standardDeduction = schedule.standardDeduction === 'federal'
+      ? this.getStandardDeduction(status, taxYear)
+      : schedule.standardDeduction;
+    const deductions = standardDeduction + schedule.exemption * schedule.exemptionCount;
+    const taxableIncome = Math.max(0, income - deductions);
+
+    const bracketTax = this.calculateBracketTax(taxableIncome, schedule.brackets);
+    const tax = Math.max(0, bracketTax - schedule.exemptionCredit * schedule.exemptionCount);
+    const scheduleYear = window.stateTaxes.SCHEDULE_YEAR;
+    const yearNote = schedule.brackets.length && taxYear !== scheduleYear
+      ? `State brackets and deductions are ${scheduleYear} figures`
+      : null;
+
+    return {
+      state,
+      tax,
+      taxableIncome,
+      deductions,
+      effectiveRate: income > 0 ? (tax / income) * 100 : 0,
+      marginalRate: this.getMarginalRate(taxableIncome, schedule.brackets) * 100,
+      note: [schedule.note, yearNote].filter(Boolean).join('. ') || null
+    };
   }
 
   /**
-   * Calculate local tax (simplified)
+   * Calculate city or county income tax for the jurisdiction at a full ZIP code.
+   * County and NYC taxes apply to state taxable income and Yonkers to state tax,
+   * so the state result is reused when it is for the jurisdiction's state.
    */
-  calculateLocalTax(income, state) {
-    const localTaxRates = {
-      'NY': 0.03, 'CA': 0.01, 'PA': 0.02, 'OH': 0.02, 'MD': 0.03, 'IL': 0.01
+  calculateLocalTax(income, zipcode, filingStatus = 'single', stateTaxDetail = null, taxYear = this.TAX_YEAR) {
+    const jurisdiction = window.localTaxes.resolve(zipcode);
+    if (!jurisdiction) {
+      return { tax: 0, jurisdiction: null, effectiveRate: 0 };
+    }
+
+    const status = this.normalizeFilingStatus(filingStatus);
+    const stateDetail = stateTaxDetail && stateTaxDetail.state === jurisdiction.state
+      ? stateTaxDetail
+      : this.calculateStateTax(income, jurisdiction.state, status, taxYear);
+
+    let tax;
+    switch (jurisdiction.base) {
+      case 'stateTax':
+        tax = stateDetail.tax * jurisdiction.rate;
+        break;
+      case 'stateTaxable': {
+        const brackets = window.localTaxes.getBrackets(jurisdiction, status);
+        tax = brackets
+          ? this.calculateBracketTax(stateDetail.taxableIncome, brackets)
+          : stateDetail.taxableIncome * jurisdiction.rate;
+        break;
+      }
+      default:
+        tax = income * jurisdiction.rate;
+    }
+
+    return {
+      tax,
+      jurisdiction: jurisdiction.name,
+      effectiveRate: income > 0 ? (tax / income) * 100 : 0
     };
-    const localRate = localTaxRates[state] || 0.005; // Default 0.5%
-    return income * localRate;
   }
 
   /**
-   * Get state from zipcode (simplified mapping)
+   * Get state from zipcode, or null when the ZIP can't be resolved
    */
   getStateFromZipcode(zipcode) {
-    const zip = zipcode.substring(0, 3);
-    const zipToStateMap = {
-      '100': 'NY', '101': 'NY', '102': 'NY', '103': 'NY', '104': 'NY',
-      '900': 'CA', '901': 'CA', '902': 'CA', '903': 'CA', '904': 'CA',
-      '330': 'FL', '331': 'FL', '332': 'FL', '333': 'FL', '334': 'FL'
+    return window.zipResolver.getState(zipcode);
+  }
+
+  /**
+   * Build tagged annual deductions from the Income tab's monthly deduction fields
+   */
+  buildPayrollDeductions({ healthInsurance, retirement401k, retirement401kType, otherDeductions, otherDeductionsType, retirement401kLimit = Infinity } = {}) {
+    return [
+      { type: 'section-125', amount: this.sanitizeNumber(healthInsurance) * 12 },
+      { type: retirement401kType === 'roth-401k' ? 'roth-401k' : 'traditional-401k', amount: Math.min(this.sanitizeNumber(retirement401k) * 12, retirement401kLimit) },
+      { type: otherDeductionsType === 'post-tax' ? 'post-tax' : 'pre-tax-other', amount: this.sanitizeNumber(otherDeductions) * 12 }
+    ].filter(deduction => deduction.amount > 0);
+  }
+
+  /**
+   * Apply tagged deductions to gross pay, giving the wages each tax is computed on
+   */
+  applyDeductions(income, deductions = [], state = null) {
+    const wages = { federal: income, state: income, fica: income };
+    const items = [];
+    let preTax = 0;
+    let postTax = 0;
+
+    deductions.forEach(deduction => {
+      const type = this.DEDUCTION_TYPES[deduction.type] || this.DEDUCTION_TYPES['post-tax'];
+      const amount = this.sanitizeNumber(deduction.amount);
+      if (amount === 0) return;
+
+      const reduces = {
+        federal: type.federal,
+        state: type.state && !(type.stateExceptions || []).includes(state),
+        fica: type.fica
+      };
+      Object.keys(wages).forEach(tax => {
+        if (reduces[tax]) wages[tax] -= amount;
+      });
+
+      if (reduces.federal || reduces.state || reduces.fica) {
+        preTax += amount;
+      } else {
+        postTax += amount;
+      }
+      items.push({ type: deduction.type, label: deduction.label || type.label, amount, reduces });
+    });
+
+    return {
+      federalWages: Math.max(0, wages.federal),
+      stateWages: Math.max(0, wages.state),
+      ficaWages: Math.max(0, wages.fica),
+      preTax,
+      postTax,
+      total: preTax + postTax,
+      items
     };
-    return zipToStateMap[zip] || 'CA'; // Default to CA
   }
 
   /**
-   * Calculate all taxes and net income
+   * Calculate all taxes and net income. Each deduction reduces only the wages of the
+   * taxes it is tagged for, and take-home pay is what remains after taxes and deductions.
+   * Credits reduce federal tax, which is negative when refundable credits exceed it.
+   * Investment income is added to AGI and taxed as ordinary or preferential income; states
+   * tax it as ordinary income and local wage taxes ignore it.
    */
-  calculateAllTaxes(income, zipcode) {
-    const state = this.getStateFromZipcode(zipcode);
-    const federalTax = this.calculateFederalTax(income);
-    const ficaTax = this.calculateFICATax(income);
-    const stateTax = this.calculateStateTax(income, state);
-    const localTax = this.calculateLocalTax(income, state);
+  calculateAllTaxes(income, zipcode, filingStatus = 'single', taxYear = this.TAX_YEAR, deductions = [], creditInputs = null, investmentIncome = null) {
+    const status = this.normalizeFilingStatus(filingStatus);
+    const table = this.getTaxTable(taxYear);
+    const location = window.zipResolver.resolve(zipcode);
+    const state = location.state;
+    const wages = this.applyDeductions(income, deductions, state);
+    const investment = this.summarizeInvestmentIncome(investmentIncome);
+    const adjustedGrossIncome = wages.federalWages + investment.total;
+    const standardDeduction = table.standardDeductions[status];
+    const federalTaxableIncome = Math.max(0, adjustedGrossIncome - standardDeduction);
+    const federalIncomeTax = this.calculateFederalIncomeTax(federalTaxableIncome, investment.preferential, status, table.year);
+    const federalTaxBeforeCredits = federalIncomeTax.tax;
+    const credits = this.calculateTaxCredits(creditInputs, {
+      agi: adjustedGrossIncome,
+      earnedIncome: wages.federalWages,
+      investmentIncome: investment.total,
+      federalTax: federalTaxBeforeCredits,
+      filingStatus: status,
+      taxYear: table.year,
+      retirementContributions: this.getRetirementContributions(wages.items)
+    });
+    const federalTax = federalTaxBeforeCredits - credits.total;
+    const netInvestmentIncomeTax = this.calculateNetInvestmentIncomeTax(investment.total, adjustedGrossIncome, status);
+    const ficaTax = this.calculateFICATax(wages.ficaWages, table.year);
+    const stateTaxDetail = this.calculateStateTax(wages.stateWages + investment.total, state, status, table.year);
+    const stateTax = stateTaxDetail.tax;
+    // Local wage taxes follow Medicare wages, so 401(k) deferrals stay taxable
+    const localTaxDetail = this.calculateLocalTax(wages.ficaWages, zipcode, status, stateTaxDetail, table.year);
+    const localTax = localTaxDetail.tax;
 
-    const totalTax = federalTax + ficaTax.totalFICA + stateTax + localTax;
-    const netIncome = income - totalTax;
+    const totalTax = federalTax + netInvestmentIncomeTax + ficaTax.totalFICA + stateTax + localTax;
+    const netIncome = income + investment.total - totalTax;
 
     return {
       grossIncome: income,
+      investmentIncome: investment,
+      adjustedGrossIncome,
+      taxYear: table.year,
+      taxTableSource: table.source,
+      filingStatus: status,
+      standardDeduction,
+      federalWages: wages.federalWages,
+      stateWages: wages.stateWages,
+      ficaWages: wages.ficaWages,
+      federalTaxableIncome,
+      ordinaryIncomeTax: federalIncomeTax.ordinaryTax,
+      capitalGainsTax: federalIncomeTax.capitalGainsTax,
+      capitalGainsBands: federalIncomeTax.capitalGainsBands,
+      federalTaxBeforeCredits,
+      taxCredits: credits.items,
+      totalCredits: credits.total,
       federalTax,
+      netInvestmentIncomeTax,
       socialSecurityTax: ficaTax.socialSecurityTax,
       medicareTax: ficaTax.medicareTax,
+      state,
+      zipResolved: location.resolved,
+      stateTaxNote: location.resolved ? stateTaxDetail.note : location.reason,
+      stateTax,
+      stateTaxableIncome: stateTaxDetail.taxableIncome,
+      stateEffectiveRate: stateTaxDetail.effectiveRate,
+      stateMarginalRate: stateTaxDetail.marginalRate,
+      localTax,
+      localJurisdiction: localTaxDetail.jurisdiction,
+      totalTax,
+      netIncome,
+      deductions: wages.items,
+      preTaxDeductions: wages.preTax,
+      postTaxDeductions: wages.postTax,
+      takeHomePay: netIncome - wages.total,
+      effectiveRate: income + investment.total > 0 ? (totalTax / (income + investment.total)) * 100 : 0
+    };
+  }
+
+  /**
+   * Run calculateAllTaxes for a tax profile, optionally overriding wages or adding deductions
+   */
+  calculateProfileTaxes(taxProfile = {}, income = taxProfile.income, extraDeductions = []) {
+    const { zipcode = '', filingStatus = 'single', taxYear = this.TAX_YEAR, deductions = [], creditInputs = null, investmentIncome = null } = taxProfile;
+    return this.calculateAllTaxes(this.sanitizeNumber(income), zipcode, filingStatus, taxYear, [...deductions, ...extraDeductions], creditInputs, investmentIncome);
+  }
+
+  /**
+   * Calculate the marginal rate of each tax from the tax owed on the next `step` dollars
+   * of wages. Differencing whole returns picks up the Social Security wage base, credit
+   * phase-outs and state and local brackets; the step smooths out credits that phase out
+   * in $1,000 increments.
+   */
+  calculateMarginalRates(taxProfile = {}, step = 100) {
+    const income = this.sanitizeNumber(taxProfile.income);
+    const current = this.calculateProfileTaxes(taxProfile, income);
+    const next = this.calculateProfileTaxes(taxProfile, income + step);
+    const rate = (before, after) => ((after - before) / step) * 100;
+
+    const federal = rate(current.federalTax + current.netInvestmentIncomeTax, next.federalTax + next.netInvestmentIncomeTax);
+    const fica = rate(current.socialSecurityTax + current.medicareTax, next.socialSecurityTax + next.medicareTax);
+    const state = rate(current.stateTax, next.stateTax);
+    const local = rate(current.localTax, next.localTax);
+    const total = rate(current.totalTax, next.totalTax);
+
+    return {
+      income,
+      federal,
+      fica,
+      state,
+      local,
+      total,
+      effectiveRate: current.effectiveRate,
+      keptPerDollar: 1 - total / 100
+    };
+  }
+
+  /**
+   * Calculate effective and marginal rates at evenly spaced wages for charting
+   */
+  calculateRateCurve(taxProfile = {}, maxIncome = 0, points = 40) {
+    const top = maxIncome > 0 ? maxIncome : Math.max(100000, this.sanitizeNumber(taxProfile.income) * 2);
+    const curve = [];
+
+    for (let point = 1; point <= points; point++) {
+      const income = Math.round((top * point) / points);
+      const rates = this.calculateMarginalRates({ ...taxProfile, income });
+      curve.push({ income, effectiveRate: rates.effectiveRate, marginalRate: rates.total });
+    }
+
+    return curve;
+  }
+
+  /**
+   * Calculate how much of a change in wages reaches take-home pay
+   */
+  calculateIncomeChange(taxProfile = {}, amount = 0) {
+    const income = this.sanitizeNumber(taxProfile.income);
+    const current = this.calculateProfileTaxes(taxProfile, income);
+    const changed = this.calculateProfileTaxes(taxProfile, Math.max(0, income + amount));
+    const additionalTax = changed.totalTax - current.totalTax;
+    const additionalTakeHome = changed.takeHomePay - current.takeHomePay;
+
+    return {
+      amount,
+      additionalTax,
+      additionalTakeHome,
+      keptRate: amount !== 0 ? (additionalTakeHome / amount) * 100 : 0
+    };
+  }
+
+  /**
+   * Calculate the tax saved by an extra pre-tax payroll contribution and what it
+   * actually costs in take-home pay
+   */
+  calculatePreTaxContributionSavings(taxProfile = {}, contribution = 0, type = 'traditional-401k') {
+    const amount = this.sanitizeNumber(contribution);
+    const current = this.calculateProfileTaxes(taxProfile);
+    const withContribution = this.calculateProfileTaxes(taxProfile, taxProfile.income, [{ type, amount }]);
+    const taxSaved = current.totalTax - withContribution.totalTax;
+    const takeHomeReduction = current.takeHomePay - withContribution.takeHomePay;
+
+    return {
+      contribution: amount,
+      taxSaved,
+      takeHomeReduction,
+      costPerDollar: amount > 0 ? takeHomeReduction / amount : 0
+    };
+  }
+
+  /**
+   * Calculate the child tax credit and credit for other dependents before the tax limit.
+   * Both phase out together by $50 per $1,000 (or part) of AGI over the threshold.
+   */
+  calculateChildTaxCredit(dependentAges, agi, filingStatus, taxYear = this.TAX_YEAR) {
+    const rules = window.taxCredits.CHILD_TAX_CREDIT;
+    const amounts = window.taxCredits.get(taxYear).childTaxCredit;
+    const children = dependentAges.filter(age => age <= rules.maxChildAge).length;
+    const otherDependents = dependentAges.length - children;
+
+    const threshold = rules.phaseOutThreshold[window.taxCredits.getThresholdKey(filingStatus)];
+    const reduction = Math.ceil(Math.max(0, agi - threshold) / rules.phaseOutStep) * rules.phaseOutPerStep;
+    const childCredit = Math.max(0, children * amounts.perChild - reduction);
+    const otherDependentCredit = Math.max(0, otherDependents * rules.otherDependentCredit - Math.max(0, reduction - children * amounts.perChild));
+
+    return { children, otherDependents, childCredit, otherDependentCredit, refundableMax: children * amounts.refundableMax };
+  }
+
+  /**
+   * Calculate the earned income credit. Childless workers must be 25 to 64, and investment
+   * income over the year's limit disqualifies the return.
+   */
+  calculateEarnedIncomeCredit(dependentAges, taxpayerAge, earnedIncome, agi, filingStatus, taxYear = this.TAX_YEAR, investmentIncome = 0) {
+    const rules = window.taxCredits.EARNED_INCOME_CREDIT;
+    const amounts = window.taxCredits.get(taxYear).earnedIncomeCredit;
+    if (filingStatus === 'married-separately' || investmentIncome > amounts.investmentIncomeLimit) return 0;
+
+    const children = Math.min(3, dependentAges.filter(age => age <= rules.maxChildAge).length);
+    if (children === 0 && !(taxpayerAge >= rules.childlessMinAge && taxpayerAge <= rules.childlessMaxAge)) return 0;
+
+    const phaseIn = Math.min(earnedIncome * rules.creditRates[children], amounts.maxCredit[children]);
+    const phaseOutStart = amounts.phaseOutStart[window.taxCredits.getThresholdKey(filingStatus)][children];
+    const reduction = Math.max(0, Math.max(earnedIncome, agi) - phaseOutStart) * rules.phaseOutRates[children];
+
+    return Math.max(0, phaseIn - reduction);
+  }
+
+  /**
+   * Calculate the American Opportunity or Lifetime Learning credit after the MAGI phase-out.
+   * The American Opportunity credit is per student and 40% refundable.
+   */
+  calculateEducationCredit(creditType, expenses, students, agi, filingStatus) {
+    const credit = window.taxCredits.EDUCATION_CREDITS[creditType];
+    if (!credit || expenses <= 0 || filingStatus === 'married-separately') {
+      return { label: credit ? credit.label : null, amount: 0, refundable: 0 };
+    }
+
+    const claimants = credit.perStudent ? Math.max(1, students) : 1;
+    const perClaimant = expenses / claimants;
+    const tentative = claimants * (
+      Math.min(perClaimant, credit.fullExpenses) +
+      Math.min(Math.max(0, perClaimant - credit.fullExpenses), credit.partialExpenses) * credit.partialRate
+    );
+
+    const [start, end] = window.taxCredits.EDUCATION_PHASE_OUT[window.taxCredits.getThresholdKey(filingStatus)];
+    const amount = tentative * (1 - Math.min(1, Math.max(0, agi - start) / (end - start)));
+
+    return { label: credit.label, amount, refundable: amount * credit.refundableShare };
+  }
+
+  /**
+   * Calculate the Saver's Credit rate tier for retirement contributions
+   */
+  calculateSaversCredit(contributions, agi, filingStatus, taxYear = this.TAX_YEAR) {
+    const rules = window.taxCredits.SAVERS_CREDIT;
+    const limits = window.taxCredits.get(taxYear).saversCredit;
+    const tiers = limits[filingStatus] || limits['single'];
+    const tier = tiers.findIndex(limit => agi <= limit);
+    if (tier === -1) return 0;
+
+    const people = filingStatus === 'married-jointly' ? 2 : 1;
+    return Math.min(contributions, rules.contributionLimitPerPerson * people) * rules.rates[tier];
+  }
+
+  /**
+   * Calculate federal tax credits. Education credits and the Saver's Credit use up tax
+   * first, then the child credits; unused child tax credit is refundable as the
+   * additional child tax credit. Returns each credit as its own line item.
+   */
+  calculateTaxCredits(creditInputs, { agi, earnedIncome, investmentIncome = 0, federalTax, filingStatus, taxYear, retirementContributions = 0 }) {
+    const status = this.normalizeFilingStatus(filingStatus);
+    const items = [];
+    if (!creditInputs) {
+      return { items, nonrefundable: 0, refundable: 0, total: 0 };
+    }
+
+    const dependentAges = (creditInputs.dependentAges || []).filter(age => Number.isFinite(age) && age >= 0);
+    let remainingTax = Math.max(0, federalTax);
+    const useTax = (amount) => {
+      const used = Math.min(amount, remainingTax);
+      remainingTax -= used;
+      return used;
+    };
+    const addItem = (key, label, nonrefundable, refundable) => {
+      if (nonrefundable + refundable > 0) items.push({ key, label, amount: nonrefundable + refundable, refundable });
+    };
+
+    const education = this.calculateEducationCredit(
+      creditInputs.educationCredit,
+      this.sanitizeNumber(creditInputs.educationExpenses),
+      this.sanitizeNumber(creditInputs.educationStudents),
+      agi,
+      status
+    );
+    addItem(creditInputs.educationCredit, education.label, useTax(education.amount - education.refundable), education.refundable);
+
+    const savers = this.calculateSaversCredit(
+      retirementContributions + this.sanitizeNumber(creditInputs.iraContributions),
+      agi,
+      status,
+      taxYear
+    );
+    addItem('savers', "Saver's Credit", useTax(savers), 0);
+
+    const childCredits = this.calculateChildTaxCredit(dependentAges, agi, status, taxYear);
+    const childCreditUsed = useTax(childCredits.childCredit);
+    const otherDependentUsed = useTax(childCredits.otherDependentCredit);
+    const ctcRules = window.taxCredits.CHILD_TAX_CREDIT;
+    const additionalChildCredit = Math.min(
+      childCredits.childCredit - childCreditUsed,
+      childCredits.refundableMax,
+      Math.max(0, earnedIncome - ctcRules.refundableEarnedIncomeFloor) * ctcRules.refundableRate
+    );
+    addItem('ctc', 'Child Tax Credit', childCreditUsed, additionalChildCredit);
+    addItem('odc', 'Credit for Other Dependents', otherDependentUsed, 0);
+
+    const earnedIncomeCredit = this.calculateEarnedIncomeCredit(
+      dependentAges,
+      this.sanitizeNumber(creditInputs.taxpayerAge),
+      earnedIncome,
+      agi,
+      status,
+      taxYear,
+      investmentIncome
+    );
+    addItem('eitc', 'Earned Income Credit', 0, earnedIncomeCredit);
+
+    const total = items.reduce((sum, item) => sum + item.amount, 0);
+    const refundable = items.reduce((sum, item) => sum + item.refundable, 0);
+
+    return { items, nonrefundable: total - refundable, refundable, total };
+  }
+
+  /**
+   * Sum the 401(k) deferrals among tagged deductions; both kinds count for the Saver's Credit
+   */
+  getRetirementContributions(deductionItems) {
+    return deductionItems
+      .filter(item => item.type === 'traditional-401k' || item.type === 'roth-401k')
+      .reduce((sum, item) => sum + item.amount, 0);
+  }
+
+  /**
+   * Build an employer match formula from the tiered form fields. Each tier matches `rate`
+   * percent of what the employee defers on the next `percentOfPay` percent of pay, so
+   * 100% up to 3% plus 50% of the next 2% is two tiers.
+   */
+  buildMatchFormula({ matchRate1, matchLimit1, matchRate2, matchLimit2 } = {}) {
+    return [
+      { rate: this.sanitizeNumber(matchRate1), percentOfPay: this.sanitizeNumber(matchLimit1) },
+      { rate: this.sanitizeNumber(matchRate2), percentOfPay: this.sanitizeNumber(matchLimit2) }
+    ].filter(tier => tier.rate > 0 && tier.percentOfPay > 0);
+  }
+
+  /**
+   * Get the 402(g) elective deferral limit for an age: the age 50+ catch-up, or the larger
+   * catch-up for ages 60 through 63
+   */
+  getElectiveDeferralLimit(age, taxYear = this.TAX_YEAR) {
+    const limits = this.getTaxTable(taxYear).contributionLimits;
+    const years = this.sanitizeNumber(age);
+    const catchUp = years >= 60 && years <= 63
+      ? limits.catchUp401kAge60To63
+      : years >= 50 ? limits.catchUp401k : 0;
+
+    return { base: limits.elective401k, catchUp, total: limits.elective401k + catchUp };
+  }
+
+  /**
+   * Calculate the employer match on an annual deferral under a tiered match formula
+   */
+  calculateEmployerMatch(compensation, contribution, formula = []) {
+    let bandStart = 0;
+    let match = 0;
+    let maxMatch = 0;
+
+    formula.forEach(tier => {
+      const band = compensation * (tier.percentOfPay / 100);
+      const matched = Math.min(band, Math.max(0, contribution - bandStart));
+      match += matched * (tier.rate / 100);
+      maxMatch += band * (tier.rate / 100);
+      bandStart += band;
+    });
+
+    return { match, maxMatch, contributionForFullMatch: bandStart };
+  }
+
+  /**
+   * Check a monthly 401(k) deferral against the 402(g) limit and the employer match.
+   * Payroll stops deferring at the limit, so the capped amount is what is deducted and
+   * matched; any match the capped deferral doesn't earn is reported as unclaimed.
+   */
+  calculateRetirementPlan(compensation, monthlyContribution, { age = 0, taxYear = this.TAX_YEAR, matchFormula = [] } = {}) {
+    const limit = this.getElectiveDeferralLimit(age, taxYear);
+    const requestedContribution = this.sanitizeNumber(monthlyContribution) * 12;
+    const contribution = Math.min(requestedContribution, limit.total);
+    const match = this.calculateEmployerMatch(compensation, contribution, matchFormula);
+    const contributionForFullMatch = Math.min(match.contributionForFullMatch, limit.total);
+
+    return {
+      requestedContribution,
+      contribution,
+      limit: limit.total,
+      baseLimit: limit.base,
+      catchUp: limit.catchUp,
+      excessContribution: requestedContribution - contribution,
+      employerMatch: match.match,
+      maxEmployerMatch: match.maxMatch,
+      unclaimedMatch: Math.max(0, match.maxMatch - match.match),
+      contributionForFullMatch,
+      monthlyForFullMatch: contributionForFullMatch / 12,
+      monthlyMatch: match.match / 12,
+      totalContribution: contribution + match.match
+    };
+  }
+
+  /**
+   * Calculate taxes for a household of W-2 earners, each with their own pay, deductions
+   * and ZIP. Married filing jointly puts every earner on one return; married filing
+   * separately gives each earner their own. Social Security stays per earner. Credits
+   * and investment income are claimed on the first earner's return.
+   */
+  calculateHouseholdTaxes(earners, filingStatus = 'married-jointly', taxYear = this.TAX_YEAR, creditInputs = null, investmentIncome = null) {
+    const status = this.normalizeFilingStatus(filingStatus);
+    const table = this.getTaxTable(taxYear);
+
+    const members = earners.map((earner, index) => {
+      const location = window.zipResolver.resolve(earner.zipcode);
+      const income = this.sanitizeNumber(earner.income);
+      const wages = this.applyDeductions(income, earner.deductions || [], location.state);
+      return {
+        name: earner.name || `Earner ${index + 1}`,
+        zipcode: earner.zipcode,
+        income,
+        location,
+        wages,
+        socialSecurityTax: Math.min(wages.ficaWages, table.socialSecurityWageBase) * this.FICA_RATES.socialSecurity.rate,
+        medicareTax: wages.ficaWages * this.FICA_RATES.medicare.rate
+      };
+    });
+
+    const returns = status === 'married-separately'
+      ? members.map((member, index) => (
+        index === 0
+          ? this.calculateHouseholdReturn([member], status, table, creditInputs, investmentIncome)
+          : this.calculateHouseholdReturn([member], status, table)
+      ))
+      : [this.calculateHouseholdReturn(members, status, table, creditInputs, investmentIncome)];
+    const sum = (items, field) => items.reduce((total, item) => total + item[field], 0);
+
+    const investment = this.summarizeInvestmentIncome(investmentIncome);
+    const grossIncome = sum(members, 'income') + investment.total;
+    const socialSecurityTax = sum(members, 'socialSecurityTax');
+    const additionalMedicareTax = sum(returns, 'additionalMedicareTax');
+    const medicareTax = sum(members, 'medicareTax') + additionalMedicareTax;
+    const federalTax = sum(returns, 'federalTax');
+    const netInvestmentIncomeTax = sum(returns, 'netInvestmentIncomeTax');
+    const stateTax = sum(returns, 'stateTax');
+    const localTax = sum(returns, 'localTax');
+    const preTaxDeductions = members.reduce((total, member) => total + member.wages.preTax, 0);
+    const postTaxDeductions = members.reduce((total, member) => total + member.wages.postTax, 0);
+
+    const totalTax = federalTax + netInvestmentIncomeTax + socialSecurityTax + medicareTax + stateTax + localTax;
+    const netIncome = grossIncome - totalTax;
+
+    return {
+      filingStatus: status,
+      taxYear: table.year,
+      taxTableSource: table.source,
+      grossIncome,
+      investmentIncome: investment,
+      federalTaxableIncome: sum(returns, 'federalTaxableIncome'),
+      federalTaxBeforeCredits: sum(returns, 'federalTaxBeforeCredits'),
+      taxCredits: returns.flatMap(taxReturn => taxReturn.taxCredits),
+      totalCredits: sum(returns, 'totalCredits'),
+      capitalGainsTax: sum(returns, 'capitalGainsTax'),
+      federalTax,
+      netInvestmentIncomeTax,
+      socialSecurityTax,
+      medicareTax,
+      additionalMedicareTax,
+      stateTax,
+      localTax,
+      states: returns.flatMap(taxReturn => taxReturn.states),
+      localTaxes: returns.flatMap(taxReturn => taxReturn.localTaxes),
+      totalTax,
+      netIncome,
+      preTaxDeductions,
+      postTaxDeductions,
+      takeHomePay: netIncome - preTaxDeductions - postTaxDeductions,
+      effectiveRate: grossIncome > 0 ? (totalTax / grossIncome) * 100 : 0,
+      earners: members.map(member => ({
+        name: member.name,
+        grossIncome: member.income,
+        state: member.location.state,
+        zipResolved: member.location.resolved,
+        zipNote: member.location.resolved ? null : member.location.reason,
+        socialSecurityTax: member.socialSecurityTax,
+        medicareTax: member.medicareTax,
+        deductions: member.wages.items,
+        preTaxDeductions: member.wages.preTax,
+        postTaxDeductions: member.wages.postTax
+      }))
+    };
+  }
+
+  /**
+   * Calculate the income taxes on one return covering some of a household's earners.
+   * Earners in the same state share that state's return; county and city taxes based
+   * on state income get the jurisdiction's share of it. Investment income is taxed by
+   * the first earner's state.
+   */
+  calculateHouseholdReturn(members, status, table, creditInputs = null, investmentIncome = null) {
+    const investment = this.summarizeInvestmentIncome(investmentIncome);
+    const federalWages = members.reduce((total, member) => total + member.wages.federalWages, 0);
+    const ficaWages = members.reduce((total, member) => total + member.wages.ficaWages, 0);
+    const adjustedGrossIncome = federalWages + investment.total;
+    const federalTaxableIncome = Math.max(0, adjustedGrossIncome - table.standardDeductions[status]);
+
+    const stateReturns = new Map();
+    members.filter(member => member.location.state).forEach(member => {
+      const stateReturn = stateReturns.get(member.location.state) || { wages: 0, investmentIncome: 0 };
+      stateReturn.wages += member.wages.stateWages;
+      stateReturns.set(member.location.state, stateReturn);
+    });
+    if (stateReturns.has(members[0].location.state)) {
+      stateReturns.get(members[0].location.state).investmentIncome = investment.total;
+    }
+    stateReturns.forEach((stateReturn, state) => {
+      stateReturn.detail = this.calculateStateTax(stateReturn.wages + stateReturn.investmentIncome, state, status, table.year);
+    });
+
+    const localReturns = new Map();
+    members.forEach(member => {
+      const jurisdiction = window.localTaxes.resolve(member.zipcode);
+      if (!jurisdiction) return;
+      const localReturn = localReturns.get(jurisdiction.name) || { jurisdiction, zipcode: member.zipcode, ficaWages: 0, stateWages: 0 };
+      localReturn.ficaWages += member.wages.ficaWages;
+      localReturn.stateWages += member.wages.stateWages;
+      localReturns.set(jurisdiction.name, localReturn);
+    });
+
+    const localTaxes = [...localReturns.values()].map(localReturn => {
+      const stateReturn = stateReturns.get(localReturn.jurisdiction.state);
+      const stateIncome = stateReturn ? stateReturn.wages + stateReturn.investmentIncome : 0;
+      const share = stateIncome > 0 ? localReturn.stateWages / stateIncome : 0;
+      const stateDetail = stateReturn ? {
+        ...stateReturn.detail,
+        tax: stateReturn.detail.tax * share,
+        taxableIncome: stateReturn.detail.taxableIncome * share
+      } : null;
+      const detail = this.calculateLocalTax(localReturn.ficaWages, localReturn.zipcode, status, stateDetail, table.year);
+      return { jurisdiction: detail.jurisdiction, tax: detail.tax };
+    });
+
+    const states = [...stateReturns.entries()].map(([state, stateReturn]) => ({
+      state,
+      tax: stateReturn.detail.tax,
+      taxableIncome: stateReturn.detail.taxableIncome,
+      note: stateReturn.detail.note
+    }));
+
+    const federalIncomeTax = this.calculateFederalIncomeTax(federalTaxableIncome, investment.preferential, status, table.year);
+    const federalTaxBeforeCredits = federalIncomeTax.tax;
+    const credits = this.calculateTaxCredits(creditInputs, {
+      agi: adjustedGrossIncome,
+      earnedIncome: federalWages,
+      investmentIncome: investment.total,
+      federalTax: federalTaxBeforeCredits,
+      filingStatus: status,
+      taxYear: table.year,
+      retirementContributions: members.reduce((total, member) => total + this.getRetirementContributions(member.wages.items), 0)
+    });
+
+    return {
+      federalTaxableIncome,
+      federalTaxBeforeCredits,
+      taxCredits: credits.items,
+      totalCredits: credits.total,
+      capitalGainsTax: federalIncomeTax.capitalGainsTax,
+      federalTax: federalTaxBeforeCredits - credits.total,
+      netInvestmentIncomeTax: this.calculateNetInvestmentIncomeTax(investment.total, adjustedGrossIncome, status),
+      additionalMedicareTax: Math.max(0, ficaWages - this.ADDITIONAL_MEDICARE_THRESHOLDS[status]) *
+        this.FICA_RATES.medicare.additionalRate,
+      stateTax: states.reduce((total, entry) => total + entry.tax, 0),
+      localTax: localTaxes.reduce((total, entry) => total + entry.tax, 0),
+      states,
+      localTaxes
+    };
+  }
+
+  /**
+   * Compare a married household's taxes filing jointly and separately
+   */
+  compareHouseholdFiling(earners, taxYear = this.TAX_YEAR, creditInputs = null, investmentIncome = null) {
+    const jointly = this.calculateHouseholdTaxes(earners, 'married-jointly', taxYear, creditInputs, investmentIncome);
+    const separately = this.calculateHouseholdTaxes(earners, 'married-separately', taxYear, creditInputs, investmentIncome);
+
+    return {
+      jointly,
+      separately,
+      recommended: jointly.totalTax <= separately.totalTax ? 'married-jointly' : 'married-separately',
+      savings: Math.abs(jointly.totalTax - separately.totalTax)
+    };
+  }
+
+  /**
+   * Calculate the qualified business income deduction for a sole proprietor with no
+   * W-2 wages: 20% of QBI, capped at 20% of taxable income less net capital gain, phased
+   * out above the threshold
+   */
+  calculateQbiDeduction(qualifiedBusinessIncome, taxableIncomeBeforeQbi, filingStatus = 'single', taxYear = this.TAX_YEAR, netCapitalGain = 0) {
+    const status = this.normalizeFilingStatus(filingStatus);
+    const { threshold, phaseInRange } = this.getTaxTable(taxYear).qbi;
+    const isJoint = status === 'married-jointly' || status === 'qualifying-surviving-spouse';
+    const limitThreshold = isJoint ? threshold['married-jointly'] : threshold['single'];
+    const limitRange = isJoint ? phaseInRange['married-jointly'] : phaseInRange['single'];
+
+    const tentative = Math.max(0, qualifiedBusinessIncome) * this.SELF_EMPLOYMENT.qbiRate;
+    const phaseOut = Math.min(1, Math.max(0, taxableIncomeBeforeQbi - limitThreshold) / limitRange);
+    const incomeCap = Math.max(0, taxableIncomeBeforeQbi - netCapitalGain) * this.SELF_EMPLOYMENT.qbiRate;
+
+    return Math.min(tentative * (1 - phaseOut), incomeCap);
+  }
+
+  /**
+   * Build the four federal estimated-payment installments for a tax year. Due dates
+   * falling on a weekend move to the following Monday.
+   */
+  getEstimatedPaymentSchedule(annualAmount, taxYear = this.TAX_YEAR) {
+    const year = Number(taxYear);
+    const installments = [
+      { quarter: 'Q1', period: 'Jan 1 – Mar 31', due: new Date(year, 3, 15) },
+      { quarter: 'Q2', period: 'Apr 1 – May 31', due: new Date(year, 5, 15) },
+      { quarter: 'Q3', period: 'Jun 1 – Aug 31', due: new Date(year, 8, 15) },
+      { quarter: 'Q4', period: 'Sep 1 – Dec 31', due: new Date(year + 1, 0, 15) }
+    ];
+    const amount = Math.round((annualAmount / installments.length) * 100) / 100;
+
+    return installments.map(({ quarter, period, due }) => {
+      while (due.getDay() === 0 || due.getDay() === 6) {
+        due.setDate(due.getDate() + 1);
+      }
+      const dueDate = [
+        due.getFullYear(),
+        String(due.getMonth() + 1).padStart(2, '0'),
+        String(due.getDate()).padStart(2, '0')
+      ].join('-');
+      return { quarter, period, dueDate, amount };
+    });
+  }
+
+  /**
+   * Calculate taxes for 1099 self-employment income. SE tax is charged on 92.35% of
+   * net profit, half of it is deducted from income, and the QBI deduction applies to
+   * federal taxable income. Nothing is withheld, so federal income tax, SE tax and NIIT
+   * become a quarterly federal estimated-payment schedule; state and local estimates are
+   * reported separately because each state sets its own due dates.
+   */
+  calculateSelfEmploymentTaxes(grossReceipts, businessExpenses, zipcode, filingStatus = 'single', taxYear = this.TAX_YEAR, creditInputs = null, investmentIncome = null) {
+    const status = this.normalizeFilingStatus(filingStatus);
+    const table = this.getTaxTable(taxYear);
+    const location = window.zipResolver.resolve(zipcode);
+    const state = location.state;
+    const se = this.SELF_EMPLOYMENT;
+
+    const receipts = this.sanitizeNumber(grossReceipts);
+    const expenses = this.sanitizeNumber(businessExpenses);
+    const netProfit = Math.max(0, receipts - expenses);
+
+    // Self-employment tax
+    const seTaxBase = netProfit * se.netEarningsFactor >= se.minimumNetEarnings ? netProfit * se.netEarningsFactor : 0;
+    const socialSecurityTax = Math.min(seTaxBase, table.socialSecurityWageBase) * se.socialSecurityRate;
+    const baseMedicareTax = seTaxBase * se.medicareRate;
+    const additionalMedicareTax = Math.max(0, seTaxBase - this.ADDITIONAL_MEDICARE_THRESHOLDS[status]) *
+      this.FICA_RATES.medicare.additionalRate;
+    const medicareTax = baseMedicareTax + additionalMedicareTax;
+    const selfEmploymentTax = socialSecurityTax + medicareTax;
+    // Additional Medicare Tax is not part of the deductible half
+    const halfSeTaxDeduction = (socialSecurityTax + baseMedicareTax) / 2;
+
+    // Federal income tax
+    const investment = this.summarizeInvestmentIncome(investmentIncome);
+    const businessIncome = netProfit - halfSeTaxDeduction;
+    const adjustedGrossIncome = businessIncome + investment.total;
+    const standardDeduction = table.standardDeductions[status];
+    const taxableIncomeBeforeQbi = Math.max(0, adjustedGrossIncome - standardDeduction);
+    const qbiDeduction = this.calculateQbiDeduction(businessIncome, taxableIncomeBeforeQbi, status, table.year, investment.preferential);
+    const federalTaxableIncome = Math.max(0, taxableIncomeBeforeQbi - qbiDeduction);
+    const federalIncomeTax = this.calculateFederalIncomeTax(federalTaxableIncome, investment.preferential, status, table.year);
+    const federalTaxBeforeCredits = federalIncomeTax.tax;
+    // Earned income from self-employment is net earnings less the deductible half of SE tax
+    const credits = this.calculateTaxCredits(creditInputs, {
+      agi: adjustedGrossIncome,
+      earnedIncome: Math.max(0, businessIncome),
+      investmentIncome: investment.total,
+      federalTax: federalTaxBeforeCredits,
+      filingStatus: status,
+      taxYear: table.year
+    });
+    const federalTax = federalTaxBeforeCredits - credits.total;
+    const netInvestmentIncomeTax = this.calculateNetInvestmentIncomeTax(investment.total, adjustedGrossIncome, status);
+
+    // State tax starts from AGI; local taxes on net profits use the business's net profit
+    const stateTaxDetail = this.calculateStateTax(adjustedGrossIncome, state, status, table.year);
+    const stateTax = stateTaxDetail.tax;
+    const localTaxDetail = this.calculateLocalTax(netProfit, zipcode, status, stateTaxDetail, table.year);
+    const localTax = localTaxDetail.tax;
+
+    const totalTax = federalTax + netInvestmentIncomeTax + selfEmploymentTax + stateTax + localTax;
+    const netIncome = netProfit + investment.total - totalTax;
+
+    return {
+      incomeType: '1099',
+      grossIncome: receipts,
+      businessExpenses: expenses,
+      netProfit,
+      investmentIncome: investment,
+      taxYear: table.year,
+      taxTableSource: table.source,
+      filingStatus: status,
+      seTaxBase,
+      socialSecurityTax,
+      medicareTax,
+      selfEmploymentTax,
+      halfSeTaxDeduction,
+      adjustedGrossIncome,
+      standardDeduction,
+      qbiDeduction,
+      federalTaxableIncome,
+      capitalGainsTax: federalIncomeTax.capitalGainsTax,
+      federalTaxBeforeCredits,
+      taxCredits: credits.items,
+      totalCredits: credits.total,
+      federalTax,
+      netInvestmentIncomeTax,
+      state,
+      zipResolved: location.resolved,
+      stateTaxNote: location.resolved ? stateTaxDetail.note : location.reason,
       stateTax,
+      stateTaxableIncome: stateTaxDetail.taxableIncome,
+      stateEffectiveRate: stateTaxDetail.effectiveRate,
+      stateMarginalRate: stateTaxDetail.marginalRate,
       localTax,
+      localJurisdiction: localTaxDetail.jurisdiction,
       totalTax,
       netIncome,
-      effectiveRate: (totalTax / income) * 100
+      takeHomePay: netIncome,
+      effectiveRate: receipts + investment.total > 0 ? (totalTax / (receipts + investment.total)) * 100 : 0,
+      estimatedPayments: this.getEstimatedPaymentSchedule(Math.max(0, federalTax + selfEmploymentTax + netInvestmentIncomeTax), table.year),
+      stateEstimatedTax: Math.max(0, stateTax + localTax)
+    };
+  }
+
+  /**
+   * Get the pay dates for a schedule in a tax year as YYYY-MM-DD strings.
+   * Weekly and biweekly checks fall on Fridays starting with the year's first Friday;
+   * semi-monthly checks on the 15th and last day; monthly checks on the last day.
+   */
+  getPayDates(schedule, year) {
+    const toISODate = (date) => [
+      date.getFullYear(),
+      String(date.getMonth() + 1).padStart(2, '0'),
+      String(date.getDate()).padStart(2, '0')
+    ].join('-');
+    const lastDayOf = (month) => new Date(year, month + 1, 0);
+    const dates = [];
+
+    switch (schedule) {
+      case 'weekly':
+      case 'biweekly': {
+        const step = schedule === 'weekly' ? 7 : 14;
+        const firstFriday = new Date(year, 0, 1 + ((5 - new Date(year, 0, 1).getDay() + 7) % 7));
+        for (let i = 0; i < this.PAY_SCHEDULES[schedule].periods; i++) {
+          dates.push(toISODate(new Date(year, 0, firstFriday.getDate() + i * step)));
+        }
+        break;
+      }
+      case 'semi-monthly':
+        for (let month = 0; month < 12; month++) {
+          dates.push(toISODate(new Date(year, month, 15)), toISODate(lastDayOf(month)));
+        }
+        break;
+      default:
+        for (let month = 0; month < 12; month++) {
+          dates.push(toISODate(lastDayOf(month)));
+        }
+    }
+
+    return dates;
+  }
+
+  /**
+   * Get the pay dates from startISO through endISO, inclusive, stepped from one known
+   * payday. Weekly and biweekly checks repeat every 7 or 14 days; monthly checks keep the
+   * payday's day of the month; semi-monthly checks fall on that day and 15 days later, and
+   * a payday on the last day of a month means the 15th and last day.
+   */
+  getPayDatesFromPayday(schedule, payday, startISO, endISO) {
+    const toISODate = (date) => [
+      date.getFullYear(),
+      String(date.getMonth() + 1).padStart(2, '0'),
+      String(date.getDate()).padStart(2, '0')
+    ].join('-');
+    const [year, month, day] = payday.split('-').map(Number);
+    const [startYear, startMonth, startDay] = startISO.split('-').map(Number);
+    const dates = [];
+
+    if (schedule === 'weekly' || schedule === 'biweekly') {
+      const step = schedule === 'weekly' ? 7 : 14;
+      const daysToStart = Math.round((new Date(startYear, startMonth - 1, startDay) - new Date(year, month - 1, day)) / 86400000);
+      for (let offset = Math.ceil(daysToStart / step) * step; ; offset += step) {
+        const date = toISODate(new Date(year, month - 1, day + offset));
+        if (date > endISO) break;
+        dates.push(date);
+      }
+      return dates;
+    }
+
+    let days = [day];
+    if (schedule === 'semi-monthly') {
+      const first = day === new Date(year, month, 0).getDate() ? 15 : (day > 15 ? day - 15 : day);
+      days = [first, first === 15 ? 31 : first + 15];
+    }
+    for (let cursor = new Date(startYear, startMonth - 1, 1); toISODate(cursor) <= endISO; cursor.setMonth(cursor.getMonth() + 1)) {
+      const lastDay = new Date(cursor.getFullYear(), cursor.getMonth() + 1, 0).getDate();
+      days.forEach(payDay => {
+        const date = toISODate(new Date(cursor.getFullYear(), cursor.getMonth(), Math.min(payDay, lastDay)));
+        if (date >= startISO && date <= endISO) dates.push(date);
+      });
+    }
+    return dates;
+  }
+
+  /**
+   * Simulate every paycheck in a tax year. Income tax withholding is the annual tax
+   * spread evenly across checks; Social Security and Medicare are withheld check by
+   * check against year-to-date wages, so Social Security stops once the wage base is
+   * reached and Additional Medicare starts once wages pass its threshold.
+   */
+  simulatePaychecks(income, schedule, zipcode, filingStatus = 'single', taxYear = this.TAX_YEAR, deductions = []) {
+    const scheduleKey = this.PAY_SCHEDULES[schedule] ? schedule : 'biweekly';
+    const payPlan = this.PAY_SCHEDULES[scheduleKey];
+    const periods = payPlan.periods;
+    const taxData = this.calculateAllTaxes(income, zipcode, filingStatus, taxYear, deductions);
+    const wageBase = this.getTaxTable(taxData.taxYear).socialSecurityWageBase;
+    const { rate: medicareRate, additionalRate, threshold } = this.FICA_RATES.medicare;
+    const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+    const perCheck = {
+      gross: roundCents(income / periods),
+      preTaxDeductions: roundCents(taxData.preTaxDeductions / periods),
+      postTaxDeductions: roundCents(taxData.postTaxDeductions / periods),
+      ficaWages: taxData.ficaWages / periods,
+      federalTax: roundCents(taxData.federalTax / periods),
+      stateTax: roundCents(taxData.stateTax / periods),
+      localTax: roundCents(taxData.localTax / periods)
+    };
+
+    const ytd = {
+      gross: 0, preTaxDeductions: 0, postTaxDeductions: 0, federalTax: 0, socialSecurityTax: 0,
+      medicareTax: 0, stateTax: 0, localTax: 0, netPay: 0, ficaWages: 0
+    };
+
+    const stubs = this.getPayDates(scheduleKey, taxData.taxYear).map((payDate, index) => {
+      const ficaWagesBefore = ytd.ficaWages;
+      const ficaWagesAfter = ficaWagesBefore + perCheck.ficaWages;
+
+      const socialSecurityWages = Math.max(0, Math.min(ficaWagesAfter, wageBase) - Math.min(ficaWagesBefore, wageBase));
+      const socialSecurityTax = roundCents(socialSecurityWages * this.FICA_RATES.socialSecurity.rate);
+      const additionalMedicareWages = Math.max(0, ficaWagesAfter - Math.max(threshold, ficaWagesBefore));
+      const medicareTax = roundCents(perCheck.ficaWages * medicareRate + additionalMedicareWages * additionalRate);
+
+      const totalTaxes = perCheck.federalTax + socialSecurityTax + medicareTax + perCheck.stateTax + perCheck.localTax;
+      const netPay = roundCents(perCheck.gross - perCheck.preTaxDeductions - perCheck.postTaxDeductions - totalTaxes);
+
+      const stub = {
+        number: index + 1,
+        payDate,
+        gross: perCheck.gross,
+        preTaxDeductions: perCheck.preTaxDeductions,
+        federalTax: perCheck.federalTax,
+        socialSecurityTax,
+        medicareTax,
+        stateTax: perCheck.stateTax,
+        localTax: perCheck.localTax,
+        postTaxDeductions: perCheck.postTaxDeductions,
+        netPay,
+        socialSecurityCapped: ficaWagesAfter >= wageBase
+      };
+
+      ['gross', 'preTaxDeductions', 'postTaxDeductions', 'federalTax', 'socialSecurityTax',
+        'medicareTax', 'stateTax', 'localTax', 'netPay'].forEach(field => {
+        ytd[field] = roundCents(ytd[field] + stub[field]);
+      });
+      ytd.ficaWages = ficaWagesAfter;
+      stub.ytd = { ...ytd };
+      delete stub.ytd.ficaWages;
+
+      return stub;
+    });
+
+    return {
+      schedule: scheduleKey,
+      label: payPlan.label,
+      periods,
+      taxYear: taxData.taxYear,
+      socialSecurityWageBase: wageBase,
+      stubs
+    };
+  }
+
+  /**
+   * Compare year-to-date federal withholding from a paystub with the projected annual
+   * liability. The checks left in the year are assumed to withhold at the year-to-date
+   * average, and the W-4 Step 4(c) amount spreads any shortfall across those checks.
+   * Returns null when the paystub isn't dated in the tax year.
+   */
+  calculateWithholdingCheckup(ytdWithholding, payDate, schedule, annualLiability, taxYear = this.TAX_YEAR) {
+    const payPlan = this.PAY_SCHEDULES[schedule] ? schedule : 'biweekly';
+    const year = this.getTaxTable(taxYear).year;
+    if (!String(payDate).startsWith(`${year}-`)) return null;
+    const payDates = this.getPayDates(payPlan, year);
+    const withheld = this.sanitizeNumber(ytdWithholding);
+    // Pay dates are ISO strings, so they compare in date order
+    const periodsPaid = Math.max(1, payDates.filter(date => date <= payDate).length);
+    const remainingPeriods = payDates.length - periodsPaid;
+    const perCheckWithholding = withheld / periodsPaid;
+    const projectedWithholding = withheld + perCheckWithholding * remainingPeriods;
+    const projectedRefund = projectedWithholding - annualLiability;
+    const checksLeft = remainingPeriods > 0 ? remainingPeriods : Infinity;
+
+    return {
+      schedule: payPlan,
+      taxYear: year,
+      periodsPaid,
+      remainingPeriods,
+      ytdWithholding: withheld,
+      perCheckWithholding,
+      projectedWithholding,
+      annualLiability,
+      projectedRefund,
+      status: Math.abs(projectedRefund) < 100 ? 'on-track' : projectedRefund > 0 ? 'refund' : 'balance-due',
+      // W-4 Step 4(c) only adds withholding, so over-withholding is reported as a reduction
+      extraWithholdingPerPeriod: projectedRefund < 0 ? Math.ceil(-projectedRefund / checksLeft) : 0,
+      reduciblePerPeriod: projectedRefund > 0 ? Math.floor(projectedRefund / checksLeft) : 0
+    };
+  }
+
+  /**
+   * Project an account balance day by day. Each flow is { date, amount, label, type } with
+   * a YYYY-MM-DD date and a positive amount for money in, negative for money out; flows
+   * outside the window are ignored. Consecutive days below zero are grouped into shortfalls.
+   */
+  projectCashFlow(startingBalance, flows, startDate, days = 90) {
+    const toISODate = (date) => [
+      date.getFullYear(),
+      String(date.getMonth() + 1).padStart(2, '0'),
+      String(date.getDate()).padStart(2, '0')
+    ].join('-');
+    const [year, month, day] = startDate.split('-').map(Number);
+    const flowsByDate = flows.reduce((byDate, flow) => {
+      (byDate[flow.date] = byDate[flow.date] || []).push(flow);
+      return byDate;
+    }, {});
+
+    // An overdrawn account starts below zero, so the opening balance may be negative
+    const openingBalance = Number.isFinite(Number(startingBalance)) ? Number(startingBalance) : 0;
+    let balance = openingBalance;
+    const timeline = [];
+    const shortfalls = [];
+    let lowest = null;
+    let totalIn = 0;
+    let totalOut = 0;
+
+    for (let offset = 0; offset < days; offset++) {
+      const date = toISODate(new Date(year, month - 1, day + offset));
+      const dayFlows = flowsByDate[date] || [];
+      const net = dayFlows.reduce((sum, flow) => sum + flow.amount, 0);
+      dayFlows.forEach(flow => {
+        if (flow.amount > 0) totalIn += flow.amount;
+        else totalOut -= flow.amount;
+      });
+      balance = Math.round((balance + net) * 100) / 100;
+      timeline.push({ date, flows: dayFlows, net, balance });
+
+      if (!lowest || balance < lowest.balance) lowest = { date, balance };
+      if (balance < 0) {
+        const current = shortfalls[shortfalls.length - 1];
+        if (current && current.end === timeline[offset - 1].date) {
+          current.end = date;
+          current.lowestBalance = Math.min(current.lowestBalance, balance);
+        } else {
+          shortfalls.push({ start: date, end: date, lowestBalance: balance });
+        }
+      }
+    }
+
+    return {
+      startingBalance: openingBalance,
+      endingBalance: balance,
+      timeline,
+      lowest,
+      shortfalls,
+      totalIn,
+      totalOut
+    };
+  }
+
+  /**
+   * Summarize a history of variable monthly income ({ month, amount } with YYYY-MM months)
+   * and pick a conservative baseline to budget on: the 10th percentile of every month
+   * ('percentile') or the lowest of the last 12 months ('trailing-minimum').
+   */
+  calculateIncomeBaseline(incomes, method = 'percentile') {
+    const amounts = [...incomes]
+      .sort((a, b) => a.month.localeCompare(b.month))
+      .map(entry => this.sanitizeNumber(entry.amount));
+    if (amounts.length === 0) return null;
+
+    const ascending = [...amounts].sort((a, b) => a - b);
+    const percentile = (fraction) => {
+      const index = (ascending.length - 1) * fraction;
+      const lower = Math.floor(index);
+      const upper = Math.ceil(index);
+      return ascending[lower] + (ascending[upper] - ascending[lower]) * (index - lower);
+    };
+    const average = amounts.reduce((sum, amount) => sum + amount, 0) / amounts.length;
+    const deviation = Math.sqrt(amounts.reduce((sum, amount) => sum + (amount - average) ** 2, 0) / amounts.length);
+    const baseline = method === 'trailing-minimum'
+      ? Math.min(...amounts.slice(-this.INCOME_BASELINE.trailingMonths))
+      : percentile(this.INCOME_BASELINE.percentile);
+
+    return {
+      method,
+      baseline: Math.round(baseline * 100) / 100,
+      average,
+      median: percentile(0.5),
+      lowest: ascending[0],
+      highest: ascending[ascending.length - 1],
+      months: amounts.length,
+      // Coefficient of variation: how far a typical month strays from the average
+      variability: average > 0 ? (deviation / average) * 100 : 0
+    };
+  }
+
+  /**
+   * Split a month's income above the baseline between the buffer (emergency fund), debt and
+   * goals. Until the buffer is full half goes to it, 30% to debt and 20% to goals; after that
+   * 60% goes to debt and 40% to goals. A bucket takes no more than it still needs and its
+   * unused share moves to the others; anything left once every need is met goes to goals.
+   */
+  allocateSurplus(income, baseline, { bufferGap = 0, debtBalance = 0, goalsGap = Infinity } = {}) {
+    const surplus = Math.max(0, this.sanitizeNumber(income) - this.sanitizeNumber(baseline));
+    const weights = bufferGap > 0 ? { buffer: 0.5, debt: 0.3, goals: 0.2 } : { buffer: 0, debt: 0.6, goals: 0.4 };
+    const caps = { buffer: bufferGap, debt: debtBalance, goals: goalsGap };
+    const allocation = { buffer: 0, debt: 0, goals: 0 };
+    let remaining = surplus;
+
+    for (let round = 0; round < Object.keys(weights).length && remaining > 0.005; round++) {
+      const open = Object.keys(weights).filter(bucket => weights[bucket] > 0 && allocation[bucket] < caps[bucket]);
+      const totalWeight = open.reduce((sum, bucket) => sum + weights[bucket], 0);
+      if (totalWeight === 0) break;
+
+      const available = remaining;
+      open.forEach(bucket => {
+        const share = Math.min((available * weights[bucket]) / totalWeight, caps[bucket] - allocation[bucket]);
+        allocation[bucket] += share;
+        remaining -= share;
+      });
+    }
+    allocation.goals += remaining;
+
+    return {
+      surplus,
+      buffer: Math.round(allocation.buffer * 100) / 100,
+      debt: Math.round(allocation.debt * 100) / 100,
+      goals: Math.round(allocation.goals * 100) / 100
     };
   }
 
@@ -181,6 +1488,72 @@ class FinancialCalculators {
     }
   }
 
+  /**
+   * Compare compensation packages side by side. Wages are salary plus bonus, the health
+   * premium is a Section 125 deduction and the employer 401(k) match counts toward total
+   * compensation but not take-home pay. A cost-of-living index (100 = where you live now)
+   * restates take-home pay in today's dollars and scales the current budget's expenses
+   * to give each offer's savings rate. Differences are against the current budget's
+   * income when there is one, otherwise against the first offer.
+   */
+  compareCompensationPackages(packages, filingStatus = 'single', taxYear = this.TAX_YEAR, budget = {}) {
+    const currentIncome = this.sanitizeNumber(budget.monthlyIncome);
+    const currentExpenses = this.sanitizeNumber(budget.totalExpenses);
+    const currentSavingsRate = currentIncome > 0 ? ((currentIncome - currentExpenses) / currentIncome) * 100 : null;
+
+    const offers = packages.map((pkg, index) => {
+      const salary = this.calculateAnnualIncome(pkg.payAmount, pkg.payFrequency);
+      const bonus = this.sanitizeNumber(pkg.bonus);
+      const healthPremium = this.sanitizeNumber(pkg.healthPremium) * 12;
+      const employerMatch = salary * (this.sanitizeNumber(pkg.matchPercent) / 100);
+      const costOfLivingIndex = this.sanitizeNumber(pkg.costOfLivingIndex) || 100;
+      const taxes = this.calculateAllTaxes(salary + bonus, pkg.zipcode, filingStatus, taxYear, [{ type: 'section-125', amount: healthPremium }]);
+      const monthlyTakeHome = taxes.takeHomePay / 12;
+      const monthlyExpenses = currentExpenses * (costOfLivingIndex / 100);
+
+      return {
+        name: pkg.name || `Offer ${index + 1}`,
+        salary,
+        bonus,
+        healthPremium,
+        employerMatch,
+        totalCompensation: salary + bonus + employerMatch,
+        state: taxes.state,
+        zipResolved: taxes.zipResolved,
+        zipNote: taxes.stateTaxNote,
+        localJurisdiction: taxes.localJurisdiction,
+        totalTax: taxes.totalTax,
+        effectiveRate: taxes.effectiveRate,
+        takeHomePay: taxes.takeHomePay,
+        monthlyTakeHome,
+        costOfLivingIndex,
+        adjustedMonthlyTakeHome: monthlyTakeHome * (100 / costOfLivingIndex),
+        monthlyExpenses,
+        monthlySavings: monthlyTakeHome - monthlyExpenses,
+        savingsRate: monthlyTakeHome > 0 ? ((monthlyTakeHome - monthlyExpenses) / monthlyTakeHome) * 100 : 0
+      };
+    });
+
+    const baseline = currentIncome > 0 ? currentIncome : (offers[0] ? offers[0].monthlyTakeHome : 0);
+    offers.forEach(offer => {
+      offer.monthlyDifference = offer.monthlyTakeHome - baseline;
+      offer.adjustedMonthlyDifference = offer.adjustedMonthlyTakeHome - baseline;
+      offer.savingsRateChange = currentSavingsRate !== null ? offer.savingsRate - currentSavingsRate : null;
+    });
+
+    // Best offer by take-home plus match, both in today's dollars
+    const value = offer => offer.adjustedMonthlyTakeHome + (offer.employerMatch / 12) * (100 / offer.costOfLivingIndex);
+    const best = offers.reduce((top, offer) => (!top || value(offer) > value(top) ? offer : top), null);
+
+    return {
+      offers,
+      baseline: currentIncome > 0 ? 'current' : 'first',
+      currentMonthlyIncome: currentIncome,
+      currentSavingsRate,
+      bestOffer: best ? best.name : null
+    };
+  }
+
   /**
    * Calculate budget analysis
    */
@@ -203,11 +1576,56 @@ class FinancialCalculators {
   }
 
   /**
-   * Calculate debt payoff using avalanche method (highest interest first)
+   * APR in effect for a debt in a month of the payoff (month 1 is the first payment).
+   * Promo debts charge promoRate for promoMonths, then their go-to rate; variable-rate
+   * debts follow rateChanges ({ month, rate }) from the month each change takes effect.
+   */
+  getDebtRate(debt, month) {
+    if (debt.type === 'promo') {
+      return month <= (debt.promoMonths || 0) ? (debt.promoRate || 0) : debt.rate;
+    }
+    if (debt.type === 'variable') {
+      const change = (debt.rateChanges || [])
+        .filter(entry => entry.month <= month)
+        .sort((a, b) => b.month - a.month)[0];
+      return change ? change.rate : debt.rate;
+    }
+    return debt.rate;
+  }
+
+  /**
+   * One month of interest on a balance. Credit cards and promo balances accrue on the
+   * daily balance, compounding daily over an average month; loans accrue rate/12.
+   */
+  calculateDebtInterest(debt, balance, month) {
+    const rate = this.getDebtRate(debt, month) / 100;
+    const daily = (this.DEBT_TYPES[debt.type] || {}).compounding === 'daily';
+    return daily
+      ? balance * (Math.pow(1 + rate / 365, 365 / 12) - 1)
+      : (balance * rate) / 12;
+  }
+
+  /**
+   * Minimum payment due on a balance that already includes the month's interest. Credit
+   * cards require a percentage of the balance, but no less than the minimum payment
+   * entered (the card's floor); other debts have a fixed payment.
+   */
+  getDebtMinimumPayment(debt, balance) {
+    const fixed = debt.minPayment !== undefined ? debt.minPayment : debt.payment;
+    const minimum = debt.type === 'credit-card'
+      ? Math.max(fixed || 0, (balance * (debt.minPercent || this.CREDIT_CARD_MIN_PERCENT)) / 100)
+      : fixed || 0;
+    return Math.min(minimum, balance);
+  }
+
+  /**
+   * Calculate debt payoff using avalanche method (highest interest first). Priority follows
+   * the rate in effect each month, so an expiring promo or a rate change reorders the debts.
    */
   calculateAvalanche(debts, extraPayment) {
-    const sortedDebts = [...debts].sort((a, b) => b.rate - a.rate);
-    return this.calculatePayoffPlan(sortedDebts, extraPayment, 'Debt Avalanche');
+    const sortedDebts = [...debts].sort((a, b) => this.getDebtRate(b, 1) - this.getDebtRate(a, 1));
+    return this.calculatePayoffPlan(sortedDebts, extraPayment, 'Debt Avalanche',
+      (a, b, month) => this.getDebtRate(b, month) - this.getDebtRate(a, month));
   }
 
   /**
@@ -215,49 +1633,62 @@ class FinancialCalculators {
    */
   calculateSnowball(debts, extraPayment) {
     const sortedDebts = [...debts].sort((a, b) => a.balance - b.balance);
-    return this.calculatePayoffPlan(sortedDebts, extraPayment, 'Debt Snowball');
+    return this.calculatePayoffPlan(sortedDebts, extraPayment, 'Debt Snowball', (a, b) => a.balance - b.balance);
   }
 
   /**
-   * Calculate detailed payoff plan
+   * Calculate detailed payoff plan. The first month's minimums plus the extra payment set a
+   * fixed monthly budget: each month every debt accrues interest by its type and gets its
+   * minimum, and whatever the budget has left, including minimums freed up by paid-off
+   * debts, goes to the priority debt. compare (a, b, month) re-orders the debts each month.
    */
-  calculatePayoffPlan(sortedDebts, extraPayment, strategyName) {
-    let remainingDebts = sortedDebts.map(debt => ({...debt}));
+  calculatePayoffPlan(sortedDebts, extraPayment, strategyName, compare = null) {
+    let remainingDebts = sortedDebts.map(debt => ({ ...debt }));
     let totalPaid = 0;
     let totalInterest = 0;
     let month = 0;
     const timeline = [];
 
+    const monthlyBudget = remainingDebts.reduce((sum, debt) => {
+      const interest = this.calculateDebtInterest(debt, debt.balance, 1);
+      return sum + this.getDebtMinimumPayment(debt, debt.balance + interest);
+    }, 0) + (extraPayment > 0 ? extraPayment : 0);
+
     while (remainingDebts.length > 0 && month < 600) { // 50 year cap
       month++;
-      let monthlyExtraRemaining = extraPayment;
-
-      remainingDebts.forEach((debt, index) => {
-        const monthlyInterest = (debt.balance * (debt.rate / 100)) / 12;
-        let monthlyPayment = debt.minPayment;
+      if (compare) remainingDebts.sort((a, b) => compare(a, b, month));
 
-        // Apply extra payment to first debt (highest priority)
-        if (index === 0) {
-          monthlyPayment += monthlyExtraRemaining;
-          monthlyExtraRemaining = 0;
+      let available = monthlyBudget;
+      remainingDebts.forEach(debt => {
+        if (month > 1 && this.getDebtRate(debt, month) !== this.getDebtRate(debt, month - 1)) {
+          timeline.push({ month, debtName: debt.name, type: 'rate-change', rate: this.getDebtRate(debt, month) });
         }
 
-        const principalPayment = monthlyPayment - monthlyInterest;
-        debt.balance = Math.max(0, debt.balance - principalPayment);
+        const interest = this.calculateDebtInterest(debt, debt.balance, month);
+        debt.balance += interest;
+        totalInterest += interest;
+
+        // Minimums are due even when a rate increase pushes them past the budget
+        const minimum = this.getDebtMinimumPayment(debt, debt.balance);
+        debt.balance -= minimum;
+        totalPaid += minimum;
+        available -= minimum;
+      });
 
-        totalPaid += monthlyPayment;
-        totalInterest += monthlyInterest;
+      remainingDebts.forEach(debt => {
+        if (available <= 0) return;
+        const extraApplied = Math.min(available, debt.balance);
+        debt.balance -= extraApplied;
+        totalPaid += extraApplied;
+        available -= extraApplied;
+      });
 
-        if (debt.balance <= 0) {
-          timeline.push({
-            month,
-            debtName: debt.name,
-            action: 'paid_off'
-          });
+      remainingDebts.forEach(debt => {
+        if (debt.balance <= 0.005) {
+          timeline.push({ month, debtName: debt.name, type: 'payoff' });
         }
       });
-
-      remainingDebts = remainingDebts.filter(debt => debt.balance > 0);
+      remainingDebts = remainingDebts.filter(debt => debt.balance > 0.005);
     }
 
     return {
@@ -266,6 +1697,8 @@ class FinancialCalculators {
       totalPaid,
       totalInterest,
       timeline,
+      monthlyPayment: monthlyBudget,
+      paidOff: remainingDebts.length === 0,
       monthlySavings: extraPayment > 0 ? extraPayment : 0
     };
   }
@@ -293,6 +1726,40 @@ class FinancialCalculators {
     };
   }
 
+  /**
+   * Plan the monthly set-aside for a sinking fund: money saved toward an irregular or
+   * annual cost by its due date. One set-aside is made each month from the current month
+   * through the month before the due date, or the whole remainder when it's due this month.
+   * When this month's set-aside is already made (setAsideMade), saving resumes next month.
+   * Dates are YYYY-MM-DD strings.
+   */
+  calculateSinkingFund(targetAmount, balance, dueDate, asOfDate, setAsideMade = false) {
+    const target = this.sanitizeNumber(targetAmount);
+    const saved = this.sanitizeNumber(balance);
+    const remainingAmount = Math.max(0, target - saved);
+    const [dueYear, dueMonth] = dueDate.split('-').map(Number);
+    const [year, month] = asOfDate.split('-').map(Number);
+
+    let status = 'saving';
+    let monthsLeft = Math.max(1, (dueYear - year) * 12 + (dueMonth - month) - (setAsideMade ? 1 : 0));
+    if (remainingAmount === 0) {
+      status = 'funded';
+    } else if (dueDate < asOfDate) {
+      status = 'past-due';
+      monthsLeft = 0;
+    }
+
+    return {
+      targetAmount: target,
+      balance: saved,
+      remainingAmount,
+      progressPercent: target > 0 ? Math.min(100, (saved / target) * 100) : 100,
+      monthsLeft,
+      monthlySetAside: remainingAmount > 0 ? Math.ceil((remainingAmount / Math.max(1, monthsLeft)) * 100) / 100 : 0,
+      status
+    };
+  }
+
   /**
    * Calculate investment projections with compound interest
    */
@@ -315,6 +1782,37 @@ class FinancialCalculators {
       returnOnInvestment: (totalEarnings / totalContributions) * 100
     };
   }
+
+  /**
+   * Project an investment and the tax due if its gains are sold as long-term gains in a
+   * single year on top of the saved wage and investment income. The tax is the difference
+   * in total tax with and without the sale, so it includes the 0/15/20% stacking, NIIT and
+   * state tax.
+   */
+  calculateInvestmentProjectionAfterTax(principal, monthlyContribution, annualReturn, years, taxProfile = {}) {
+    const projection = this.calculateInvestmentProjection(principal, monthlyContribution, annualReturn, years);
+    const { income = 0, zipcode = '', filingStatus = 'single', taxYear = this.TAX_YEAR, deductions = [], investmentIncome = null } = taxProfile;
+    const gains = Math.max(0, projection.totalEarnings);
+    const existing = investmentIncome || {};
+
+    const withoutSale = this.calculateAllTaxes(income, zipcode, filingStatus, taxYear, deductions, null, existing);
+    const withSale = this.calculateAllTaxes(income, zipcode, filingStatus, taxYear, deductions, null, {
+      ...existing,
+      longTermGains: this.sanitizeNumber(existing.longTermGains) + gains
+    });
+    const taxOnGains = withSale.totalTax - withoutSale.totalTax;
+
+    return {
+      ...projection,
+      federalTaxOnGains: withSale.federalTax - withoutSale.federalTax,
+      netInvestmentIncomeTax: withSale.netInvestmentIncomeTax - withoutSale.netInvestmentIncomeTax,
+      stateTaxOnGains: withSale.stateTax + withSale.localTax - withoutSale.stateTax - withoutSale.localTax,
+      taxOnGains,
+      effectiveTaxRateOnGains: gains > 0 ? (taxOnGains / gains) * 100 : 0,
+      afterTaxEarnings: projection.totalEarnings - taxOnGains,
+      afterTaxBalance: projection.finalBalance - taxOnGains
+    };
+  }
 }
 
 // Create singleton instance
@@ -47,28 +47,6 @@ export const APP_CONFIG = {
   }
 };
 
-export const TAX_BRACKETS_2024 = [
-  { min: 0, max: 11000, rate: 0.10 },
-  { min: 11000, max: 44725, rate: 0.12 },
-  { min: 44725, max: 95375, rate: 0.22 },
-  { min: 95375, max: 182050, rate: 0.24 },
-  { min: 182050, max: 231250, rate: 0.32 },
-  { min: 231250, max: 578125, rate: 0.35 },
-  { min: 578125, max: Infinity, rate: 0.37 }
-];
-
-export const STATE_TAX_RATES = {
-  'AL': 0.05, 'AR': 0.049, 'AZ': 0.025, 'CA': 0.07, 'CO': 0.044, 
-  'CT': 0.05, 'DC': 0.06, 'DE': 0.052, 'GA': 0.047, 'HI': 0.07, 
-  'IA': 0.05, 'ID': 0.056, 'IL': 0.0495, 'IN': 0.0315, 'KS': 0.052, 
-  'KY': 0.045, 'LA': 0.045, 'MA': 0.05, 'MD': 0.055, 'ME': 0.058,
-  'MI': 0.0425, 'MN': 0.058, 'MO': 0.048, 'MS': 0.05, 'MT': 0.055, 
-  'NC': 0.0475, 'ND': 0.02, 'NE': 0.05, 'NJ': 0.055, 'NM': 0.049, 
-  'NY': 0.058, 'OH': 0.0275, 'OK': 0.0475, 'OR': 0.075, 'PA': 0.0307, 
-  'RI': 0.05, 'SC': 0.053, 'UT': 0.0465, 'VA': 0.05, 'VT': 0.06, 
-  'WI': 0.053, 'WV': 0.05
-};
-
 export const NO_TAX_STATES = new Set(['AK', 'FL', 'NV', 'NH', 'SD', 'TN', 'TX', 'WA', 'WY']);
 
 export const EXPENSE_CATEGORIES = [
@@ -15,6 +15,20 @@ class FinancialDataManager {
         daysPerWeek: 5,
         weeksPerYear: 52,
         zipcode: '',
+        filingStatus: 'single',
+        taxYear: null,
+        taxTableSource: null,
+        payrollDeductions: null,
+        paySchedule: '',
+        payday: '',
+        incomeType: 'w2',
+        businessExpenses: 0,
+        additionalEarners: [],
+        householdFiling: null,
+        creditInputs: null,
+        investmentIncome: null,
+        retirementPlan: null,
+        withholding: null,
         monthlyNetIncome: 0,
         annualGrossIncome: 0,
         calculatedDate: null
@@ -33,10 +47,24 @@ class FinancialDataManager {
           subscriptions: 0,
           miscellaneous: 0
         },
+        recurringExpenses: [],
+        sinkingFunds: [],
+        variableIncome: { enabled: false, method: 'percentile', history: [] },
+        categories: [],
+        method: 'guideline',
+        savingsAllocation: 0,
+        savingsTargetPercent: 20,
+        envelopes: {},
+        envelopeMonth: null,
+        envelopesCarriedIn: {},
+        history: {},
         totalExpenses: 0,
         analysis: null,
         lastUpdated: null
       },
+      transactions: [],
+      transactionRules: [],
+      bills: [],
       debts: [],
       debtStrategy: {
         extraPayment: 0,
@@ -57,6 +85,7 @@ class FinancialDataManager {
       goals: [],
       investments: {
         amount: 0,
+        employerMatch: 0,
         riskTolerance: 'moderate',
         timeframe: '5-10',
         focusType: 'balanced',
@@ -109,7 +138,12 @@ class FinancialDataManager {
    */
   exportData() {
     try {
-      const dataStr = JSON.stringify(this.data, null, 2);
+      // The legacy script writes results straight to localStorage; include them so each
+      // exported result carries the tax year and table source that produced it
+      const savedData = localStorage.getItem('financialData');
+      const exportPayload = savedData ? { ...this.data, ...JSON.parse(savedData) } : this.data;
+
+      const dataStr = JSON.stringify(exportPayload, null, 2);
       const dataBlob = new Blob([dataStr], { type: 'application/json' });
       const url = URL.createObjectURL(dataBlob);
       const link = document.createElement('a');
@@ -212,16 +246,20 @@ class FinancialDataManager {
       const payAmountInput = document.getElementById('pay-amount');
       const payFrequencySelect = document.getElementById('pay-frequency');
       const zipcodeInput = document.getElementById('zipcode');
+      const filingStatusSelect = document.getElementById('filing-status');
+      const taxYearSelect = document.getElementById('tax-year');
 
       if (payAmountInput) payAmountInput.value = this.data.income.payAmount;
       if (payFrequencySelect) payFrequencySelect.value = this.data.income.payFrequency;
       if (zipcodeInput) zipcodeInput.value = this.data.income.zipcode;
+      if (filingStatusSelect) filingStatusSelect.value = this.data.income.filingStatus || 'single';
+      if (taxYearSelect && this.data.income.taxYear) taxYearSelect.value = this.data.income.taxYear;
     }
 
     // Budget form
     if (this.data.budget.monthlyIncome > 0) {
       Object.keys(this.data.budget.expenses).forEach(key => {
-        const input = document.getElementById(`${key.replace(/([A-Z])/g, '-$1').toLowerCase()}-amount`);
+        const input = document.querySelector(`#budget-form .expense-input[name="${key}"]`);
         if (input) input.value = this.data.budget.expenses[key];
       });
     }
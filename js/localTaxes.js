@@ -0,0 +1,121 @@
+/**
+ * Local Income Tax Module
+ * City and county income taxes resolved from the full 5-digit ZIP code.
+ * ZIPs outside every listed jurisdiction owe no local income tax.
+ */
+
+class LocalTaxRegistry {
+  constructor() {
+    // Year the rates below were published for
+    this.SCHEDULE_YEAR = 2025;
+    this.jurisdictions = [];
+  }
+
+  /**
+   * Register a jurisdiction. `zips` holds single ZIPs or inclusive [first, last] ranges.
+   * `base` selects what the tax applies to:
+   *  - 'wages': a flat rate on gross wages (city wage and earnings taxes)
+   *  - 'stateTaxable': a rate or bracket schedule on state taxable income
+   *  - 'stateTax': a surcharge rate on the state income tax itself
+   */
+  register(definition) {
+    const ranges = definition.zips.map(entry => (
+      Array.isArray(entry) ? entry : [entry, entry]
+    ));
+
+    const brackets = {};
+    Object.entries(definition.brackets || {}).forEach(([status, pairs]) => {
+      brackets[status] = window.stateTaxes.buildBrackets(pairs);
+    });
+
+    this.jurisdictions.push({
+      name: definition.name,
+      state: definition.state,
+      base: definition.base,
+      rate: definition.rate || 0,
+      brackets,
+      ranges
+    });
+  }
+
+  /**
+   * Find the jurisdiction that levies income tax at a ZIP code, or null when none does
+   */
+  resolve(zipcode) {
+    const zip = parseInt(String(zipcode || '').replace(/\D/g, '').substring(0, 5), 10);
+    if (!zip) return null;
+
+    return this.jurisdictions.find(jurisdiction =>
+      jurisdiction.ranges.some(([first, last]) => zip >= first && zip <= last)
+    ) || null;
+  }
+
+  /**
+   * Resolve a jurisdiction's bracket schedule for a filing status
+   */
+  getBrackets(jurisdiction, filingStatus) {
+    const isJoint = filingStatus === 'married-jointly' || filingStatus === 'qualifying-surviving-spouse';
+    if (isJoint) return jurisdiction.brackets['married-jointly'] || jurisdiction.brackets['single'];
+    if (filingStatus === 'head-of-household') {
+      return jurisdiction.brackets['head-of-household'] || jurisdiction.brackets['single'];
+    }
+    return jurisdiction.brackets['single'];
+  }
+}
+
+// Create singleton instance
+window.localTaxes = new LocalTaxRegistry();
+
+[
+  // New York
+  {
+    name: 'New York City',
+    state: 'NY',
+    base: 'stateTaxable',
+    brackets: {
+      'single': [[0, 0.03078], [12000, 0.03762], [25000, 0.03819], [50000, 0.03876]],
+      'married-jointly': [[0, 0.03078], [21600, 0.03762], [45000, 0.03819], [90000, 0.03876]],
+      'head-of-household': [[0, 0.03078], [14400, 0.03762], [30000, 0.03819], [60000, 0.03876]]
+    },
+    // Manhattan, Staten Island, Bronx, Brooklyn and Queens
+    zips: [[10001, 10282], [10301, 10314], [10451, 10475], [11004, 11005], [11101, 11120],
+      [11201, 11256], [11351, 11499], [11690, 11697]]
+  },
+  { name: 'Yonkers', state: 'NY', base: 'stateTax', rate: 0.1675, zips: [[10701, 10710]] },
+
+  // Pennsylvania
+  { name: 'Philadelphia', state: 'PA', base: 'wages', rate: 0.0375, zips: [[19101, 19197]] },
+  { name: 'Pittsburgh', state: 'PA', base: 'wages', rate: 0.03, zips: [[15201, 15203], [15205, 15208], [15210, 15224], [15226, 15227], [15232, 15233]] },
+  { name: 'Scranton', state: 'PA', base: 'wages', rate: 0.034, zips: [[18503, 18510]] },
+
+  // Ohio municipalities
+  { name: 'Columbus', state: 'OH', base: 'wages', rate: 0.025, zips: [[43201, 43207], [43209, 43224], [43227, 43232]] },
+  { name: 'Cleveland', state: 'OH', base: 'wages', rate: 0.025, zips: [[44102, 44115], [44119, 44120], [44127, 44128], 44135] },
+  { name: 'Cincinnati', state: 'OH', base: 'wages', rate: 0.018, zips: [[45202, 45209], [45211, 45214], [45216, 45217], [45219, 45220], [45223, 45227], [45229, 45230], [45232, 45233], [45237, 45239]] },
+  { name: 'Toledo', state: 'OH', base: 'wages', rate: 0.025, zips: [[43604, 43615], 43620, 43623] },
+  { name: 'Akron', state: 'OH', base: 'wages', rate: 0.025, zips: [[44301, 44314], [44319, 44320]] },
+  { name: 'Dayton', state: 'OH', base: 'wages', rate: 0.025, zips: [[45402, 45410], [45414, 45420]] },
+  { name: 'Youngstown', state: 'OH', base: 'wages', rate: 0.0275, zips: [[44502, 44507], [44509, 44511]] },
+
+  // Maryland counties (applied to Maryland taxable income)
+  { name: 'Baltimore City', state: 'MD', base: 'stateTaxable', rate: 0.032, zips: [[21201, 21202], [21205, 21206], [21209, 21218], [21223, 21226], [21229, 21231], 21239, 21251] },
+  { name: 'Baltimore County', state: 'MD', base: 'stateTaxable', rate: 0.032, zips: [21204, [21207, 21208], [21219, 21222], [21227, 21228], [21234, 21237], 21093, 21117, 21133, 21136] },
+  { name: 'Montgomery County', state: 'MD', base: 'stateTaxable', rate: 0.032, zips: [[20812, 20818], [20832, 20833], [20850, 20855], [20874, 20879], 20886, [20895, 20896], [20901, 20906], 20910, 20912] },
+  { name: "Prince George's County", state: 'MD', base: 'stateTaxable', rate: 0.032, zips: [[20705, 20710], [20712, 20722], [20735, 20748], [20769, 20774], [20781, 20785]] },
+  { name: 'Howard County', state: 'MD', base: 'stateTaxable', rate: 0.032, zips: [[21042, 21046], 21075, 21029, 21794] },
+  { name: 'Anne Arundel County', state: 'MD', base: 'stateTaxable', rate: 0.0281, zips: [[21401, 21405], 21012, 21032, 21037, 21060, 21061, 21108, 21113, 21114, 21122, 21144, 21146] },
+  { name: 'Frederick County', state: 'MD', base: 'stateTaxable', rate: 0.0296, zips: [[21701, 21704], 21770, 21771, 21774, 21793] },
+
+  // Indiana counties (applied to Indiana taxable income)
+  { name: 'Marion County', state: 'IN', base: 'stateTaxable', rate: 0.0202, zips: [[46201, 46260], 46268, 46278] },
+  { name: 'Lake County', state: 'IN', base: 'stateTaxable', rate: 0.015, zips: [[46303, 46312], [46319, 46324], 46327, 46342, [46373, 46377], [46401, 46411]] },
+  { name: 'Allen County', state: 'IN', base: 'stateTaxable', rate: 0.0159, zips: [[46802, 46899]] },
+  { name: 'Hamilton County', state: 'IN', base: 'stateTaxable', rate: 0.011, zips: [[46032, 46033], [46037, 46038], [46060, 46062], 46074] },
+  { name: 'St. Joseph County', state: 'IN', base: 'stateTaxable', rate: 0.0175, zips: [[46601, 46637], 46544, 46545] },
+
+  // Other city income taxes
+  { name: 'Detroit', state: 'MI', base: 'wages', rate: 0.024, zips: [[48201, 48228], [48231, 48235], [48238, 48244]] },
+  { name: 'Kansas City', state: 'MO', base: 'wages', rate: 0.01, zips: [[64101, 64139], [64145, 64147], [64151, 64158], [64161, 64167]] },
+  { name: 'St. Louis', state: 'MO', base: 'wages', rate: 0.01, zips: [[63101, 63118], 63120, 63139, 63147] },
+  { name: 'Wilmington', state: 'DE', base: 'wages', rate: 0.0125, zips: [[19801, 19802], 19805, 19806] }
+].forEach(definition => window.localTaxes.register(definition));
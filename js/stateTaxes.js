@@ -0,0 +1,367 @@
+/**
+ * State Income Tax Schedules Module
+ * Progressive bracket schedules, standard deductions and personal exemptions for
+ * every state plus DC, with per-filing-status variants
+ */
+
+class StateTaxSchedules {
+  constructor() {
+    // Year the schedules below were published for
+    this.SCHEDULE_YEAR = 2025;
+    this.schedules = new Map();
+  }
+
+  /**
+   * Build a bracket schedule from [threshold, rate] pairs, lowest threshold first
+   */
+  buildBrackets(pairs) {
+    return pairs.map(([min, rate], index) => ({
+      min,
+      max: index < pairs.length - 1 ? pairs[index + 1][0] : Infinity,
+      rate
+    }));
+  }
+
+  /**
+   * Register a state's schedule. Brackets and deductions are keyed by filing status;
+   * missing statuses fall back as described in resolve()
+   */
+  register(state, definition) {
+    const brackets = {};
+    Object.entries(definition.brackets || {}).forEach(([status, pairs]) => {
+      brackets[status] = this.buildBrackets(pairs);
+    });
+
+    this.schedules.set(state, {
+      state,
+      brackets,
+      // A number per status, or 'federal' to follow the federal standard deduction
+      standardDeduction: definition.standardDeduction || {},
+      // Deduction per person (one for single filers, two for joint filers)
+      exemption: definition.exemption || 0,
+      // Tax credit per person, for states that give exemptions as credits
+      exemptionCredit: definition.exemptionCredit || 0,
+      note: definition.note || null
+    });
+  }
+
+  /**
+   * Check whether a state is known
+   */
+  has(state) {
+    return this.schedules.has(state);
+  }
+
+  /**
+   * Get a state's raw schedule
+   */
+  get(state) {
+    return this.schedules.get(state) || null;
+  }
+
+  /**
+   * Resolve the brackets, deduction and exemptions that apply to a filing status.
+   * Joint and head-of-household filers fall back to the single schedule when the
+   * state publishes none of their own; separate filers always use the single schedule.
+   */
+  resolve(state, filingStatus) {
+    const schedule = this.get(state);
+    if (!schedule) return null;
+
+    const isJoint = filingStatus === 'married-jointly' || filingStatus === 'qualifying-surviving-spouse';
+    const pick = (byStatus) => {
+      if (isJoint) return byStatus['married-jointly'] ?? byStatus.single;
+      if (filingStatus === 'head-of-household') return byStatus['head-of-household'] ?? byStatus.single;
+      return byStatus.single;
+    };
+
+    return {
+      state,
+      brackets: pick(schedule.brackets) || [],
+      standardDeduction: pick(schedule.standardDeduction) ?? 0,
+      exemptionCount: isJoint ? 2 : 1,
+      exemption: schedule.exemption,
+      exemptionCredit: schedule.exemptionCredit,
+      note: schedule.note
+    };
+  }
+}
+
+// Create singleton instance
+window.stateTaxes = new StateTaxSchedules();
+
+// Double every threshold of a single-filer schedule for states whose joint brackets are twice as wide
+const doubleBrackets = (pairs) => pairs.map(([min, rate]) => [min * 2, rate]);
+
+const STATE_SCHEDULES = {
+  'AL': {
+    brackets: {
+      'single': [[0, 0.02], [500, 0.04], [3000, 0.05]],
+      'married-jointly': [[0, 0.02], [1000, 0.04], [6000, 0.05]]
+    },
+    standardDeduction: { 'single': 3000, 'married-jointly': 8500, 'head-of-household': 5200 },
+    exemption: 1500
+  },
+  'AK': { note: 'No state income tax' },
+  'AZ': {
+    brackets: { 'single': [[0, 0.025]] },
+    standardDeduction: { 'single': 'federal', 'married-jointly': 'federal', 'head-of-household': 'federal' }
+  },
+  'AR': {
+    brackets: { 'single': [[0, 0], [5500, 0.02], [10900, 0.03], [15600, 0.034], [25700, 0.039]] },
+    standardDeduction: { 'single': 2410, 'married-jointly': 4820 },
+    exemptionCredit: 29
+  },
+  'CA': {
+    brackets: {
+      'single': [[0, 0.01], [10756, 0.02], [25499, 0.04], [40245, 0.06], [55866, 0.08], [70606, 0.093], [360659, 0.103], [432787, 0.113], [721314, 0.123], [1000000, 0.133]],
+      'married-jointly': [[0, 0.01], [21512, 0.02], [50998, 0.04], [80490, 0.06], [111732, 0.08], [141212, 0.093], [721318, 0.103], [865574, 0.113], [1000000, 0.123], [1442628, 0.133]],
+      'head-of-household': [[0, 0.01], [21527, 0.02], [51000, 0.04], [65744, 0.06], [81364, 0.08], [96107, 0.093], [490493, 0.103], [588593, 0.113], [980987, 0.123], [1000000, 0.133]]
+    },
+    standardDeduction: { 'single': 5540, 'married-jointly': 11080, 'head-of-household': 11080 },
+    exemptionCredit: 149,
+    note: 'Top rate includes the 1% Mental Health Services Tax above $1M'
+  },
+  'CO': {
+    brackets: { 'single': [[0, 0.044]] },
+    standardDeduction: { 'single': 'federal', 'married-jointly': 'federal', 'head-of-household': 'federal' }
+  },
+  'CT': {
+    brackets: {
+      'single': [[0, 0.02], [10000, 0.045], [50000, 0.055], [100000, 0.06], [200000, 0.065], [250000, 0.069], [500000, 0.0699]],
+      'married-jointly': [[0, 0.02], [20000, 0.045], [100000, 0.055], [200000, 0.06], [400000, 0.065], [500000, 0.069], [1000000, 0.0699]],
+      'head-of-household': [[0, 0.02], [16000, 0.045], [80000, 0.055], [160000, 0.06], [320000, 0.065], [400000, 0.069], [800000, 0.0699]]
+    },
+    standardDeduction: { 'single': 15000, 'married-jointly': 24000, 'head-of-household': 19000 },
+    note: 'Personal exemption modeled as a deduction; it phases out at higher incomes'
+  },
+  'DE': {
+    brackets: { 'single': [[0, 0], [2000, 0.022], [5000, 0.039], [10000, 0.048], [20000, 0.052], [25000, 0.0555], [60000, 0.066]] },
+    standardDeduction: { 'single': 3250, 'married-jointly': 6500 },
+    exemptionCredit: 110
+  },
+  'DC': {
+    brackets: { 'single': [[0, 0.04], [10000, 0.06], [40000, 0.065], [60000, 0.085], [250000, 0.0925], [500000, 0.0975], [1000000, 0.1075]] },
+    standardDeduction: { 'single': 'federal', 'married-jointly': 'federal', 'head-of-household': 'federal' }
+  },
+  'FL': { note: 'No state income tax' },
+  'GA': {
+    brackets: { 'single': [[0, 0.0519]] },
+    standardDeduction: { 'single': 12000, 'married-jointly': 24000 }
+  },
+  'HI': {
+    brackets: {
+      'single': [[0, 0.014], [9600, 0.032], [14400, 0.055], [19200, 0.064], [24000, 0.068], [36000, 0.072], [48000, 0.076], [125000, 0.079], [175000, 0.0825], [225000, 0.09], [275000, 0.10], [325000, 0.11]],
+      'married-jointly': doubleBrackets([[0, 0.014], [9600, 0.032], [14400, 0.055], [19200, 0.064], [24000, 0.068], [36000, 0.072], [48000, 0.076], [125000, 0.079], [175000, 0.0825], [225000, 0.09], [275000, 0.10], [325000, 0.11]])
+    },
+    standardDeduction: { 'single': 4400, 'married-jointly': 8800, 'head-of-household': 6424 },
+    exemption: 1144
+  },
+  'ID': {
+    brackets: {
+      'single': [[0, 0], [4811, 0.053]],
+      'married-jointly': [[0, 0], [9622, 0.053]]
+    },
+    standardDeduction: { 'single': 'federal', 'married-jointly': 'federal', 'head-of-household': 'federal' }
+  },
+  'IL': {
+    brackets: { 'single': [[0, 0.0495]] },
+    exemption: 2850
+  },
+  'IN': {
+    brackets: { 'single': [[0, 0.03]] },
+    exemption: 1000,
+    note: 'County income taxes are applied separately as local tax'
+  },
+  'IA': {
+    brackets: { 'single': [[0, 0.038]] },
+    standardDeduction: { 'single': 'federal', 'married-jointly': 'federal', 'head-of-household': 'federal' }
+  },
+  'KS': {
+    brackets: {
+      'single': [[0, 0.052], [23000, 0.0558]],
+      'married-jointly': [[0, 0.052], [46000, 0.0558]]
+    },
+    standardDeduction: { 'single': 3605, 'married-jointly': 8240, 'head-of-household': 6180 },
+    exemption: 9160
+  },
+  'KY': {
+    brackets: { 'single': [[0, 0.04]] },
+    standardDeduction: { 'single': 3270, 'married-jointly': 3270 }
+  },
+  'LA': {
+    brackets: { 'single': [[0, 0.03]] },
+    standardDeduction: { 'single': 12500, 'married-jointly': 25000, 'head-of-household': 25000 }
+  },
+  'ME': {
+    brackets: {
+      'single': [[0, 0.058], [26800, 0.0675], [63450, 0.0715]],
+      'married-jointly': [[0, 0.058], [53600, 0.0675], [126900, 0.0715]],
+      'head-of-household': [[0, 0.058], [40200, 0.0675], [95150, 0.0715]]
+    },
+    standardDeduction: { 'single': 'federal', 'married-jointly': 'federal', 'head-of-household': 'federal' },
+    exemption: 5150
+  },
+  'MD': {
+    brackets: {
+      'single': [[0, 0.02], [1000, 0.03], [2000, 0.04], [3000, 0.0475], [100000, 0.05], [125000, 0.0525], [150000, 0.055], [250000, 0.0575], [500000, 0.0625], [1000000, 0.065]],
+      'married-jointly': [[0, 0.02], [1000, 0.03], [2000, 0.04], [3000, 0.0475], [150000, 0.05], [175000, 0.0525], [225000, 0.055], [300000, 0.0575], [600000, 0.0625], [1200000, 0.065]]
+    },
+    standardDeduction: { 'single': 3350, 'married-jointly': 6700, 'head-of-household': 6700 },
+    exemption: 3200,
+    note: 'County income taxes are applied separately as local tax'
+  },
+  'MA': {
+    brackets: { 'single': [[0, 0.05], [1083150, 0.09]] },
+    exemption: 4400,
+    note: 'Top rate includes the 4% surtax on income above $1,083,150'
+  },
+  'MI': {
+    brackets: { 'single': [[0, 0.0425]] },
+    exemption: 5800,
+    note: 'City income taxes are applied separately as local tax'
+  },
+  'MN': {
+    brackets: {
+      'single': [[0, 0.0535], [32570, 0.068], [106990, 0.0785], [198630, 0.0985]],
+      'married-jointly': [[0, 0.0535], [47620, 0.068], [189180, 0.0785], [330410, 0.0985]],
+      'head-of-household': [[0, 0.0535], [40100, 0.068], [161130, 0.0785], [264050, 0.0985]]
+    },
+    standardDeduction: { 'single': 14950, 'married-jointly': 29900, 'head-of-household': 22500 }
+  },
+  'MS': {
+    brackets: { 'single': [[0, 0], [10000, 0.044]] },
+    standardDeduction: { 'single': 8300, 'married-jointly': 16600, 'head-of-household': 12900 },
+    note: 'Standard deduction includes the personal exemption'
+  },
+  'MO': {
+    brackets: { 'single': [[0, 0], [1313, 0.02], [2626, 0.025], [3939, 0.03], [5252, 0.035], [6565, 0.04], [7878, 0.045], [9191, 0.047]] },
+    standardDeduction: { 'single': 'federal', 'married-jointly': 'federal', 'head-of-household': 'federal' }
+  },
+  'MT': {
+    brackets: {
+      'single': [[0, 0.047], [21100, 0.059]],
+      'married-jointly': [[0, 0.047], [42200, 0.059]],
+      'head-of-household': [[0, 0.047], [31700, 0.059]]
+    },
+    standardDeduction: { 'single': 'federal', 'married-jointly': 'federal', 'head-of-household': 'federal' }
+  },
+  'NE': {
+    brackets: {
+      'single': [[0, 0.0246], [4030, 0.0351], [24120, 0.0501], [38870, 0.052]],
+      'married-jointly': [[0, 0.0246], [8040, 0.0351], [48250, 0.0501], [77730, 0.052]]
+    },
+    standardDeduction: { 'single': 8600, 'married-jointly': 17200, 'head-of-household': 12600 }
+  },
+  'NV': { note: 'No state income tax' },
+  'NH': { note: 'No tax on wages; the interest and dividends tax was repealed for 2025' },
+  'NJ': {
+    brackets: {
+      'single': [[0, 0.014], [20000, 0.0175], [35000, 0.035], [40000, 0.05525], [75000, 0.0637], [500000, 0.0897], [1000000, 0.1075]],
+      'married-jointly': [[0, 0.014], [20000, 0.0175], [50000, 0.0245], [70000, 0.035], [80000, 0.05525], [150000, 0.0637], [500000, 0.0897], [1000000, 0.1075]],
+      'head-of-household': [[0, 0.014], [20000, 0.0175], [50000, 0.0245], [70000, 0.035], [80000, 0.05525], [150000, 0.0637], [500000, 0.0897], [1000000, 0.1075]]
+    },
+    exemption: 1000
+  },
+  'NM': {
+    brackets: {
+      'single': [[0, 0.015], [5500, 0.032], [16500, 0.043], [33500, 0.047], [66500, 0.049], [210000, 0.059]],
+      'married-jointly': [[0, 0.015], [8000, 0.032], [25000, 0.043], [50000, 0.047], [100000, 0.049], [315000, 0.059]]
+    },
+    standardDeduction: { 'single': 'federal', 'married-jointly': 'federal', 'head-of-household': 'federal' }
+  },
+  'NY': {
+    brackets: {
+      'single': [[0, 0.04], [8500, 0.045], [11700, 0.0525], [13900, 0.055], [80650, 0.06], [215400, 0.0685], [1077550, 0.0965], [5000000, 0.103], [25000000, 0.109]],
+      'married-jointly': [[0, 0.04], [17150, 0.045], [23600, 0.0525], [27900, 0.055], [161550, 0.06], [323200, 0.0685], [2155350, 0.0965], [5000000, 0.103], [25000000, 0.109]],
+      'head-of-household': [[0, 0.04], [12800, 0.045], [17650, 0.0525], [20900, 0.055], [107650, 0.06], [269300, 0.0685], [1616450, 0.0965], [5000000, 0.103], [25000000, 0.109]]
+    },
+    standardDeduction: { 'single': 8000, 'married-jointly': 16050, 'head-of-household': 11200 },
+    note: 'NYC and Yonkers income taxes are applied separately as local tax'
+  },
+  'NC': {
+    brackets: { 'single': [[0, 0.0425]] },
+    standardDeduction: { 'single': 12750, 'married-jointly': 25500, 'head-of-household': 19125 }
+  },
+  'ND': {
+    brackets: {
+      'single': [[0, 0], [48475, 0.0195], [244825, 0.025]],
+      'married-jointly': [[0, 0], [80975, 0.0195], [298075, 0.025]],
+      'head-of-household': [[0, 0], [64950, 0.0195], [271450, 0.025]]
+    },
+    standardDeduction: { 'single': 'federal', 'married-jointly': 'federal', 'head-of-household': 'federal' }
+  },
+  'OH': {
+    brackets: { 'single': [[0, 0], [26050, 0.0275]] },
+    note: 'Municipal income taxes are applied separately as local tax'
+  },
+  'OK': {
+    brackets: {
+      'single': [[0, 0.0025], [1000, 0.0075], [2500, 0.0175], [3750, 0.0275], [4900, 0.0375], [7200, 0.0475]],
+      'married-jointly': doubleBrackets([[0, 0.0025], [1000, 0.0075], [2500, 0.0175], [3750, 0.0275], [4900, 0.0375], [7200, 0.0475]])
+    },
+    standardDeduction: { 'single': 6350, 'married-jointly': 12700, 'head-of-household': 9350 },
+    exemption: 1000
+  },
+  'OR': {
+    brackets: {
+      'single': [[0, 0.0475], [4400, 0.0675], [11050, 0.0875], [125000, 0.099]],
+      'married-jointly': [[0, 0.0475], [8800, 0.0675], [22100, 0.0875], [250000, 0.099]]
+    },
+    standardDeduction: { 'single': 2835, 'married-jointly': 5670, 'head-of-household': 4560 },
+    exemptionCredit: 256
+  },
+  'PA': {
+    brackets: { 'single': [[0, 0.0307]] },
+    note: 'Local earned income taxes are applied separately as local tax'
+  },
+  'RI': {
+    brackets: { 'single': [[0, 0.0375], [79900, 0.0475], [181650, 0.0599]] },
+    standardDeduction: { 'single': 10900, 'married-jointly': 21800, 'head-of-household': 16350 },
+    exemption: 5100
+  },
+  'SC': {
+    brackets: { 'single': [[0, 0], [3560, 0.03], [17830, 0.062]] },
+    standardDeduction: { 'single': 'federal', 'married-jointly': 'federal', 'head-of-household': 'federal' }
+  },
+  'SD': { note: 'No state income tax' },
+  'TN': { note: 'No state income tax' },
+  'TX': { note: 'No state income tax' },
+  'UT': {
+    brackets: { 'single': [[0, 0.045]] },
+    note: 'Taxpayer credit is not modeled'
+  },
+  'VT': {
+    brackets: {
+      'single': [[0, 0.0335], [47900, 0.066], [116000, 0.076], [242000, 0.0875]],
+      'married-jointly': [[0, 0.0335], [79950, 0.066], [193300, 0.076], [294600, 0.0875]],
+      'head-of-household': [[0, 0.0335], [64200, 0.066], [165700, 0.076], [268300, 0.0875]]
+    },
+    standardDeduction: { 'single': 7400, 'married-jointly': 14850, 'head-of-household': 11100 },
+    exemption: 5100
+  },
+  'VA': {
+    brackets: { 'single': [[0, 0.02], [3000, 0.03], [5000, 0.05], [17000, 0.0575]] },
+    standardDeduction: { 'single': 8750, 'married-jointly': 17500 },
+    exemption: 930
+  },
+  'WA': { note: 'No tax on wages; capital gains tax is not modeled' },
+  'WV': {
+    brackets: { 'single': [[0, 0.0222], [10000, 0.0296], [25000, 0.0333], [40000, 0.0444], [60000, 0.0482]] },
+    exemption: 2000
+  },
+  'WI': {
+    brackets: {
+      'single': [[0, 0.035], [14680, 0.044], [29370, 0.053], [323290, 0.0765]],
+      'married-jointly': [[0, 0.035], [19580, 0.044], [39150, 0.053], [431060, 0.0765]]
+    },
+    standardDeduction: { 'single': 13560, 'married-jointly': 25110, 'head-of-household': 17520 },
+    exemption: 700,
+    note: 'Maximum sliding-scale standard deduction; it phases out at higher incomes'
+  },
+  'WY': { note: 'No state income tax' }
+};
+
+Object.entries(STATE_SCHEDULES).forEach(([state, definition]) => {
+  window.stateTaxes.register(state, definition);
+});
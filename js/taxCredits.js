@@ -0,0 +1,132 @@
+/**
+ * Tax Credit Registry Module
+ * Year-keyed parameters for the federal credits applied after bracket tax: the child
+ * tax credit, earned income credit, education credits and the Saver's Credit
+ */
+
+class TaxCreditRegistry {
+  constructor() {
+    this.tables = new Map();
+
+    // Parameters fixed by statute rather than indexed each year
+    this.CHILD_TAX_CREDIT = {
+      maxChildAge: 16,
+      otherDependentCredit: 500,
+      phaseOutStep: 1000,
+      phaseOutPerStep: 50,
+      phaseOutThreshold: { 'single': 200000, 'married-jointly': 400000 },
+      refundableEarnedIncomeFloor: 2500,
+      refundableRate: 0.15
+    };
+
+    // Earned income credit columns are for 0, 1, 2 and 3+ qualifying children
+    this.EARNED_INCOME_CREDIT = {
+      maxChildAge: 18,
+      childlessMinAge: 25,
+      childlessMaxAge: 64,
+      creditRates: [0.0765, 0.34, 0.40, 0.45],
+      phaseOutRates: [0.0765, 0.1598, 0.2106, 0.2106]
+    };
+
+    this.EDUCATION_CREDITS = {
+      aotc: { label: 'American Opportunity Credit', fullExpenses: 2000, partialExpenses: 2000, partialRate: 0.25, perStudent: true, refundableShare: 0.40 },
+      llc: { label: 'Lifetime Learning Credit', fullExpenses: 0, partialExpenses: 10000, partialRate: 0.20, perStudent: false, refundableShare: 0 }
+    };
+    // Both education credits phase out over the same MAGI range
+    this.EDUCATION_PHASE_OUT = {
+      'single': [80000, 90000],
+      'married-jointly': [160000, 180000]
+    };
+
+    this.SAVERS_CREDIT = {
+      rates: [0.50, 0.20, 0.10],
+      contributionLimitPerPerson: 2000
+    };
+  }
+
+  /**
+   * Register the indexed credit amounts for a tax year
+   */
+  register(year, table) {
+    this.tables.set(year, { year, ...table });
+  }
+
+  /**
+   * Get the credit amounts for a year, falling back to the nearest earlier year
+   */
+  get(year) {
+    const years = [...this.tables.keys()].sort((a, b) => b - a);
+    const match = years.find(registered => registered <= Number(year)) || years[years.length - 1];
+    return this.tables.get(match);
+  }
+
+  /**
+   * Map a filing status to the key used by joint/non-joint thresholds
+   */
+  getThresholdKey(filingStatus) {
+    return filingStatus === 'married-jointly' ? 'married-jointly' : 'single';
+  }
+}
+
+// Create singleton instance
+window.taxCredits = new TaxCreditRegistry();
+
+window.taxCredits.register(2023, {
+  source: 'IRS Rev. Proc. 2022-38',
+  childTaxCredit: { perChild: 2000, refundableMax: 1600 },
+  earnedIncomeCredit: {
+    maxCredit: [600, 3995, 6604, 7430],
+    phaseOutStart: { 'single': [9800, 21560, 21560, 21560], 'married-jointly': [16370, 28120, 28120, 28120] },
+    investmentIncomeLimit: 11000
+  },
+  saversCredit: {
+    'married-jointly': [43500, 47500, 73000],
+    'head-of-household': [32625, 35625, 54750],
+    'single': [21750, 23750, 36500]
+  }
+});
+
+window.taxCredits.register(2024, {
+  source: 'IRS Rev. Proc. 2023-34',
+  childTaxCredit: { perChild: 2000, refundableMax: 1700 },
+  earnedIncomeCredit: {
+    maxCredit: [632, 4213, 6960, 7830],
+    phaseOutStart: { 'single': [10330, 22720, 22720, 22720], 'married-jointly': [17250, 29640, 29640, 29640] },
+    investmentIncomeLimit: 11600
+  },
+  saversCredit: {
+    'married-jointly': [46000, 50000, 76500],
+    'head-of-household': [34500, 37500, 57375],
+    'single': [23000, 25000, 38250]
+  }
+});
+
+window.taxCredits.register(2025, {
+  source: 'IRS Rev. Proc. 2024-40; child tax credit per P.L. 119-21',
+  childTaxCredit: { perChild: 2200, refundableMax: 1700 },
+  earnedIncomeCredit: {
+    maxCredit: [649, 4328, 7152, 8046],
+    phaseOutStart: { 'single': [10620, 23350, 23350, 23350], 'married-jointly': [17730, 30470, 30470, 30470] },
+    investmentIncomeLimit: 11950
+  },
+  saversCredit: {
+    'married-jointly': [47500, 51000, 79000],
+    'head-of-household': [35625, 38250, 59250],
+    'single': [23750, 25500, 39500]
+  }
+});
+
+window.taxCredits.register(2026, {
+  source: 'IRS Rev. Proc. 2025-32',
+  childTaxCredit: { perChild: 2200, refundableMax: 1700 },
+  earnedIncomeCredit: {
+    maxCredit: [664, 4427, 7316, 8231],
+    phaseOutStart: { 'single': [10860, 23890, 23890, 23890], 'married-jointly': [18140, 31160, 31160, 31160] },
+    investmentIncomeLimit: 12200
+  },
+  saversCredit: {
+    'married-jointly': [48500, 52500, 80500],
+    'head-of-household': [36375, 39375, 60375],
+    'single': [24250, 26250, 40250]
+  }
+});
@@ -0,0 +1,228 @@
+/**
+ * Tax Table Registry Module
+ * Versioned federal tax tables keyed by tax year: brackets, standard deductions,
+ * the Social Security wage base, long-term capital gains rate thresholds, QBI
+ * deduction thresholds and retirement/HSA contribution limits
+ */
+
+class TaxTableRegistry {
+  constructor() {
+    this.tables = new Map();
+
+    // Federal marginal rates shared by every bracket schedule, lowest first
+    this.FEDERAL_RATES = [0.10, 0.12, 0.22, 0.24, 0.32, 0.35, 0.37];
+  }
+
+  /**
+   * Build a bracket schedule from the upper bound of each bracket but the last
+   */
+  buildBrackets(thresholds, rates = this.FEDERAL_RATES) {
+    return rates.map((rate, index) => ({
+      min: index === 0 ? 0 : thresholds[index - 1],
+      max: index < thresholds.length ? thresholds[index] : Infinity,
+      rate
+    }));
+  }
+
+  /**
+   * Register the tables for a tax year
+   */
+  register(year, table) {
+    const federalBrackets = {};
+    Object.entries(table.federalThresholds).forEach(([status, thresholds]) => {
+      federalBrackets[status] = this.buildBrackets(thresholds);
+    });
+
+    // Qualifying surviving spouses use the joint schedule and deduction
+    federalBrackets['qualifying-surviving-spouse'] = federalBrackets['married-jointly'];
+
+    this.tables.set(year, {
+      year,
+      source: table.source,
+      federalBrackets,
+      standardDeductions: {
+        ...table.standardDeductions,
+        'qualifying-surviving-spouse': table.standardDeductions['married-jointly']
+      },
+      socialSecurityWageBase: table.socialSecurityWageBase,
+      // Taxable income where the 0% and 15% long-term capital gains rates end
+      capitalGains: {
+        zeroRateMax: { ...table.capitalGains.zeroRateMax, 'qualifying-surviving-spouse': table.capitalGains.zeroRateMax['married-jointly'] },
+        fifteenRateMax: { ...table.capitalGains.fifteenRateMax, 'qualifying-surviving-spouse': table.capitalGains.fifteenRateMax['married-jointly'] }
+      },
+      // Section 199A: the deduction phases out over phaseInRange above threshold
+      // for a sole proprietor with no W-2 wages or qualified property
+      qbi: table.qbi,
+      contributionLimits: table.contributionLimits
+    });
+  }
+
+  /**
+   * Get all registered tax years, newest first
+   */
+  getYears() {
+    return [...this.tables.keys()].sort((a, b) => b - a);
+  }
+
+  /**
+   * Get the newest registered year that is not in the future
+   */
+  getDefaultYear() {
+    const currentYear = new Date().getFullYear();
+    const years = this.getYears();
+    return years.find(year => year <= currentYear) || years[years.length - 1];
+  }
+
+  /**
+   * Check whether tables exist for a year
+   */
+  has(year) {
+    return this.tables.has(Number(year));
+  }
+
+  /**
+   * Get the tables for a year, falling back to the default year
+   */
+  get(year) {
+    return this.tables.get(Number(year)) || this.tables.get(this.getDefaultYear());
+  }
+}
+
+// Create singleton instance
+window.taxTables = new TaxTableRegistry();
+
+window.taxTables.register(2023, {
+  source: 'IRS Rev. Proc. 2022-38',
+  federalThresholds: {
+    'single': [11000, 44725, 95375, 182100, 231250, 578125],
+    'married-jointly': [22000, 89450, 190750, 364200, 462500, 693750],
+    'married-separately': [11000, 44725, 95375, 182100, 231250, 346875],
+    'head-of-household': [15700, 59850, 95350, 182100, 231250, 578100]
+  },
+  standardDeductions: {
+    'single': 13850,
+    'married-jointly': 27700,
+    'married-separately': 13850,
+    'head-of-household': 20800
+  },
+  socialSecurityWageBase: 160200,
+  capitalGains: {
+    zeroRateMax: { 'single': 44625, 'married-jointly': 89250, 'married-separately': 44625, 'head-of-household': 59750 },
+    fifteenRateMax: { 'single': 492300, 'married-jointly': 553850, 'married-separately': 276900, 'head-of-household': 523050 }
+  },
+  qbi: {
+    threshold: { 'single': 182100, 'married-jointly': 364200 },
+    phaseInRange: { 'single': 50000, 'married-jointly': 100000 }
+  },
+  contributionLimits: {
+    elective401k: 22500,
+    catchUp401k: 7500,
+    catchUp401kAge60To63: 7500,
+    ira: 6500,
+    iraCatchUp: 1000,
+    hsaSelf: 3850,
+    hsaFamily: 7750
+  }
+});
+
+window.taxTables.register(2024, {
+  source: 'IRS Rev. Proc. 2023-34',
+  federalThresholds: {
+    'single': [11600, 47150, 100525, 191950, 243725, 609350],
+    'married-jointly': [23200, 94300, 201050, 383900, 487450, 731200],
+    'married-separately': [11600, 47150, 100525, 191950, 243725, 365600],
+    'head-of-household': [16550, 63100, 100500, 191950, 243700, 609350]
+  },
+  standardDeductions: {
+    'single': 14600,
+    'married-jointly': 29200,
+    'married-separately': 14600,
+    'head-of-household': 21900
+  },
+  socialSecurityWageBase: 168600,
+  capitalGains: {
+    zeroRateMax: { 'single': 47025, 'married-jointly': 94050, 'married-separately': 47025, 'head-of-household': 63000 },
+    fifteenRateMax: { 'single': 518900, 'married-jointly': 583750, 'married-separately': 291850, 'head-of-household': 551350 }
+  },
+  qbi: {
+    threshold: { 'single': 191950, 'married-jointly': 383900 },
+    phaseInRange: { 'single': 50000, 'married-jointly': 100000 }
+  },
+  contributionLimits: {
+    elective401k: 23000,
+    catchUp401k: 7500,
+    catchUp401kAge60To63: 7500,
+    ira: 7000,
+    iraCatchUp: 1000,
+    hsaSelf: 4150,
+    hsaFamily: 8300
+  }
+});
+
+window.taxTables.register(2025, {
+  source: 'IRS Rev. Proc. 2024-40; standard deductions per P.L. 119-21',
+  federalThresholds: {
+    'single': [11925, 48475, 103350, 197300, 250525, 626350],
+    'married-jointly': [23850, 96950, 206700, 394600, 501050, 751600],
+    'married-separately': [11925, 48475, 103350, 197300, 250525, 375800],
+    'head-of-household': [17000, 64850, 103350, 197300, 250500, 626350]
+  },
+  standardDeductions: {
+    'single': 15750,
+    'married-jointly': 31500,
+    'married-separately': 15750,
+    'head-of-household': 23625
+  },
+  socialSecurityWageBase: 176100,
+  capitalGains: {
+    zeroRateMax: { 'single': 48350, 'married-jointly': 96700, 'married-separately': 48350, 'head-of-household': 64750 },
+    fifteenRateMax: { 'single': 533400, 'married-jointly': 600050, 'married-separately': 300000, 'head-of-household': 566700 }
+  },
+  qbi: {
+    threshold: { 'single': 197300, 'married-jointly': 394600 },
+    phaseInRange: { 'single': 50000, 'married-jointly': 100000 }
+  },
+  contributionLimits: {
+    elective401k: 23500,
+    catchUp401k: 7500,
+    catchUp401kAge60To63: 11250,
+    ira: 7000,
+    iraCatchUp: 1000,
+    hsaSelf: 4300,
+    hsaFamily: 8550
+  }
+});
+
+window.taxTables.register(2026, {
+  source: 'IRS Rev. Proc. 2025-32',
+  federalThresholds: {
+    'single': [12400, 50400, 105700, 201775, 256225, 640600],
+    'married-jointly': [24800, 100800, 211400, 403550, 512450, 768700],
+    'married-separately': [12400, 50400, 105700, 201775, 256225, 384350],
+    'head-of-household': [17700, 67450, 105700, 201750, 256200, 640600]
+  },
+  standardDeductions: {
+    'single': 16100,
+    'married-jointly': 32200,
+    'married-separately': 16100,
+    'head-of-household': 24150
+  },
+  socialSecurityWageBase: 184500,
+  capitalGains: {
+    zeroRateMax: { 'single': 49450, 'married-jointly': 98900, 'married-separately': 49450, 'head-of-household': 66200 },
+    fifteenRateMax: { 'single': 545500, 'married-jointly': 613700, 'married-separately': 306850, 'head-of-household': 579600 }
+  },
+  qbi: {
+    threshold: { 'single': 201750, 'married-jointly': 403500 },
+    phaseInRange: { 'single': 75000, 'married-jointly': 150000 }
+  },
+  contributionLimits: {
+    elective401k: 24500,
+    catchUp401k: 8000,
+    catchUp401kAge60To63: 11250,
+    ira: 7500,
+    iraCatchUp: 1100,
+    hsaSelf: 4400,
+    hsaFamily: 8750
+  }
+});
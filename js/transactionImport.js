@@ -0,0 +1,303 @@
+/**
+ * Transaction Import Module
+ * Parses bank and credit card exports (CSV with a column mapping, OFX and QFX) into ledger
+ * transactions, recognizes transactions already in the ledger and totals spending by category.
+ * Ledger amounts are negative for money spent and positive for money received.
+ */
+
+class TransactionImporter {
+  constructor() {
+    // Header names used by common bank exports, checked in order when guessing a CSV mapping
+    this.COLUMN_HINTS = {
+      date: ['date', 'transaction date', 'posted date', 'posting date', 'trans. date', 'trans date'],
+      description: ['description', 'payee', 'name', 'merchant', 'details', 'memo'],
+      amount: ['amount', 'transaction amount', 'amount (usd)'],
+      debit: ['debit', 'debit amount', 'withdrawal', 'withdrawals'],
+      credit: ['credit', 'credit amount', 'deposit', 'deposits']
+    };
+
+    this.DATE_FORMATS = ['MM/DD/YYYY', 'DD/MM/YYYY', 'YYYY-MM-DD'];
+  }
+
+  /**
+   * Split CSV text into rows of trimmed fields, honoring quoted commas, quotes and line breaks
+   */
+  parseCSV(text) {
+    const input = text.replace(/^﻿/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    const endRow = () => {
+      row.push(field);
+      if (row.some(value => value.trim() !== '')) rows.push(row.map(value => value.trim()));
+      row = [];
+      field = '';
+    };
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+      if (quoted) {
+        if (char === '"' && input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') i++;
+        endRow();
+      } else {
+        field += char;
+      }
+    }
+    endRow();
+
+    return rows;
+  }
+
+  /**
+   * Guess the column index of each field from a header row; -1 when no column matches
+   */
+  guessColumnMapping(headers) {
+    const normalized = headers.map(header => header.toLowerCase().trim());
+    const mapping = {};
+
+    Object.entries(this.COLUMN_HINTS).forEach(([field, hints]) => {
+      const exact = hints.map(hint => normalized.indexOf(hint)).find(index => index !== -1);
+      const partial = normalized.findIndex(header => hints.some(hint => header.includes(hint)));
+      mapping[field] = exact !== undefined ? exact : partial;
+    });
+
+    // A lone amount column takes precedence over debit/credit columns that merely mention it
+    if (mapping.amount !== -1 && (mapping.amount === mapping.debit || mapping.amount === mapping.credit)) {
+      mapping.debit = -1;
+      mapping.credit = -1;
+    }
+    return mapping;
+  }
+
+  /**
+   * Guess the date format from sample values in the date column
+   */
+  guessDateFormat(values) {
+    const samples = values.filter(Boolean);
+    if (samples.length > 0 && samples.every(value => /^\d{4}[-/.]\d{1,2}[-/.]\d{1,2}/.test(value))) {
+      return 'YYYY-MM-DD';
+    }
+    // A leading number above 12 can only be a day
+    const dayFirst = samples.some(value => {
+      const match = value.match(/^(\d{1,2})[-/.](\d{1,2})/);
+      return match && Number(match[1]) > 12;
+    });
+    return dayFirst ? 'DD/MM/YYYY' : 'MM/DD/YYYY';
+  }
+
+  /**
+   * Convert a date in one of DATE_FORMATS to YYYY-MM-DD, or null if it isn't a real date
+   */
+  parseDate(value, format) {
+    const parts = String(value || '').match(/\d+/g);
+    if (!parts || parts.length < 3) return null;
+
+    let [month, day, year] = parts.map(Number);
+    if (format === 'YYYY-MM-DD') [year, month, day] = parts.map(Number);
+    if (format === 'DD/MM/YYYY') [day, month, year] = parts.map(Number);
+    if (year < 100) year += 2000;
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Parse an amount such as "-1,234.56", "$-12.00", "(45.00)", "12.00-", "12.00 CR" or
+   * "12.00 DR"; NaN when blank. A CR suffix is money in and DR is money out.
+   */
+  parseAmount(value) {
+    const text = String(value === undefined || value === null ? '' : value).trim();
+    if (!text) return NaN;
+
+    const number = parseFloat(text.replace(/[^0-9.]/g, ''));
+    if (Number.isNaN(number)) return NaN;
+
+    const marker = this.getCreditDebitMarker(text);
+    if (marker) return marker === 'CR' ? number : -number;
+
+    const firstDigit = text.search(/[0-9.]/);
+    const negative = /^\(.*\)$/.test(text) || text.slice(0, firstDigit).includes('-') || text.endsWith('-');
+    return negative ? -number : number;
+  }
+
+  /**
+   * The CR (credit) or DR (debit) suffix on an amount, or null without one
+   */
+  getCreditDebitMarker(text) {
+    const match = String(text || '').trim().match(/(CR|DR)\.?$/i);
+    return match ? match[1].toUpperCase() : null;
+  }
+
+  /**
+   * Map CSV rows to transactions.
+   * mapping holds column indexes (date, description, amount, debit, credit), the dateFormat,
+   * hasHeader, and spendingSign: 'negative' when the export shows spending as negative amounts
+   * (most bank accounts) or 'positive' when purchases are positive (many credit cards).
+   */
+  mapCSVRows(rows, mapping) {
+    const dataRows = mapping.hasHeader ? rows.slice(1) : rows;
+    const transactions = [];
+    let skipped = 0;
+
+    dataRows.forEach(row => {
+      const date = this.parseDate(row[mapping.date], mapping.dateFormat);
+      let amount;
+
+      if (mapping.amount >= 0) {
+        amount = this.parseAmount(row[mapping.amount]);
+        // CR and DR already say which way the money moved
+        if (mapping.spendingSign === 'positive' && !this.getCreditDebitMarker(row[mapping.amount])) amount = -amount;
+      } else {
+        const debit = this.parseAmount(row[mapping.debit]);
+        const credit = this.parseAmount(row[mapping.credit]);
+        amount = Number.isNaN(debit) && Number.isNaN(credit)
+          ? NaN
+          : (Number.isNaN(credit) ? 0 : Math.abs(credit)) - (Number.isNaN(debit) ? 0 : Math.abs(debit));
+      }
+
+      if (!date || Number.isNaN(amount)) {
+        skipped++;
+        return;
+      }
+
+      transactions.push({
+        date,
+        description: row[mapping.description] || '',
+        amount: Math.round(amount * 100) / 100,
+        fitId: null,
+        source: 'csv'
+      });
+    });
+
+    return { transactions, skipped };
+  }
+
+  /**
+   * Read one element value from an OFX aggregate. OFX 1.x (SGML) leaves elements unclosed,
+   * OFX 2.x (XML) closes them; both end the value at the next tag or line break.
+   */
+  readOFXValue(block, tag) {
+    const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+    if (!match) return '';
+    return match[1].trim()
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&amp;/g, '&');
+  }
+
+  /**
+   * Parse an OFX or QFX statement. QFX is OFX with Intuit's additions, so both read the same.
+   */
+  parseOFX(text) {
+    if (!/<OFX>/i.test(text)) {
+      throw new Error('This file is not an OFX or QFX statement.');
+    }
+
+    const blocks = text.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+    const transactions = [];
+    let skipped = 0;
+
+    blocks.forEach(block => {
+      const posted = this.readOFXValue(block, 'DTPOSTED').match(/^(\d{4})(\d{2})(\d{2})/);
+      const date = posted ? this.parseDate(`${posted[1]}-${posted[2]}-${posted[3]}`, 'YYYY-MM-DD') : null;
+      const amount = this.parseAmount(this.readOFXValue(block, 'TRNAMT'));
+
+      if (!date || Number.isNaN(amount)) {
+        skipped++;
+        return;
+      }
+
+      const name = this.readOFXValue(block, 'NAME') || this.readOFXValue(block, 'PAYEE');
+      const memo = this.readOFXValue(block, 'MEMO');
+      transactions.push({
+        date,
+        description: memo && memo !== name ? `${name} ${memo}`.trim() : name,
+        amount: Math.round(amount * 100) / 100,
+        fitId: this.readOFXValue(block, 'FITID') || null,
+        source: 'ofx'
+      });
+    });
+
+    return { transactions, skipped };
+  }
+
+  /**
+   * Key used to recognize the same transaction across imports
+   */
+  getFingerprint(transaction) {
+    const description = transaction.description.toLowerCase().replace(/\s+/g, ' ').trim();
+    return `${transaction.date}|${transaction.amount.toFixed(2)}|${description}`;
+  }
+
+  /**
+   * Split incoming transactions into new ones and ones already in the ledger. A matching
+   * bank transaction ID (FITID) on the same account is always a duplicate; otherwise date,
+   * amount and description must match. Matching is one-to-one, so two identical purchases
+   * on the same day both import unless the ledger already holds two.
+   */
+  findDuplicates(incoming, existing) {
+    const fitIds = new Set(existing.filter(entry => entry.fitId).map(entry => `${entry.account}|${entry.fitId}`));
+    const unmatched = new Map();
+    existing.forEach(entry => {
+      const key = this.getFingerprint(entry);
+      unmatched.set(key, (unmatched.get(key) || 0) + 1);
+    });
+
+    const fresh = [];
+    const duplicates = [];
+    incoming.forEach(entry => {
+      const key = this.getFingerprint(entry);
+      const fitKey = entry.fitId ? `${entry.account}|${entry.fitId}` : null;
+
+      if ((fitKey && fitIds.has(fitKey)) || unmatched.get(key) > 0) {
+        if (unmatched.get(key) > 0) unmatched.set(key, unmatched.get(key) - 1);
+        duplicates.push(entry);
+        return;
+      }
+
+      if (fitKey) fitIds.add(fitKey);
+      fresh.push(entry);
+    });
+
+    return { fresh, duplicates };
+  }
+
+  /**
+   * Total spending by category for a YYYY-MM month. Refunds categorized to a category
+   * reduce its total; uncategorized transactions and unknown categories are left out.
+   */
+  summarizeByCategory(transactions, month, categoryKeys) {
+    const totals = {};
+    transactions
+      .filter(entry => entry.date.startsWith(month) && categoryKeys.has(entry.category))
+      .forEach(entry => {
+        totals[entry.category] = (totals[entry.category] || 0) - entry.amount;
+      });
+
+    Object.keys(totals).forEach(key => {
+      totals[key] = Math.round(totals[key] * 100) / 100;
+    });
+    return totals;
+  }
+}
+
+// Create singleton instance
+window.transactionImporter = new TransactionImporter();
@@ -0,0 +1,125 @@
+/**
+ * Transaction Categorization Module
+ * Matches ledger transactions against user-defined rules (payee contains, payee regex and
+ * amount range) and learns category suggestions from transactions categorized by hand.
+ * Rules and learned payees categorize spending; deposits match only rules that opt in.
+ */
+
+class TransactionCategorizer {
+  constructor() {
+    // Words kept from a description when recognizing the same payee across transactions
+    this.PAYEE_WORDS = 3;
+  }
+
+  /**
+   * Check a rule for problems; returns an error message or null
+   */
+  validateRule(rule) {
+    const hasPattern = Boolean(rule.pattern && rule.pattern.trim());
+    const hasRange = rule.minAmount !== null || rule.maxAmount !== null;
+
+    if (!rule.category) return 'Choose a category for the rule.';
+    if (!hasPattern && !hasRange) return 'Enter payee text or an amount range to match.';
+    if (rule.minAmount !== null && rule.maxAmount !== null && rule.minAmount > rule.maxAmount) {
+      return 'The minimum amount is above the maximum.';
+    }
+    if (hasPattern && rule.matchType === 'regex') {
+      try {
+        new RegExp(rule.pattern, 'i');
+      } catch (error) {
+        return error.message;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Whether a rule matches a transaction. Amount ranges compare the amount's size; deposits
+   * (refunds, paychecks) match only when the rule includes them, so a $1,000-$3,000 rent
+   * rule doesn't catch a $2,000 paycheck.
+   */
+  matchesRule(rule, transaction) {
+    const description = transaction.description || '';
+    if (transaction.amount > 0 && !rule.includeDeposits) return false;
+
+    if (rule.pattern) {
+      const matched = rule.matchType === 'regex'
+        ? new RegExp(rule.pattern, 'i').test(description)
+        : description.toLowerCase().includes(rule.pattern.toLowerCase());
+      if (!matched) return false;
+    }
+
+    const size = Math.abs(transaction.amount);
+    if (rule.minAmount !== null && size < rule.minAmount) return false;
+    if (rule.maxAmount !== null && size > rule.maxAmount) return false;
+    return true;
+  }
+
+  /**
+   * Reduce a description to the payee words shared by every charge from that payee,
+   * dropping store numbers, card digits and reference codes
+   */
+  normalizePayee(description) {
+    return (description || '')
+      .toLowerCase()
+      .replace(/[^a-z\s&']/g, ' ')
+      .split(/\s+/)
+      .filter(word => word.length > 1)
+      .slice(0, this.PAYEE_WORDS)
+      .join(' ');
+  }
+
+  /**
+   * Learn the usual category of each payee from transactions categorized by hand
+   */
+  learnFromHistory(transactions) {
+    const counts = new Map();
+    transactions
+      .filter(transaction => transaction.category && transaction.categorySource === 'manual')
+      .forEach(transaction => {
+        const payee = this.normalizePayee(transaction.description);
+        if (!payee) return;
+        const byCategory = counts.get(payee) || {};
+        byCategory[transaction.category] = (byCategory[transaction.category] || 0) + 1;
+        counts.set(payee, byCategory);
+      });
+
+    const learned = new Map();
+    counts.forEach((byCategory, payee) => {
+      const [category, count] = Object.entries(byCategory).sort((a, b) => b[1] - a[1])[0];
+      learned.set(payee, { category, count });
+    });
+    return learned;
+  }
+
+  /**
+   * Suggest a category for one transaction: the first matching rule wins, then the payee's
+   * learned category. Rules and suggestions for categories that no longer exist are ignored.
+   */
+  suggest(transaction, rules, learned, validCategories) {
+    const rule = rules.find(candidate => validCategories.has(candidate.category) && this.matchesRule(candidate, transaction));
+    if (rule) return { category: rule.category, source: 'rule', ruleId: rule.id };
+
+    // Learned payees come from spending, so they aren't suggested for deposits
+    const match = transaction.amount < 0 ? learned.get(this.normalizePayee(transaction.description)) : null;
+    if (match && validCategories.has(match.category)) {
+      return { category: match.category, source: 'learned', count: match.count };
+    }
+    return null;
+  }
+
+  /**
+   * Suggestions for every uncategorized transaction, for review before they're applied.
+   * Deposits are only suggested by rules that include them.
+   */
+  previewCategorization(transactions, rules, validCategories) {
+    const learned = this.learnFromHistory(transactions);
+    return transactions
+      .filter(transaction => !transaction.category)
+      .map(transaction => ({ transaction, suggestion: this.suggest(transaction, rules, learned, validCategories) }))
+      .filter(entry => entry.suggestion);
+  }
+}
+
+// Create singleton instance
+window.transactionCategorizer = new TransactionCategorizer();
@@ -132,6 +132,15 @@ class UIUtils {
     const daysPerWeek = sanitizeNumber(formData.get('daysPerWeek'));
     const weeksPerYear = sanitizeNumber(formData.get('weeksPerYear'));
     const zipcode = formData.get('zipcode')?.trim();
+    const filingStatus = formData.get('filingStatus') || 'single';
+    const taxYear = sanitizeNumber(formData.get('taxYear')) || undefined;
+    const payrollDeductions = {
+      healthInsurance: sanitizeNumber(formData.get('healthInsurance')),
+      retirement401k: sanitizeNumber(formData.get('retirement401k')),
+      retirement401kType: formData.get('retirement401kType') || 'traditional-401k',
+      otherDeductions: sanitizeNumber(formData.get('otherDeductions')),
+      otherDeductionsType: formData.get('otherDeductionsType') || 'pre-tax-other'
+    };
 
     // Validate input
     if (payAmount <= 0) {
@@ -145,8 +154,9 @@ class UIUtils {
     }
 
     // Calculate and save
-    const annualIncome = window.dataManager.calculateAnnualIncome(payAmount, frequency, hoursPerDay, daysPerWeek, weeksPerYear);
-    const taxData = window.dataManager.calculateAllTaxes(annualIncome, zipcode);
+    const annualIncome = window.calculators.calculateAnnualIncome(payAmount, frequency, hoursPerDay, daysPerWeek, weeksPerYear);
+    const deductions = window.calculators.buildPayrollDeductions(payrollDeductions);
+    const taxData = window.calculators.calculateAllTaxes(annualIncome, zipcode, filingStatus, taxYear, deductions);
 
     // Update data store
     window.dataManager.updateSection('income', {
@@ -156,7 +166,11 @@ class UIUtils {
       daysPerWeek: daysPerWeek || 5,
       weeksPerYear: weeksPerYear || 52,
       zipcode,
-      monthlyNetIncome: taxData.netIncome / 12,
+      filingStatus: taxData.filingStatus,
+      taxYear: taxData.taxYear,
+      taxTableSource: taxData.taxTableSource,
+      payrollDeductions,
+      monthlyNetIncome: taxData.takeHomePay / 12,
       annualGrossIncome: annualIncome,
       calculatedDate: new Date().toISOString()
     });
@@ -179,13 +193,10 @@ class UIUtils {
       return;
     }
 
+    // Expense inputs are rendered from the user's categories and named by category key
     const expenses = {};
-    const expenseFields = ['rentMortgage', 'utilities', 'groceries', 'transportation',
-                          'insurance', 'debtPayments', 'diningOut', 'shopping',
-                          'subscriptions', 'miscellaneous'];
-
-    expenseFields.forEach(field => {
-      expenses[field] = sanitizeNumber(formData.get(field));
+    event.target.querySelectorAll('.expense-input').forEach(input => {
+      expenses[input.name] = sanitizeNumber(formData.get(input.name));
     });
 
     const analysis = window.dataManager.calculateBudgetAnalysis(monthlyIncome, expenses);
@@ -210,8 +221,8 @@ class UIUtils {
     const resultsEl = document.getElementById('income-results');
     if (!resultsEl) return;
 
-    const monthlyNet = taxData.netIncome / 12;
-    const weeklyNet = taxData.netIncome / 52;
+    const monthlyNet = taxData.takeHomePay / 12;
+    const weeklyNet = taxData.takeHomePay / 52;
 
     resultsEl.innerHTML = `
       <div class="results-container">
@@ -223,7 +234,7 @@ class UIUtils {
           </div>
           <div class="income-row">
             <span>Annual Net:</span>
-            <strong>${formatCurrency(taxData.netIncome)}</strong>
+            <strong>${formatCurrency(taxData.takeHomePay)}</strong>
           </div>
           <div class="income-row">
             <span>Monthly Net:</span>
@@ -235,7 +246,7 @@ class UIUtils {
           </div>
         </div>
 
-        <h4>Tax Breakdown</h4>
+        <h4>Tax Breakdown (${taxData.taxYear})</h4>
         <div class="tax-breakdown">
           <div class="tax-row">
             <span>Federal Tax:</span>
@@ -250,9 +261,15 @@ class UIUtils {
             <span>${formatCurrency(taxData.medicareTax)}</span>
           </div>
           <div class="tax-row">
-            <span>State Tax:</span>
+            <span>State Tax (${taxData.stateEffectiveRate.toFixed(2)}% effective · ${taxData.stateMarginalRate.toFixed(2)}% marginal):</span>
             <span>${formatCurrency(taxData.stateTax)}</span>
           </div>
+          ${taxData.stateTaxNote ? `<p class="text-sm text-gray-500">${taxData.stateTaxNote}</p>` : ''}
+          ${taxData.localJurisdiction ? `
+          <div class="tax-row">
+            <span>Local Tax (${taxData.localJurisdiction}):</span>
+            <span>${formatCurrency(taxData.localTax)}</span>
+          </div>` : ''}
           <div class="tax-row total-row">
             <span><strong>Total Tax:</strong></span>
             <span><strong>${formatCurrency(taxData.totalTax)}</strong></span>
@@ -262,6 +279,16 @@ class UIUtils {
             <span>${taxData.effectiveRate.toFixed(1)}%</span>
           </div>
         </div>
+
+        ${taxData.deductions.length ? `
+        <h4>Paycheck Deductions</h4>
+        <div class="tax-breakdown">
+          ${taxData.deductions.map(item => `
+          <div class="tax-row">
+            <span>${item.label}${item.reduces.federal || item.reduces.state || item.reduces.fica ? '' : ' (post-tax)'}:</span>
+            <span>${formatCurrency(item.amount)}</span>
+          </div>`).join('')}
+        </div>` : ''}
       </div>
     `;
   }
@@ -0,0 +1,139 @@
+/**
+ * ZIP Code Resolver Module
+ * Resolves ZIP codes to states, DC, territories and military post offices from the
+ * USPS 3-digit prefix assignments, with 5-digit overrides where a prefix is shared
+ */
+
+class ZipResolver {
+  constructor() {
+    // Prefixes are expanded from [first, last, code] ranges into a ZIP3 lookup
+    this.zip3 = new Map();
+    // Whole ZIP codes that belong somewhere other than their prefix
+    this.zip5 = new Map();
+
+    this.NAMES = {
+      'DC': 'District of Columbia',
+      'PR': 'Puerto Rico',
+      'VI': 'U.S. Virgin Islands',
+      'GU': 'Guam',
+      'AS': 'American Samoa',
+      'MP': 'Northern Mariana Islands',
+      'PW': 'Palau',
+      'FM': 'Micronesia',
+      'MH': 'Marshall Islands',
+      'AA': 'Armed Forces Americas',
+      'AE': 'Armed Forces Europe',
+      'AP': 'Armed Forces Pacific'
+    };
+    this.TERRITORIES = new Set(['PR', 'VI', 'GU', 'AS', 'MP', 'PW', 'FM', 'MH']);
+    this.MILITARY = new Set(['AA', 'AE', 'AP']);
+  }
+
+  /**
+   * Assign an inclusive range of ZIP3 prefixes to a state or postal code
+   */
+  assignPrefixes(first, last, code) {
+    for (let prefix = first; prefix <= last; prefix++) {
+      this.zip3.set(String(prefix).padStart(3, '0'), code);
+    }
+  }
+
+  /**
+   * Assign an inclusive range of 5-digit ZIPs that override their prefix
+   */
+  assignZips(first, last, code) {
+    for (let zip = first; zip <= last; zip++) {
+      this.zip5.set(String(zip).padStart(5, '0'), code);
+    }
+  }
+
+  /**
+   * Classify a postal code
+   */
+  getType(code) {
+    if (code === 'DC') return 'district';
+    if (this.TERRITORIES.has(code)) return 'territory';
+    if (this.MILITARY.has(code)) return 'military';
+    return 'state';
+  }
+
+  /**
+   * Resolve a ZIP or ZIP+4. Unresolvable input is reported with a reason rather than
+   * guessed, so callers can tell the user instead of applying another state's tax.
+   */
+  resolve(zipcode) {
+    const zip = String(zipcode || '').replace(/\D/g, '').substring(0, 5);
+    if (zip.length !== 5) {
+      return { zip, resolved: false, state: null, reason: 'Enter a 5-digit ZIP code' };
+    }
+
+    const code = this.zip5.get(zip) || this.zip3.get(zip.substring(0, 3));
+    if (!code) {
+      return { zip, resolved: false, state: null, reason: `ZIP ${zip} is not assigned to any state` };
+    }
+
+    return {
+      zip,
+      resolved: true,
+      state: code,
+      type: this.getType(code),
+      name: this.NAMES[code] || code
+    };
+  }
+
+  /**
+   * Get the postal code for a ZIP, or null when it can't be resolved
+   */
+  getState(zipcode) {
+    return this.resolve(zipcode).state;
+  }
+}
+
+// Create singleton instance
+window.zipResolver = new ZipResolver();
+
+// USPS ZIP3 prefix assignments; unassigned prefixes are left out and stay unresolved
+[
+  [5, 5, 'NY'], [6, 7, 'PR'], [8, 8, 'VI'], [9, 9, 'PR'],
+  [10, 27, 'MA'], [28, 29, 'RI'], [30, 38, 'NH'], [39, 49, 'ME'],
+  [50, 54, 'VT'], [55, 55, 'MA'], [56, 59, 'VT'], [60, 69, 'CT'],
+  [70, 89, 'NJ'], [90, 98, 'AE'],
+  [100, 149, 'NY'], [150, 196, 'PA'], [197, 199, 'DE'],
+  [200, 200, 'DC'], [201, 201, 'VA'], [202, 205, 'DC'],
+  [206, 212, 'MD'], [214, 219, 'MD'],
+  [220, 246, 'VA'], [247, 268, 'WV'],
+  [270, 289, 'NC'], [290, 299, 'SC'], [300, 319, 'GA'],
+  [320, 339, 'FL'], [340, 340, 'AA'], [341, 342, 'FL'], [344, 344, 'FL'], [346, 347, 'FL'], [349, 349, 'FL'],
+  [350, 352, 'AL'], [354, 369, 'AL'], [370, 385, 'TN'], [386, 397, 'MS'], [398, 399, 'GA'],
+  [400, 418, 'KY'], [420, 427, 'KY'],
+  [430, 459, 'OH'], [460, 479, 'IN'], [480, 499, 'MI'],
+  [500, 516, 'IA'], [520, 528, 'IA'],
+  [530, 532, 'WI'], [534, 535, 'WI'], [537, 549, 'WI'],
+  [550, 551, 'MN'], [553, 567, 'MN'], [569, 569, 'DC'],
+  [570, 577, 'SD'], [580, 588, 'ND'], [590, 599, 'MT'],
+  [600, 620, 'IL'], [622, 629, 'IL'],
+  [630, 631, 'MO'], [633, 641, 'MO'], [644, 658, 'MO'],
+  [660, 662, 'KS'], [664, 679, 'KS'],
+  [680, 681, 'NE'], [683, 693, 'NE'],
+  [700, 701, 'LA'], [703, 708, 'LA'], [710, 714, 'LA'],
+  [716, 729, 'AR'],
+  [730, 731, 'OK'], [733, 733, 'TX'], [734, 741, 'OK'], [743, 749, 'OK'],
+  [750, 799, 'TX'],
+  [800, 816, 'CO'], [820, 831, 'WY'], [832, 838, 'ID'], [840, 847, 'UT'],
+  [850, 853, 'AZ'], [855, 857, 'AZ'], [859, 860, 'AZ'], [863, 865, 'AZ'],
+  [870, 875, 'NM'], [877, 884, 'NM'], [885, 885, 'TX'],
+  [889, 891, 'NV'], [893, 895, 'NV'], [897, 898, 'NV'],
+  [900, 908, 'CA'], [910, 928, 'CA'], [930, 961, 'CA'],
+  [962, 966, 'AP'], [967, 968, 'HI'], [969, 969, 'GU'],
+  [970, 979, 'OR'], [980, 986, 'WA'], [988, 994, 'WA'], [995, 999, 'AK']
+].forEach(([first, last, code]) => window.zipResolver.assignPrefixes(first, last, code));
+
+// ZIPs in prefixes shared with another state or territory
+[
+  [96799, 96799, 'AS'],
+  [96939, 96940, 'PW'],
+  [96941, 96944, 'FM'],
+  [96950, 96952, 'MP'],
+  [96960, 96960, 'MH'],
+  [96970, 96970, 'MH']
+].forEach(([first, last, code]) => window.zipResolver.assignZips(first, last, code));
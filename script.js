@@ -5,7 +5,7 @@
  * 1. Income Calculator - Converts various pay frequencies to annual income with tax calculations
  * 2. Budget Planner - Analyzes monthly expenses and provides savings/investment recommendations
  * 
- * The application uses 2024 tax brackets and rates for accurate calculations.
+ * Federal brackets, deductions and wage bases come from the year-keyed tables in js/taxTables.js.
  */
 
 (function() {
@@ -22,6 +22,20 @@
       daysPerWeek: 5,
       weeksPerYear: 52,
       zipcode: '',
+      filingStatus: 'single',
+      taxYear: null,
+      taxTableSource: null,
+      payrollDeductions: null,
+      paySchedule: '',
+      payday: '',
+      incomeType: 'w2',
+      businessExpenses: 0,
+      additionalEarners: [],
+      householdFiling: null,
+      creditInputs: null,
+      investmentIncome: null,
+      retirementPlan: null,
+      withholding: null,
       monthlyNetIncome: 0,
       annualGrossIncome: 0,
       calculatedDate: null
@@ -40,11 +54,25 @@
         subscriptions: 0,
         miscellaneous: 0
       },
+      recurringExpenses: [],
+      sinkingFunds: [],
+      variableIncome: { enabled: false, method: 'percentile', history: [] },
+      categories: [],
+      method: 'guideline',
+      savingsAllocation: 0,
+      savingsTargetPercent: 20,
+      envelopes: {},
+      envelopeMonth: null,
+      envelopesCarriedIn: {},
+      history: {},
       totalExpenses: 0,
       remainingIncome: 0,
       savingsRate: 0,
       calculatedDate: null
     },
+    transactions: [],
+    transactionRules: [],
+    bills: [],
     debts: [],
     emergencyFund: {
       monthlyExpenses: 0,
@@ -57,6 +85,7 @@
     goals: [],
     investments: {
       monthlyAmount: 0,
+      employerMatch: 0,
       riskTolerance: 'moderate',
       timeframe: 'medium',
       focusType: 'dividend',
@@ -175,6 +204,20 @@
           daysPerWeek: 5,
           weeksPerYear: 52,
           zipcode: '',
+          filingStatus: 'single',
+          taxYear: null,
+          taxTableSource: null,
+          payrollDeductions: null,
+          paySchedule: '',
+          payday: '',
+          incomeType: 'w2',
+          businessExpenses: 0,
+          additionalEarners: [],
+          householdFiling: null,
+          creditInputs: null,
+          investmentIncome: null,
+          retirementPlan: null,
+          withholding: null,
           monthlyNetIncome: 0,
           annualGrossIncome: 0,
           calculatedDate: null
@@ -182,10 +225,24 @@
         budget: {
           monthlyIncome: 0,
           expenses: {},
+          recurringExpenses: [],
+          sinkingFunds: [],
+          variableIncome: { enabled: false, method: 'percentile', history: [] },
+          categories: [],
+          method: 'guideline',
+          savingsAllocation: 0,
+          savingsTargetPercent: 20,
+          envelopes: {},
+          envelopeMonth: null,
+          envelopesCarriedIn: {},
+          history: {},
           totalExpenses: 0,
           analysis: null,
           lastUpdated: null
         },
+        transactions: [],
+        transactionRules: [],
+        bills: [],
         debts: [],
         debtStrategy: {
           extraPayment: 0,
@@ -206,6 +263,7 @@
         goals: [],
         investments: {
           amount: 0,
+          employerMatch: 0,
           riskTolerance: 'moderate',
           timeframe: '5-10',
           focusType: 'balanced',
@@ -231,6 +289,30 @@
         if (element) element.innerHTML = '';
       });
 
+      if (earnerListEl) earnerListEl.innerHTML = '';
+      if (offerResultsEl) offerResultsEl.innerHTML = '';
+      hideRateExplorer();
+      renderRecurringExpenses();
+      setBudgetIncomeLabel('w2');
+      updateVisibility();
+      updateBudgetMethodFields();
+      renderExpenseFields();
+      renderCategoryManager();
+      renderSinkingFunds();
+      if (surplusIncomeInput) surplusIncomeInput.value = '';
+      renderVariableIncome();
+      if (budgetMonthInput) budgetMonthInput.value = getCurrentMonthKey();
+      renderBudgetHistory();
+      hideCsvMapping();
+      renderLedger();
+      hideRulePreview();
+      renderRules();
+      hideBillSuggestions();
+      if (nextPaydayInput) nextPaydayInput.value = '';
+      renderBills();
+      if (forecastPaydayInput) forecastPaydayInput.value = '';
+      if (forecastResultsEl) forecastResultsEl.classList.add('hidden');
+
       // Update dashboard
       updateDashboard();
       showNotification('All financial data cleared successfully!', 'success');
@@ -244,19 +326,105 @@
       const payAmountInput = document.getElementById('pay-amount');
       const payFrequencySelect = document.getElementById('pay-frequency');
       const zipcodeInput = document.getElementById('zipcode');
+      const filingStatusSelect = document.getElementById('filing-status');
+      const taxYearSelect = document.getElementById('tax-year');
 
       if (payAmountInput) payAmountInput.value = FinancialDataStore.income.payAmount;
       if (payFrequencySelect) payFrequencySelect.value = FinancialDataStore.income.payFrequency;
       if (zipcodeInput) zipcodeInput.value = FinancialDataStore.income.zipcode;
-    }
+      if (filingStatusSelect) filingStatusSelect.value = FinancialDataStore.income.filingStatus || 'single';
+      if (taxYearSelect && FinancialDataStore.income.taxYear) taxYearSelect.value = FinancialDataStore.income.taxYear;
+
+      const deductionFields = FinancialDataStore.income.payrollDeductions || {};
+      const deductionInputs = {
+        healthInsurance: 'health-insurance',
+        retirement401k: 'retirement-401k',
+        retirement401kType: 'retirement-401k-type',
+        otherDeductions: 'other-deductions',
+        otherDeductionsType: 'other-deductions-type',
+        matchRate1: 'match-rate-1',
+        matchLimit1: 'match-limit-1',
+        matchRate2: 'match-rate-2',
+        matchLimit2: 'match-limit-2'
+      };
+      Object.entries(deductionInputs).forEach(([field, id]) => {
+        const input = document.getElementById(id);
+        if (input && deductionFields[field]) input.value = deductionFields[field];
+      });
+
+      const payScheduleSelect = document.getElementById('pay-schedule');
+      if (payScheduleSelect) payScheduleSelect.value = FinancialDataStore.income.paySchedule || '';
+
+      const incomeTypeSelect = document.getElementById('income-type');
+      const businessExpensesInput = document.getElementById('business-expenses');
+      if (incomeTypeSelect) incomeTypeSelect.value = FinancialDataStore.income.incomeType || 'w2';
+      if (businessExpensesInput && FinancialDataStore.income.businessExpenses) {
+        businessExpensesInput.value = FinancialDataStore.income.businessExpenses;
+      }
+
+      if (earnerListEl) earnerListEl.innerHTML = '';
+      (FinancialDataStore.income.additionalEarners || []).forEach(earner => addEarnerInput(earner));
 
-    // Budget form
-    if (FinancialDataStore.budget.monthlyIncome > 0) {
-      Object.keys(FinancialDataStore.budget.expenses).forEach(key => {
-        const input = document.getElementById(`${key.replace(/([A-Z])/g, '-$1').toLowerCase()}-amount`);
-        if (input) input.value = FinancialDataStore.budget.expenses[key];
+      const creditInputs = FinancialDataStore.income.creditInputs || {};
+      const creditFields = {
+        taxpayerAge: 'taxpayer-age',
+        iraContributions: 'ira-contributions',
+        educationCredit: 'education-credit',
+        educationExpenses: 'education-expenses',
+        educationStudents: 'education-students'
+      };
+      Object.entries(creditFields).forEach(([field, id]) => {
+        const input = document.getElementById(id);
+        if (input && creditInputs[field]) input.value = creditInputs[field];
+      });
+      const dependentAgesInput = document.getElementById('dependent-ages');
+      if (dependentAgesInput && creditInputs.dependentAges) {
+        dependentAgesInput.value = creditInputs.dependentAges.join(', ');
+      }
+
+      const investmentIncome = FinancialDataStore.income.investmentIncome || {};
+      const investmentFields = {
+        interest: 'interest-income',
+        ordinaryDividends: 'ordinary-dividends',
+        qualifiedDividends: 'qualified-dividends',
+        shortTermGains: 'short-term-gains',
+        longTermGains: 'long-term-gains'
+      };
+      Object.entries(investmentFields).forEach(([field, id]) => {
+        const input = document.getElementById(id);
+        if (input && investmentIncome[field]) input.value = investmentIncome[field];
       });
+
+      const retirementPlan = FinancialDataStore.income.retirementPlan;
+      if (retirementPlan) applyEmployerMatchAutoFill(retirementPlan.monthlyMatch);
+
+      const withholding = FinancialDataStore.income.withholding;
+      if (withholding) {
+        const ytdWithholdingInput = document.getElementById('ytd-withholding');
+        const paystubDateInput = document.getElementById('paystub-date');
+        if (ytdWithholdingInput) ytdWithholdingInput.value = withholding.ytdWithholding;
+        if (paystubDateInput) paystubDateInput.value = withholding.paystubDate;
+      }
     }
+
+    // Budget form: fields follow the saved categories and are filled from the saved expenses
+    renderExpenseFields();
+    renderCategoryManager();
+    renderSinkingFunds();
+    renderVariableIncome();
+    applyVariableIncomeBaseline();
+    renderBudgetHistory();
+    renderLedger();
+    renderRules();
+    renderBills();
+    if (budgetMethodSelect) budgetMethodSelect.value = FinancialDataStore.budget.method || 'guideline';
+    if (savingsAllocationInput && FinancialDataStore.budget.savingsAllocation > 0) {
+      savingsAllocationInput.value = FinancialDataStore.budget.savingsAllocation;
+    }
+    if (savingsTargetInput && FinancialDataStore.budget.savingsTargetPercent != null) {
+      savingsTargetInput.value = FinancialDataStore.budget.savingsTargetPercent;
+    }
+    updateBudgetMethodFields();
   }
 
   // ============================================================================
@@ -302,6 +470,43 @@
   const daysPerWeekInput = document.getElementById('days-per-week');
   const weeksPerYearInput = document.getElementById('weeks-per-year');
   const zipcodeInput = document.getElementById('zipcode');
+  const filingStatusSelect = document.getElementById('filing-status');
+  const taxYearSelect = document.getElementById('tax-year');
+  const healthInsuranceInput = document.getElementById('health-insurance');
+  const retirement401kInput = document.getElementById('retirement-401k');
+  const retirement401kTypeSelect = document.getElementById('retirement-401k-type');
+  const matchRate1Input = document.getElementById('match-rate-1');
+  const matchLimit1Input = document.getElementById('match-limit-1');
+  const matchRate2Input = document.getElementById('match-rate-2');
+  const matchLimit2Input = document.getElementById('match-limit-2');
+  const otherDeductionsInput = document.getElementById('other-deductions');
+  const otherDeductionsTypeSelect = document.getElementById('other-deductions-type');
+  const payScheduleSelect = document.getElementById('pay-schedule');
+  const incomeTypeSelect = document.getElementById('income-type');
+  const businessExpensesInput = document.getElementById('business-expenses');
+  const earnerListEl = document.getElementById('earner-list');
+  const dependentAgesInput = document.getElementById('dependent-ages');
+  const taxpayerAgeInput = document.getElementById('taxpayer-age');
+  const iraContributionsInput = document.getElementById('ira-contributions');
+  const educationCreditSelect = document.getElementById('education-credit');
+  const educationExpensesInput = document.getElementById('education-expenses');
+  const educationStudentsInput = document.getElementById('education-students');
+  const interestIncomeInput = document.getElementById('interest-income');
+  const ordinaryDividendsInput = document.getElementById('ordinary-dividends');
+  const qualifiedDividendsInput = document.getElementById('qualified-dividends');
+  const shortTermGainsInput = document.getElementById('short-term-gains');
+  const longTermGainsInput = document.getElementById('long-term-gains');
+  const ytdWithholdingInput = document.getElementById('ytd-withholding');
+  const paystubDateInput = document.getElementById('paystub-date');
+  const rateExplorerEl = document.getElementById('rate-explorer');
+  const raiseAmountInput = document.getElementById('raise-amount');
+  const extra401kInput = document.getElementById('extra-401k');
+  const nextDollarResultsEl = document.getElementById('next-dollar-results');
+  const offerForm = document.getElementById('offer-form');
+  const offerListEl = document.getElementById('offer-list');
+  const addOfferBtn = document.getElementById('add-offer-btn');
+  const offerResultsEl = document.getElementById('offer-results');
+  const addEarnerBtn = document.getElementById('add-earner-btn');
   const resultsEl = document.getElementById('results');
   const budgetEl = document.getElementById('budget-breakdown');
   const resetBtn = document.getElementById('reset-btn');
@@ -315,32 +520,135 @@
   const investmentForm = document.getElementById('investment-form');
   const investmentResultsEl = document.getElementById('investment-results');
   const investmentResetBtn = document.getElementById('investment-reset-btn');
+  const employerMatchInput = document.getElementById('employer-match');
   const apiStatusEl = document.getElementById('api-status');
 
   const monthlyIncomeInput = document.getElementById('monthly-income'); // Hidden budget planner income field to auto-fill with net calculation
   const monthlyIncomeDisplay = document.getElementById('monthly-income-display'); // Visible monthly income readout
-
-  const expenseFieldConfig = [
-    { key: 'rentMortgage', amountId: 'rent-mortgage-amount', sliderId: 'rent-mortgage-slider', displayId: 'rent-mortgage-display', summaryId: 'summary-rent-mortgage' },
-    { key: 'utilities', amountId: 'utilities-amount', sliderId: 'utilities-slider', displayId: 'utilities-display', summaryId: 'summary-utilities' },
-    { key: 'groceries', amountId: 'groceries-amount', sliderId: 'groceries-slider', displayId: 'groceries-display', summaryId: 'summary-groceries' },
-    { key: 'transportation', amountId: 'transportation-amount', sliderId: 'transportation-slider', displayId: 'transportation-display', summaryId: 'summary-transportation' },
-    { key: 'insurance', amountId: 'insurance-amount', sliderId: 'insurance-slider', displayId: 'insurance-display', summaryId: 'summary-insurance' },
-    { key: 'debtPayments', amountId: 'debt-payments-amount', sliderId: 'debt-payments-slider', displayId: 'debt-payments-display', summaryId: 'summary-debt-payments' },
-    { key: 'diningOut', amountId: 'dining-out-amount', sliderId: 'dining-out-slider', displayId: 'dining-out-display', summaryId: 'summary-dining-out' },
-    { key: 'shopping', amountId: 'shopping-amount', sliderId: 'shopping-slider', displayId: 'shopping-display', summaryId: 'summary-shopping' },
-    { key: 'subscriptions', amountId: 'subscriptions-amount', sliderId: 'subscriptions-slider', displayId: 'subscriptions-display', summaryId: 'summary-subscriptions' },
-    { key: 'miscellaneous', amountId: 'miscellaneous-amount', sliderId: 'miscellaneous-slider', displayId: 'miscellaneous-display', summaryId: 'summary-miscellaneous' }
-  ];
-
-  expenseFieldConfig.forEach(config => {
-    config.amountEl = document.getElementById(config.amountId);
-    config.sliderEl = document.getElementById(config.sliderId);
-    config.displayEl = document.getElementById(config.displayId);
-    config.summaryEl = document.getElementById(config.summaryId);
-  });
-
-  const summaryRemainingEl = document.getElementById('summary-remaining');
+  const monthlyIncomeLabel = document.querySelector('label[for="monthly-income"]');
+  const recurringExpensesSection = document.getElementById('recurring-expenses-section');
+  const recurringExpensesList = document.getElementById('recurring-expenses-list');
+  const sinkingFundListEl = document.getElementById('sinking-fund-list');
+  const sinkingFundTotalEl = document.getElementById('sinking-fund-total');
+  const sinkingFundNameInput = document.getElementById('sinking-fund-name');
+  const sinkingFundTargetInput = document.getElementById('sinking-fund-target');
+  const sinkingFundDueInput = document.getElementById('sinking-fund-due');
+  const sinkingFundBalanceInput = document.getElementById('sinking-fund-balance');
+  const sinkingFundClassificationSelect = document.getElementById('sinking-fund-classification');
+  const sinkingFundAnnualInput = document.getElementById('sinking-fund-annual');
+  const addSinkingFundBtn = document.getElementById('add-sinking-fund-btn');
+  const variableIncomeToggle = document.getElementById('variable-income-toggle');
+  const variableIncomePanel = document.getElementById('variable-income-panel');
+  const incomeHistoryMonthInput = document.getElementById('income-history-month');
+  const incomeHistoryAmountInput = document.getElementById('income-history-amount');
+  const addIncomeHistoryBtn = document.getElementById('add-income-history-btn');
+  const incomeHistoryListEl = document.getElementById('income-history-list');
+  const incomeBaselineMethodSelect = document.getElementById('income-baseline-method');
+  const incomeBaselineSummaryEl = document.getElementById('income-baseline-summary');
+  const surplusIncomeInput = document.getElementById('surplus-income');
+  const surplusPlanEl = document.getElementById('surplus-plan');
+  const budgetMethodSelect = document.getElementById('budget-method');
+  const savingsAllocationField = document.getElementById('savings-allocation-field');
+  const savingsAllocationInput = document.getElementById('savings-allocation');
+  const savingsTargetField = document.getElementById('savings-target-field');
+  const savingsTargetInput = document.getElementById('savings-target-percent');
+  const budgetMonthInput = document.getElementById('budget-month');
+  const budgetHistoryEl = document.getElementById('budget-history');
+  const budgetHistoryEmptyEl = document.getElementById('budget-history-empty');
+  const historyMonthSelect = document.getElementById('history-month');
+  const actualForm = document.getElementById('actual-form');
+  const actualFieldsEl = document.getElementById('actual-fields');
+  const varianceResultsEl = document.getElementById('variance-results');
+  const budgetTrendSummaryEl = document.getElementById('budget-trend-summary');
+  const actualSourceNoteEl = document.getElementById('actual-source-note');
+
+  // Transaction ledger elements
+  const transactionAccountInput = document.getElementById('transaction-account');
+  const transactionFileInput = document.getElementById('transaction-file');
+  const csvMappingEl = document.getElementById('csv-mapping');
+  const csvPreviewEl = document.getElementById('csv-preview');
+  const mapDateSelect = document.getElementById('map-date');
+  const mapDescriptionSelect = document.getElementById('map-description');
+  const mapAmountSelect = document.getElementById('map-amount');
+  const mapDebitSelect = document.getElementById('map-debit');
+  const mapCreditSelect = document.getElementById('map-credit');
+  const mapDateFormatSelect = document.getElementById('map-date-format');
+  const mapSpendingSignSelect = document.getElementById('map-spending-sign');
+  const mapHasHeaderInput = document.getElementById('map-has-header');
+  const csvImportBtn = document.getElementById('csv-import-btn');
+  const csvCancelBtn = document.getElementById('csv-cancel-btn');
+  const ledgerEl = document.getElementById('ledger');
+  const ledgerMonthSelect = document.getElementById('ledger-month');
+  const ledgerSummaryEl = document.getElementById('ledger-summary');
+  const transactionListEl = document.getElementById('transaction-list');
+  const previewRulesBtn = document.getElementById('preview-rules-btn');
+  const rulePreviewEl = document.getElementById('rule-preview');
+  const ruleListEl = document.getElementById('rule-list');
+  const ruleMatchTypeSelect = document.getElementById('rule-match-type');
+  const rulePatternInput = document.getElementById('rule-pattern');
+  const ruleCategorySelect = document.getElementById('rule-category');
+  const ruleMinAmountInput = document.getElementById('rule-min-amount');
+  const ruleMaxAmountInput = document.getElementById('rule-max-amount');
+  const ruleIncludeDepositsInput = document.getElementById('rule-include-deposits');
+  const addRuleBtn = document.getElementById('add-rule-btn');
+
+  // Bills calendar elements
+  const billForm = document.getElementById('bill-form');
+  const billNameInput = document.getElementById('bill-name');
+  const billAmountInput = document.getElementById('bill-amount');
+  const billCadenceSelect = document.getElementById('bill-cadence');
+  const billNextDueInput = document.getElementById('bill-next-due');
+  const billAccountInput = document.getElementById('bill-account');
+  const billCategorySelect = document.getElementById('bill-category');
+  const billsEl = document.getElementById('bills');
+  const billListEl = document.getElementById('bill-list');
+  const billTotalsEl = document.getElementById('bill-totals');
+  const nextPaydayInput = document.getElementById('next-payday');
+  const availableCashInput = document.getElementById('available-cash');
+  const paydayCheckEl = document.getElementById('payday-check');
+  const billCalendarEl = document.getElementById('bill-calendar');
+  const billCalendarLabelEl = document.getElementById('bill-calendar-label');
+  const billCalendarPrevBtn = document.getElementById('bill-calendar-prev');
+  const billCalendarNextBtn = document.getElementById('bill-calendar-next');
+  const detectBillsBtn = document.getElementById('detect-bills-btn');
+  const billSuggestionsEl = document.getElementById('bill-suggestions');
+
+  // Built-in budget categories. Users can rename, reclassify and hide these, and add their
+  // own categories and subcategories alongside them
+  const DEFAULT_BUDGET_CATEGORIES = [
+    { key: 'rentMortgage', label: 'Rent/Mortgage', classification: 'needs', placeholder: 'e.g., 1200' },
+    { key: 'utilities', label: 'Utilities', classification: 'needs', placeholder: 'e.g., 200' },
+    { key: 'groceries', label: 'Groceries', classification: 'needs', placeholder: 'e.g., 400' },
+    { key: 'transportation', label: 'Transportation', classification: 'needs', placeholder: 'e.g., 300' },
+    { key: 'insurance', label: 'Insurance', classification: 'needs', placeholder: 'e.g., 250' },
+    { key: 'debtPayments', label: 'Debt Payments', classification: 'needs', placeholder: 'e.g., 300' },
+    { key: 'diningOut', label: 'Dining Out', classification: 'wants', placeholder: 'e.g., 200' },
+    { key: 'shopping', label: 'Shopping', classification: 'wants', placeholder: 'e.g., 150' },
+    { key: 'subscriptions', label: 'Subscriptions', classification: 'wants', placeholder: 'e.g., 50' },
+    { key: 'miscellaneous', label: 'Miscellaneous', classification: 'wants', placeholder: 'e.g., 100' }
+  ].map(category => ({ ...category, parent: null, hidden: false, builtIn: true }));
+
+  const CATEGORY_CLASSIFICATIONS = { needs: 'Need', wants: 'Want', savings: 'Savings' };
+
+  const budgetOverviewGridEl = document.getElementById('budget-overview-grid');
+  const expenseSectionEls = Object.keys(CATEGORY_CLASSIFICATIONS).reduce((acc, classification) => {
+    acc[classification] = {
+      sectionEl: document.getElementById(`expense-section-${classification}`),
+      gridEl: document.getElementById(`expense-fields-${classification}`)
+    };
+    return acc;
+  }, {});
+  const toggleCategoryManagerBtn = document.getElementById('toggle-category-manager');
+  const categoryManagerEl = document.getElementById('category-manager');
+  const categoryListEl = document.getElementById('category-list');
+  const newCategoryNameInput = document.getElementById('new-category-name');
+  const newCategoryClassificationSelect = document.getElementById('new-category-classification');
+  const newCategoryParentSelect = document.getElementById('new-category-parent');
+  const addCategoryBtn = document.getElementById('add-category-btn');
+
+  // Rebuilt from the saved categories by renderExpenseFields; groups hold their subcategories in children
+  let expenseFieldConfig = [];
+  let summaryRemainingEl = document.getElementById('summary-remaining');
 
   // Dashboard elements
   const healthScoreEl = document.getElementById('health-score');
@@ -352,6 +660,13 @@
   const metricDebtEl = document.getElementById('metric-debt');
   const metricInvestmentsEl = document.getElementById('metric-investments');
   const recommendationListEl = document.getElementById('recommendation-list');
+  const forecastForm = document.getElementById('forecast-form');
+  const forecastBalanceInput = document.getElementById('forecast-balance');
+  const forecastDebtDayInput = document.getElementById('forecast-debt-day');
+  const forecastPaydayInput = document.getElementById('forecast-payday');
+  const forecastResultsEl = document.getElementById('forecast-results');
+  const forecastSummaryEl = document.getElementById('forecast-summary');
+  const forecastListEl = document.getElementById('forecast-list');
 
   // Debt form elements
   const debtForm = document.getElementById('debt-form');
@@ -391,149 +706,6 @@
     { key: 'debt', label: 'Debt Payments (beyond minimums)', percent: 5 },
   ];
 
-  // ============================================================================
-  // TAX CALCULATION DATA (2024 RATES)
-  // ============================================================================
-  
-  // 2024 Federal Tax Brackets for Single Filers
-  // Progressive tax system where each bracket is taxed at its respective rate
-  const federalTaxBrackets = [
-    { min: 0, max: 11000, rate: 0.10 },      // 10% on first $11,000
-    { min: 11000, max: 44725, rate: 0.12 },  // 12% on $11,001-$44,725
-    { min: 44725, max: 95375, rate: 0.22 },  // 22% on $44,726-$95,375
-    { min: 95375, max: 182050, rate: 0.24 }, // 24% on $95,376-$182,050
-    { min: 182050, max: 231250, rate: 0.32 },// 32% on $182,051-$231,250
-    { min: 231250, max: 578125, rate: 0.35 },// 35% on $231,251-$578,125
-    { min: 578125, max: Infinity, rate: 0.37 } // 37% on $578,126+
-  ];
-
-  // 2024 FICA (Federal Insurance Contributions Act) Tax Rates
-  // Includes Social Security and Medicare taxes
-  const ficaRates = {
-    socialSecurity: { 
-      rate: 0.062,        // 6.2% Social Security tax
-      wageBase: 160200    // Only applies to first $160,200 of wages
-    },
-    medicare: { 
-      rate: 0.0145,                    // 1.45% Medicare tax on all wages
-      additionalRate: 0.009,           // Additional 0.9% Medicare tax
-      additionalThreshold: 200000      // Additional tax applies to wages over $200,000
-    }
-  };
-
-  // State Income Tax Rates (2024) - Simplified average rates by state
-  // Note: These are simplified rates and may not reflect exact tax calculations
-  // for all income levels due to progressive state tax systems
-  const stateTaxRates = {
-    'AL': 0.05, 'AK': 0, 'AZ': 0.025, 'AR': 0.055, 'CA': 0.09, 'CO': 0.045,
-    'CT': 0.05, 'DE': 0.06, 'FL': 0, 'GA': 0.055, 'HI': 0.08, 'ID': 0.06,
-    'IL': 0.0495, 'IN': 0.0315, 'IA': 0.06, 'KS': 0.057, 'KY': 0.05, 'LA': 0.06,
-    'ME': 0.075, 'MD': 0.0575, 'MA': 0.05, 'MI': 0.0425, 'MN': 0.0985, 'MS': 0.05,
-    'MO': 0.054, 'MT': 0.06, 'NE': 0.0684, 'NV': 0, 'NH': 0, 'NJ': 0.0637,
-    'NM': 0.049, 'NY': 0.0685, 'NC': 0.0499, 'ND': 0.029, 'OH': 0.035, 'OK': 0.05,
-    'OR': 0.099, 'PA': 0.0307, 'RI': 0.0599, 'SC': 0.07, 'SD': 0, 'TN': 0,
-    'TX': 0, 'UT': 0.0485, 'VT': 0.0875, 'VA': 0.0575, 'WA': 0, 'WV': 0.065,
-    'WI': 0.0765, 'WY': 0
-  };
-
-  // ZIP Code to State Mapping
-  // Maps the first 3 digits of ZIP codes to their corresponding states
-  // This is a simplified mapping for tax calculation purposes
-  // Note: Some ZIP codes may cross state boundaries, this uses the primary state
-  const zipToState = {
-    '010': 'MA', '011': 'MA', '012': 'MA', '013': 'MA', '014': 'MA', '015': 'MA', '016': 'MA', '017': 'MA', '018': 'MA', '019': 'MA',
-    '020': 'MA', '021': 'MA', '022': 'MA', '023': 'MA', '024': 'MA', '025': 'MA', '026': 'MA', '027': 'MA', '028': 'RI', '029': 'RI',
-    '030': 'NH', '031': 'NH', '032': 'NH', '033': 'NH', '034': 'NH', '035': 'NH', '036': 'NH', '037': 'NH', '038': 'NH', '039': 'ME',
-    '040': 'ME', '041': 'ME', '042': 'ME', '043': 'ME', '044': 'ME', '045': 'ME', '046': 'ME', '047': 'ME', '048': 'ME', '049': 'ME',
-    '050': 'VT', '051': 'VT', '052': 'VT', '053': 'VT', '054': 'VT', '055': 'MA', '056': 'VT', '057': 'VT', '058': 'VT', '059': 'VT',
-    '060': 'CT', '061': 'CT', '062': 'CT', '063': 'CT', '064': 'CT', '065': 'CT', '066': 'CT', '067': 'CT', '068': 'CT', '069': 'CT',
-    '070': 'NJ', '071': 'NJ', '072': 'NJ', '073': 'NJ', '074': 'NJ', '075': 'NJ', '076': 'NJ', '077': 'NJ', '078': 'NJ', '079': 'NJ',
-    '080': 'NJ', '081': 'NJ', '082': 'NJ', '083': 'NJ', '084': 'NJ', '085': 'NJ', '086': 'NJ', '087': 'NJ', '088': 'NJ', '089': 'NJ',
-    '100': 'NY', '101': 'NY', '102': 'NY', '103': 'NY', '104': 'NY', '105': 'NY', '106': 'NY', '107': 'NY', '108': 'NY', '109': 'NY',
-    '110': 'NY', '111': 'NY', '112': 'NY', '113': 'NY', '114': 'NY', '115': 'NY', '116': 'NY', '117': 'NY', '118': 'NY', '119': 'NY',
-    '120': 'NY', '121': 'NY', '122': 'NY', '123': 'NY', '124': 'NY', '125': 'NY', '126': 'NY', '127': 'NY', '128': 'NY', '129': 'NY',
-    '130': 'NY', '131': 'NY', '132': 'NY', '133': 'NY', '134': 'NY', '135': 'NY', '136': 'NY', '137': 'NY', '138': 'NY', '139': 'NY',
-    '140': 'NY', '141': 'NY', '142': 'NY', '143': 'NY', '144': 'NY', '145': 'NY', '146': 'NY', '147': 'NY', '148': 'NY', '149': 'NY',
-    '150': 'PA', '151': 'PA', '152': 'PA', '153': 'PA', '154': 'PA', '155': 'PA', '156': 'PA', '157': 'PA', '158': 'PA', '159': 'PA',
-    '160': 'PA', '161': 'PA', '162': 'PA', '163': 'PA', '164': 'PA', '165': 'PA', '166': 'PA', '167': 'PA', '168': 'PA', '169': 'PA',
-    '170': 'PA', '171': 'PA', '172': 'PA', '173': 'PA', '174': 'PA', '175': 'PA', '176': 'PA', '177': 'PA', '178': 'PA', '179': 'PA',
-    '180': 'PA', '181': 'PA', '182': 'PA', '183': 'PA', '184': 'PA', '185': 'PA', '186': 'PA', '187': 'PA', '188': 'PA', '189': 'PA',
-    '190': 'PA', '191': 'PA', '192': 'PA', '193': 'PA', '194': 'PA', '195': 'PA', '196': 'PA', '197': 'PA', '198': 'PA', '199': 'DE',
-    '200': 'DC', '201': 'VA', '202': 'DC', '203': 'DC', '204': 'DC', '205': 'DC', '206': 'MD', '207': 'MD', '208': 'MD', '209': 'MD',
-    '210': 'MD', '211': 'MD', '212': 'MD', '214': 'MD', '215': 'MD', '216': 'MD', '217': 'MD', '218': 'MD', '219': 'MD', '220': 'VA',
-    '221': 'VA', '222': 'VA', '223': 'VA', '224': 'VA', '225': 'VA', '226': 'VA', '227': 'VA', '228': 'VA', '229': 'VA', '230': 'VA',
-    '231': 'VA', '232': 'VA', '233': 'VA', '234': 'VA', '235': 'VA', '236': 'VA', '237': 'VA', '238': 'VA', '239': 'VA', '240': 'VA',
-    '241': 'VA', '242': 'VA', '243': 'VA', '244': 'VA', '245': 'VA', '246': 'VA', '247': 'WV', '248': 'WV', '249': 'WV', '250': 'WV',
-    '251': 'WV', '252': 'WV', '253': 'WV', '254': 'WV', '255': 'WV', '256': 'WV', '257': 'WV', '258': 'WV', '259': 'WV', '260': 'WV',
-    '261': 'WV', '262': 'WV', '263': 'WV', '264': 'WV', '265': 'WV', '266': 'WV', '267': 'WV', '268': 'WV', '270': 'NC', '271': 'NC',
-    '272': 'NC', '273': 'NC', '274': 'NC', '275': 'NC', '276': 'NC', '277': 'NC', '278': 'NC', '279': 'NC', '280': 'NC', '281': 'NC',
-    '282': 'NC', '283': 'NC', '284': 'NC', '285': 'NC', '286': 'NC', '287': 'NC', '288': 'NC', '289': 'NC', '290': 'SC', '291': 'SC',
-    '292': 'SC', '293': 'SC', '294': 'SC', '295': 'SC', '296': 'SC', '297': 'SC', '298': 'SC', '299': 'SC', '300': 'GA', '301': 'GA',
-    '302': 'GA', '303': 'GA', '304': 'GA', '305': 'GA', '306': 'GA', '307': 'GA', '308': 'GA', '309': 'GA', '310': 'GA', '311': 'GA',
-    '312': 'GA', '313': 'GA', '314': 'GA', '315': 'GA', '316': 'GA', '317': 'GA', '318': 'GA', '319': 'GA', '320': 'FL', '321': 'FL',
-    '322': 'FL', '323': 'FL', '324': 'FL', '325': 'FL', '326': 'FL', '327': 'FL', '328': 'FL', '329': 'FL', '330': 'FL', '331': 'FL',
-    '332': 'FL', '333': 'FL', '334': 'FL', '335': 'FL', '336': 'FL', '337': 'FL', '338': 'FL', '339': 'FL', '340': 'FL', '341': 'FL',
-    '342': 'FL', '344': 'FL', '346': 'FL', '347': 'FL', '349': 'FL', '350': 'AL', '351': 'AL', '352': 'AL', '354': 'AL', '355': 'AL',
-    '356': 'AL', '357': 'AL', '358': 'AL', '359': 'AL', '360': 'AL', '361': 'AL', '362': 'AL', '363': 'AL', '364': 'AL', '365': 'AL',
-    '366': 'AL', '367': 'AL', '368': 'AL', '369': 'AL', '370': 'TN', '371': 'TN', '372': 'TN', '373': 'TN', '374': 'TN', '375': 'TN',
-    '376': 'TN', '377': 'TN', '378': 'TN', '379': 'TN', '380': 'TN', '381': 'TN', '382': 'TN', '383': 'TN', '384': 'TN', '385': 'TN',
-    '386': 'MS', '387': 'MS', '388': 'MS', '389': 'MS', '390': 'MS', '391': 'MS', '392': 'MS', '393': 'MS', '394': 'MS', '395': 'MS',
-    '396': 'MS', '397': 'MS', '398': 'MS', '399': 'MS', '400': 'KY', '401': 'KY', '402': 'KY', '403': 'KY', '404': 'KY', '405': 'KY',
-    '406': 'KY', '407': 'KY', '408': 'KY', '409': 'KY', '410': 'KY', '411': 'KY', '412': 'KY', '413': 'KY', '414': 'KY', '415': 'KY',
-    '416': 'KY', '417': 'KY', '418': 'KY', '420': 'KY', '421': 'KY', '422': 'KY', '423': 'KY', '424': 'KY', '425': 'KY', '426': 'KY',
-    '427': 'KY', '430': 'OH', '431': 'OH', '432': 'OH', '433': 'OH', '434': 'OH', '435': 'OH', '436': 'OH', '437': 'OH', '438': 'OH',
-    '439': 'OH', '440': 'OH', '441': 'OH', '442': 'OH', '443': 'OH', '444': 'OH', '445': 'OH', '446': 'OH', '447': 'OH', '448': 'OH',
-    '449': 'OH', '450': 'OH', '451': 'OH', '452': 'OH', '453': 'OH', '454': 'OH', '455': 'OH', '456': 'OH', '457': 'OH', '458': 'OH',
-    '459': 'OH', '460': 'IN', '461': 'IN', '462': 'IN', '463': 'IN', '464': 'IN', '465': 'IN', '466': 'IN', '467': 'IN', '468': 'IN',
-    '469': 'IN', '470': 'IN', '471': 'IN', '472': 'IN', '473': 'IN', '474': 'IN', '475': 'IN', '476': 'IN', '477': 'IN', '478': 'IN',
-    '479': 'IN', '480': 'MI', '481': 'MI', '482': 'MI', '483': 'MI', '484': 'MI', '485': 'MI', '486': 'MI', '487': 'MI', '488': 'MI',
-    '489': 'MI', '490': 'MI', '491': 'MI', '492': 'MI', '493': 'MI', '494': 'MI', '495': 'MI', '496': 'MI', '497': 'MI', '498': 'MI',
-    '499': 'MI', '500': 'IA', '501': 'IA', '502': 'IA', '503': 'IA', '504': 'IA', '505': 'IA', '506': 'IA', '507': 'IA', '508': 'IA',
-    '509': 'IA', '510': 'IA', '511': 'IA', '512': 'IA', '513': 'IA', '514': 'IA', '515': 'IA', '516': 'IA', '520': 'IA', '521': 'IA',
-    '522': 'IA', '523': 'IA', '524': 'IA', '525': 'IA', '526': 'IA', '527': 'IA', '528': 'IA', '530': 'WI', '531': 'WI', '532': 'WI',
-    '534': 'WI', '535': 'WI', '537': 'WI', '538': 'WI', '539': 'WI', '540': 'WI', '541': 'WI', '542': 'WI', '544': 'WI', '545': 'WI',
-    '546': 'WI', '547': 'WI', '548': 'WI', '549': 'WI', '550': 'MN', '551': 'MN', '553': 'MN', '554': 'MN', '555': 'MN', '556': 'MN',
-    '557': 'MN', '558': 'MN', '559': 'MN', '560': 'MN', '561': 'MN', '562': 'MN', '563': 'MN', '564': 'MN', '565': 'MN', '566': 'MN',
-    '567': 'MN', '570': 'SD', '571': 'SD', '572': 'SD', '573': 'SD', '574': 'SD', '575': 'SD', '576': 'SD', '577': 'SD', '580': 'ND',
-    '581': 'ND', '582': 'ND', '583': 'ND', '584': 'ND', '585': 'ND', '586': 'ND', '587': 'ND', '588': 'ND', '590': 'MT', '591': 'MT',
-    '592': 'MT', '593': 'MT', '594': 'MT', '595': 'MT', '596': 'MT', '597': 'MT', '598': 'MT', '599': 'MT', '600': 'IL', '601': 'IL',
-    '602': 'IL', '603': 'IL', '604': 'IL', '605': 'IL', '606': 'IL', '607': 'IL', '608': 'IL', '609': 'IL', '610': 'IL', '611': 'IL',
-    '612': 'IL', '613': 'IL', '614': 'IL', '615': 'IL', '616': 'IL', '617': 'IL', '618': 'IL', '619': 'IL', '620': 'IL', '622': 'IL',
-    '623': 'IL', '624': 'IL', '625': 'IL', '626': 'IL', '627': 'IL', '628': 'IL', '629': 'IL', '630': 'MO', '631': 'MO', '633': 'MO',
-    '634': 'MO', '635': 'MO', '636': 'MO', '637': 'MO', '638': 'MO', '639': 'MO', '640': 'MO', '641': 'MO', '644': 'MO', '645': 'MO',
-    '646': 'MO', '647': 'MO', '648': 'MO', '649': 'MO', '650': 'MO', '651': 'MO', '652': 'MO', '653': 'MO', '654': 'MO', '655': 'MO',
-    '656': 'MO', '657': 'MO', '658': 'MO', '660': 'KS', '661': 'KS', '662': 'KS', '664': 'KS', '665': 'KS', '666': 'KS', '667': 'KS',
-    '668': 'KS', '669': 'KS', '670': 'KS', '671': 'KS', '672': 'KS', '673': 'KS', '674': 'KS', '675': 'KS', '676': 'KS', '677': 'KS',
-    '678': 'KS', '679': 'KS', '680': 'NE', '681': 'NE', '683': 'NE', '684': 'NE', '685': 'NE', '686': 'NE', '687': 'NE', '688': 'NE',
-    '689': 'NE', '690': 'NE', '691': 'NE', '692': 'NE', '693': 'NE', '700': 'LA', '701': 'LA', '703': 'LA', '704': 'LA', '705': 'LA',
-    '706': 'LA', '707': 'LA', '708': 'LA', '710': 'LA', '711': 'LA', '712': 'LA', '713': 'LA', '714': 'LA', '716': 'AR', '717': 'AR',
-    '718': 'AR', '719': 'AR', '720': 'AR', '721': 'AR', '722': 'AR', '723': 'AR', '724': 'AR', '725': 'AR', '726': 'AR', '727': 'AR',
-    '728': 'AR', '729': 'AR', '730': 'OK', '731': 'OK', '733': 'OK', '734': 'OK', '735': 'OK', '736': 'OK', '737': 'OK', '738': 'OK',
-    '739': 'OK', '740': 'OK', '741': 'OK', '743': 'OK', '744': 'OK', '745': 'OK', '746': 'OK', '747': 'OK', '748': 'OK', '749': 'OK',
-    '750': 'TX', '751': 'TX', '752': 'TX', '753': 'TX', '754': 'TX', '755': 'TX', '756': 'TX', '757': 'TX', '758': 'TX', '759': 'TX',
-    '760': 'TX', '761': 'TX', '762': 'TX', '763': 'TX', '764': 'TX', '765': 'TX', '766': 'TX', '767': 'TX', '768': 'TX', '769': 'TX',
-    '770': 'TX', '771': 'TX', '772': 'TX', '773': 'TX', '774': 'TX', '775': 'TX', '776': 'TX', '777': 'TX', '778': 'TX', '779': 'TX',
-    '780': 'TX', '781': 'TX', '782': 'TX', '783': 'TX', '784': 'TX', '785': 'TX', '786': 'TX', '787': 'TX', '788': 'TX', '789': 'TX',
-    '790': 'TX', '791': 'TX', '792': 'TX', '793': 'TX', '794': 'TX', '795': 'TX', '796': 'TX', '797': 'TX', '798': 'TX', '799': 'TX',
-    '800': 'CO', '801': 'CO', '802': 'CO', '803': 'CO', '804': 'CO', '805': 'CO', '806': 'CO', '807': 'CO', '808': 'CO', '809': 'CO',
-    '810': 'CO', '811': 'CO', '812': 'CO', '813': 'CO', '814': 'CO', '815': 'CO', '816': 'CO', '820': 'WY', '821': 'WY', '822': 'WY',
-    '823': 'WY', '824': 'WY', '825': 'WY', '826': 'WY', '827': 'WY', '828': 'WY', '829': 'WY', '830': 'WY', '831': 'WY', '834': 'ID',
-    '835': 'ID', '836': 'ID', '837': 'ID', '838': 'ID', '840': 'UT', '841': 'UT', '842': 'UT', '843': 'UT', '844': 'UT', '845': 'UT',
-    '846': 'UT', '847': 'UT', '850': 'AZ', '851': 'AZ', '852': 'AZ', '853': 'AZ', '855': 'AZ', '856': 'AZ', '857': 'AZ', '859': 'AZ',
-    '860': 'AZ', '863': 'AZ', '864': 'AZ', '865': 'AZ', '870': 'NM', '871': 'NM', '873': 'NM', '874': 'NM', '875': 'NM', '877': 'NM',
-    '878': 'NM', '879': 'NM', '880': 'NM', '881': 'NM', '882': 'NM', '883': 'NM', '884': 'NM', '885': 'TX', '890': 'NV', '891': 'NV',
-    '893': 'NV', '894': 'NV', '895': 'NV', '897': 'NV', '898': 'NV', '900': 'CA', '901': 'CA', '902': 'CA', '903': 'CA', '904': 'CA',
-    '905': 'CA', '906': 'CA', '907': 'CA', '908': 'CA', '910': 'CA', '911': 'CA', '912': 'CA', '913': 'CA', '914': 'CA', '915': 'CA',
-    '916': 'CA', '917': 'CA', '918': 'CA', '919': 'CA', '920': 'CA', '921': 'CA', '922': 'CA', '923': 'CA', '924': 'CA', '925': 'CA',
-    '926': 'CA', '927': 'CA', '928': 'CA', '930': 'CA', '931': 'CA', '932': 'CA', '933': 'CA', '934': 'CA', '935': 'CA', '936': 'CA',
-    '937': 'CA', '938': 'CA', '939': 'CA', '940': 'CA', '941': 'CA', '942': 'CA', '943': 'CA', '944': 'CA', '945': 'CA', '946': 'CA',
-    '947': 'CA', '948': 'CA', '949': 'CA', '950': 'CA', '951': 'CA', '952': 'CA', '953': 'CA', '954': 'CA', '955': 'CA', '956': 'CA',
-    '957': 'CA', '958': 'CA', '959': 'CA', '960': 'CA', '961': 'CA', '962': 'CA', '970': 'OR', '971': 'OR', '972': 'OR', '973': 'OR',
-    '974': 'OR', '975': 'OR', '976': 'OR', '977': 'OR', '978': 'OR', '979': 'OR', '980': 'WA', '981': 'WA', '982': 'WA', '983': 'WA',
-    '984': 'WA', '985': 'WA', '986': 'WA', '988': 'WA', '989': 'WA', '990': 'WA', '991': 'WA', '992': 'WA', '993': 'WA', '994': 'WA',
-    '995': 'AK', '996': 'AK', '997': 'AK', '998': 'AK', '999': 'AK'
-  };
-
   // ============================================================================
   // INVESTMENT CONFIGURATION
   // ============================================================================
@@ -635,116 +807,17 @@
   }
 
   /**
-   * Determines state from ZIP code using first 3 digits
-   * @param {string} zipcode - The ZIP code to analyze
-   * @returns {string} State abbreviation or 'CA' as default
-   */
-  function getStateFromZipcode(zipcode) {
-    const cleanZip = zipcode.replace(/\D/g, '').substring(0, 3);
-    return zipToState[cleanZip] || 'CA'; // Default to CA if not found
-  }
-
-  // ============================================================================
-  // TAX CALCULATION FUNCTIONS
-  // ============================================================================
-  
-  /**
-   * Calculates federal income tax using progressive tax brackets
-   * @param {number} income - Annual income to calculate tax for
-   * @returns {number} Total federal tax amount
-   */
-  function calculateFederalTax(income) {
-    let tax = 0;
-    let remainingIncome = income;
-
-    // Apply progressive tax brackets
-    for (const bracket of federalTaxBrackets) {
-      if (remainingIncome <= 0) break;
-      
-      const taxableInBracket = Math.min(remainingIncome, bracket.max - bracket.min);
-      tax += taxableInBracket * bracket.rate;
-      remainingIncome -= taxableInBracket;
-    }
-
-    return tax;
-  }
-
-  /**
-   * Calculates FICA taxes (Social Security and Medicare)
-   * @param {number} income - Annual income to calculate FICA tax for
-   * @returns {object} Object containing social security, medicare, and total FICA taxes
-   */
-  function calculateFICATax(income) {
-    // Social Security tax (6.2% up to wage base limit)
-    const socialSecurityTax = Math.min(income, ficaRates.socialSecurity.wageBase) * ficaRates.socialSecurity.rate;
-    
-    // Medicare tax (1.45% on all income + 0.9% on income over threshold)
-    let medicareTax = income * ficaRates.medicare.rate;
-    if (income > ficaRates.medicare.additionalThreshold) {
-      medicareTax += (income - ficaRates.medicare.additionalThreshold) * ficaRates.medicare.additionalRate;
-    }
-
-    return {
-      socialSecurity: socialSecurityTax,
-      medicare: medicareTax,
-      total: socialSecurityTax + medicareTax
-    };
-  }
-
-  /**
-   * Calculates state income tax
-   * @param {number} income - Annual income to calculate state tax for
-   * @param {string} state - State abbreviation
-   * @returns {number} State tax amount
-   */
-  function calculateStateTax(income, state) {
-    const stateRate = stateTaxRates[state] || 0;
-    return income * stateRate;
-  }
-
-  /**
-   * Calculates local income tax (simplified)
-   * @param {number} income - Annual income to calculate local tax for
-   * @param {string} state - State abbreviation
-   * @returns {number} Local tax amount
-   */
-  function calculateLocalTax(income, state) {
-    // Simplified local tax calculation using average rates by state
-    const localTaxRates = {
-      'NY': 0.03, 'CA': 0.01, 'PA': 0.02, 'OH': 0.02, 'MD': 0.03, 'IL': 0.01,
-      'TX': 0.01, 'FL': 0.01, 'GA': 0.01, 'NC': 0.01, 'VA': 0.01, 'WA': 0.01
-    };
-    
-    const localRate = localTaxRates[state] || 0;
-    return income * localRate;
-  }
-
-  /**
-   * Calculates all applicable taxes for given income and location
-   * @param {number} income - Annual gross income
-   * @param {string} zipcode - ZIP code for state/local tax determination
-   * @returns {object} Complete tax breakdown including net income
+   * Describes which taxes a payroll deduction reduces
+   * @param {object} reduces - Flags for federal, state and fica
+   * @returns {string} Short label such as "pre-tax: federal, state" or "post-tax"
    */
-  function calculateAllTaxes(income, zipcode) {
-    const state = getStateFromZipcode(zipcode); // Map ZIP prefix to state for localized tax rates
-    const federalTax = calculateFederalTax(income);
-    const ficaTax = calculateFICATax(income);
-    const stateTax = calculateStateTax(income, state);
-    const localTax = calculateLocalTax(income, state);
-    
-    const totalTaxes = federalTax + ficaTax.total + stateTax + localTax; // Aggregate every withholding bucket
-    const netIncome = income - totalTaxes;
-
-    return {
-      grossIncome: income,
-      federalTax,
-      ficaTax,
-      stateTax,
-      localTax,
-      totalTaxes,
-      netIncome,
-      state
-    };
+  function describeDeductionTreatment(reduces) {
+    const taxes = [
+      reduces.federal && 'federal',
+      reduces.state && 'state',
+      reduces.fica && 'FICA'
+    ].filter(Boolean);
+    return taxes.length ? `pre-tax: ${taxes.join(', ')}` : 'post-tax';
   }
 
   // ============================================================================
@@ -790,28 +863,176 @@
    * Renders the income calculation results with tax breakdown
    * @param {number} annualIncome - Annual gross income
    * @param {string} zipcode - ZIP code for tax calculations
+   * @param {string} filingStatus - Filing status key for federal tax
+   * @param {number} taxYear - Tax year whose tables apply
+   * @param {object} deductionFields - Monthly paycheck deduction amounts and their types
+   * @param {string} paySchedule - Pay schedule for per-check stubs, or '' for the annual summary only
+   * @param {object} creditInputs - Dependents, ages and qualified expenses for federal credits
+   * @param {object} investmentIncome - Annual interest, dividends and short/long-term capital gains
+   * @param {object} withholding - YTD federal withholding and paystub date for the W-4 checkup, if entered
    */
-  function renderResults(annualIncome, zipcode) {
+  function renderResults(annualIncome, zipcode, filingStatus, taxYear, deductionFields = {}, paySchedule = '', creditInputs = null, investmentIncome = null, withholding = null) {
     // Calculate income breakdowns for different time periods
     const monthlyIncome = annualIncome / 12;
     const weeklyIncome = annualIncome / 52;
     const dailyIncome = weeklyIncome / 5; // approx working day
     
+    // 401(k) deferrals stop at the 402(g) limit for the taxpayer's age
+    const retirementPlan = window.calculators.calculateRetirementPlan(annualIncome, deductionFields.retirement401k, {
+      age: creditInputs ? creditInputs.taxpayerAge : 0,
+      taxYear: window.calculators.getTaxTable(taxYear).year,
+      matchFormula: window.calculators.buildMatchFormula(deductionFields)
+    });
+    warnAboutRetirementPlan(retirementPlan);
+
     // Calculate all taxes and net income
-    const taxData = calculateAllTaxes(annualIncome, zipcode);
-    const monthlyNetIncome = taxData.netIncome / 12;
+    const deductions = window.calculators.buildPayrollDeductions({ ...deductionFields, retirement401kLimit: retirementPlan.limit });
+    const taxData = window.calculators.calculateAllTaxes(annualIncome, zipcode, filingStatus, taxYear, deductions, creditInputs, investmentIncome);
+    const monthlyNetIncome = taxData.takeHomePay / 12;
+
+    if (!taxData.zipResolved) {
+      showNotification(`${taxData.stateTaxNote}. State and local taxes are not included.`, 'warning');
+    }
+
+    // Withholding covers federal income tax after credits plus the net investment income tax
+    // Without a paystub date, assume the latest check was paid today, kept within the tax year
+    const withholdingSchedule = paySchedule || getScheduleForFrequency(payFrequencySelect ? payFrequencySelect.value : '');
+    const paystubDate = withholding && (withholding.paystubDate ||
+      [`${taxData.taxYear}-01-01`, getTodayISO(), `${taxData.taxYear}-12-31`].sort()[1]);
+    const withholdingCheckup = withholding
+      ? window.calculators.calculateWithholdingCheckup(
+        withholding.ytdWithholding,
+        paystubDate,
+        withholdingSchedule,
+        taxData.federalTax + taxData.netInvestmentIncomeTax,
+        taxData.taxYear
+      )
+      : null;
+    if (withholding && !withholdingCheckup) {
+      showNotification(`Your paystub date (${paystubDate}) isn't in ${taxData.taxYear}. Enter a ${taxData.taxYear} paystub for the W-4 checkup.`, 'warning');
+    }
+
+    // Same income under the prior year's tables, when registered
+    const priorYear = taxData.taxYear - 1;
+    const priorTaxData = window.taxTables.has(priorYear)
+      ? window.calculators.calculateAllTaxes(annualIncome, zipcode, filingStatus, priorYear, deductions, creditInputs, investmentIncome)
+      : null;
 
     if (monthlyIncomeInput) {
       applyMonthlyIncomeAutoFill(monthlyNetIncome);
     }
+    applyEmployerMatchAutoFill(retirementPlan.monthlyMatch);
+
+    // Withholding covers W-2 taxes, so no estimated payments are budgeted
+    removeRecurringExpense('estimatedTaxes');
+    setBudgetIncomeLabel('w2');
+
+    saveIncomeCalculation(taxData, annualIncome, monthlyNetIncome, {
+      incomeType: 'w2',
+      payrollDeductions: deductionFields,
+      paySchedule,
+      additionalEarners: [],
+      householdFiling: null,
+      creditInputs,
+      investmentIncome,
+      retirementPlan: {
+        contribution: retirementPlan.contribution,
+        limit: retirementPlan.limit,
+        employerMatch: retirementPlan.employerMatch,
+        monthlyMatch: retirementPlan.monthlyMatch,
+        unclaimedMatch: retirementPlan.unclaimedMatch
+      },
+      withholding
+    });
+
+    const content = `
+      <div class="income-summary">
+        <h3>Gross Income</h3>
+        <p><strong>Annual:</strong> <span class="number">${toCurrency(annualIncome)}</span></p>
+        <p><strong>Monthly:</strong> ${toCurrency(monthlyIncome)} · <strong>Weekly:</strong> ${toCurrency(weeklyIncome)} · <strong>Daily (workday est.):</strong> ${toCurrency(dailyIncome)}</p>
+        ${renderInvestmentIncomeSummary(taxData.investmentIncome)}
+      </div>
+      
+      <div class="tax-breakdown">
+        <h3>Tax Breakdown (${taxData.taxYear} · ${taxData.state || 'ZIP not resolved'} · ${window.calculators.FILING_STATUSES[taxData.filingStatus]})</h3>
+        <div class="tax-grid">
+          ${renderFederalTaxItems(taxData, 'Federal Tax')}
+          ${renderInvestmentTaxItems(taxData)}
+          <div class="tax-item">
+            <span class="tax-label">FICA (Social Security):</span>
+            <span class="tax-amount">${toCurrency(taxData.socialSecurityTax)}</span>
+          </div>
+          <div class="tax-item">
+            <span class="tax-label">FICA (Medicare):</span>
+            <span class="tax-amount">${toCurrency(taxData.medicareTax)}</span>
+          </div>
+          <div class="tax-item">
+            <span class="tax-label">State Tax (${taxData.stateEffectiveRate.toFixed(2)}% effective · ${taxData.stateMarginalRate.toFixed(2)}% marginal):</span>
+            <span class="tax-amount">${toCurrency(taxData.stateTax)}</span>
+          </div>
+          <div class="tax-item">
+            <span class="tax-label">Local Tax (${taxData.localJurisdiction || 'no local income tax'}):</span>
+            <span class="tax-amount">${toCurrency(taxData.localTax)}</span>
+          </div>
+          <div class="tax-item total-taxes">
+            <span class="tax-label"><strong>Total Taxes:</strong></span>
+            <span class="tax-amount"><strong>${toCurrency(taxData.totalTax)}</strong></span>
+          </div>
+        </div>
+        ${taxData.stateTaxNote ? `<p class="text-sm text-gray-500 mt-2">${taxData.stateTaxNote}</p>` : ''}
+      </div>
+      
+      ${taxData.deductions.length ? `
+      <div class="tax-breakdown">
+        <h3>Paycheck Deductions</h3>
+        <div class="tax-grid">
+          ${taxData.deductions.map(item => `
+          <div class="tax-item">
+            <span class="tax-label">${item.label} (${describeDeductionTreatment(item.reduces)}):</span>
+            <span class="tax-amount">${toCurrency(item.amount)}</span>
+          </div>`).join('')}
+        </div>
+      </div>` : ''}
+
+      ${renderRetirementPlan(retirementPlan)}
+
+      ${withholdingCheckup ? renderWithholdingCheckup(withholdingCheckup, !paySchedule) : ''}
+
+      <div class="net-income">
+        <h3>${taxData.deductions.length ? 'Take-Home Pay (After Taxes & Deductions)' : 'Net Income (After Taxes)'}</h3>
+        <p><strong>Annual:</strong> <span class="number">${toCurrency(taxData.takeHomePay)}</span></p>
+        <p><strong>Monthly:</strong> ${toCurrency(monthlyNetIncome)} · <strong>Weekly:</strong> ${toCurrency(taxData.takeHomePay / 52)} · <strong>Daily (workday est.):</strong> ${toCurrency(taxData.takeHomePay / 52 / 5)}</p>
+        ${priorTaxData ? `<p><strong>vs. ${priorYear} tables:</strong> ${taxData.takeHomePay >= priorTaxData.takeHomePay ? '+' : '-'}${toCurrency(Math.abs(taxData.takeHomePay - priorTaxData.takeHomePay))} / year</p>` : ''}
+      </div>
+
+      ${paySchedule ? renderPaycheckStubs(
+        window.calculators.simulatePaychecks(annualIncome, paySchedule, zipcode, filingStatus, taxData.taxYear, deductions)
+      ) : ''}
+    `;
+  if (resultsEl) resultsEl.innerHTML = content; // Replace previous markup with the latest calculation output
+
+    renderRateExplorer({ income: annualIncome, zipcode, filingStatus, taxYear: taxData.taxYear, deductions, creditInputs, investmentIncome });
+    renderBudget(monthlyNetIncome);
+  }
 
-    // Save income data to FinancialDataStore
+  /**
+   * Saves the income form inputs and calculation results to FinancialDataStore
+   * @param {object} taxData - Tax calculation result
+   * @param {number} annualIncome - Annual gross income
+   * @param {number} monthlyNetIncome - Monthly income handed to the budget planner
+   * @param {object} modeFields - Fields specific to the W-2 or 1099 calculation
+   */
+  function saveIncomeCalculation(taxData, annualIncome, monthlyNetIncome, modeFields) {
     FinancialDataStore.income.payAmount = sanitizeNumber(payAmountInput.value);
     FinancialDataStore.income.payFrequency = payFrequencySelect.value;
     FinancialDataStore.income.hoursPerDay = sanitizeNumber(hoursPerDayInput.value) || 8;
     FinancialDataStore.income.daysPerWeek = sanitizeNumber(daysPerWeekInput.value) || 5;
     FinancialDataStore.income.weeksPerYear = sanitizeNumber(weeksPerYearInput.value) || 52;
     FinancialDataStore.income.zipcode = zipcodeInput.value.trim();
+    FinancialDataStore.income.filingStatus = taxData.filingStatus;
+    FinancialDataStore.income.taxYear = taxData.taxYear;
+    FinancialDataStore.income.taxTableSource = taxData.taxTableSource;
+    Object.assign(FinancialDataStore.income, modeFields);
     FinancialDataStore.income.monthlyNetIncome = monthlyNetIncome;
     FinancialDataStore.income.annualGrossIncome = annualIncome;
     FinancialDataStore.income.calculatedDate = new Date().toISOString();
@@ -819,123 +1040,707 @@
     // Save to localStorage and dashboard
     saveFinancialData();
     saveToLocalStorage('monthlyIncome', monthlyNetIncome);
+    updateDashboard();
+  }
+
+  /**
+   * Renders 1099 self-employment results: SE tax, QBI deduction and the quarterly
+   * estimated-payment schedule, which is added to the budget as a recurring expense
+   * @param {number} annualIncome - Annual gross receipts
+   * @param {string} zipcode - ZIP code for tax calculations
+   * @param {string} filingStatus - Filing status key for federal tax
+   * @param {number} taxYear - Tax year whose tables apply
+   * @param {number} businessExpenses - Annual deductible business expenses
+   * @param {object} creditInputs - Dependents, ages and qualified expenses for federal credits
+   * @param {object} investmentIncome - Annual interest, dividends and short/long-term capital gains
+   */
+  function renderSelfEmploymentResults(annualIncome, zipcode, filingStatus, taxYear, businessExpenses, creditInputs = null, investmentIncome = null) {
+    const taxData = window.calculators.calculateSelfEmploymentTaxes(annualIncome, businessExpenses, zipcode, filingStatus, taxYear, creditInputs, investmentIncome);
+    // Nothing is withheld, so the budget receives net profit and investment income
+    // and pays the estimates itself
+    const monthlyProfit = (taxData.netProfit + taxData.investmentIncome.total) / 12;
+
+    if (!taxData.zipResolved) {
+      showNotification(`${taxData.stateTaxNote}. State and local taxes are not included.`, 'warning');
+    }
+
+    setRecurringExpense({
+      key: 'estimatedTaxes',
+      label: `Estimated Taxes (${taxData.taxYear})`,
+      monthlyAmount: taxData.totalTax / 12,
+      payments: taxData.estimatedPayments.map(payment => ({ date: payment.dueDate, amount: payment.amount }))
+    });
+    setBudgetIncomeLabel('1099');
+
+    if (monthlyIncomeInput) {
+      applyMonthlyIncomeAutoFill(monthlyProfit);
+    }
+
+    saveIncomeCalculation(taxData, annualIncome, monthlyProfit, {
+      incomeType: '1099',
+      businessExpenses: taxData.businessExpenses,
+      additionalEarners: [],
+      householdFiling: null,
+      retirementPlan: null,
+      withholding: null,
+      creditInputs,
+      investmentIncome
+    });
+
+    const paymentRows = taxData.estimatedPayments.map(payment => `
+          <div class="tax-item">
+            <span class="tax-label">${payment.quarter} (${payment.period}) · due ${payment.dueDate}:</span>
+            <span class="tax-amount">${toCurrency(payment.amount)}</span>
+          </div>`).join('');
 
     const content = `
       <div class="income-summary">
-        <h3>Gross Income</h3>
-        <p><strong>Annual:</strong> <span class="number">${toCurrency(annualIncome)}</span></p>
-        <p><strong>Monthly:</strong> ${toCurrency(monthlyIncome)} · <strong>Weekly:</strong> ${toCurrency(weeklyIncome)} · <strong>Daily (workday est.):</strong> ${toCurrency(dailyIncome)}</p>
+        <h3>Self-Employment Income</h3>
+        <p><strong>Gross Receipts:</strong> <span class="number">${toCurrency(taxData.grossIncome)}</span></p>
+        <p><strong>Business Expenses:</strong> ${toCurrency(taxData.businessExpenses)} · <strong>Net Profit:</strong> ${toCurrency(taxData.netProfit)}</p>
+        ${renderInvestmentIncomeSummary(taxData.investmentIncome)}
       </div>
-      
+
       <div class="tax-breakdown">
-        <h3>Tax Breakdown (${taxData.state})</h3>
+        <h3>Tax Breakdown (${taxData.taxYear} · ${taxData.state || 'ZIP not resolved'} · ${window.calculators.FILING_STATUSES[taxData.filingStatus]})</h3>
         <div class="tax-grid">
           <div class="tax-item">
-            <span class="tax-label">Federal Tax:</span>
-            <span class="tax-amount">${toCurrency(taxData.federalTax)}</span>
+            <span class="tax-label">Self-Employment Tax (on ${toCurrency(taxData.seTaxBase)}):</span>
+            <span class="tax-amount">${toCurrency(taxData.selfEmploymentTax)}</span>
           </div>
           <div class="tax-item">
-            <span class="tax-label">FICA (Social Security):</span>
-            <span class="tax-amount">${toCurrency(taxData.ficaTax.socialSecurity)}</span>
+            <span class="tax-label">Deduction for Half of SE Tax:</span>
+            <span class="tax-amount">-${toCurrency(taxData.halfSeTaxDeduction)}</span>
           </div>
           <div class="tax-item">
-            <span class="tax-label">FICA (Medicare):</span>
-            <span class="tax-amount">${toCurrency(taxData.ficaTax.medicare)}</span>
+            <span class="tax-label">QBI Deduction:</span>
+            <span class="tax-amount">-${toCurrency(taxData.qbiDeduction)}</span>
           </div>
+          ${renderFederalTaxItems(taxData, `Federal Income Tax (on ${toCurrency(taxData.federalTaxableIncome)})`)}
+          ${renderInvestmentTaxItems(taxData)}
           <div class="tax-item">
-            <span class="tax-label">State Tax:</span>
+            <span class="tax-label">State Tax (${taxData.stateEffectiveRate.toFixed(2)}% effective · ${taxData.stateMarginalRate.toFixed(2)}% marginal):</span>
             <span class="tax-amount">${toCurrency(taxData.stateTax)}</span>
           </div>
           <div class="tax-item">
-            <span class="tax-label">Local Tax:</span>
+            <span class="tax-label">Local Tax (${taxData.localJurisdiction || 'no local income tax'}):</span>
             <span class="tax-amount">${toCurrency(taxData.localTax)}</span>
           </div>
           <div class="tax-item total-taxes">
             <span class="tax-label"><strong>Total Taxes:</strong></span>
-            <span class="tax-amount"><strong>${toCurrency(taxData.totalTaxes)}</strong></span>
+            <span class="tax-amount"><strong>${toCurrency(taxData.totalTax)}</strong></span>
           </div>
         </div>
+        ${taxData.stateTaxNote ? `<p class="text-sm text-gray-500 mt-2">${taxData.stateTaxNote}</p>` : ''}
       </div>
-      
+
+      <div class="tax-breakdown">
+        <h3>Suggested Quarterly Federal Estimated Payments</h3>
+        <div class="tax-grid">${paymentRows}
+          ${taxData.stateEstimatedTax > 0 ? `
+          <div class="tax-item">
+            <span class="tax-label">State & Local Estimates (${taxData.state || 'your state'}'s due dates):</span>
+            <span class="tax-amount">${toCurrency(taxData.stateEstimatedTax / 4)}/quarter</span>
+          </div>` : ''}
+        </div>
+        <p class="text-sm text-gray-500 mt-2">Federal payments cover income tax, self-employment tax and NIIT. Federal, state and local estimates are added to your budget as a recurring expense of ${toCurrency(taxData.totalTax / 12)}/month.</p>
+      </div>
+
       <div class="net-income">
         <h3>Net Income (After Taxes)</h3>
         <p><strong>Annual:</strong> <span class="number">${toCurrency(taxData.netIncome)}</span></p>
-        <p><strong>Monthly:</strong> ${toCurrency(monthlyNetIncome)} · <strong>Weekly:</strong> ${toCurrency(taxData.netIncome / 52)} · <strong>Daily (workday est.):</strong> ${toCurrency(taxData.netIncome / 52 / 5)}</p>
+        <p><strong>Monthly:</strong> ${toCurrency(taxData.netIncome / 12)} · <strong>Weekly:</strong> ${toCurrency(taxData.netIncome / 52)}</p>
       </div>
     `;
-  if (resultsEl) resultsEl.innerHTML = content; // Replace previous markup with the latest calculation output
+    if (resultsEl) resultsEl.innerHTML = content;
 
-    renderBudget(monthlyNetIncome);
+    hideRateExplorer();
+    renderBudget(taxData.netIncome / 12);
   }
 
-  // ============================================================================
-  // BUDGET CALCULATION FUNCTIONS
-  // ============================================================================
-  
   /**
-   * Analyzes budget by calculating totals, remaining income, and percentages
-   * @param {number} income - Monthly income
-   * @param {object} expenses - Object containing expense categories and amounts
-   * @returns {object} Budget analysis including totals and percentages
+   * Renders combined results for a married household with more than one earner.
+   * The selected filing status feeds the budget; the other is shown for comparison.
+   * @param {Array} earners - Earners with annual income, ZIP and tagged deductions; the first is the primary earner
+   * @param {string} filingStatus - 'married-jointly' or 'married-separately'
+   * @param {number} taxYear - Tax year whose tables apply
+   * @param {object} deductionFields - Primary earner's monthly paycheck deduction fields
+   * @param {Array} additionalEarners - Additional earners' form fields, saved for restoring the form
+   * @param {string} paySchedule - Pay schedule selected for the simulator
+   * @param {object} creditInputs - Dependents, ages and qualified expenses for federal credits
+   * @param {object} investmentIncome - Annual interest, dividends and short/long-term capital gains
    */
-  function calculateBudgetAnalysis(income, expenses) {
-    const totalExpenses = Object.values(expenses).reduce((sum, amount) => sum + amount, 0);
-    const remainingIncome = income - totalExpenses;
-    const savingsRate = (remainingIncome / income) * 100;
+  function renderHouseholdResults(earners, filingStatus, taxYear, deductionFields, additionalEarners, paySchedule, creditInputs = null, investmentIncome = null) {
+    const comparison = window.calculators.compareHouseholdFiling(earners, taxYear, creditInputs, investmentIncome);
+    const selected = filingStatus === 'married-separately' ? comparison.separately : comparison.jointly;
+    const alternative = filingStatus === 'married-separately' ? comparison.jointly : comparison.separately;
+    const monthlyNetIncome = selected.takeHomePay / 12;
+    const statusLabels = window.calculators.FILING_STATUSES;
+
+    selected.earners.filter(earner => !earner.zipResolved).forEach(earner => {
+      showNotification(`${earner.name}: ${earner.zipNote}. State and local taxes are not included.`, 'warning');
+    });
 
-    // Calculate expense percentages for each category
-    const expensePercentages = {};
-    Object.keys(expenses).forEach(key => {
-      if (expenses[key] > 0) {
-        expensePercentages[key] = (expenses[key] / income) * 100;
+    if (monthlyIncomeInput) {
+      applyMonthlyIncomeAutoFill(monthlyNetIncome);
+    }
+
+    removeRecurringExpense('estimatedTaxes');
+    setBudgetIncomeLabel('w2');
+
+    saveIncomeCalculation(selected, selected.grossIncome, monthlyNetIncome, {
+      incomeType: 'w2',
+      payrollDeductions: deductionFields,
+      paySchedule,
+      additionalEarners,
+      creditInputs,
+      investmentIncome,
+      retirementPlan: null,
+      withholding: null,
+      householdFiling: {
+        jointlyTax: comparison.jointly.totalTax,
+        separatelyTax: comparison.separately.totalTax,
+        recommended: comparison.recommended
       }
     });
 
-    return {
-      totalExpenses,
-      remainingIncome,
-      savingsRate,
-      expensePercentages
-    };
+    const comparisonRow = (label, field) => `
+          <tr>
+            <td class="py-1 pr-4">${label}</td>
+            <td class="py-1 pr-4 text-right">${toCurrency(comparison.jointly[field])}</td>
+            <td class="py-1 text-right">${toCurrency(comparison.separately[field])}</td>
+          </tr>`;
+
+    const content = `
+      <div class="income-summary">
+        <h3>Household Gross Income</h3>
+        <p><strong>Annual:</strong> <span class="number">${toCurrency(selected.grossIncome)}</span></p>
+        ${selected.earners.map(earner => `
+        <p><strong>${earner.name}:</strong> ${toCurrency(earner.grossIncome)} · ${earner.state || 'ZIP not resolved'}</p>`).join('')}
+        ${renderInvestmentIncomeSummary(selected.investmentIncome)}
+      </div>
+
+      <div class="tax-breakdown">
+        <h3>Tax Breakdown (${selected.taxYear} · ${statusLabels[selected.filingStatus]})</h3>
+        <div class="tax-grid">
+          ${renderFederalTaxItems(selected, `Federal Tax${selected.filingStatus === 'married-separately' ? ' (separate returns)' : ' (joint return)'}`)}
+          ${renderInvestmentTaxItems(selected)}
+          <div class="tax-item">
+            <span class="tax-label">FICA (Social Security):</span>
+            <span class="tax-amount">${toCurrency(selected.socialSecurityTax)}</span>
+          </div>
+          <div class="tax-item">
+            <span class="tax-label">FICA (Medicare):</span>
+            <span class="tax-amount">${toCurrency(selected.medicareTax)}</span>
+          </div>
+          ${selected.states.map(entry => `
+          <div class="tax-item">
+            <span class="tax-label">State Tax (${entry.state}):</span>
+            <span class="tax-amount">${toCurrency(entry.tax)}</span>
+          </div>`).join('')}
+          ${selected.localTaxes.map(entry => `
+          <div class="tax-item">
+            <span class="tax-label">Local Tax (${entry.jurisdiction}):</span>
+            <span class="tax-amount">${toCurrency(entry.tax)}</span>
+          </div>`).join('')}
+          <div class="tax-item total-taxes">
+            <span class="tax-label"><strong>Total Taxes:</strong></span>
+            <span class="tax-amount"><strong>${toCurrency(selected.totalTax)}</strong></span>
+          </div>
+        </div>
+        ${[...new Set(selected.states.map(entry => entry.note).filter(Boolean))].map(note => `
+        <p class="text-sm text-gray-500 mt-2">${note}</p>`).join('')}
+      </div>
+
+      <div class="tax-breakdown">
+        <h3>Joint vs. Separate Returns</h3>
+        <div class="overflow-x-auto">
+          <table class="w-full text-sm">
+            <thead>
+              <tr>
+                <th class="py-1 pr-4 text-left"></th>
+                <th class="py-1 pr-4 text-right">${statusLabels['married-jointly']}</th>
+                <th class="py-1 text-right">${statusLabels['married-separately']}</th>
+              </tr>
+            </thead>
+            <tbody>${comparisonRow('Federal Tax', 'federalTaxBeforeCredits')}${comparisonRow('Tax Credits', 'totalCredits')}${comparisonRow('Medicare', 'medicareTax')}${comparisonRow('State Tax', 'stateTax')}${comparisonRow('Local Tax', 'localTax')}${comparisonRow('Total Taxes', 'totalTax')}${comparisonRow('Take-Home Pay', 'takeHomePay')}
+            </tbody>
+          </table>
+        </div>
+        <p class="mt-2"><strong>${statusLabels[comparison.recommended]}</strong> ${comparison.savings > 0 ? `saves ${toCurrency(comparison.savings)} / year` : 'costs the same either way'}${comparison.recommended !== selected.filingStatus && comparison.savings > 0 ? ` over ${statusLabels[alternative.filingStatus]}` : ''}.</p>
+      </div>
+
+      <div class="net-income">
+        <h3>${selected.preTaxDeductions + selected.postTaxDeductions > 0 ? 'Household Take-Home Pay (After Taxes & Deductions)' : 'Household Net Income (After Taxes)'}</h3>
+        <p><strong>Annual:</strong> <span class="number">${toCurrency(selected.takeHomePay)}</span></p>
+        <p><strong>Monthly:</strong> ${toCurrency(monthlyNetIncome)} · <strong>Weekly:</strong> ${toCurrency(selected.takeHomePay / 52)}</p>
+        ${paySchedule ? '<p class="text-sm text-gray-500 mt-2">Paycheck stubs are simulated for single-earner calculations only.</p>' : ''}
+      </div>
+    `;
+    if (resultsEl) resultsEl.innerHTML = content;
+
+    hideRateExplorer();
+    renderBudget(monthlyNetIncome);
   }
 
   /**
-   * Generates personalized savings and investment recommendations based on budget analysis
-   * @param {object} analysis - Budget analysis object containing remaining income and savings rate
-   * @returns {array} Array of recommendation objects with amounts and descriptions
+   * Renders the federal tax line, followed by one line per credit when any apply
+   * @param {object} taxData - Tax result with federalTaxBeforeCredits and taxCredits
+   * @param {string} label - Label for the federal tax line
+   * @returns {string} Tax grid items markup
    */
-  function generateSavingsRecommendations(analysis) {
-    const { remainingIncome, savingsRate, totalExpenses } = analysis;
-    const recommendations = [];
-
-    // Emergency Fund - Priority 1: Build 3-6 months of expenses
-    if (remainingIncome > 0) {
-      const emergencyFundAmount = Math.min(remainingIncome * 0.3, 500);
-      recommendations.push({
-        type: 'emergency',
-        title: 'Emergency Fund',
-        icon: '🛡️',
-        amount: emergencyFundAmount,
-        description: 'Build 3-6 months of expenses in a high-yield savings account for unexpected situations.',
-        priority: 'high'
-      });
-    }
-
-    // 401k/Retirement - Priority 2: Long-term wealth building
-    if (remainingIncome > 200) {
-      const retirementAmount = Math.min(remainingIncome * 0.4, 1000);
-      recommendations.push({
-        type: 'retirement',
-        title: '401k/Retirement',
-        icon: '🏦',
-        amount: retirementAmount,
-        description: 'Contribute to your 401k (especially if employer matches) or open an IRA for long-term wealth building.',
-        priority: 'high'
-      });
+  function renderFederalTaxItems(taxData, label) {
+    const credits = taxData.taxCredits || [];
+    if (credits.length === 0) {
+      return `
+          <div class="tax-item">
+            <span class="tax-label">${label}:</span>
+            <span class="tax-amount">${toCurrency(taxData.federalTax)}</span>
+          </div>`;
     }
 
-    // Investment Portfolio - Priority 3: Diversified growth investments
-    if (remainingIncome > 300) {
+    return `
+          <div class="tax-item">
+            <span class="tax-label">${label} before credits:</span>
+            <span class="tax-amount">${toCurrency(taxData.federalTaxBeforeCredits)}</span>
+          </div>
+          ${credits.map(credit => `
+          <div class="tax-item">
+            <span class="tax-label">${credit.label}${credit.refundable > 0 ? ` (${toCurrency(credit.refundable)} refundable)` : ''}:</span>
+            <span class="tax-amount">-${toCurrency(credit.amount)}</span>
+          </div>`).join('')}
+          <div class="tax-item">
+            <span class="tax-label">Federal Tax After Credits${taxData.federalTax < 0 ? ' (net refund)' : ''}:</span>
+            <span class="tax-amount">${taxData.federalTax < 0 ? '-' : ''}${toCurrency(Math.abs(taxData.federalTax))}</span>
+          </div>`;
+  }
+
+  /**
+   * Renders the capital gains portion of federal tax and the net investment income tax
+   * @param {object} taxData - Tax result with investmentIncome, capitalGainsTax and netInvestmentIncomeTax
+   * @returns {string} Tax grid items markup, or '' without investment income
+   */
+  function renderInvestmentTaxItems(taxData) {
+    const investment = taxData.investmentIncome;
+    if (!investment || investment.total <= 0) return '';
+
+    return `
+          ${investment.preferential > 0 ? `
+          <div class="tax-item">
+            <span class="tax-label">Included in Federal: Capital Gains Tax (0/15/20% on ${toCurrency(investment.preferential)}):</span>
+            <span class="tax-amount">${toCurrency(taxData.capitalGainsTax)}</span>
+          </div>` : ''}
+          ${taxData.netInvestmentIncomeTax > 0 ? `
+          <div class="tax-item">
+            <span class="tax-label">Net Investment Income Tax (3.8%):</span>
+            <span class="tax-amount">${toCurrency(taxData.netInvestmentIncomeTax)}</span>
+          </div>` : ''}`;
+  }
+
+  /**
+   * Renders the investment income line of the gross income summary
+   * @param {object} investment - Summarized investment income
+   * @returns {string} Summary line markup, or '' without investment income
+   */
+  function renderInvestmentIncomeSummary(investment) {
+    if (!investment || investment.total <= 0) return '';
+    return `
+        <p><strong>Investment Income:</strong> ${toCurrency(investment.total)} (${toCurrency(investment.interest + investment.ordinaryDividends + investment.shortTermGains)} ordinary · ${toCurrency(investment.preferential)} qualified dividends & long-term gains)</p>`;
+  }
+
+  // Tax profile of the last W-2 calculation and its rate chart
+  let rateExplorerProfile = null;
+  let rateChart = null;
+
+  /**
+   * Shows the marginal vs. effective rate chart and next-dollar analysis for a W-2 return
+   * @param {object} taxProfile - Wages, ZIP, filing status, year, deductions, credits and investment income
+   */
+  function renderRateExplorer(taxProfile) {
+    rateExplorerProfile = taxProfile;
+    if (rateExplorerEl) rateExplorerEl.classList.remove('hidden');
+    createRateChart(window.calculators.calculateRateCurve(taxProfile), taxProfile.income);
+    renderNextDollar();
+  }
+
+  /**
+   * Hides the rate explorer, which only models a single W-2 return
+   */
+  function hideRateExplorer() {
+    rateExplorerProfile = null;
+    if (rateExplorerEl) rateExplorerEl.classList.add('hidden');
+    if (nextDollarResultsEl) nextDollarResultsEl.innerHTML = '';
+    if (rateChart) {
+      rateChart.destroy();
+      rateChart = null;
+    }
+  }
+
+  // The live calculator replaces the results the explorer was charting
+  window.hideRateExplorer = hideRateExplorer;
+
+  /**
+   * Renders the combined marginal rate, what a raise nets and what an extra
+   * traditional 401(k) contribution saves at the current income
+   */
+  function renderNextDollar() {
+    if (!rateExplorerProfile || !nextDollarResultsEl) return;
+
+    const rates = window.calculators.calculateMarginalRates(rateExplorerProfile);
+    const raise = parseFloat(raiseAmountInput ? raiseAmountInput.value : 0) || 0;
+    const contribution = sanitizeNumber(extra401kInput ? extra401kInput.value : 0);
+    const raiseImpact = window.calculators.calculateIncomeChange(rateExplorerProfile, raise);
+    const savings = window.calculators.calculatePreTaxContributionSavings(rateExplorerProfile, contribution);
+    const rateItem = (label, rate) => `
+          <div class="tax-item">
+            <span class="tax-label">${label}:</span>
+            <span class="tax-amount">${rate.toFixed(2)}%</span>
+          </div>`;
+
+    nextDollarResultsEl.innerHTML = `
+          ${rateItem('Federal Marginal Rate', rates.federal)}
+          ${rateItem('FICA Marginal Rate', rates.fica)}
+          ${rateItem('State Marginal Rate', rates.state)}
+          ${rateItem('Local Marginal Rate', rates.local)}
+          <div class="tax-item total-taxes">
+            <span class="tax-label"><strong>Combined Marginal Rate (${rates.effectiveRate.toFixed(2)}% effective):</strong></span>
+            <span class="tax-amount"><strong>${rates.total.toFixed(2)}%</strong></span>
+          </div>
+          <div class="tax-item">
+            <span class="tax-label">You keep of the next $100 earned:</span>
+            <span class="tax-amount">${toCurrency(rates.keptPerDollar * 100)}</span>
+          </div>
+          ${raise !== 0 ? `
+          <div class="tax-item">
+            <span class="tax-label">A ${toCurrency(raise)} raise nets (${toCurrency(raiseImpact.additionalTax)} more tax · ${raiseImpact.keptRate.toFixed(1)}% kept):</span>
+            <span class="tax-amount">${toCurrency(raiseImpact.additionalTakeHome)}</span>
+          </div>` : ''}
+          ${contribution > 0 ? `
+          <div class="tax-item">
+            <span class="tax-label">An extra ${toCurrency(contribution)} to a traditional 401(k) saves in tax (take-home drops ${toCurrency(savings.takeHomeReduction)}):</span>
+            <span class="tax-amount">${toCurrency(savings.taxSaved)}</span>
+          </div>` : ''}`;
+  }
+
+  /**
+   * Creates the effective vs. marginal rate line chart across an income range
+   * @param {Array} curve - Points with income, effectiveRate and marginalRate
+   * @param {number} currentIncome - Income to mark on the chart
+   */
+  function createRateChart(curve, currentIncome) {
+    const ctx = document.getElementById('rateChart');
+    if (!ctx || typeof Chart === 'undefined') return;
+    if (rateChart) rateChart.destroy();
+
+    const step = curve.length > 1 ? curve[1].income - curve[0].income : 0;
+    const currentIndex = curve.findIndex(point => point.income + step / 2 >= currentIncome);
+
+    rateChart = new Chart(ctx, {
+      type: 'line',
+      data: {
+        labels: curve.map(point => toCurrency(point.income)),
+        datasets: [
+          {
+            label: 'Marginal Rate',
+            data: curve.map(point => point.marginalRate),
+            borderColor: 'rgba(245, 101, 101, 0.8)',
+            backgroundColor: 'rgba(245, 101, 101, 0.2)',
+            borderWidth: 2,
+            stepped: true,
+            pointRadius: curve.map((point, index) => index === currentIndex ? 6 : 0),
+            fill: false
+          },
+          {
+            label: 'Effective Rate',
+            data: curve.map(point => point.effectiveRate),
+            borderColor: 'rgba(99, 102, 241, 0.8)',
+            backgroundColor: 'rgba(99, 102, 241, 0.2)',
+            borderWidth: 3,
+            tension: 0.4,
+            pointRadius: curve.map((point, index) => index === currentIndex ? 6 : 0),
+            fill: false
+          }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: {
+            labels: {
+              color: '#ffffff',
+              usePointStyle: true
+            }
+          },
+          tooltip: {
+            backgroundColor: 'rgba(0, 0, 0, 0.8)',
+            titleColor: '#ffffff',
+            bodyColor: '#ffffff',
+            callbacks: {
+              label: function(context) {
+                return `${context.dataset.label}: ${context.parsed.y.toFixed(2)}%`;
+              }
+            }
+          }
+        },
+        scales: {
+          x: {
+            title: {
+              display: true,
+              text: 'Annual Wages',
+              color: '#ffffff'
+            },
+            ticks: {
+              color: '#ffffff',
+              maxTicksLimit: 8
+            },
+            grid: {
+              color: 'rgba(255, 255, 255, 0.1)'
+            }
+          },
+          y: {
+            title: {
+              display: true,
+              text: 'Tax Rate (%)',
+              color: '#ffffff'
+            },
+            ticks: {
+              color: '#ffffff',
+              callback: function(value) {
+                return value + '%';
+              }
+            },
+            grid: {
+              color: 'rgba(255, 255, 255, 0.1)'
+            }
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Adds an additional household earner to the income form
+   * @param {object} earner - Saved earner fields to fill in, if any
+   */
+  function addEarnerInput(earner = {}) {
+    const earnerItem = document.createElement('div');
+    earnerItem.className = 'earner-item grid grid-cols-1 md:grid-cols-3 gap-3';
+    earnerItem.innerHTML = `
+      <input type="text" placeholder="Name (e.g., Spouse)" data-field="name" aria-label="Earner name">
+      <input type="number" placeholder="Pay amount" data-field="payAmount" step="0.01" min="0" aria-label="Earner pay amount">
+      <select data-field="payFrequency" aria-label="Earner pay frequency">
+        <option value="year">Per Year</option>
+        <option value="month">Per Month</option>
+        <option value="week">Per Week</option>
+        <option value="day">Per Day</option>
+        <option value="hour">Per Hour</option>
+      </select>
+      <input type="text" placeholder="ZIP code" data-field="zipcode" pattern="[0-9]{5}(-[0-9]{4})?" aria-label="Earner ZIP code">
+      <input type="number" placeholder="Health insurance / month" data-field="healthInsurance" step="0.01" min="0" aria-label="Earner health insurance">
+      <input type="number" placeholder="Other deductions / month" data-field="otherDeductions" step="0.01" min="0" aria-label="Earner other deductions">
+      <input type="number" placeholder="401(k) / month" data-field="retirement401k" step="0.01" min="0" aria-label="Earner 401(k) contribution">
+      <select data-field="retirement401kType" aria-label="Earner 401(k) contribution type">
+        <option value="traditional-401k">Traditional (pre-tax)</option>
+        <option value="roth-401k">Roth (after-tax)</option>
+      </select>
+      <select data-field="otherDeductionsType" aria-label="Earner other deductions tax treatment">
+        <option value="pre-tax-other">Pre-tax (FSA, commuter)</option>
+        <option value="post-tax">Post-tax</option>
+      </select>
+      <button type="button" class="btn-secondary remove-earner-btn">Remove Earner</button>
+    `;
+
+    earnerItem.querySelectorAll('[data-field]').forEach(input => {
+      if (earner[input.dataset.field] !== undefined && earner[input.dataset.field] !== '') {
+        input.value = earner[input.dataset.field];
+      }
+    });
+    earnerItem.querySelector('.remove-earner-btn').addEventListener('click', () => earnerItem.remove());
+
+    if (earnerListEl) earnerListEl.appendChild(earnerItem);
+  }
+
+  /**
+   * Collects additional household earners from the income form
+   * @returns {Array} Earner form fields, one object per earner
+   */
+  function collectEarnerData() {
+    if (!earnerListEl) return [];
+
+    return [...earnerListEl.querySelectorAll('.earner-item')].map(item => {
+      const earner = {};
+      item.querySelectorAll('[data-field]').forEach(input => {
+        const field = input.dataset.field;
+        earner[field] = ['name', 'zipcode', 'payFrequency', 'retirement401kType', 'otherDeductionsType'].includes(field)
+          ? input.value.trim()
+          : sanitizeNumber(input.value);
+      });
+      return earner;
+    });
+  }
+
+  /**
+   * Renders per-check pay stubs with year-to-date totals
+   * @param {object} simulation - Result of window.calculators.simulatePaychecks
+   * @returns {string} HTML for the paycheck table
+   */
+  function renderPaycheckStubs(simulation) {
+    const toCents = (value) => value.toLocaleString(undefined, { style: 'currency', currency: 'USD' });
+    const capStub = simulation.stubs.find(stub => stub.socialSecurityCapped);
+
+    const rows = simulation.stubs.map(stub => `
+      <tr class="border-t${stub === capStub ? ' font-semibold' : ''}">
+        <td class="py-1 pr-2">${stub.number}</td>
+        <td class="py-1 pr-2">${stub.payDate}</td>
+        <td class="py-1 pr-2 text-right">${toCents(stub.gross)}</td>
+        <td class="py-1 pr-2 text-right">${toCents(stub.preTaxDeductions + stub.postTaxDeductions)}</td>
+        <td class="py-1 pr-2 text-right">${toCents(stub.federalTax)}</td>
+        <td class="py-1 pr-2 text-right">${toCents(stub.socialSecurityTax)}</td>
+        <td class="py-1 pr-2 text-right">${toCents(stub.medicareTax)}</td>
+        <td class="py-1 pr-2 text-right">${toCents(stub.stateTax + stub.localTax)}</td>
+        <td class="py-1 pr-2 text-right">${toCents(stub.netPay)}</td>
+        <td class="py-1 pr-2 text-right">${toCents(stub.ytd.gross)}</td>
+        <td class="py-1 pr-2 text-right">${toCents(stub.ytd.socialSecurityTax)}</td>
+        <td class="py-1 text-right">${toCents(stub.ytd.netPay)}</td>
+      </tr>
+    `).join('');
+
+    return `
+      <div class="paycheck-simulator">
+        <h3>${simulation.label} Paychecks (${simulation.taxYear})</h3>
+        <p class="text-sm text-gray-500">
+          ${capStub
+            ? `Social Security withholding stops after check #${capStub.number} (${capStub.payDate}), when YTD wages reach the ${toCurrency(simulation.socialSecurityWageBase)} wage base.`
+            : `YTD wages stay under the ${toCurrency(simulation.socialSecurityWageBase)} Social Security wage base.`}
+        </p>
+        <div class="overflow-x-auto max-h-96 overflow-y-auto">
+          <table class="w-full text-sm">
+            <thead>
+              <tr class="text-left">
+                <th class="py-1 pr-2">#</th>
+                <th class="py-1 pr-2">Pay Date</th>
+                <th class="py-1 pr-2 text-right">Gross</th>
+                <th class="py-1 pr-2 text-right">Deductions</th>
+                <th class="py-1 pr-2 text-right">Federal</th>
+                <th class="py-1 pr-2 text-right">Soc. Sec.</th>
+                <th class="py-1 pr-2 text-right">Medicare</th>
+                <th class="py-1 pr-2 text-right">State/Local</th>
+                <th class="py-1 pr-2 text-right">Net Pay</th>
+                <th class="py-1 pr-2 text-right">YTD Gross</th>
+                <th class="py-1 pr-2 text-right">YTD Soc. Sec.</th>
+                <th class="py-1 text-right">YTD Net</th>
+              </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>
+      </div>
+    `;
+  }
+
+  // ============================================================================
+  // BUDGET CALCULATION FUNCTIONS
+  // ============================================================================
+  
+  /**
+   * Totals expenses by top-level category and by needs/wants/savings classification.
+   * Subcategories roll up into their parent but keep their own classification.
+   * @param {object} expenses - Object containing expense categories and amounts
+   * @param {Array} categories - Budget categories
+   * @returns {object} categoryTotals keyed by top-level category, and classificationTotals
+   */
+  function summarizeExpensesByCategory(expenses, categories = getBudgetCategories()) {
+    const categoriesByKey = new Map(categories.map(category => [category.key, category]));
+    const sinkingFundsByKey = new Map((FinancialDataStore.budget.sinkingFunds || []).map(fund => [fund.key, fund]));
+    const categoryTotals = {};
+    const classificationTotals = { needs: 0, wants: 0, savings: 0 };
+
+    Object.entries(expenses).forEach(([key, amount]) => {
+      const category = categoriesByKey.get(key);
+      const topLevelKey = category && category.parent ? category.parent : key;
+      categoryTotals[topLevelKey] = (categoryTotals[topLevelKey] || 0) + amount;
+      // Sinking funds carry their own type; recurring obligations such as estimated taxes count as needs
+      const fund = sinkingFundsByKey.get(key);
+      classificationTotals[category ? category.classification : fund ? fund.classification : 'needs'] += amount;
+    });
+
+    return { categoryTotals, classificationTotals };
+  }
+
+  /**
+   * Analyzes budget by calculating totals, remaining income, and percentages
+   * @param {number} income - Monthly income
+   * @param {object} expenses - Object containing expense categories and amounts
+   * @returns {object} Budget analysis including totals and percentages
+   */
+  function calculateBudgetAnalysis(income, expenses) {
+    const totalExpenses = Object.values(expenses).reduce((sum, amount) => sum + amount, 0);
+    const remainingIncome = income - totalExpenses;
+    const { categoryTotals, classificationTotals } = summarizeExpensesByCategory(expenses);
+    // Amounts budgeted to savings categories are saved, not spent
+    const savingsRate = ((remainingIncome + classificationTotals.savings) / income) * 100;
+    const sinkingFundKeys = new Set((FinancialDataStore.budget.sinkingFunds || []).map(fund => fund.key));
+    const sinkingFundTotal = Object.entries(expenses)
+      .filter(([key]) => sinkingFundKeys.has(key))
+      .reduce((sum, [, amount]) => sum + amount, 0);
+
+    // Calculate expense percentages for each category
+    const expensePercentages = {};
+    Object.keys(expenses).forEach(key => {
+      if (expenses[key] > 0) {
+        expensePercentages[key] = (expenses[key] / income) * 100;
+      }
+    });
+
+    return {
+      totalExpenses,
+      remainingIncome,
+      savingsRate,
+      expensePercentages,
+      categoryTotals,
+      classificationTotals,
+      sinkingFundTotal
+    };
+  }
+
+  /**
+   * Generates personalized savings and investment recommendations based on budget analysis
+   * @param {object} analysis - Budget analysis object containing remaining income and savings rate
+   * @returns {array} Array of recommendation objects with amounts and descriptions
+   */
+  function generateSavingsRecommendations(analysis) {
+    const { remainingIncome, savingsRate, totalExpenses } = analysis;
+    const recommendations = [];
+
+    // Emergency Fund - Priority 1: Build 3-6 months of expenses
+    if (remainingIncome > 0) {
+      const emergencyFundAmount = Math.min(remainingIncome * 0.3, 500);
+      recommendations.push({
+        type: 'emergency',
+        title: 'Emergency Fund',
+        icon: '🛡️',
+        amount: emergencyFundAmount,
+        description: 'Build 3-6 months of expenses in a high-yield savings account for unexpected situations.',
+        priority: 'high'
+      });
+    }
+
+    // 401k/Retirement - Priority 2: Long-term wealth building
+    if (remainingIncome > 200) {
+      const retirementAmount = Math.min(remainingIncome * 0.4, 1000);
+      recommendations.push({
+        type: 'retirement',
+        title: '401k/Retirement',
+        icon: '🏦',
+        amount: retirementAmount,
+        description: 'Contribute to your 401k (especially if employer matches) or open an IRA for long-term wealth building.',
+        priority: 'high'
+      });
+    }
+
+    // Investment Portfolio - Priority 3: Diversified growth investments
+    if (remainingIncome > 300) {
       const investmentAmount = Math.min(remainingIncome * 0.3, 800);
       recommendations.push({
         type: 'investment',
@@ -971,11 +1776,12 @@
    */
   function generateExpenseRecommendations(expenses, income) {
     const recommendations = [];
-    const totalExpenses = Object.values(expenses).reduce((sum, amount) => sum + amount, 0);
+    const { categoryTotals, classificationTotals } = summarizeExpensesByCategory(expenses);
+    const totalExpenses = classificationTotals.needs + classificationTotals.wants;
 
     // Housing cost analysis (should be 25-30% of income)
-    if (expenses.rentMortgage > 0) {
-      const housingPercent = (expenses.rentMortgage / income) * 100;
+    if (categoryTotals.rentMortgage > 0) {
+      const housingPercent = (categoryTotals.rentMortgage / income) * 100;
       if (housingPercent > 35) {
         recommendations.push({
           type: 'warning',
@@ -985,8 +1791,8 @@
     }
 
     // Debt payment analysis (should be under 20% of income)
-    if (expenses.debtPayments > 0) {
-      const debtPercent = (expenses.debtPayments / income) * 100;
+    if (categoryTotals.debtPayments > 0) {
+      const debtPercent = (categoryTotals.debtPayments / income) * 100;
       if (debtPercent > 20) {
         recommendations.push({
           type: 'warning',
@@ -1013,60 +1819,306 @@
   }
 
   /**
-   * Renders the budget analysis results with recommendations
-   * @param {object} analysis - Budget analysis object
-   * @param {array} recommendations - Savings and investment recommendations
-   * @param {array} expenseRecommendations - Expense analysis recommendations
+   * Zero-based budgeting: every dollar of income is assigned to an expense or to savings
+   * @param {number} income - Monthly income
+   * @param {object} expenses - Object containing expense categories and amounts
+   * @param {number} savingsAllocation - Monthly amount assigned to savings and extra debt payments
+   * @returns {object} Assigned and unassigned totals
    */
-  function renderBudgetResults(analysis, recommendations, expenseRecommendations) {
-    const { totalExpenses, remainingIncome, savingsRate } = analysis;
-    
-    let content = `
-      <div class="budget-summary">
-        <h3>Budget Summary</h3>
-        <div class="summary-grid">
-          <div class="summary-item">
-            <span>Total Monthly Income:</span>
-            <span>${toCurrency(analysis.income)}</span>
-          </div>
-          <div class="summary-item">
-            <span>Total Monthly Expenses:</span>
-            <span>${toCurrency(totalExpenses)}</span>
-          </div>
-          <div class="summary-item">
-            <span>Remaining Income:</span>
-            <span>${toCurrency(remainingIncome)}</span>
-          </div>
-          <div class="summary-item">
-            <span>Savings Rate:</span>
-            <span>${savingsRate.toFixed(1)}%</span>
-          </div>
-        </div>
-      </div>
-    `;
+  function analyzeZeroBasedBudget(income, expenses, savingsAllocation) {
+    const totalExpenses = Object.values(expenses).reduce((sum, amount) => sum + amount, 0);
+    const assigned = totalExpenses + savingsAllocation;
+    const unassigned = income - assigned;
 
-    // Add expense recommendations
-    if (expenseRecommendations.length > 0) {
-      content += '<div class="expense-recommendations">';
-      expenseRecommendations.forEach(rec => {
-        content += `<div class="alert ${rec.type}">${rec.message}</div>`;
-      });
-      content += '</div>';
-    }
+    return {
+      method: 'zero-based',
+      totalExpenses,
+      savingsAllocation,
+      assigned,
+      unassigned,
+      // Cents of rounding shouldn't keep a budget from counting as balanced
+      balanced: Math.abs(unassigned) < 1
+    };
+  }
 
-    // Add savings recommendations
-    if (recommendations.length > 0) {
-      content += `
-        <div class="recommendations">
-          <h3>Savings & Investment Recommendations</h3>
-      `;
-      
-      recommendations.forEach(rec => {
-        content += `
-          <div class="recommendation-card">
-            <h4>
-              <span class="icon">${rec.icon}</span>
-              ${rec.title}
+  /**
+   * Envelope budgeting: each category is funded monthly and keeps last month's unspent
+   * (or overspent) balance. Once this month is closed, the rows show next month, and
+   * recloseAvailable redoes this month's close from the balances it started with.
+   * @param {object} expenses - Object containing expense categories and this month's funding
+   * @param {object} envelopes - Balances carried out of the last closed month, by category key
+   * @param {object|null} carriedBeforeClose - This month's opening balances, when it's already closed
+   * @returns {object} Envelope rows and totals
+   */
+  function analyzeEnvelopeBudget(expenses, envelopes, carriedBeforeClose = null) {
+    const keys = [...new Set([...Object.keys(expenses), ...Object.keys(envelopes), ...Object.keys(carriedBeforeClose || {})])];
+    const rows = keys
+      .map(key => {
+        const carriedIn = envelopes[key] || 0;
+        const funded = expenses[key] || 0;
+        const recloseAvailable = (carriedBeforeClose ? carriedBeforeClose[key] || 0 : carriedIn) + funded;
+        return { key, label: getExpenseLabel(key), carriedIn, funded, available: carriedIn + funded, recloseAvailable };
+      })
+      .filter(row => row.funded > 0 || row.carriedIn !== 0 || row.recloseAvailable !== 0);
+
+    return {
+      method: 'envelope',
+      rows,
+      totalCarriedIn: rows.reduce((sum, row) => sum + row.carriedIn, 0),
+      totalFunded: rows.reduce((sum, row) => sum + row.funded, 0),
+      totalAvailable: rows.reduce((sum, row) => sum + row.available, 0),
+      lastClosedMonth: FinancialDataStore.budget.envelopeMonth,
+      month: carriedBeforeClose ? getNextMonthKey(getCurrentMonthKey()) : getCurrentMonthKey()
+    };
+  }
+
+  /**
+   * Pay-yourself-first budgeting: savings come off the top and expenses must fit in the rest
+   * @param {number} income - Monthly income
+   * @param {object} expenses - Object containing expense categories and amounts
+   * @param {number} targetPercent - Share of income to save before spending
+   * @returns {object} Savings target, spendable income and surplus or shortfall
+   */
+  function analyzePayYourselfFirstBudget(income, expenses, targetPercent) {
+    const totalExpenses = Object.values(expenses).reduce((sum, amount) => sum + amount, 0);
+    const savingsTarget = income * (targetPercent / 100);
+    const spendable = income - savingsTarget;
+    const discretionaryTotal = summarizeExpensesByCategory(expenses).classificationTotals.wants;
+
+    return {
+      method: 'pay-yourself-first',
+      targetPercent,
+      savingsTarget,
+      spendable,
+      totalExpenses,
+      discretionaryTotal,
+      surplus: spendable - totalExpenses,
+      // Highest savings rate the current expenses allow
+      achievablePercent: income > 0 ? Math.max(0, ((income - totalExpenses) / income) * 100) : 0
+    };
+  }
+
+  /**
+   * Generates recommendations specific to the selected budgeting method
+   * @param {object} methodAnalysis - Result of one of the method analyzers
+   * @param {object} expenses - Object containing expense categories and amounts
+   * @returns {array} Array of recommendation objects with warnings or success messages
+   */
+  function generateBudgetMethodRecommendations(methodAnalysis, expenses) {
+    const recommendations = [];
+    const largestDiscretionary = getBudgetCategories()
+      .filter(category => category.classification === 'wants' && expenses[category.key] > 0)
+      .sort((a, b) => expenses[b.key] - expenses[a.key])[0];
+
+    if (methodAnalysis.method === 'zero-based') {
+      const { unassigned, balanced } = methodAnalysis;
+      if (balanced) {
+        recommendations.push({ type: 'success', message: 'Every dollar has a job. Your zero-based budget is balanced.' });
+      } else if (unassigned > 0) {
+        recommendations.push({
+          type: 'info',
+          message: `${toCurrency(unassigned)} is still unassigned. Give it a job, such as savings, extra debt payments or a category you tend to overspend.`
+        });
+      } else {
+        recommendations.push({
+          type: 'warning',
+          message: `You've assigned ${toCurrency(-unassigned)} more than you earn.${largestDiscretionary ? ` Start by trimming ${getExpenseLabel(largestDiscretionary.key)} (${toCurrency(expenses[largestDiscretionary.key])}).` : ''}`
+        });
+      }
+    }
+
+    if (methodAnalysis.method === 'envelope') {
+      const overdrawn = methodAnalysis.rows.filter(row => row.available < 0);
+      overdrawn.forEach(row => {
+        recommendations.push({
+          type: 'warning',
+          message: `The ${row.label} envelope is still ${toCurrency(-row.available)} short after this month's funding. Move money in from another envelope.`
+        });
+      });
+      if (methodAnalysis.totalCarriedIn > 0) {
+        recommendations.push({
+          type: 'success',
+          message: `${toCurrency(methodAnalysis.totalCarriedIn)} carried over from unspent envelopes.`
+        });
+      }
+      if (!methodAnalysis.lastClosedMonth) {
+        recommendations.push({
+          type: 'info',
+          message: 'At month end, enter what you spent from each envelope and close the month to carry the balances forward.'
+        });
+      }
+    }
+
+    if (methodAnalysis.method === 'pay-yourself-first') {
+      const { surplus, savingsTarget, targetPercent, achievablePercent, discretionaryTotal } = methodAnalysis;
+      if (surplus < 0) {
+        recommendations.push({
+          type: 'warning',
+          message: `Expenses exceed what's left after saving ${targetPercent}% by ${toCurrency(-surplus)}. ${discretionaryTotal >= -surplus
+            ? `Cutting discretionary spending (${toCurrency(discretionaryTotal)}) would close the gap.`
+            : `Your current expenses support saving ${achievablePercent.toFixed(1)}% of income.`}`
+        });
+      } else {
+        recommendations.push({
+          type: 'success',
+          message: `Move ${toCurrency(savingsTarget)} to savings on payday.${surplus > 0 ? ` The remaining ${toCurrency(surplus)} is yours to spend guilt-free.` : ''}`
+        });
+      }
+    }
+
+    return recommendations;
+  }
+
+  /**
+   * Compares actual spending to the plan for one month of budget history
+   * @param {object} entry - History entry with planned and actual amounts by category key
+   * @returns {object} Category rows sorted by overspending, with month totals
+   */
+  function calculateBudgetVariance(entry) {
+    const actual = entry.actual || {};
+    const categoriesByKey = new Map(getBudgetCategories().map(category => [category.key, category]));
+    const keys = [...new Set([...Object.keys(entry.planned), ...Object.keys(actual)])];
+
+    const rows = keys
+      .map(key => {
+        const planned = entry.planned[key] || 0;
+        const spent = actual[key] || 0;
+        const variance = spent - planned;
+        const category = categoriesByKey.get(key);
+        const label = getExpenseLabel(key);
+        return {
+          key,
+          label: label === key && entry.labels ? entry.labels[key] || key : label,
+          classification: category ? category.classification : 'needs',
+          planned,
+          actual: spent,
+          variance,
+          // Within a dollar counts as on budget
+          status: Math.abs(variance) < 1 ? 'on-budget' : variance > 0 ? 'over' : 'under'
+        };
+      })
+      .filter(row => row.planned > 0 || row.actual > 0)
+      .sort((a, b) => b.variance - a.variance);
+
+    const plannedTotal = rows.reduce((sum, row) => sum + row.planned, 0);
+    const actualTotal = rows.reduce((sum, row) => sum + row.actual, 0);
+
+    return {
+      month: entry.month,
+      income: entry.income,
+      rows,
+      plannedTotal,
+      actualTotal,
+      variance: actualTotal - plannedTotal,
+      hasActuals: Object.keys(actual).length > 0
+    };
+  }
+
+  /**
+   * Summarizes budget history across months: planned vs. actual totals, whether overspending
+   * is shrinking, and categories that run over month after month
+   * @param {object} history - Budget history keyed by YYYY-MM
+   * @returns {object} Months oldest first, repeat overruns and the latest direction
+   */
+  function calculateBudgetTrend(history) {
+    const months = Object.values(history)
+      .sort((a, b) => a.month.localeCompare(b.month))
+      .map(calculateBudgetVariance);
+    const tracked = months.filter(month => month.hasActuals);
+
+    // Going over on a savings category means more was saved, so it isn't an overrun
+    const overruns = {};
+    tracked.forEach(month => {
+      month.rows
+        .filter(row => row.status === 'over' && row.classification !== 'savings')
+        .forEach(row => {
+          overruns[row.key] = overruns[row.key] || { key: row.key, label: row.label, months: 0, total: 0 };
+          overruns[row.key].months += 1;
+          overruns[row.key].total += row.variance;
+        });
+    });
+
+    let direction = null;
+    if (tracked.length >= 2) {
+      const [previous, latest] = tracked.slice(-2);
+      direction = latest.variance < previous.variance - 1 ? 'improving'
+        : latest.variance > previous.variance + 1 ? 'worsening' : 'steady';
+    }
+
+    return {
+      months,
+      trackedMonths: tracked.length,
+      repeatOverruns: Object.values(overruns)
+        .filter(overrun => overrun.months >= 2)
+        .sort((a, b) => b.months - a.months || b.total - a.total),
+      direction
+    };
+  }
+
+  /**
+   * Renders the budget analysis results with recommendations
+   * @param {object} analysis - Budget analysis object
+   * @param {array} recommendations - Savings and investment recommendations
+   * @param {array} expenseRecommendations - Expense analysis recommendations
+   * @param {object|null} methodAnalysis - Analysis for the selected budgeting method, if not the guideline
+   */
+  function renderBudgetResults(analysis, recommendations, expenseRecommendations, methodAnalysis = null) {
+    const { totalExpenses, remainingIncome, savingsRate, classificationTotals } = analysis;
+    
+    let content = `
+      <div class="budget-summary">
+        <h3>Budget Summary</h3>
+        <div class="summary-grid">
+          <div class="summary-item">
+            <span>Total Monthly Income:</span>
+            <span>${toCurrency(analysis.income)}</span>
+          </div>
+          <div class="summary-item">
+            <span>Total Monthly Expenses:</span>
+            <span>${toCurrency(totalExpenses)}</span>
+          </div>
+          <div class="summary-item">
+            <span>Remaining Income:</span>
+            <span>${toCurrency(remainingIncome)}</span>
+          </div>
+          <div class="summary-item">
+            <span>Savings Rate:</span>
+            <span>${savingsRate.toFixed(1)}%</span>
+          </div>
+          <div class="summary-item">
+            <span>Needs / Wants / Savings:</span>
+            <span>${toCurrency(classificationTotals.needs)} / ${toCurrency(classificationTotals.wants)} / ${toCurrency(classificationTotals.savings)}</span>
+          </div>
+        </div>
+      </div>
+    `;
+
+    if (methodAnalysis) {
+      content += renderBudgetMethodSection(methodAnalysis);
+    }
+
+    // Add expense recommendations
+    if (expenseRecommendations.length > 0) {
+      content += '<div class="expense-recommendations">';
+      expenseRecommendations.forEach(rec => {
+        content += `<div class="alert ${rec.type}">${rec.message}</div>`;
+      });
+      content += '</div>';
+    }
+
+    // Add savings recommendations
+    if (recommendations.length > 0) {
+      content += `
+        <div class="recommendations">
+          <h3>Savings & Investment Recommendations</h3>
+      `;
+      
+      recommendations.forEach(rec => {
+        content += `
+          <div class="recommendation-card">
+            <h4>
+              <span class="icon">${rec.icon}</span>
+              ${rec.title}
             </h4>
             <p class="amount">Recommended: ${toCurrency(rec.amount)}/month</p>
             <p>${rec.description}</p>
@@ -1085,6 +2137,93 @@
     }
 
   if (budgetResultsEl) budgetResultsEl.innerHTML = content;
+
+    const closeMonthBtn = document.getElementById('close-envelope-month-btn');
+    if (closeMonthBtn) closeMonthBtn.addEventListener('click', onCloseEnvelopeMonth);
+  }
+
+  /**
+   * Builds the results section for the selected budgeting method
+   * @param {object} methodAnalysis - Result of one of the method analyzers
+   * @returns {string} HTML for the method section
+   */
+  function renderBudgetMethodSection(methodAnalysis) {
+    if (methodAnalysis.method === 'zero-based') {
+      return `
+        <div class="budget-summary">
+          <h3>Zero-Based Budget</h3>
+          <div class="summary-grid">
+            <div class="summary-item"><span>Assigned to Expenses:</span><span>${toCurrency(methodAnalysis.totalExpenses)}</span></div>
+            <div class="summary-item"><span>Assigned to Savings &amp; Debt:</span><span>${toCurrency(methodAnalysis.savingsAllocation)}</span></div>
+            <div class="summary-item"><span>Left to Assign:</span><span>${toCurrency(methodAnalysis.unassigned)}</span></div>
+          </div>
+        </div>`;
+    }
+
+    if (methodAnalysis.method === 'pay-yourself-first') {
+      return `
+        <div class="budget-summary">
+          <h3>Pay Yourself First</h3>
+          <div class="summary-grid">
+            <div class="summary-item"><span>Savings Off the Top (${methodAnalysis.targetPercent}%):</span><span>${toCurrency(methodAnalysis.savingsTarget)}</span></div>
+            <div class="summary-item"><span>Left to Spend:</span><span>${toCurrency(methodAnalysis.spendable)}</span></div>
+            <div class="summary-item"><span>Planned Expenses:</span><span>${toCurrency(methodAnalysis.totalExpenses)}</span></div>
+            <div class="summary-item"><span>${methodAnalysis.surplus >= 0 ? 'Guilt-Free Spending:' : 'Shortfall:'}</span><span>${toCurrency(Math.abs(methodAnalysis.surplus))}</span></div>
+          </div>
+        </div>`;
+    }
+
+    const rows = methodAnalysis.rows.map(row => `
+      <tr>
+        <td>${row.label}</td>
+        <td>${toCurrency(row.carriedIn)}</td>
+        <td>${toCurrency(row.funded)}</td>
+        <td>${toCurrency(row.available)}</td>
+        <td><input type="number" class="envelope-spent" data-key="${row.key}" data-reclose-available="${row.recloseAvailable}" min="0" step="0.01" placeholder="0"></td>
+      </tr>`).join('');
+
+    return `
+      <div class="budget-summary">
+        <h3>Envelopes · ${formatMonthLabel(methodAnalysis.month)}</h3>
+        <table class="w-full text-sm">
+          <thead>
+            <tr><th>Envelope</th><th>Carried In</th><th>Funded</th><th>Available</th><th>Spent</th></tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+        <p class="text-sm text-gray-500 mt-2">${methodAnalysis.lastClosedMonth
+          ? `Balances carried from ${formatMonthLabel(methodAnalysis.lastClosedMonth)}.`
+          : 'No month closed yet; every envelope starts at its funding.'}${methodAnalysis.month !== getCurrentMonthKey()
+          ? ` Closing ${formatMonthLabel(getCurrentMonthKey())} again redoes it from the balances it started with.`
+          : ''}</p>
+        <button type="button" id="close-envelope-month-btn" class="btn-secondary mt-2">Close Month</button>
+      </div>`;
+  }
+
+  /**
+   * Closes the envelope month: what wasn't spent from each envelope carries into next month
+   */
+  function onCloseEnvelopeMonth() {
+    const month = getCurrentMonthKey();
+    const reclosing = FinancialDataStore.budget.envelopeMonth === month;
+    if (reclosing && !confirm(`${month} has already been closed. Close it again with these amounts?`)) {
+      return;
+    }
+
+    // A re-close starts over from the balances the month opened with, not the ones it closed with
+    const envelopes = {};
+    document.querySelectorAll('.envelope-spent').forEach(input => {
+      const balance = Number(input.dataset.recloseAvailable) - sanitizeNumber(input.value);
+      if (Math.abs(balance) >= 0.01) envelopes[input.dataset.key] = Number(balance.toFixed(2));
+    });
+
+    if (!reclosing) FinancialDataStore.budget.envelopesCarriedIn = FinancialDataStore.budget.envelopes || {};
+    FinancialDataStore.budget.envelopes = envelopes;
+    FinancialDataStore.budget.envelopeMonth = month;
+    saveFinancialData();
+    showNotification(`Closed ${month}. Envelope balances carry into next month.`, 'success');
+
+    if (budgetForm) budgetForm.requestSubmit();
   }
 
   /**
@@ -1119,10 +2258,10 @@
    * @returns {{amount: number, percent: number}} Expense amount and its percentage of income
    */
   function updateExpenseVisual(config, income) {
-    const amountEl = config.amountEl;
-    if (!amountEl) return { amount: 0, percent: 0 };
-
-    const amount = sanitizeNumber(amountEl.value);
+    // A category with subcategories shows their combined share
+    const amount = config.children
+      ? config.children.reduce((sum, child) => sum + updateExpenseVisual(child, income).amount, 0)
+      : sanitizeNumber(config.amountEl.value);
     const percent = income > 0 ? (amount / income) * 100 : 0;
     const sliderPercent = Math.max(0, Math.min(percent, 100));
 
@@ -1153,6 +2292,7 @@
       const result = updateExpenseVisual(config, income);
       totalExpenses += result.amount;
     });
+    totalExpenses += getRecurringExpenseTotal() + getSinkingFundTotal();
 
     if (summaryRemainingEl) {
       const remaining = income - totalExpenses;
@@ -1162,147 +2302,2584 @@
   }
 
   /**
-   * Applies calculated monthly net income to the budget planner display
-   * @param {number} netMonthlyIncome - Monthly take-home pay to inject
+   * Returns the saved budget categories, seeding them with the built-in set
+   * @returns {Array<{key: string, label: string, classification: string, parent: string|null, hidden: boolean}>} Categories in display order
    */
-  function applyMonthlyIncomeAutoFill(netMonthlyIncome) {
-    if (!monthlyIncomeInput) return;
+  function getBudgetCategories() {
+    if (!Array.isArray(FinancialDataStore.budget.categories) || FinancialDataStore.budget.categories.length === 0) {
+      FinancialDataStore.budget.categories = DEFAULT_BUDGET_CATEGORIES.map(category => ({ ...category }));
+    }
+    return FinancialDataStore.budget.categories;
+  }
 
-    const normalized = Math.max(0, Number(netMonthlyIncome) || 0);
-    monthlyIncomeInput.value = normalized.toFixed(2);
+  /**
+   * Returns the categories shown in the budget form; hiding a category hides its subcategories
+   * @returns {Array} Visible categories
+   */
+  function getVisibleCategories() {
+    const categories = getBudgetCategories();
+    const hiddenKeys = new Set(categories.filter(category => category.hidden).map(category => category.key));
+    return categories.filter(category => !hiddenKeys.has(category.key) && !hiddenKeys.has(category.parent));
+  }
 
-    if (monthlyIncomeDisplay) {
-      monthlyIncomeDisplay.textContent = toCurrency(normalized);
+  /**
+   * Flattens the expense field config to the categories that take an amount
+   * @returns {Array} Field configs with an amount input
+   */
+  function getExpenseLeafConfigs() {
+    return expenseFieldConfig.flatMap(config => config.children || [config]);
+  }
+
+  /**
+   * Builds the markup for one expense field
+   * @param {object} category - Category to render
+   * @param {boolean} isGroup - Whether the category holds subcategories instead of an amount
+   * @returns {object} Field config with its elements
+   */
+  function createExpenseField(category, isGroup) {
+    const domId = `${category.key.replace(/([A-Z])/g, '-$1').toLowerCase()}`;
+    const field = document.createElement('div');
+    field.className = 'field expense-field';
+    field.innerHTML = `
+      <label></label>
+      ${isGroup ? '' : `<input id="${domId}-amount" class="expense-input" type="number" inputmode="decimal" step="0.01" min="0">`}
+      ${isGroup ? '' : '<p class="expense-bill-note text-xs text-gray-500 hidden"></p>'}
+      <div class="expense-visual">
+        <input id="${domId}-slider" class="expense-slider" type="range" min="0" max="100" step="1" value="0" disabled>
+        <div class="slider-meta">
+          <span>${isGroup ? 'Subcategories\' share of income' : 'Share of income'}</span>
+          <span id="${domId}-display" class="slider-value">0% · $0</span>
+        </div>
+      </div>
+      ${isGroup ? '<div class="subcategory-list ml-4 mt-2 space-y-3"></div>' : ''}
+    `;
+
+    const labelEl = field.querySelector('label');
+    labelEl.textContent = category.label;
+    const amountEl = field.querySelector('.expense-input');
+    if (amountEl) {
+      labelEl.htmlFor = amountEl.id;
+      amountEl.name = category.key;
+      amountEl.placeholder = category.placeholder || '0.00';
+    }
+
+    return {
+      key: category.key,
+      label: category.label,
+      classification: category.classification,
+      fieldEl: field,
+      amountEl,
+      sliderEl: field.querySelector('.expense-slider'),
+      displayEl: field.querySelector('.slider-value'),
+      billNoteEl: field.querySelector('.expense-bill-note')
+    };
+  }
+
+  /**
+   * Renders the expense fields and the distribution overview from the saved categories,
+   * keeping any amounts already typed in
+   */
+  function renderExpenseFields() {
+    const typedAmounts = getExpenseLeafConfigs().reduce((acc, config) => {
+      if (config.amountEl.value !== '') acc[config.key] = config.amountEl.value;
+      return acc;
+    }, {});
+    const savedExpenses = FinancialDataStore.budget.expenses || {};
+    const categories = getVisibleCategories();
+
+    Object.values(expenseSectionEls).forEach(({ gridEl }) => {
+      if (gridEl) gridEl.innerHTML = '';
+    });
+
+    expenseFieldConfig = categories.filter(category => !category.parent).map(category => {
+      const subcategories = categories.filter(child => child.parent === category.key);
+      const config = createExpenseField(category, subcategories.length > 0);
+      if (subcategories.length > 0) {
+        const listEl = config.fieldEl.querySelector('.subcategory-list');
+        config.children = subcategories.map(child => {
+          const childConfig = createExpenseField(child, false);
+          listEl.appendChild(childConfig.fieldEl);
+          return childConfig;
+        });
+      }
+
+      const { gridEl } = expenseSectionEls[category.classification] || expenseSectionEls.needs;
+      if (gridEl) gridEl.appendChild(config.fieldEl);
+      return config;
+    });
+
+    getExpenseLeafConfigs().forEach(config => {
+      const amount = typedAmounts[config.key] !== undefined ? typedAmounts[config.key] : savedExpenses[config.key];
+      if (amount !== undefined && amount !== 0) config.amountEl.value = amount;
+    });
+
+    Object.values(expenseSectionEls).forEach(({ sectionEl, gridEl }) => {
+      if (sectionEl && gridEl) sectionEl.classList.toggle('hidden', gridEl.children.length === 0);
+    });
+
+    if (budgetOverviewGridEl) {
+      budgetOverviewGridEl.innerHTML = '';
+      expenseFieldConfig.forEach(config => {
+        const item = document.createElement('div');
+        item.className = 'overview-item';
+        item.innerHTML = '<span class="label"></span><span class="value">0% · $0</span>';
+        item.querySelector('.label').textContent = config.label;
+        config.summaryEl = item.querySelector('.value');
+        budgetOverviewGridEl.appendChild(item);
+      });
+      const remainingItem = document.createElement('div');
+      remainingItem.className = 'overview-item';
+      remainingItem.innerHTML = '<span class="label">Remaining Income</span><span class="value" id="summary-remaining">100% · $0</span>';
+      budgetOverviewGridEl.appendChild(remainingItem);
+      summaryRemainingEl = remainingItem.querySelector('.value');
     }
 
+    applyBillTotalsToBudget();
     updateAllExpenseVisuals();
   }
 
   /**
-   * Updates form field visibility based on pay frequency selection
-   * Shows/hides relevant fields for different pay frequency options
+   * Lists the categories with controls to rename, reclassify, hide or remove them
    */
-  function updateVisibility() {
-    if (!payFrequencySelect) return;
-    const frequency = payFrequencySelect.value;
-    const showHour = frequency === 'hour';
-    const showDay = frequency === 'hour' || frequency === 'day';
-    const showWeek = frequency === 'hour' || frequency === 'day' || frequency === 'week';
-    const hoursField = document.getElementById('hours-per-day-field');
-    const daysField = document.getElementById('days-per-week-field');
-    const weeksField = document.getElementById('weeks-per-year-field');
+  function renderCategoryManager() {
+    if (!categoryListEl) return;
+
+    const categories = getBudgetCategories();
+    const classificationOptions = Object.entries(CATEGORY_CLASSIFICATIONS)
+      .map(([value, label]) => `<option value="${value}">${label}</option>`)
+      .join('');
+
+    categoryListEl.innerHTML = '';
+    const ordered = categories
+      .filter(category => !category.parent)
+      .flatMap(category => [category, ...categories.filter(child => child.parent === category.key)]);
+
+    ordered.forEach(category => {
+      const row = document.createElement('div');
+      row.className = `category-row flex items-center gap-2${category.parent ? ' ml-6' : ''}`;
+      row.dataset.key = category.key;
+      row.innerHTML = `
+        <input type="text" class="category-label flex-1" maxlength="40" aria-label="Category name">
+        <select class="category-classification" aria-label="Category type">${classificationOptions}</select>
+        <label class="text-xs flex items-center gap-1"><input type="checkbox" class="category-hidden"> Hide</label>
+        ${category.builtIn ? '' : '<button type="button" class="remove-category-btn text-xs text-primary cursor-pointer">Remove</button>'}
+      `;
+      row.querySelector('.category-label').value = category.label;
+      row.querySelector('.category-classification').value = category.classification;
+      row.querySelector('.category-hidden').checked = Boolean(category.hidden);
+      categoryListEl.appendChild(row);
+    });
 
-    if (hoursField) hoursField.style.display = showHour ? '' : 'none';
-    if (daysField) daysField.style.display = showDay ? '' : 'none';
-    if (weeksField) weeksField.style.display = showWeek ? '' : 'none';
+    if (newCategoryParentSelect) {
+      const selectedParent = newCategoryParentSelect.value;
+      newCategoryParentSelect.innerHTML = '<option value="">None (top level)</option>';
+      categories.filter(category => !category.parent).forEach(category => {
+        const option = document.createElement('option');
+        option.value = category.key;
+        option.textContent = category.label;
+        newCategoryParentSelect.appendChild(option);
+      });
+      if (categories.some(category => category.key === selectedParent)) newCategoryParentSelect.value = selectedParent;
+    }
   }
 
-  // ============================================================================
-  // EVENT HANDLERS
-  // ============================================================================
-  
   /**
-   * Handles income calculator form submission
-   * Validates input and calculates annual income with tax breakdown
-   * @param {Event} event - Form submit event
+   * Saves a category change and re-renders the fields that depend on it
    */
-  function onSubmit(event) {
-    event.preventDefault();
-    const payAmount = sanitizeNumber(payAmountInput.value);
-    const frequency = payFrequencySelect.value;
-    const hpd = sanitizeNumber(hoursPerDayInput.value) || undefined;
-    const dpw = sanitizeNumber(daysPerWeekInput.value) || undefined;
-    const wpy = sanitizeNumber(weeksPerYearInput.value) || undefined;
-    const zipcode = zipcodeInput.value.trim();
+  function onBudgetCategoriesChanged() {
+    syncLedgerActuals();
+    saveFinancialData();
+    renderExpenseFields();
+    renderCategoryManager();
+    renderLedger();
+    renderRules();
+    renderBills();
+  }
 
-    // Validate pay amount
-    if (payAmount <= 0) {
-      if (resultsEl) resultsEl.textContent = 'Enter a valid pay amount.';
-      if (budgetEl) budgetEl.innerHTML = '';
+  /**
+   * Adds a category, or a subcategory when a parent is selected
+   */
+  function addBudgetCategory() {
+    const label = newCategoryNameInput.value.trim();
+    const parent = newCategoryParentSelect.value || null;
+    const categories = getBudgetCategories();
+
+    if (!label) {
+      showNotification('Enter a name for the new category.', 'error');
       return;
     }
-
-    // Validate ZIP code format
-    if (!zipcode || !/^\d{5}(-\d{4})?$/.test(zipcode)) {
-      if (resultsEl) resultsEl.textContent = 'Please enter a valid 5-digit ZIP code.';
-      if (budgetEl) budgetEl.innerHTML = '';
+    if (categories.some(category => category.parent === parent && category.label.toLowerCase() === label.toLowerCase())) {
+      showNotification(`"${label}" already exists${parent ? ' under that category' : ''}.`, 'error');
       return;
     }
 
-    const annual = calculateAnnualIncome(payAmount, frequency, hpd, dpw, wpy);
-    renderResults(annual, zipcode);
+    categories.push({
+      key: `custom-${Date.now().toString(36)}`,
+      label,
+      classification: newCategoryClassificationSelect.value,
+      parent,
+      hidden: false,
+      builtIn: false
+    });
+    newCategoryNameInput.value = '';
+    onBudgetCategoriesChanged();
+  }
+
+  /**
+   * Applies renames, classification changes and hiding from the category list
+   * @param {Event} event - Change event from a category row
+   */
+  function onCategoryListChange(event) {
+    const row = event.target.closest('.category-row');
+    if (!row) return;
+    const category = getBudgetCategories().find(entry => entry.key === row.dataset.key);
+    if (!category) return;
+
+    if (event.target.classList.contains('category-label')) {
+      const label = event.target.value.trim();
+      if (!label) {
+        event.target.value = category.label;
+        showNotification('Category names cannot be empty.', 'error');
+        return;
+      }
+      category.label = label;
+    } else if (event.target.classList.contains('category-classification')) {
+      category.classification = event.target.value;
+    } else if (event.target.classList.contains('category-hidden')) {
+      category.hidden = event.target.checked;
+    }
+    onBudgetCategoriesChanged();
+  }
+
+  /**
+   * Removes a custom category and its subcategories
+   * @param {Event} event - Click event from the category list
+   */
+  function onCategoryListClick(event) {
+    if (!event.target.classList.contains('remove-category-btn')) return;
+    const key = event.target.closest('.category-row').dataset.key;
+    const categories = getBudgetCategories();
+    const subcategoryCount = categories.filter(category => category.parent === key).length;
+
+    if (subcategoryCount > 0 && !confirm(`Remove this category and its ${subcategoryCount} subcategor${subcategoryCount === 1 ? 'y' : 'ies'}?`)) {
+      return;
+    }
+
+    const removedKeys = new Set([key, ...categories.filter(category => category.parent === key).map(category => category.key)]);
+    FinancialDataStore.budget.categories = categories.filter(category => !removedKeys.has(category.key));
+    removedKeys.forEach(removedKey => {
+      delete FinancialDataStore.budget.expenses[removedKey];
+      if (FinancialDataStore.budget.envelopes) delete FinancialDataStore.budget.envelopes[removedKey];
+      if (FinancialDataStore.budget.envelopesCarriedIn) delete FinancialDataStore.budget.envelopesCarriedIn[removedKey];
+    });
+    onBudgetCategoriesChanged();
+  }
+
+  /**
+   * Shows the inputs used by the selected budgeting method
+   */
+  function updateBudgetMethodFields() {
+    const method = budgetMethodSelect ? budgetMethodSelect.value : 'guideline';
+    if (savingsAllocationField) savingsAllocationField.classList.toggle('hidden', method !== 'zero-based');
+    if (savingsTargetField) savingsTargetField.classList.toggle('hidden', method !== 'pay-yourself-first');
+  }
+
+  /**
+   * Looks up the display label for an expense category or recurring obligation
+   * @param {string} key - Expense key
+   * @returns {string} Display label
+   */
+  function getExpenseLabel(key) {
+    const categories = getBudgetCategories();
+    const category = categories.find(entry => entry.key === key);
+    if (category) {
+      const parent = category.parent && categories.find(entry => entry.key === category.parent);
+      return parent ? `${parent.label} › ${category.label}` : category.label;
+    }
+    const recurring = (FinancialDataStore.budget.recurringExpenses || []).find(entry => entry.key === key);
+    if (recurring) return recurring.label;
+    const fund = (FinancialDataStore.budget.sinkingFunds || []).find(entry => entry.key === key);
+    return fund ? `${fund.name} (sinking fund)` : key;
+  }
+
+  /**
+   * Applies calculated monthly net income to the budget planner display
+   * @param {number} netMonthlyIncome - Monthly take-home pay to inject
+   */
+  function applyMonthlyIncomeAutoFill(netMonthlyIncome) {
+    if (!monthlyIncomeInput) return;
+
+    const normalized = Math.max(0, Number(resolveBudgetIncome(netMonthlyIncome)) || 0);
+    monthlyIncomeInput.value = normalized.toFixed(2);
+
+    if (monthlyIncomeDisplay) {
+      monthlyIncomeDisplay.textContent = toCurrency(normalized);
+    }
+
+    updateAllExpenseVisuals();
+  }
+
+  /**
+   * Carries the calculated employer 401(k) match into the Investment tab's contribution
+   * @param {number} monthlyMatch - Monthly employer match
+   */
+  function applyEmployerMatchAutoFill(monthlyMatch) {
+    if (!employerMatchInput) return;
+    employerMatchInput.value = monthlyMatch > 0 ? monthlyMatch.toFixed(2) : '';
+  }
+
+  /**
+   * Warns when 401(k) deferrals exceed the 402(g) limit or leave employer match unclaimed
+   * @param {object} plan - Result of window.calculators.calculateRetirementPlan
+   */
+  function warnAboutRetirementPlan(plan) {
+    if (plan.excessContribution > 0) {
+      showNotification(`Your 401(k) contributions exceed the ${toCurrency(plan.limit)} limit by ${toCurrency(plan.excessContribution)}/year. Payroll stops deferring at the limit.`, 'warning');
+    }
+    if (plan.unclaimedMatch > 0) {
+      showNotification(`You're leaving ${toCurrency(plan.unclaimedMatch)}/year of employer match on the table. Contribute at least ${toCurrency(plan.monthlyForFullMatch)}/month to get the full match.`, 'warning');
+    }
+  }
+
+  /**
+   * Renders 401(k) deferrals against the 402(g) limit and the employer match they earn
+   * @param {object} plan - Result of window.calculators.calculateRetirementPlan
+   * @returns {string} Retirement section markup, or '' with no deferral and no match
+   */
+  function renderRetirementPlan(plan) {
+    if (plan.requestedContribution === 0 && plan.maxEmployerMatch === 0) return '';
+
+    return `
+      <div class="tax-breakdown">
+        <h3>401(k) &amp; Employer Match</h3>
+        <div class="tax-grid">
+          <div class="tax-item">
+            <span class="tax-label">Your Contributions (limit ${toCurrency(plan.limit)}${plan.catchUp > 0 ? ` incl. ${toCurrency(plan.catchUp)} catch-up` : ''}):</span>
+            <span class="tax-amount">${toCurrency(plan.contribution)}</span>
+          </div>
+          <div class="tax-item">
+            <span class="tax-label">Employer Match${plan.maxEmployerMatch > 0 ? ` (of ${toCurrency(plan.maxEmployerMatch)} available)` : ''}:</span>
+            <span class="tax-amount">${toCurrency(plan.employerMatch)}</span>
+          </div>
+          <div class="tax-item total-taxes">
+            <span class="tax-label"><strong>Total Going Into Your 401(k):</strong></span>
+            <span class="tax-amount"><strong>${toCurrency(plan.totalContribution)}</strong></span>
+          </div>
+        </div>
+        ${plan.excessContribution > 0 ? `<p class="text-sm text-gray-500 mt-2">${toCurrency(plan.excessContribution)}/year over the limit is not deferred and stays in your paycheck.</p>` : ''}
+        ${plan.unclaimedMatch > 0 ? `<p class="text-sm text-gray-500 mt-2">⚠️ ${toCurrency(plan.unclaimedMatch)}/year of match unclaimed. Raise your contribution to ${toCurrency(plan.monthlyForFullMatch)}/month to get all of it.</p>` : ''}
+        ${plan.employerMatch > 0 ? `<p class="text-sm text-gray-500 mt-2">The ${toCurrency(plan.monthlyMatch)}/month match is added to your Investment tab contribution.</p>` : ''}
+      </div>`;
+  }
+
+  /**
+   * Maps the income form's pay frequency to a paycheck schedule for the W-4 checkup
+   * @param {string} frequency - Pay frequency (hour, day, week, month, year)
+   * @returns {string} Pay schedule key
+   */
+  function getScheduleForFrequency(frequency) {
+    if (frequency === 'week') return 'weekly';
+    if (frequency === 'month') return 'monthly';
+    return 'biweekly';
+  }
+
+  /**
+   * Renders the projected refund or balance due and the W-4 Step 4(c) adjustment
+   * @param {object} checkup - Result of window.calculators.calculateWithholdingCheckup
+   * @param {boolean} scheduleAssumed - Whether the schedule came from the pay frequency
+   * @returns {string} Withholding checkup markup
+   */
+  function renderWithholdingCheckup(checkup, scheduleAssumed) {
+    const scheduleLabel = window.calculators.PAY_SCHEDULES[checkup.schedule].label.toLowerCase();
+    let recommendation;
+    if (checkup.remainingPeriods === 0) {
+      recommendation = 'No paychecks are left this year, so the difference is settled on your return.';
+    } else if (checkup.status === 'balance-due') {
+      recommendation = `Enter <strong>${toCurrency(checkup.extraWithholdingPerPeriod)}</strong> on W-4 Step 4(c) to withhold that much extra from each of your ${checkup.remainingPeriods} remaining checks and break even.`;
+    } else if (checkup.status === 'refund') {
+      recommendation = `You could withhold about ${toCurrency(checkup.reduciblePerPeriod)} less per check and still break even, by lowering any Step 4(c) amount or claiming deductions in Step 4(b).`;
+    } else {
+      recommendation = 'Your withholding is on track; no W-4 change is needed.';
+    }
+
+    return `
+      <div class="tax-breakdown">
+        <h3>W-4 Withholding Checkup (${checkup.taxYear})</h3>
+        <div class="tax-grid">
+          <div class="tax-item">
+            <span class="tax-label">Withheld So Far (${checkup.periodsPaid} ${scheduleLabel} checks):</span>
+            <span class="tax-amount">${toCurrency(checkup.ytdWithholding)}</span>
+          </div>
+          <div class="tax-item">
+            <span class="tax-label">Projected at ${toCurrency(checkup.perCheckWithholding)}/check for ${checkup.remainingPeriods} more:</span>
+            <span class="tax-amount">${toCurrency(checkup.projectedWithholding)}</span>
+          </div>
+          <div class="tax-item">
+            <span class="tax-label">Projected Federal Liability:</span>
+            <span class="tax-amount">${toCurrency(checkup.annualLiability)}</span>
+          </div>
+          <div class="tax-item total-taxes">
+            <span class="tax-label"><strong>${checkup.projectedRefund >= 0 ? 'Projected Refund' : 'Projected Balance Due'}:</strong></span>
+            <span class="tax-amount"><strong>${toCurrency(Math.abs(checkup.projectedRefund))}</strong></span>
+          </div>
+        </div>
+        <p class="mt-2">${recommendation}</p>
+        ${scheduleAssumed ? `<p class="text-sm text-gray-500 mt-2">Assumes a ${scheduleLabel} pay schedule; choose one in the Paycheck Simulator if yours differs.</p>` : ''}
+      </div>`;
+  }
+
+  /**
+   * Adds or replaces a recurring obligation that the budget carries every month
+   * @param {{key: string, label: string, monthlyAmount: number, payments: Array}} entry - Obligation with its dated payments
+   */
+  function setRecurringExpense(entry) {
+    const recurring = FinancialDataStore.budget.recurringExpenses || [];
+    FinancialDataStore.budget.recurringExpenses = [
+      ...recurring.filter(existing => existing.key !== entry.key),
+      entry
+    ];
+    renderRecurringExpenses();
+    updateAllExpenseVisuals();
+  }
+
+  /**
+   * Removes a recurring obligation from the budget
+   * @param {string} key - Obligation key
+   */
+  function removeRecurringExpense(key) {
+    const recurring = FinancialDataStore.budget.recurringExpenses || [];
+    FinancialDataStore.budget.recurringExpenses = recurring.filter(existing => existing.key !== key);
+    renderRecurringExpenses();
+    updateAllExpenseVisuals();
+  }
+
+  /**
+   * Sums the monthly amounts of all recurring obligations
+   * @returns {number} Monthly total
+   */
+  function getRecurringExpenseTotal() {
+    return (FinancialDataStore.budget.recurringExpenses || [])
+      .reduce((sum, entry) => sum + entry.monthlyAmount, 0);
+  }
+
+  /**
+   * Lists recurring obligations and their upcoming payments in the budget planner
+   */
+  function renderRecurringExpenses() {
+    if (!recurringExpensesSection || !recurringExpensesList) return;
+
+    const recurring = FinancialDataStore.budget.recurringExpenses || [];
+    recurringExpensesSection.classList.toggle('hidden', recurring.length === 0);
+    recurringExpensesList.innerHTML = recurring.map(entry => `
+      <div class="budget-item">
+        <h3>${entry.label}</h3>
+        <p><strong>${toCurrency(entry.monthlyAmount)}</strong> / month set aside</p>
+        <p class="text-sm text-gray-500">${(entry.payments || []).map(payment => `${payment.date}: ${toCurrency(payment.amount)}`).join(' · ')}</p>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Describes the budget's income as take-home pay or as pre-tax business profit
+   * @param {string} incomeType - 'w2' or '1099'
+   */
+  function setBudgetIncomeLabel(incomeType) {
+    if (!monthlyIncomeLabel) return;
+    if (getIncomeBaseline()) {
+      monthlyIncomeLabel.textContent = 'Baseline Monthly Income (Variable)';
+      return;
+    }
+    monthlyIncomeLabel.textContent = incomeType === '1099'
+      ? 'Monthly Net Profit (Before Estimated Taxes)'
+      : 'Monthly Net Income (After Taxes)';
+  }
+
+  /**
+   * Fills the tax year picker from the registered tax tables
+   */
+  function populateTaxYearOptions() {
+    if (!taxYearSelect) return;
+
+    const selectedYear = FinancialDataStore.income.taxYear || window.taxTables.getDefaultYear();
+    taxYearSelect.innerHTML = window.taxTables.getYears()
+      .map(year => `<option value="${year}">${year}</option>`)
+      .join('');
+    taxYearSelect.value = String(window.taxTables.get(selectedYear).year);
+  }
+
+  /**
+   * Updates form field visibility based on pay frequency selection
+   * Shows/hides relevant fields for different pay frequency options
+   */
+  function updateVisibility() {
+    if (!payFrequencySelect) return;
+    const frequency = payFrequencySelect.value;
+    const showHour = frequency === 'hour';
+    const showDay = frequency === 'hour' || frequency === 'day';
+    const showWeek = frequency === 'hour' || frequency === 'day' || frequency === 'week';
+    const hoursField = document.getElementById('hours-per-day-field');
+    const daysField = document.getElementById('days-per-week-field');
+    const weeksField = document.getElementById('weeks-per-year-field');
+
+    if (hoursField) hoursField.style.display = showHour ? '' : 'none';
+    if (daysField) daysField.style.display = showDay ? '' : 'none';
+    if (weeksField) weeksField.style.display = showWeek ? '' : 'none';
+
+    // 1099 income has business expenses instead of paycheck deductions and pay stubs
+    const isSelfEmployed = incomeTypeSelect && incomeTypeSelect.value === '1099';
+    const businessExpensesField = document.getElementById('business-expenses-field');
+    const deductionsSection = document.getElementById('deductions-section');
+    const payScheduleField = document.getElementById('pay-schedule-field');
+    const householdSection = document.getElementById('household-section');
+    const withholdingSection = document.getElementById('withholding-section');
+
+    if (businessExpensesField) businessExpensesField.style.display = isSelfEmployed ? '' : 'none';
+    if (deductionsSection) deductionsSection.style.display = isSelfEmployed ? 'none' : '';
+    if (payScheduleField) payScheduleField.style.display = isSelfEmployed ? 'none' : '';
+    if (householdSection) householdSection.style.display = isSelfEmployed ? 'none' : '';
+    if (withholdingSection) withholdingSection.style.display = isSelfEmployed ? 'none' : '';
+  }
+
+  // ============================================================================
+  // EVENT HANDLERS
+  // ============================================================================
+  
+  /**
+   * Handles income calculator form submission
+   * Validates input and calculates annual income with tax breakdown
+   * @param {Event} event - Form submit event
+   */
+  function onSubmit(event) {
+    event.preventDefault();
+    const payAmount = sanitizeNumber(payAmountInput.value);
+    const frequency = payFrequencySelect.value;
+    const hpd = sanitizeNumber(hoursPerDayInput.value) || undefined;
+    const dpw = sanitizeNumber(daysPerWeekInput.value) || undefined;
+    const wpy = sanitizeNumber(weeksPerYearInput.value) || undefined;
+    const zipcode = zipcodeInput.value.trim();
+    const filingStatus = filingStatusSelect ? filingStatusSelect.value : 'single';
+    const taxYear = taxYearSelect ? sanitizeNumber(taxYearSelect.value) : undefined;
+
+    // Validate pay amount
+    if (payAmount <= 0) {
+      if (resultsEl) resultsEl.textContent = 'Enter a valid pay amount.';
+      if (budgetEl) budgetEl.innerHTML = '';
+      return;
+    }
+
+    // Validate ZIP code format
+    if (!zipcode || !/^\d{5}(-\d{4})?$/.test(zipcode)) {
+      if (resultsEl) resultsEl.textContent = 'Please enter a valid 5-digit ZIP code.';
+      if (budgetEl) budgetEl.innerHTML = '';
+      return;
+    }
+
+    const annual = calculateAnnualIncome(payAmount, frequency, hpd, dpw, wpy);
+    if (incomeTypeSelect && incomeTypeSelect.value === '1099') {
+      const businessExpenses = sanitizeNumber(businessExpensesInput ? businessExpensesInput.value : 0);
+      renderSelfEmploymentResults(annual, zipcode, filingStatus, taxYear, businessExpenses, collectCreditInputs(), collectInvestmentIncome());
+      return;
+    }
+
+    const paySchedule = payScheduleSelect ? payScheduleSelect.value : '';
+    const deductionFields = collectPayrollDeductionFields();
+    const additionalEarners = collectEarnerData();
+
+    if (additionalEarners.length > 0) {
+      if (filingStatus !== 'married-jointly' && filingStatus !== 'married-separately') {
+        if (resultsEl) resultsEl.textContent = 'Household earners are taxed as a married couple. Choose Married Filing Jointly or Married Filing Separately.';
+        if (budgetEl) budgetEl.innerHTML = '';
+        return;
+      }
+      if (additionalEarners.some(earner => earner.payAmount <= 0 || !/^\d{5}(-\d{4})?$/.test(earner.zipcode))) {
+        if (resultsEl) resultsEl.textContent = 'Enter a pay amount and a 5-digit ZIP code for each household earner.';
+        if (budgetEl) budgetEl.innerHTML = '';
+        return;
+      }
+
+      const earners = [
+        { name: 'You', income: annual, zipcode, deductions: window.calculators.buildPayrollDeductions(deductionFields) },
+        ...additionalEarners.map(earner => ({
+          name: earner.name,
+          income: calculateAnnualIncome(earner.payAmount, earner.payFrequency),
+          zipcode: earner.zipcode,
+          deductions: window.calculators.buildPayrollDeductions(earner)
+        }))
+      ];
+      renderHouseholdResults(earners, filingStatus, taxYear, deductionFields, additionalEarners, paySchedule, collectCreditInputs(), collectInvestmentIncome());
+      return;
+    }
+
+    renderResults(annual, zipcode, filingStatus, taxYear, deductionFields, paySchedule, collectCreditInputs(), collectInvestmentIncome(), collectWithholdingInputs());
+  }
+
+  /**
+   * Reads the monthly paycheck deduction fields from the income form
+   * @returns {object} Deduction amounts and the tax treatment chosen for each
+   */
+  function collectPayrollDeductionFields() {
+    return {
+      healthInsurance: sanitizeNumber(healthInsuranceInput ? healthInsuranceInput.value : 0),
+      retirement401k: sanitizeNumber(retirement401kInput ? retirement401kInput.value : 0),
+      retirement401kType: retirement401kTypeSelect ? retirement401kTypeSelect.value : 'traditional-401k',
+      otherDeductions: sanitizeNumber(otherDeductionsInput ? otherDeductionsInput.value : 0),
+      otherDeductionsType: otherDeductionsTypeSelect ? otherDeductionsTypeSelect.value : 'pre-tax-other',
+      matchRate1: sanitizeNumber(matchRate1Input ? matchRate1Input.value : 0),
+      matchLimit1: sanitizeNumber(matchLimit1Input ? matchLimit1Input.value : 0),
+      matchRate2: sanitizeNumber(matchRate2Input ? matchRate2Input.value : 0),
+      matchLimit2: sanitizeNumber(matchLimit2Input ? matchLimit2Input.value : 0)
+    };
+  }
+
+  /**
+   * Reads the tax credit fields from the income form
+   * @returns {object} Dependent ages, taxpayer age, IRA contributions and education expenses
+   */
+  function collectCreditInputs() {
+    const dependentAges = (dependentAgesInput ? dependentAgesInput.value : '')
+      .split(',')
+      .map(age => age.trim())
+      .filter(age => age !== '' && !isNaN(age))
+      .map(Number);
+
+    return {
+      dependentAges,
+      taxpayerAge: sanitizeNumber(taxpayerAgeInput ? taxpayerAgeInput.value : 0),
+      iraContributions: sanitizeNumber(iraContributionsInput ? iraContributionsInput.value : 0),
+      educationCredit: educationCreditSelect ? educationCreditSelect.value : '',
+      educationExpenses: sanitizeNumber(educationExpensesInput ? educationExpensesInput.value : 0),
+      educationStudents: sanitizeNumber(educationStudentsInput ? educationStudentsInput.value : 0) || 1
+    };
+  }
+
+  // Shared with the live calculator so both paths read the credit fields the same way
+  window.collectCreditInputs = collectCreditInputs;
+
+  /**
+   * Reads the W-4 checkup fields from the income form
+   * @returns {object|null} YTD federal withholding and paystub date, or null when no withholding is entered
+   */
+  function collectWithholdingInputs() {
+    const ytdWithholding = sanitizeNumber(ytdWithholdingInput ? ytdWithholdingInput.value : 0);
+    if (ytdWithholding <= 0) return null;
+
+    return {
+      ytdWithholding,
+      // Blank until renderResults dates it within the tax year
+      paystubDate: paystubDateInput ? paystubDateInput.value : ''
+    };
+  }
+
+  /**
+   * Reads the annual investment income fields from the income form
+   * @returns {object} Interest, dividends and short- and long-term capital gains
+   */
+  function collectInvestmentIncome() {
+    return {
+      interest: sanitizeNumber(interestIncomeInput ? interestIncomeInput.value : 0),
+      ordinaryDividends: sanitizeNumber(ordinaryDividendsInput ? ordinaryDividendsInput.value : 0),
+      qualifiedDividends: sanitizeNumber(qualifiedDividendsInput ? qualifiedDividendsInput.value : 0),
+      shortTermGains: sanitizeNumber(shortTermGainsInput ? shortTermGainsInput.value : 0),
+      longTermGains: sanitizeNumber(longTermGainsInput ? longTermGainsInput.value : 0)
+    };
+  }
+
+  // Shared with the live calculator so both paths read the investment fields the same way
+  window.collectInvestmentIncome = collectInvestmentIncome;
+
+  /**
+   * Handles income calculator form reset
+   * Clears all form fields and results
+   */
+  function onReset() {
+    if (form) form.reset();
+    if (earnerListEl) earnerListEl.innerHTML = '';
+    if (resultsEl) resultsEl.textContent = '';
+    hideRateExplorer();
+    if (budgetEl) budgetEl.innerHTML = '';
+    updateVisibility();
+  }
+
+  /**
+   * Handles the raise / job offer comparison form submission
+   * @param {Event} event - Form submit event
+   */
+  function onOfferSubmit(event) {
+    event.preventDefault();
+
+    const packages = collectOfferData();
+    if (packages.length === 0) {
+      if (offerResultsEl) offerResultsEl.textContent = 'Add at least one offer to compare.';
+      return;
+    }
+    if (packages.some(pkg => pkg.payAmount <= 0 || !/^\d{5}(-\d{4})?$/.test(pkg.zipcode))) {
+      if (offerResultsEl) offerResultsEl.textContent = 'Enter a pay amount and a 5-digit ZIP code for each offer.';
+      return;
+    }
+
+    const filingStatus = filingStatusSelect ? filingStatusSelect.value : 'single';
+    const taxYear = taxYearSelect ? sanitizeNumber(taxYearSelect.value) : undefined;
+    renderOfferComparison(window.calculators.compareCompensationPackages(packages, filingStatus, taxYear, FinancialDataStore.budget));
+  }
+
+  /**
+   * Renders compensation packages side by side with take-home and savings rate differences
+   * @param {object} comparison - Result of window.calculators.compareCompensationPackages
+   */
+  function renderOfferComparison(comparison) {
+    comparison.offers.filter(offer => !offer.zipResolved).forEach(offer => {
+      showNotification(`${offer.name}: ${offer.zipNote}. State and local taxes are not included.`, 'warning');
+    });
+
+    const signed = (amount) => `${amount >= 0 ? '+' : '-'}${toCurrency(Math.abs(amount))}`;
+    const baselineLabel = comparison.baseline === 'current' ? 'current budget income' : comparison.offers[0].name;
+    const row = (label, format) => `
+            <tr>
+              <td class="py-1 pr-4">${label}</td>
+              ${comparison.offers.map(offer => `<td class="py-1 pr-4 text-right">${format(offer)}</td>`).join('')}
+            </tr>`;
+
+    const content = `
+      <div class="tax-breakdown">
+        <h3>Offer Comparison</h3>
+        <div class="overflow-x-auto">
+          <table class="w-full text-sm">
+            <thead>
+              <tr>
+                <th class="py-1 pr-4 text-left"></th>
+                ${comparison.offers.map(offer => `<th class="py-1 pr-4 text-right">${offer.name}${offer.name === comparison.bestOffer && comparison.offers.length > 1 ? ' ★' : ''}</th>`).join('')}
+              </tr>
+            </thead>
+            <tbody>${row('Location', offer => `${offer.state || 'ZIP not resolved'}${offer.localJurisdiction ? ` · ${offer.localJurisdiction}` : ''}`)}${row('Salary', offer => toCurrency(offer.salary))}${row('Bonus', offer => toCurrency(offer.bonus))}${row('401(k) Match', offer => toCurrency(offer.employerMatch))}${row('Health Premiums', offer => toCurrency(offer.healthPremium))}${row('Total Compensation', offer => toCurrency(offer.totalCompensation))}${row('Total Taxes', offer => `${toCurrency(offer.totalTax)} (${offer.effectiveRate.toFixed(1)}%)`)}${row('Monthly Take-Home', offer => toCurrency(offer.monthlyTakeHome))}${row(`vs. ${baselineLabel}`, offer => signed(offer.monthlyDifference))}${row('Cost of Living Index', offer => offer.costOfLivingIndex)}${row("Take-Home in Today's Dollars", offer => toCurrency(offer.adjustedMonthlyTakeHome))}${row(`vs. ${baselineLabel} (adjusted)`, offer => signed(offer.adjustedMonthlyDifference))}${comparison.currentSavingsRate !== null ? `${row('Budgeted Expenses at Offer', offer => toCurrency(offer.monthlyExpenses))}${row('Savings Rate', offer => `${offer.savingsRate.toFixed(1)}%`)}${row('Savings Rate Change', offer => `${offer.savingsRateChange >= 0 ? '+' : ''}${offer.savingsRateChange.toFixed(1)} pts`)}` : ''}
+            </tbody>
+          </table>
+        </div>
+        ${comparison.currentSavingsRate !== null
+          ? `<p class="text-sm text-gray-500 mt-2">Your current budget saves ${comparison.currentSavingsRate.toFixed(1)}% of ${toCurrency(comparison.currentMonthlyIncome)}/month; each offer's savings rate assumes the same spending scaled by its cost of living.</p>`
+          : '<p class="text-sm text-gray-500 mt-2">Save a budget on the Budget tab to see how each offer changes your savings rate.</p>'}
+        ${comparison.offers.length > 1 ? `<p class="mt-2"><strong>${comparison.bestOffer}</strong> pays the most take-home plus 401(k) match in today's dollars.</p>` : ''}
+      </div>
+    `;
+    if (offerResultsEl) offerResultsEl.innerHTML = content;
+  }
+
+  /**
+   * Adds a compensation package to the offer comparison form
+   * @param {object} offer - Offer fields to fill in, if any
+   */
+  function addOfferInput(offer = {}) {
+    const offerItem = document.createElement('div');
+    offerItem.className = 'offer-item grid grid-cols-1 md:grid-cols-3 gap-3';
+    offerItem.innerHTML = `
+      <input type="text" placeholder="Name (e.g., Current Job)" data-field="name" aria-label="Offer name">
+      <input type="number" placeholder="Salary / pay amount" data-field="payAmount" step="0.01" min="0" aria-label="Offer pay amount">
+      <select data-field="payFrequency" aria-label="Offer pay frequency">
+        <option value="year">Per Year</option>
+        <option value="month">Per Month</option>
+        <option value="week">Per Week</option>
+        <option value="day">Per Day</option>
+        <option value="hour">Per Hour</option>
+      </select>
+      <input type="number" placeholder="Annual bonus" data-field="bonus" step="0.01" min="0" aria-label="Offer annual bonus">
+      <input type="number" placeholder="401(k) match % of salary" data-field="matchPercent" step="0.1" min="0" max="100" aria-label="Offer 401(k) match percent">
+      <input type="number" placeholder="Health premium / month" data-field="healthPremium" step="0.01" min="0" aria-label="Offer health premium">
+      <input type="text" placeholder="ZIP code" data-field="zipcode" pattern="[0-9]{5}(-[0-9]{4})?" aria-label="Offer ZIP code">
+      <input type="number" placeholder="Cost of living index (100)" data-field="costOfLivingIndex" step="1" min="1" aria-label="Offer cost of living index">
+      <button type="button" class="btn-secondary remove-offer-btn">Remove Offer</button>
+    `;
+
+    offerItem.querySelectorAll('[data-field]').forEach(input => {
+      if (offer[input.dataset.field] !== undefined && offer[input.dataset.field] !== '') {
+        input.value = offer[input.dataset.field];
+      }
+    });
+    offerItem.querySelector('.remove-offer-btn').addEventListener('click', () => offerItem.remove());
+
+    if (offerListEl) offerListEl.appendChild(offerItem);
+  }
+
+  /**
+   * Collects compensation packages from the offer comparison form
+   * @returns {Array} Offer form fields, one object per offer
+   */
+  function collectOfferData() {
+    if (!offerListEl) return [];
+
+    return [...offerListEl.querySelectorAll('.offer-item')].map(item => {
+      const offer = {};
+      item.querySelectorAll('[data-field]').forEach(input => {
+        const field = input.dataset.field;
+        offer[field] = ['name', 'zipcode', 'payFrequency'].includes(field)
+          ? input.value.trim()
+          : sanitizeNumber(input.value);
+      });
+      return offer;
+    });
+  }
+
+  /**
+   * Handles budget planner form submission
+   * Analyzes expenses and generates recommendations
+   * @param {Event} event - Form submit event
+   */
+  function onBudgetSubmit(event) {
+    event.preventDefault();
+    
+    // Collect and sanitize all form inputs
+    const monthlyIncome = sanitizeNumber(monthlyIncomeInput.value);
+    const expenses = getExpenseLeafConfigs().reduce((acc, config) => {
+      acc[config.key] = sanitizeNumber(config.amountEl.value);
+      return acc;
+    }, {});
+    (FinancialDataStore.budget.recurringExpenses || []).forEach(entry => {
+      expenses[entry.key] = entry.monthlyAmount;
+    });
+    getSinkingFundPlans().forEach(plan => {
+      if (plan.monthlySetAside > 0) expenses[plan.fund.key] = plan.monthlySetAside;
+    });
+
+    // Validate monthly income
+    if (monthlyIncome <= 0) {
+      budgetResultsEl.textContent = 'Please enter a valid monthly income.';
+      return;
+    }
+
+    // Perform budget analysis and generate recommendations
+    const analysis = calculateBudgetAnalysis(monthlyIncome, expenses);
+    analysis.income = monthlyIncome; // Persist income on the analysis object for downstream render helpers
+
+    const savingsRecommendations = generateSavingsRecommendations(analysis);
+    const expenseRecommendations = generateExpenseRecommendations(expenses, monthlyIncome);
+
+    const method = budgetMethodSelect ? budgetMethodSelect.value : 'guideline';
+    const savingsAllocation = savingsAllocationInput ? sanitizeNumber(savingsAllocationInput.value) : 0;
+    const savingsTargetPercent = savingsTargetInput ? Math.min(sanitizeNumber(savingsTargetInput.value), 100) : 20;
+    let methodAnalysis = null;
+    if (method === 'zero-based') {
+      methodAnalysis = analyzeZeroBasedBudget(monthlyIncome, expenses, savingsAllocation);
+    } else if (method === 'envelope') {
+      const closedThisMonth = FinancialDataStore.budget.envelopeMonth === getCurrentMonthKey();
+      methodAnalysis = analyzeEnvelopeBudget(
+        expenses,
+        FinancialDataStore.budget.envelopes || {},
+        closedThisMonth ? FinancialDataStore.budget.envelopesCarriedIn || {} : null
+      );
+    } else if (method === 'pay-yourself-first') {
+      methodAnalysis = analyzePayYourselfFirstBudget(monthlyIncome, expenses, savingsTargetPercent);
+    }
+    if (methodAnalysis) {
+      expenseRecommendations.push(...generateBudgetMethodRecommendations(methodAnalysis, expenses));
+    }
+
+    // Save budget data to FinancialDataStore
+    FinancialDataStore.budget.monthlyIncome = monthlyIncome;
+    FinancialDataStore.budget.expenses = expenses;
+    FinancialDataStore.budget.totalExpenses = Object.values(expenses).reduce((sum, expense) => sum + expense, 0);
+    FinancialDataStore.budget.analysis = analysis;
+    FinancialDataStore.budget.method = method;
+    FinancialDataStore.budget.savingsAllocation = savingsAllocation;
+    FinancialDataStore.budget.savingsTargetPercent = savingsTargetPercent;
+    FinancialDataStore.budget.lastUpdated = new Date().toISOString();
+
+    // Keep each month's plan; re-analyzing a month replaces its plan but keeps recorded actuals
+    const month = budgetMonthInput && budgetMonthInput.value ? budgetMonthInput.value : getCurrentMonthKey();
+    const history = FinancialDataStore.budget.history || {};
+    history[month] = {
+      ...history[month],
+      month,
+      income: monthlyIncome,
+      planned: expenses,
+      // Labels are kept so a month still reads correctly after a category is removed
+      labels: Object.keys(expenses).reduce((acc, key) => ({ ...acc, [key]: getExpenseLabel(key) }), {}),
+      updated: FinancialDataStore.budget.lastUpdated
+    };
+    FinancialDataStore.budget.history = history;
+
+    // Save to localStorage and dashboard
+    saveFinancialData();
+    saveToLocalStorage('monthlyExpenses', FinancialDataStore.budget.totalExpenses);
+    saveToLocalStorage('budgetAnalysis', analysis);
+    saveToLocalStorage('lastBudgetUpdate', FinancialDataStore.budget.lastUpdated);
+
+    renderBudgetResults(analysis, savingsRecommendations, expenseRecommendations, methodAnalysis);
+    renderBudgetHistory(month);
+    updateDashboard();
+  }
+
+  /**
+   * Handles budget planner form reset
+   * Clears all form fields and results
+   */
+  function onBudgetReset() {
+    const incomeSnapshot = getMonthlyIncomeValue();
+    if (budgetForm) budgetForm.reset();
+    if (budgetResultsEl) budgetResultsEl.textContent = '';
+    updateBudgetMethodFields();
+    if (budgetMonthInput) budgetMonthInput.value = getCurrentMonthKey();
+    monthlyIncomeInput.value = incomeSnapshot.toFixed(2);
+    if (monthlyIncomeDisplay) {
+      monthlyIncomeDisplay.textContent = toCurrency(incomeSnapshot);
+    }
+    updateAllExpenseVisuals();
+  }
+
+  // ============================================================================
+  // BUDGET HISTORY
+  // ============================================================================
+
+  let budgetTrendChart = null;
+
+  /**
+   * Gets the current month as a YYYY-MM key in local time
+   * @returns {string} Month key
+   */
+  function getCurrentMonthKey() {
+    const today = new Date();
+    return `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}`;
+  }
+
+  /**
+   * Returns the month after a YYYY-MM key
+   * @param {string} month - Month key
+   * @returns {string} Next month key
+   */
+  function getNextMonthKey(month) {
+    const [year, monthNumber] = month.split('-').map(Number);
+    const next = new Date(year, monthNumber, 1);
+    return `${next.getFullYear()}-${String(next.getMonth() + 1).padStart(2, '0')}`;
+  }
+
+  /**
+   * Formats a YYYY-MM key for display
+   * @param {string} month - Month key
+   * @returns {string} Label such as "Oct 2026"
+   */
+  function formatMonthLabel(month) {
+    const [year, monthNumber] = month.split('-').map(Number);
+    return new Date(year, monthNumber - 1, 1).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+  }
+
+  /**
+   * Fills the budget form with a saved month's plan when switching to that month
+   */
+  function onBudgetMonthChange() {
+    const entry = (FinancialDataStore.budget.history || {})[budgetMonthInput.value];
+    if (!entry) return;
+
+    getExpenseLeafConfigs().forEach(config => {
+      const amount = entry.planned[config.key];
+      config.amountEl.value = amount ? amount : '';
+    });
+    updateAllExpenseVisuals();
+  }
+
+  /**
+   * Shows the month picker, actual spending fields, variance report and trend for saved months
+   * @param {string} selectedMonth - Month to show, defaulting to the current selection or latest month
+   */
+  function renderBudgetHistory(selectedMonth = null) {
+    if (!budgetHistoryEl || !historyMonthSelect) return;
+
+    const history = FinancialDataStore.budget.history || {};
+    const months = Object.keys(history).sort().reverse();
+    budgetHistoryEl.classList.toggle('hidden', months.length === 0);
+    if (budgetHistoryEmptyEl) budgetHistoryEmptyEl.classList.toggle('hidden', months.length > 0);
+    if (months.length === 0) {
+      if (budgetTrendChart) {
+        budgetTrendChart.destroy();
+        budgetTrendChart = null;
+      }
+      return;
+    }
+
+    const month = [selectedMonth, historyMonthSelect.value].find(candidate => history[candidate]) || months[0];
+    historyMonthSelect.innerHTML = months
+      .map(key => `<option value="${key}">${formatMonthLabel(key)}</option>`)
+      .join('');
+    historyMonthSelect.value = month;
+
+    renderActualFields(month);
+    renderVarianceReport(month);
+    renderBudgetTrend();
+  }
+
+  /**
+   * Renders one actual-spending input per category budgeted that month
+   * @param {string} month - Month key
+   */
+  function renderActualFields(month) {
+    if (!actualFieldsEl) return;
+
+    const entry = FinancialDataStore.budget.history[month];
+    const actual = entry.actual || {};
+    actualFieldsEl.innerHTML = '';
+
+    [...new Set([...Object.keys(entry.planned), ...Object.keys(actual)])]
+      .filter(key => entry.planned[key] > 0 || actual[key] > 0)
+      .forEach(key => {
+        const field = document.createElement('div');
+        field.className = 'field';
+        field.innerHTML = `
+          <label for="actual-${key}"></label>
+          <input id="actual-${key}" class="actual-input" type="number" inputmode="decimal" step="0.01" min="0">
+          <p class="text-xs text-gray-500 mt-1">Planned ${toCurrency(entry.planned[key] || 0)}</p>
+        `;
+        field.querySelector('label').textContent = getExpenseLabel(key);
+        const input = field.querySelector('input');
+        input.dataset.key = key;
+        if (actual[key] !== undefined) input.value = actual[key];
+        actualFieldsEl.appendChild(field);
+      });
+
+    if (actualSourceNoteEl) {
+      actualSourceNoteEl.classList.toggle('hidden', entry.actualSource !== 'ledger');
+      actualSourceNoteEl.textContent = 'These totals come from categorized transactions below and are recalculated when the ledger changes.';
+    }
+  }
+
+  /**
+   * Saves actual spending for the selected month
+   * @param {Event} event - Form submit event
+   */
+  function onActualSubmit(event) {
+    event.preventDefault();
+
+    const month = historyMonthSelect.value;
+    const entry = FinancialDataStore.budget.history[month];
+    if (!entry) return;
+
+    entry.actual = [...actualFieldsEl.querySelectorAll('.actual-input')].reduce((acc, input) => {
+      acc[input.dataset.key] = sanitizeNumber(input.value);
+      return acc;
+    }, {});
+    entry.actualUpdated = new Date().toISOString();
+
+    saveFinancialData();
+    renderVarianceReport(month);
+    renderBudgetTrend();
+    showNotification(`Actual spending saved for ${formatMonthLabel(month)}.`, 'success');
+  }
+
+  /**
+   * Renders the over/under report for a month
+   * @param {string} month - Month key
+   */
+  function renderVarianceReport(month) {
+    if (!varianceResultsEl) return;
+
+    const variance = calculateBudgetVariance(FinancialDataStore.budget.history[month]);
+    if (!variance.hasActuals) {
+      varianceResultsEl.innerHTML = `<p class="text-sm text-gray-500">No actual spending recorded for ${formatMonthLabel(month)} yet.</p>`;
+      return;
+    }
+
+    const describe = row => {
+      if (row.status === 'on-budget') return 'On budget';
+      if (row.classification === 'savings') {
+        return row.status === 'over' ? `Saved ${toCurrency(row.variance)} extra` : `${toCurrency(-row.variance)} short`;
+      }
+      return row.status === 'over' ? `${toCurrency(row.variance)} over` : `${toCurrency(-row.variance)} under`;
+    };
+    const statusClass = row => {
+      if (row.status === 'on-budget') return '';
+      const good = row.classification === 'savings' ? row.status === 'over' : row.status === 'under';
+      return good ? 'text-green-600' : 'text-red-500';
+    };
+
+    const rows = variance.rows.map(row => `
+      <tr>
+        <td>${row.label}</td>
+        <td>${toCurrency(row.planned)}</td>
+        <td>${toCurrency(row.actual)}</td>
+        <td class="${statusClass(row)}">${describe(row)}</td>
+      </tr>`).join('');
+
+    varianceResultsEl.innerHTML = `
+      <div class="budget-summary">
+        <h3>${formatMonthLabel(month)} Budget vs. Actual</h3>
+        <div class="summary-grid">
+          <div class="summary-item"><span>Planned:</span><span>${toCurrency(variance.plannedTotal)}</span></div>
+          <div class="summary-item"><span>Actual:</span><span>${toCurrency(variance.actualTotal)}</span></div>
+          <div class="summary-item"><span>${variance.variance > 0 ? 'Over Budget:' : 'Under Budget:'}</span><span>${toCurrency(Math.abs(variance.variance))}</span></div>
+          <div class="summary-item"><span>Left Over from Income:</span><span>${toCurrency(variance.income - variance.actualTotal)}</span></div>
+        </div>
+        <table class="w-full text-sm mt-2">
+          <thead>
+            <tr><th>Category</th><th>Planned</th><th>Actual</th><th>Over/Under</th></tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>`;
+  }
+
+  /**
+   * Charts planned vs. actual spending by month and flags categories that keep running over
+   */
+  function renderBudgetTrend() {
+    const trend = calculateBudgetTrend(FinancialDataStore.budget.history || {});
+
+    if (budgetTrendSummaryEl) {
+      const directionText = {
+        improving: 'Overspending shrank compared to the month before. Keep it up!',
+        worsening: 'Overspending grew compared to the month before.',
+        steady: 'Spending against plan held steady compared to the month before.'
+      };
+      let summary = trend.trackedMonths < 2
+        ? '<p class="text-sm text-gray-500">Record actual spending for at least two months to see your trend.</p>'
+        : `<div class="alert ${trend.direction === 'worsening' ? 'warning' : trend.direction === 'improving' ? 'success' : 'info'}">${directionText[trend.direction]}</div>`;
+      trend.repeatOverruns.forEach(overrun => {
+        summary += `<div class="alert warning">${overrun.label} has run over in ${overrun.months} of ${trend.trackedMonths} months, ${toCurrency(overrun.total)} in total.</div>`;
+      });
+      budgetTrendSummaryEl.innerHTML = summary;
+    }
+
+    const ctx = document.getElementById('budgetTrendChart');
+    if (!ctx || typeof Chart === 'undefined') return;
+    if (budgetTrendChart) budgetTrendChart.destroy();
+
+    budgetTrendChart = new Chart(ctx, {
+      type: 'bar',
+      data: {
+        labels: trend.months.map(month => formatMonthLabel(month.month)),
+        datasets: [
+          {
+            label: 'Planned',
+            data: trend.months.map(month => month.plannedTotal),
+            backgroundColor: 'rgba(99, 102, 241, 0.6)',
+            borderColor: 'rgba(99, 102, 241, 0.8)',
+            borderWidth: 1
+          },
+          {
+            label: 'Actual',
+            // Months without recorded spending leave a gap rather than a zero bar
+            data: trend.months.map(month => (month.hasActuals ? month.actualTotal : null)),
+            backgroundColor: 'rgba(245, 101, 101, 0.6)',
+            borderColor: 'rgba(245, 101, 101, 0.8)',
+            borderWidth: 1
+          }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: {
+            labels: {
+              color: '#ffffff',
+              usePointStyle: true
+            }
+          },
+          tooltip: {
+            backgroundColor: 'rgba(0, 0, 0, 0.8)',
+            titleColor: '#ffffff',
+            bodyColor: '#ffffff',
+            callbacks: {
+              label: function(context) {
+                return `${context.dataset.label}: ${toCurrency(context.parsed.y)}`;
+              }
+            }
+          }
+        },
+        scales: {
+          x: {
+            ticks: {
+              color: '#ffffff'
+            },
+            grid: {
+              color: 'rgba(255, 255, 255, 0.1)'
+            }
+          },
+          y: {
+            beginAtZero: true,
+            ticks: {
+              color: '#ffffff',
+              callback: function(value) {
+                return toCurrency(value);
+              }
+            },
+            grid: {
+              color: 'rgba(255, 255, 255, 0.1)'
+            }
+          }
+        }
+      }
+    });
+  }
+
+  // ============================================================================
+  // TRANSACTION LEDGER
+  // ============================================================================
+
+  // Rows of the CSV waiting on a column mapping
+  let pendingCsvRows = null;
+
+  /**
+   * Reads a chosen statement file: OFX/QFX import directly, CSV opens the column mapping
+   * @param {Event} event - File input change event
+   */
+  function onTransactionFileChange(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = function(e) {
+      const text = e.target.result;
+      try {
+        if (/\.(ofx|qfx)$/i.test(file.name) || /<OFX>/i.test(text)) {
+          const { transactions, skipped } = window.transactionImporter.parseOFX(text);
+          importTransactions(transactions, skipped);
+          return;
+        }
+
+        const rows = window.transactionImporter.parseCSV(text);
+        if (rows.length < 2) {
+          showNotification('That file has no transactions to import.', 'error');
+          return;
+        }
+        showCsvMapping(rows);
+      } catch (error) {
+        console.error('Error reading statement:', error);
+        showNotification(error.message || 'Error reading statement file.', 'error');
+      }
+    };
+    reader.readAsText(file);
+  }
+
+  /**
+   * Shows the CSV column mapping with guesses from the header row and a preview
+   * @param {Array<Array<string>>} rows - Parsed CSV rows
+   */
+  function showCsvMapping(rows) {
+    pendingCsvRows = rows;
+    const headers = rows[0];
+    const mapping = window.transactionImporter.guessColumnMapping(headers);
+    const hasHeader = Object.values(mapping).some(index => index !== -1);
+
+    const options = headers
+      .map((header, index) => `<option value="${index}">Column ${index + 1}${hasHeader && header ? `: ${header.replace(/[<>&"]/g, '')}` : ''}</option>`)
+      .join('');
+    [mapDateSelect, mapDescriptionSelect, mapAmountSelect, mapDebitSelect, mapCreditSelect].forEach(select => {
+      select.innerHTML = `<option value="-1">None</option>${options}`;
+    });
+    mapDateSelect.value = Math.max(mapping.date, 0);
+    mapDescriptionSelect.value = Math.max(mapping.description, 0);
+    mapAmountSelect.value = mapping.amount;
+    mapDebitSelect.value = mapping.debit;
+    mapCreditSelect.value = mapping.credit;
+    mapHasHeaderInput.checked = hasHeader;
+
+    const dateColumn = Number(mapDateSelect.value);
+    mapDateFormatSelect.value = window.transactionImporter.guessDateFormat(
+      rows.slice(hasHeader ? 1 : 0, 21).map(row => row[dateColumn] || '')
+    );
+
+    // Preview the first few rows so the mapping can be checked against real values
+    const table = document.createElement('table');
+    table.className = 'w-full';
+    rows.slice(0, 5).forEach(row => {
+      const tr = document.createElement('tr');
+      row.forEach(value => {
+        const td = document.createElement('td');
+        td.textContent = value;
+        tr.appendChild(td);
+      });
+      table.appendChild(tr);
+    });
+    csvPreviewEl.innerHTML = '';
+    csvPreviewEl.appendChild(table);
+    csvMappingEl.classList.remove('hidden');
+  }
+
+  /**
+   * Hides the CSV column mapping and clears the chosen file
+   */
+  function hideCsvMapping() {
+    pendingCsvRows = null;
+    if (csvMappingEl) csvMappingEl.classList.add('hidden');
+    if (transactionFileInput) transactionFileInput.value = '';
+  }
+
+  /**
+   * Imports the pending CSV with the chosen column mapping
+   */
+  function onCsvImport() {
+    if (!pendingCsvRows) return;
+
+    const mapping = {
+      date: Number(mapDateSelect.value),
+      description: Number(mapDescriptionSelect.value),
+      amount: Number(mapAmountSelect.value),
+      debit: Number(mapDebitSelect.value),
+      credit: Number(mapCreditSelect.value),
+      dateFormat: mapDateFormatSelect.value,
+      spendingSign: mapSpendingSignSelect.value,
+      hasHeader: mapHasHeaderInput.checked
+    };
+
+    if (mapping.date < 0 || mapping.description < 0) {
+      showNotification('Choose the date and description columns.', 'error');
+      return;
+    }
+    if (mapping.amount < 0 && mapping.debit < 0 && mapping.credit < 0) {
+      showNotification('Choose an amount column, or debit and credit columns.', 'error');
+      return;
+    }
+
+    const { transactions, skipped } = window.transactionImporter.mapCSVRows(pendingCsvRows, mapping);
+    importTransactions(transactions, skipped);
+  }
+
+  /**
+   * Adds parsed transactions to the ledger, skipping ones already imported
+   * @param {Array} transactions - Parsed transactions
+   * @param {number} skippedRows - Rows that couldn't be read as a transaction
+   */
+  function importTransactions(transactions, skippedRows = 0) {
+    const account = transactionAccountInput ? transactionAccountInput.value.trim() : '';
+    const importedAt = new Date().toISOString();
+    const incoming = transactions.map((transaction, index) => ({
+      ...transaction,
+      id: `${Date.now().toString(36)}-${index}`,
+      account,
+      category: null,
+      importedAt
+    }));
+
+    const ledger = FinancialDataStore.transactions || [];
+    const { fresh, duplicates } = window.transactionImporter.findDuplicates(incoming, ledger);
+    FinancialDataStore.transactions = [...ledger, ...fresh].sort((a, b) => b.date.localeCompare(a.date));
+
+    hideCsvMapping();
+    syncLedgerActuals();
+    saveFinancialData();
+    renderLedger(fresh.length > 0 ? fresh[0].date.slice(0, 7) : null);
+    renderBudgetHistory();
+
+    const notes = [];
+    if (duplicates.length > 0) notes.push(`${duplicates.length} already imported`);
+    if (skippedRows > 0) notes.push(`${skippedRows} unreadable row${skippedRows === 1 ? '' : 's'}`);
+    showNotification(
+      `Imported ${fresh.length} transaction${fresh.length === 1 ? '' : 's'}${notes.length ? ` (skipped ${notes.join(', ')})` : ''}.`,
+      fresh.length > 0 ? 'success' : 'info'
+    );
+  }
+
+  /**
+   * Rolls categorized transactions up into each month's actual spending. Months with
+   * categorized transactions take their actuals from the ledger; other months keep what was
+   * entered by hand.
+   */
+  function syncLedgerActuals() {
+    const transactions = FinancialDataStore.transactions || [];
+    const categoryKeys = new Set(getBudgetCategories().map(category => category.key));
+    const history = FinancialDataStore.budget.history || {};
+    const months = new Set(transactions
+      .filter(transaction => categoryKeys.has(transaction.category))
+      .map(transaction => transaction.date.slice(0, 7)));
+
+    months.forEach(month => {
+      const totals = window.transactionImporter.summarizeByCategory(transactions, month, categoryKeys);
+      // Months without an analyzed budget are compared against the current plan
+      const entry = history[month] || {
+        month,
+        income: FinancialDataStore.budget.monthlyIncome,
+        planned: { ...FinancialDataStore.budget.expenses },
+        labels: Object.keys(FinancialDataStore.budget.expenses).reduce((acc, key) => ({ ...acc, [key]: getExpenseLabel(key) }), {}),
+        updated: new Date().toISOString()
+      };
+      // Planned categories with no transactions had nothing spent
+      entry.actual = {
+        ...Object.keys(entry.planned).reduce((acc, key) => ({ ...acc, [key]: 0 }), {}),
+        ...totals
+      };
+      entry.actualSource = 'ledger';
+      entry.actualUpdated = new Date().toISOString();
+      history[month] = entry;
+    });
+
+    // A month whose transactions were all removed or uncategorized no longer has ledger actuals
+    Object.values(history).forEach(entry => {
+      if (entry.actualSource === 'ledger' && !months.has(entry.month)) {
+        delete entry.actual;
+        delete entry.actualSource;
+      }
+    });
+
+    FinancialDataStore.budget.history = history;
+  }
+
+  /**
+   * Renders the ledger for one month (or all months) with a category picker per transaction
+   * @param {string} selectedMonth - YYYY-MM month or 'all'; defaults to the current selection
+   */
+  function renderLedger(selectedMonth = null) {
+    if (!ledgerEl || !transactionListEl) return;
+
+    const transactions = FinancialDataStore.transactions || [];
+    ledgerEl.classList.toggle('hidden', transactions.length === 0);
+    if (transactions.length === 0) return;
+
+    const months = [...new Set(transactions.map(transaction => transaction.date.slice(0, 7)))].sort().reverse();
+    const month = [selectedMonth, ledgerMonthSelect.value].find(candidate => candidate === 'all' || months.includes(candidate)) || months[0];
+    ledgerMonthSelect.innerHTML = `${months.map(key => `<option value="${key}">${formatMonthLabel(key)}</option>`).join('')}<option value="all">All months</option>`;
+    ledgerMonthSelect.value = month;
+
+    const shown = month === 'all' ? transactions : transactions.filter(transaction => transaction.date.startsWith(month));
+    transactionListEl.innerHTML = '';
+    shown.forEach(transaction => {
+      const row = document.createElement('tr');
+      row.dataset.id = transaction.id;
+      row.innerHTML = `
+        <td>${transaction.date}</td>
+        <td class="transaction-description"></td>
+        <td class="transaction-account"></td>
+        <td class="${transaction.amount < 0 ? '' : 'text-green-600'}">${toCurrency(transaction.amount)}</td>
+        <td><select class="transaction-category" aria-label="Transaction category"></select></td>
+        <td><button type="button" class="remove-transaction-btn text-xs text-primary cursor-pointer">Delete</button></td>
+      `;
+      row.querySelector('.transaction-description').textContent = transaction.description;
+      row.querySelector('.transaction-account').textContent = transaction.account;
+      const select = row.querySelector('.transaction-category');
+      fillTransactionCategorySelect(select);
+      select.value = transaction.category || '';
+      transactionListEl.appendChild(row);
+    });
+
+    const spending = shown
+      .filter(transaction => transaction.category !== 'transfer' && transaction.amount < 0)
+      .reduce((sum, transaction) => sum - transaction.amount, 0);
+    const uncategorized = shown.filter(transaction => !transaction.category).length;
+    ledgerSummaryEl.innerHTML = `
+      <p>${shown.length} transaction${shown.length === 1 ? '' : 's'} · ${toCurrency(spending)} spent${uncategorized > 0 ? ` · <strong>${uncategorized} uncategorized</strong>` : ''}</p>`;
+  }
+
+  /**
+   * Saves a transaction's category and refreshes the month's actual spending
+   * @param {Event} event - Change event from a category picker
+   */
+  function onTransactionCategoryChange(event) {
+    if (!event.target.classList.contains('transaction-category')) return;
+    const transaction = FinancialDataStore.transactions.find(entry => entry.id === event.target.closest('tr').dataset.id);
+    if (!transaction) return;
+
+    transaction.category = event.target.value || null;
+    // Only categories chosen by hand teach the payee suggestions
+    transaction.categorySource = transaction.category ? 'manual' : null;
+    syncLedgerActuals();
+    saveFinancialData();
+    renderLedger();
+    renderBudgetHistory();
+  }
+
+  /**
+   * Deletes a transaction from the ledger
+   * @param {Event} event - Click event from the ledger table
+   */
+  function onTransactionListClick(event) {
+    if (!event.target.classList.contains('remove-transaction-btn')) return;
+    const id = event.target.closest('tr').dataset.id;
+
+    FinancialDataStore.transactions = FinancialDataStore.transactions.filter(entry => entry.id !== id);
+    syncLedgerActuals();
+    saveFinancialData();
+    renderLedger();
+    renderBudgetHistory();
+  }
+
+  /**
+   * Fills a select with the categories a transaction can be assigned to
+   * @param {HTMLSelectElement} select - Select to fill
+   * @param {string|null} emptyLabel - Label for the empty option, or null for none
+   */
+  function fillTransactionCategorySelect(select, emptyLabel = 'Uncategorized') {
+    const options = [
+      ...(emptyLabel ? [['', emptyLabel]] : []),
+      ...getExpenseLeafConfigs().map(config => [config.key, getExpenseLabel(config.key)]),
+      ['transfer', 'Transfer / Income (not spending)']
+    ];
+    select.innerHTML = '';
+    options.forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+  }
+
+  /**
+   * Categories a transaction or rule can point at: budget categories plus transfers
+   * @returns {Set<string>} Valid category keys
+   */
+  function getTransactionCategoryKeys() {
+    return new Set([...getBudgetCategories().map(category => category.key), 'transfer']);
+  }
+
+  /**
+   * Describes what a categorization rule matches
+   * @param {object} rule - Categorization rule
+   * @returns {string} Description such as "Payee contains "shell", $10.00–$80.00, spending only"
+   */
+  function describeRule(rule) {
+    const parts = [];
+    if (rule.pattern) parts.push(`Payee ${rule.matchType === 'regex' ? 'matches' : 'contains'} "${rule.pattern}"`);
+    if (rule.minAmount !== null && rule.maxAmount !== null) parts.push(`${toCurrency(rule.minAmount)}–${toCurrency(rule.maxAmount)}`);
+    else if (rule.minAmount !== null) parts.push(`${toCurrency(rule.minAmount)} or more`);
+    else if (rule.maxAmount !== null) parts.push(`up to ${toCurrency(rule.maxAmount)}`);
+    parts.push(rule.includeDeposits ? 'spending and deposits' : 'spending only');
+    return parts.join(', ');
+  }
+
+  /**
+   * Lists the categorization rules in priority order and refreshes the rule category picker
+   */
+  function renderRules() {
+    if (ruleCategorySelect) {
+      const selected = ruleCategorySelect.value;
+      fillTransactionCategorySelect(ruleCategorySelect, null);
+      if (getTransactionCategoryKeys().has(selected)) ruleCategorySelect.value = selected;
+    }
+    if (!ruleListEl) return;
+
+    const rules = FinancialDataStore.transactionRules || [];
+    const categoryKeys = getTransactionCategoryKeys();
+    ruleListEl.innerHTML = rules.length === 0 ? '<p class="text-sm text-gray-500">No rules yet.</p>' : '';
+
+    rules.forEach((rule, index) => {
+      const row = document.createElement('div');
+      row.className = 'rule-row flex items-center gap-2 text-sm';
+      row.dataset.id = rule.id;
+      row.innerHTML = `
+        <span class="flex-1"><span class="rule-match"></span> → <strong class="rule-category"></strong></span>
+        ${index > 0 ? '<button type="button" class="move-rule-btn text-xs text-primary cursor-pointer">Move Up</button>' : ''}
+        <button type="button" class="remove-rule-btn text-xs text-primary cursor-pointer">Delete</button>
+      `;
+      row.querySelector('.rule-match').textContent = describeRule(rule);
+      row.querySelector('.rule-category').textContent = categoryKeys.has(rule.category)
+        ? (rule.category === 'transfer' ? 'Transfer / Income' : getExpenseLabel(rule.category))
+        : 'Removed category (rule inactive)';
+      ruleListEl.appendChild(row);
+    });
+  }
+
+  /**
+   * Adds a categorization rule from the rule form
+   */
+  function addRule() {
+    const rule = {
+      id: `rule-${Date.now().toString(36)}`,
+      matchType: ruleMatchTypeSelect.value,
+      pattern: ruleMatchTypeSelect.value === 'regex' ? rulePatternInput.value : rulePatternInput.value.trim(),
+      minAmount: ruleMinAmountInput.value === '' ? null : sanitizeNumber(ruleMinAmountInput.value),
+      maxAmount: ruleMaxAmountInput.value === '' ? null : sanitizeNumber(ruleMaxAmountInput.value),
+      includeDeposits: ruleIncludeDepositsInput ? ruleIncludeDepositsInput.checked : false,
+      category: ruleCategorySelect.value
+    };
+
+    const error = window.transactionCategorizer.validateRule(rule);
+    if (error) {
+      showNotification(error, 'error');
+      return;
+    }
+
+    FinancialDataStore.transactionRules = [...(FinancialDataStore.transactionRules || []), rule];
+    saveFinancialData();
+    rulePatternInput.value = '';
+    ruleMinAmountInput.value = '';
+    ruleMaxAmountInput.value = '';
+    if (ruleIncludeDepositsInput) ruleIncludeDepositsInput.checked = false;
+    renderRules();
+  }
+
+  /**
+   * Deletes a rule or moves it up in priority
+   * @param {Event} event - Click event from the rule list
+   */
+  function onRuleListClick(event) {
+    const row = event.target.closest('.rule-row');
+    if (!row) return;
+    const rules = FinancialDataStore.transactionRules || [];
+    const index = rules.findIndex(rule => rule.id === row.dataset.id);
+
+    if (event.target.classList.contains('remove-rule-btn')) {
+      rules.splice(index, 1);
+    } else if (event.target.classList.contains('move-rule-btn') && index > 0) {
+      [rules[index - 1], rules[index]] = [rules[index], rules[index - 1]];
+    } else {
+      return;
+    }
+
+    FinancialDataStore.transactionRules = rules;
+    saveFinancialData();
+    renderRules();
+  }
+
+  // Suggestions awaiting review, keyed by transaction id
+  let pendingRulePreview = null;
+
+  /**
+   * Runs the rules and learned payees over uncategorized transactions and lists the
+   * suggestions for review
+   */
+  function onPreviewRules() {
+    const preview = window.transactionCategorizer.previewCategorization(
+      FinancialDataStore.transactions || [],
+      FinancialDataStore.transactionRules || [],
+      getTransactionCategoryKeys()
+    );
+
+    if (preview.length === 0) {
+      hideRulePreview();
+      showNotification('No rule or past categorization matches your uncategorized transactions.', 'info');
+      return;
+    }
+
+    pendingRulePreview = new Map(preview.map(entry => [entry.transaction.id, entry.suggestion]));
+    const rulesById = new Map((FinancialDataStore.transactionRules || []).map(rule => [rule.id, rule]));
+
+    const table = document.createElement('table');
+    table.className = 'w-full text-sm';
+    table.innerHTML = '<thead><tr><th></th><th>Date</th><th>Description</th><th>Amount</th><th>Category</th><th>Because</th></tr></thead>';
+    const body = document.createElement('tbody');
+    preview.forEach(({ transaction, suggestion }) => {
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <td><input type="checkbox" class="rule-preview-check" checked aria-label="Apply this suggestion"></td>
+        <td>${transaction.date}</td>
+        <td></td>
+        <td>${toCurrency(transaction.amount)}</td>
+        <td></td>
+        <td></td>
+      `;
+      row.querySelector('.rule-preview-check').dataset.id = transaction.id;
+      const cells = row.querySelectorAll('td');
+      cells[2].textContent = transaction.description;
+      cells[4].textContent = suggestion.category === 'transfer' ? 'Transfer / Income' : getExpenseLabel(suggestion.category);
+      cells[5].textContent = suggestion.source === 'rule'
+        ? describeRule(rulesById.get(suggestion.ruleId))
+        : `Categorized this way ${suggestion.count} time${suggestion.count === 1 ? '' : 's'} before`;
+      body.appendChild(row);
+    });
+    table.appendChild(body);
+
+    rulePreviewEl.innerHTML = `<h3>Review ${preview.length} Suggestion${preview.length === 1 ? '' : 's'}</h3>`;
+    rulePreviewEl.appendChild(table);
+    rulePreviewEl.insertAdjacentHTML('beforeend', `
+      <div class="actions">
+        <button type="button" id="confirm-rules-btn" class="btn-primary">Apply Selected</button>
+        <button type="button" id="cancel-rules-btn" class="btn-secondary">Cancel</button>
+      </div>`);
+    rulePreviewEl.querySelector('#confirm-rules-btn').addEventListener('click', onApplyRulePreview);
+    rulePreviewEl.querySelector('#cancel-rules-btn').addEventListener('click', hideRulePreview);
+    rulePreviewEl.classList.remove('hidden');
+  }
+
+  /**
+   * Hides the rule suggestions without applying them
+   */
+  function hideRulePreview() {
+    pendingRulePreview = null;
+    if (!rulePreviewEl) return;
+    rulePreviewEl.classList.add('hidden');
+    rulePreviewEl.innerHTML = '';
+  }
+
+  /**
+   * Applies the checked suggestions to their transactions
+   */
+  function onApplyRulePreview() {
+    if (!pendingRulePreview) return;
+
+    const selectedIds = new Set([...rulePreviewEl.querySelectorAll('.rule-preview-check:checked')].map(input => input.dataset.id));
+    let applied = 0;
+    (FinancialDataStore.transactions || []).forEach(transaction => {
+      const suggestion = pendingRulePreview.get(transaction.id);
+      if (!suggestion || !selectedIds.has(transaction.id) || transaction.category) return;
+      transaction.category = suggestion.category;
+      transaction.categorySource = suggestion.source;
+      applied++;
+    });
+
+    hideRulePreview();
+    syncLedgerActuals();
+    saveFinancialData();
+    renderLedger();
+    renderBudgetHistory();
+    showNotification(`Categorized ${applied} transaction${applied === 1 ? '' : 's'}.`, 'success');
+  }
+
+  // ============================================================================
+  // BILLS CALENDAR
+  // ============================================================================
+
+  // Month shown in the bill calendar
+  let billCalendarMonth = { year: new Date().getFullYear(), month: new Date().getMonth() };
+
+  // Recurring charges found in the ledger, waiting to be added as bills
+  let pendingBillSuggestions = [];
+
+  /**
+   * Today's date as YYYY-MM-DD in local time
+   * @returns {string} Today's date
+   */
+  function getTodayISO() {
+    return window.billCalendar.toISODate(new Date());
+  }
+
+  /**
+   * Lists pay dates on the saved pay schedule. Once a payday is known the dates step from
+   * it; until then they follow the schedule's default calendar.
+   * @param {string} startISO - First date (YYYY-MM-DD)
+   * @param {string} endISO - Last date (YYYY-MM-DD)
+   * @returns {Array<string>} Pay dates in order
+   */
+  function getPayDatesBetween(startISO, endISO) {
+    const schedule = FinancialDataStore.income.paySchedule || getScheduleForFrequency(FinancialDataStore.income.payFrequency);
+    if (FinancialDataStore.income.payday) {
+      return window.calculators.getPayDatesFromPayday(schedule, FinancialDataStore.income.payday, startISO, endISO);
+    }
+
+    const dates = [];
+    for (let year = Number(startISO.slice(0, 4)); year <= Number(endISO.slice(0, 4)); year++) {
+      dates.push(...window.calculators.getPayDates(schedule, year));
+    }
+    return dates.filter(date => date >= startISO && date <= endISO);
+  }
+
+  /**
+   * Finds the next payday after today from the saved pay schedule
+   * @returns {string} Next pay date (YYYY-MM-DD)
+   */
+  function getNextPayday() {
+    const today = new Date();
+    const tomorrow = window.billCalendar.toISODate(new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1));
+    const nextYear = window.billCalendar.toISODate(new Date(today.getFullYear() + 1, today.getMonth(), today.getDate()));
+    return getPayDatesBetween(tomorrow, nextYear)[0];
+  }
+
+  /**
+   * Saves the payday entered before the bills check as the date paychecks step from
+   */
+  function onNextPaydayChange() {
+    if (nextPaydayInput.value) {
+      FinancialDataStore.income.payday = nextPaydayInput.value;
+      saveFinancialData();
+    }
+    renderPaydayCheck();
+  }
+
+  /**
+   * Describes a bill's budget category for display
+   * @param {string|null} category - Budget category key
+   * @returns {string} Category label
+   */
+  function getBillCategoryLabel(category) {
+    if (!category) return 'Not budgeted';
+    return getExpenseLeafConfigs().some(config => config.key === category) ? getExpenseLabel(category) : 'Removed category';
+  }
+
+  /**
+   * Raises each budget category to at least the monthly cost of the bills assigned to it
+   * and notes the bill amount under the field
+   */
+  function applyBillTotalsToBudget() {
+    const totals = window.billCalendar.getMonthlyTotalsByCategory(FinancialDataStore.bills || []);
+    getExpenseLeafConfigs().forEach(config => {
+      const billTotal = Math.round((totals[config.key] || 0) * 100) / 100;
+      if (billTotal > 0 && sanitizeNumber(config.amountEl.value) < billTotal) {
+        config.amountEl.value = billTotal.toFixed(2);
+      }
+      if (config.billNoteEl) {
+        config.billNoteEl.textContent = billTotal > 0 ? `Includes ${toCurrency(billTotal)}/month in bills` : '';
+        config.billNoteEl.classList.toggle('hidden', billTotal === 0);
+      }
+    });
+  }
+
+  /**
+   * Lists the bills with their monthly cost and refreshes the calendar and payday check
+   */
+  function renderBills() {
+    if (billCategorySelect) {
+      const selected = billCategorySelect.value;
+      billCategorySelect.innerHTML = '<option value="">Not budgeted</option>';
+      getExpenseLeafConfigs().forEach(config => {
+        const option = document.createElement('option');
+        option.value = config.key;
+        option.textContent = getExpenseLabel(config.key);
+        billCategorySelect.appendChild(option);
+      });
+      const fallback = getExpenseLeafConfigs().some(config => config.key === 'subscriptions') ? 'subscriptions' : '';
+      billCategorySelect.value = [...billCategorySelect.options].some(option => option.value === selected && selected) ? selected : fallback;
+    }
+    if (billNextDueInput && !billNextDueInput.value) billNextDueInput.value = getTodayISO();
+    if (!billsEl || !billListEl) return;
+
+    const bills = [...(FinancialDataStore.bills || [])].sort((a, b) => a.nextDue.localeCompare(b.nextDue));
+    billsEl.classList.toggle('hidden', bills.length === 0);
+    billListEl.innerHTML = '';
+    if (bills.length === 0) return;
+
+    const today = getTodayISO();
+    bills.forEach(bill => {
+      const row = document.createElement('tr');
+      row.className = 'bill-row';
+      row.dataset.id = bill.id;
+      row.innerHTML = `
+        <td></td>
+        <td>${toCurrency(bill.amount)}</td>
+        <td>${window.billCalendar.CADENCES[bill.cadence].label}</td>
+        <td>${bill.nextDue}${bill.nextDue < today ? ' (overdue)' : ''}</td>
+        <td></td>
+        <td></td>
+        <td>${toCurrency(window.billCalendar.getMonthlyEquivalent(bill))}</td>
+        <td class="whitespace-nowrap">
+          <button type="button" class="pay-bill-btn text-xs text-primary cursor-pointer">Mark Paid</button>
+          <button type="button" class="remove-bill-btn text-xs text-primary cursor-pointer">Delete</button>
+        </td>
+      `;
+      const cells = row.querySelectorAll('td');
+      cells[0].textContent = bill.name;
+      cells[4].textContent = bill.account || '—';
+      cells[5].textContent = getBillCategoryLabel(bill.category);
+      billListEl.appendChild(row);
+    });
+
+    const monthlyTotal = bills.reduce((sum, bill) => sum + window.billCalendar.getMonthlyEquivalent(bill), 0);
+    if (billTotalsEl) {
+      billTotalsEl.innerHTML = `<strong>${toCurrency(monthlyTotal)}/month</strong> across ${bills.length} bill${bills.length === 1 ? '' : 's'} (${toCurrency(monthlyTotal * 12)}/year)`;
+    }
+
+    if (nextPaydayInput && !nextPaydayInput.value) nextPaydayInput.value = getNextPayday() || '';
+    renderBillCalendar();
+    renderPaydayCheck();
+  }
+
+  /**
+   * Saves a bill change and updates the bills card and the budget categories it feeds
+   */
+  function onBillsChanged() {
+    saveFinancialData();
+    renderBills();
+    applyBillTotalsToBudget();
+    updateAllExpenseVisuals();
+  }
+
+  /**
+   * Adds a bill from the bill form
+   * @param {Event} event - Submit event
+   */
+  function onBillSubmit(event) {
+    event.preventDefault();
+    const amount = sanitizeNumber(billAmountInput.value);
+    if (amount <= 0) {
+      showNotification('Enter the bill amount.', 'error');
+      return;
+    }
+
+    FinancialDataStore.bills = [...(FinancialDataStore.bills || []), {
+      id: `bill-${Date.now().toString(36)}`,
+      name: billNameInput.value.trim(),
+      amount,
+      cadence: billCadenceSelect.value,
+      nextDue: billNextDueInput.value,
+      dueDay: Number(billNextDueInput.value.slice(8)),
+      account: billAccountInput.value.trim(),
+      category: billCategorySelect.value || null
+    }];
+    billNameInput.value = '';
+    billAmountInput.value = '';
+    onBillsChanged();
+  }
+
+  /**
+   * Marks a bill paid, moving its due date forward one period, or deletes it
+   * @param {Event} event - Click event from the bill list
+   */
+  function onBillListClick(event) {
+    const row = event.target.closest('.bill-row');
+    if (!row) return;
+    const bills = FinancialDataStore.bills || [];
+    const bill = bills.find(entry => entry.id === row.dataset.id);
+    if (!bill) return;
+
+    if (event.target.classList.contains('pay-bill-btn')) {
+      bill.nextDue = window.billCalendar.advanceDueDate(bill.nextDue, bill.cadence, bill.dueDay);
+    } else if (event.target.classList.contains('remove-bill-btn')) {
+      FinancialDataStore.bills = bills.filter(entry => entry !== bill);
+    } else {
+      return;
+    }
+    onBillsChanged();
+  }
+
+  /**
+   * Moves the bill calendar by a number of months
+   * @param {number} months - Months to move, negative for earlier
+   */
+  function shiftBillCalendar(months) {
+    const date = new Date(billCalendarMonth.year, billCalendarMonth.month + months, 1);
+    billCalendarMonth = { year: date.getFullYear(), month: date.getMonth() };
+    renderBillCalendar();
+  }
+
+  /**
+   * Draws the calendar month with each day's bills
+   */
+  function renderBillCalendar() {
+    if (!billCalendarEl) return;
+    const { year, month } = billCalendarMonth;
+    const days = window.billCalendar.getCalendarMonth(FinancialDataStore.bills || [], year, month);
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    const leadingBlanks = new Date(year, month, 1).getDay();
+    const today = getTodayISO();
+
+    if (billCalendarLabelEl) {
+      billCalendarLabelEl.textContent = new Date(year, month, 1).toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+    }
+
+    billCalendarEl.innerHTML = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+      .map(day => `<div class="font-semibold text-center">${day}</div>`)
+      .join('') + '<div></div>'.repeat(leadingBlanks);
+
+    for (let day = 1; day <= daysInMonth; day++) {
+      const iso = window.billCalendar.toISODate(new Date(year, month, day));
+      const cell = document.createElement('div');
+      cell.className = `bill-calendar-day border rounded p-1${iso === today ? ' border-primary' : ''}`;
+      cell.innerHTML = `<div class="text-gray-500">${day}</div>`;
+      (days[day] || []).forEach(({ bill }) => {
+        const item = document.createElement('div');
+        item.className = 'truncate';
+        item.textContent = `${bill.name} ${toCurrency(bill.amount)}`;
+        item.title = item.textContent;
+        cell.appendChild(item);
+      });
+      billCalendarEl.appendChild(cell);
+    }
+  }
+
+  /**
+   * Totals the bills due from today until the next payday and compares them with the cash
+   * available
+   */
+  function renderPaydayCheck() {
+    if (!paydayCheckEl) return;
+    const today = getTodayISO();
+    const payday = nextPaydayInput ? nextPaydayInput.value : '';
+    if (!payday || payday <= today) {
+      paydayCheckEl.innerHTML = '<p class="text-sm text-gray-500">Enter your next payday to see the bills due before it.</p>';
+      return;
+    }
+
+    const bills = FinancialDataStore.bills || [];
+    const dayBefore = window.billCalendar.toISODate(new Date(window.billCalendar.toDate(payday).getTime() - 86400000));
+    const { payments, total } = window.billCalendar.getPaymentsDue(bills, today, dayBefore);
+    const overdue = bills.filter(bill => bill.nextDue < today);
+    const overdueTotal = overdue.reduce((sum, bill) => sum + bill.amount, 0);
+    const needed = total + overdueTotal;
+
+    let status = '';
+    if (availableCashInput && availableCashInput.value !== '') {
+      const cash = sanitizeNumber(availableCashInput.value);
+      status = cash >= needed
+        ? `<div class="alert success">${toCurrency(cash)} covers these bills with ${toCurrency(cash - needed)} to spare.</div>`
+        : `<div class="alert warning">You're ${toCurrency(needed - cash)} short of covering these bills before payday.</div>`;
+    }
+
+    paydayCheckEl.innerHTML = `
+      <p><strong>${toCurrency(needed)}</strong> due in ${payments.length} payment${payments.length === 1 ? '' : 's'} before ${payday}${overdue.length ? `, including ${toCurrency(overdueTotal)} overdue` : ''}.</p>
+      ${status}
+      <ul class="text-sm mt-2"></ul>
+    `;
+    const list = paydayCheckEl.querySelector('ul');
+    [...overdue.map(bill => ({ bill, date: bill.nextDue })), ...payments].forEach(({ bill, date }) => {
+      const item = document.createElement('li');
+      item.textContent = `${date} · ${bill.name} · ${toCurrency(bill.amount)}${bill.account ? ` from ${bill.account}` : ''}`;
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Looks for recurring charges in the ledger that aren't bills yet and lists them to add
+   */
+  function onDetectBills() {
+    pendingBillSuggestions = window.billCalendar.detectRecurringCharges(FinancialDataStore.transactions || [], FinancialDataStore.bills || []);
+    if (pendingBillSuggestions.length === 0) {
+      hideBillSuggestions();
+      showNotification('No new recurring charges found in your transactions.', 'info');
+      return;
+    }
+
+    billSuggestionsEl.innerHTML = '<h3>Recurring Charges Found</h3>';
+    pendingBillSuggestions.forEach((suggestion, index) => {
+      const row = document.createElement('div');
+      row.className = 'flex items-center gap-2 text-sm';
+      row.innerHTML = `
+        <span class="flex-1"></span>
+        <button type="button" class="add-bill-suggestion-btn text-xs text-primary cursor-pointer">Add</button>
+      `;
+      row.querySelector('span').textContent = `${suggestion.name} · ${toCurrency(suggestion.amount)} ${window.billCalendar.CADENCES[suggestion.cadence].label.toLowerCase()} · seen ${suggestion.occurrences} times · next ${suggestion.nextDue}`;
+      row.querySelector('button').dataset.index = index;
+      billSuggestionsEl.appendChild(row);
+    });
+    billSuggestionsEl.classList.remove('hidden');
+  }
+
+  /**
+   * Adds a detected recurring charge as a bill
+   * @param {Event} event - Click event from the suggestion list
+   */
+  function onBillSuggestionClick(event) {
+    if (!event.target.classList.contains('add-bill-suggestion-btn')) return;
+    const suggestion = pendingBillSuggestions[Number(event.target.dataset.index)];
+    if (!suggestion) return;
+
+    const leafKeys = new Set(getExpenseLeafConfigs().map(config => config.key));
+    FinancialDataStore.bills = [...(FinancialDataStore.bills || []), {
+      id: `bill-${Date.now().toString(36)}`,
+      name: suggestion.name,
+      amount: suggestion.amount,
+      cadence: suggestion.cadence,
+      nextDue: suggestion.nextDue,
+      dueDay: Number(suggestion.nextDue.slice(8)),
+      account: suggestion.account,
+      category: leafKeys.has(suggestion.category) ? suggestion.category : (leafKeys.has('subscriptions') ? 'subscriptions' : null)
+    }];
+    event.target.closest('div').remove();
+    if (!billSuggestionsEl.querySelector('.add-bill-suggestion-btn')) hideBillSuggestions();
+    onBillsChanged();
+  }
+
+  /**
+   * Hides the detected recurring charges
+   */
+  function hideBillSuggestions() {
+    pendingBillSuggestions = [];
+    if (!billSuggestionsEl) return;
+    billSuggestionsEl.classList.add('hidden');
+    billSuggestionsEl.innerHTML = '';
+  }
+
+  // ============================================================================
+  // VARIABLE INCOME
+  // ============================================================================
+
+  // Months of history needed before the budget switches to the baseline
+  const MIN_INCOME_HISTORY_MONTHS = 3;
+
+  // Last income calculated on the Income tab, restored when variable-income mode is turned off
+  let calculatedBudgetIncome = null;
+
+  /**
+   * Returns the saved variable-income settings, creating them for older saved data
+   * @returns {{enabled: boolean, method: string, history: Array<{month: string, amount: number}>}} Settings
+   */
+  function getVariableIncome() {
+    if (!FinancialDataStore.budget.variableIncome) {
+      FinancialDataStore.budget.variableIncome = { enabled: false, method: 'percentile', history: [] };
+    }
+    return FinancialDataStore.budget.variableIncome;
+  }
+
+  /**
+   * Summarizes the income history when variable-income mode is on and has enough months
+   * @returns {object|null} Result of window.calculators.calculateIncomeBaseline, or null
+   */
+  function getIncomeBaseline() {
+    const variableIncome = getVariableIncome();
+    if (!variableIncome.enabled || variableIncome.history.length < MIN_INCOME_HISTORY_MONTHS) return null;
+    return window.calculators.calculateIncomeBaseline(variableIncome.history, variableIncome.method);
+  }
+
+  /**
+   * Picks the income the budget is built on: the variable-income baseline when there is
+   * one, otherwise the calculated take-home pay, which is remembered for later
+   * @param {number} calculatedIncome - Monthly income from the Income tab
+   * @returns {number} Monthly income for the budget
+   */
+  function resolveBudgetIncome(calculatedIncome) {
+    calculatedBudgetIncome = calculatedIncome;
+    const baseline = getIncomeBaseline();
+    return baseline ? baseline.baseline : calculatedIncome;
+  }
+
+  /**
+   * Re-applies the budget income after variable-income settings change
+   */
+  function applyVariableIncomeBaseline() {
+    applyMonthlyIncomeAutoFill(calculatedBudgetIncome !== null ? calculatedBudgetIncome : loadFromLocalStorage('monthlyIncome', 0));
+    setBudgetIncomeLabel(FinancialDataStore.income.incomeType);
+  }
+
+  /**
+   * Shows the income history, the baseline it gives and the surplus plan
+   */
+  function renderVariableIncome() {
+    const variableIncome = getVariableIncome();
+    if (variableIncomeToggle) variableIncomeToggle.checked = variableIncome.enabled;
+    if (incomeBaselineMethodSelect) incomeBaselineMethodSelect.value = variableIncome.method;
+    if (!variableIncomePanel) return;
+    variableIncomePanel.classList.toggle('hidden', !variableIncome.enabled);
+
+    const history = [...variableIncome.history].sort((a, b) => b.month.localeCompare(a.month));
+    incomeHistoryListEl.innerHTML = '';
+    history.forEach(entry => {
+      const row = document.createElement('div');
+      row.className = 'income-history-row flex items-center gap-2';
+      row.dataset.month = entry.month;
+      row.innerHTML = `
+        <span class="flex-1">${formatMonthLabel(entry.month)}</span>
+        <span>${toCurrency(entry.amount)}</span>
+        <button type="button" class="remove-income-history-btn text-xs text-primary cursor-pointer">Delete</button>
+      `;
+      incomeHistoryListEl.appendChild(row);
+    });
+
+    const summary = window.calculators.calculateIncomeBaseline(variableIncome.history, variableIncome.method);
+    if (!summary || summary.months < MIN_INCOME_HISTORY_MONTHS) {
+      const needed = MIN_INCOME_HISTORY_MONTHS - (summary ? summary.months : 0);
+      incomeBaselineSummaryEl.innerHTML = `<p class="text-sm text-gray-500">Add ${needed} more month${needed === 1 ? '' : 's'} to set a baseline. Until then the budget uses your calculated income.</p>`;
+      surplusPlanEl.innerHTML = '';
+      return;
+    }
+
+    incomeBaselineSummaryEl.innerHTML = `
+      <div class="tax-grid">
+        <div class="tax-item"><span class="tax-label">Budget Baseline:</span><span class="tax-amount">${toCurrency(summary.baseline)}</span></div>
+        <div class="tax-item"><span class="tax-label">Average Month:</span><span class="tax-amount">${toCurrency(summary.average)}</span></div>
+        <div class="tax-item"><span class="tax-label">Range:</span><span class="tax-amount">${toCurrency(summary.lowest)} – ${toCurrency(summary.highest)}</span></div>
+        <div class="tax-item"><span class="tax-label">Month-to-Month Swing:</span><span class="tax-amount">±${summary.variability.toFixed(0)}%</span></div>
+      </div>
+      <p class="text-sm text-gray-500 mt-2">Based on ${summary.months} months. Your budget is built on ${toCurrency(summary.baseline)}; ${toCurrency(summary.average - summary.baseline)} a month above it on average is surplus.</p>
+    `;
+    if (surplusIncomeInput && surplusIncomeInput.value === '') surplusIncomeInput.value = history[0].amount.toFixed(2);
+    renderSurplusPlan();
+  }
+
+  /**
+   * Recommends how to split this month's income above the baseline between the emergency
+   * fund buffer, debt and goals
+   */
+  function renderSurplusPlan() {
+    const summary = getIncomeBaseline();
+    if (!surplusPlanEl || !summary) return;
+
+    const income = sanitizeNumber(surplusIncomeInput.value);
+    if (income < summary.baseline) {
+      surplusPlanEl.innerHTML = `<div class="alert warning">This month is ${toCurrency(summary.baseline - income)} below your baseline. Cover the gap from your emergency fund rather than by cutting the plan.</div>`;
+      return;
+    }
+
+    const fund = FinancialDataStore.emergencyFund || {};
+    const bufferTarget = fund.targetAmount > 0 ? fund.targetAmount : summary.baseline * 3;
+    const debts = getCurrentDebts();
+    const goals = (FinancialDataStore.goals || []).filter(goal => goal.currentAmount < goal.targetAmount);
+    const plan = window.calculators.allocateSurplus(income, summary.baseline, {
+      bufferGap: Math.max(0, bufferTarget - (fund.currentFund || 0)),
+      debtBalance: debts.reduce((sum, debt) => sum + (debt.balance || 0), 0),
+      goalsGap: goals.length > 0 ? goals.reduce((sum, goal) => sum + goal.targetAmount - goal.currentAmount, 0) : Infinity
+    });
+
+    if (plan.surplus === 0) {
+      surplusPlanEl.innerHTML = '<p class="text-sm text-gray-500">This month matches your baseline, so there is no surplus to allocate.</p>';
+      return;
+    }
+
+    const highestRateDebt = [...debts].sort((a, b) => b.rate - a.rate)[0];
+    surplusPlanEl.innerHTML = `
+      <h4>Allocate the ${toCurrency(plan.surplus)} Surplus</h4>
+      <div class="tax-grid">
+        <div class="tax-item"><span class="tax-label">Buffer (Emergency Fund):</span><span class="tax-amount">${toCurrency(plan.buffer)}</span></div>
+        <div class="tax-item"><span class="tax-label">Extra Debt Payment:</span><span class="tax-amount">${toCurrency(plan.debt)}</span></div>
+        <div class="tax-item"><span class="tax-label">${goals.length > 0 ? 'Goals' : 'Goals &amp; Investing'}:</span><span class="tax-amount">${toCurrency(plan.goals)}</span></div>
+      </div>
+      ${plan.debt > 0 && highestRateDebt ? '<p class="text-sm text-gray-500 mt-2">Put the extra debt payment toward <span class="surplus-debt-name"></span>, your highest-rate debt.</p>' : ''}
+    `;
+    const debtNameEl = surplusPlanEl.querySelector('.surplus-debt-name');
+    if (debtNameEl) debtNameEl.textContent = highestRateDebt.name;
+  }
+
+  /**
+   * Saves a variable-income change and rebuilds the budget on the new baseline
+   */
+  function onVariableIncomeChanged() {
+    saveFinancialData();
+    renderVariableIncome();
+    applyVariableIncomeBaseline();
+  }
+
+  /**
+   * Adds or replaces a month in the income history
+   */
+  function addIncomeHistoryMonth() {
+    const month = incomeHistoryMonthInput.value;
+    const amount = sanitizeNumber(incomeHistoryAmountInput.value);
+    if (!month || incomeHistoryAmountInput.value === '' || amount < 0) {
+      showNotification('Enter a month and its take-home pay.', 'error');
+      return;
+    }
+
+    const variableIncome = getVariableIncome();
+    variableIncome.history = [...variableIncome.history.filter(entry => entry.month !== month), { month, amount }];
+    incomeHistoryAmountInput.value = '';
+    onVariableIncomeChanged();
+  }
+
+  // ============================================================================
+  // SINKING FUNDS
+  // ============================================================================
+
+  /**
+   * Pairs each sinking fund with its set-aside plan as of today
+   * @returns {Array<object>} Funds with window.calculators.calculateSinkingFund results
+   */
+  function getSinkingFundPlans() {
+    const today = window.billCalendar.toISODate(new Date());
+    return (FinancialDataStore.budget.sinkingFunds || []).map(fund => ({
+      fund,
+      ...window.calculators.calculateSinkingFund(fund.targetAmount, fund.balance, fund.dueDate, today, fund.lastSetAside === getCurrentMonthKey())
+    }));
+  }
+
+  /**
+   * Totals this month's set-asides across all sinking funds
+   * @returns {number} Monthly set-aside total
+   */
+  function getSinkingFundTotal() {
+    return getSinkingFundPlans().reduce((sum, plan) => sum + plan.monthlySetAside, 0);
+  }
+
+  /**
+   * Lists the sinking funds with their set-aside, balance and progress
+   */
+  function renderSinkingFunds() {
+    if (!sinkingFundListEl) return;
+    if (sinkingFundDueInput && !sinkingFundDueInput.value) {
+      const nextYear = new Date();
+      nextYear.setFullYear(nextYear.getFullYear() + 1);
+      sinkingFundDueInput.value = window.billCalendar.toISODate(nextYear);
+    }
+
+    const plans = getSinkingFundPlans();
+    const statusText = {
+      funded: 'Fully funded',
+      'past-due': 'Past due. Mark it paid or move the due date.',
+      saving: ''
+    };
+    sinkingFundListEl.innerHTML = '';
+    plans.forEach(plan => {
+      const { fund } = plan;
+      const item = document.createElement('div');
+      item.className = 'budget-item sinking-fund-row';
+      item.dataset.key = fund.key;
+      item.innerHTML = `
+        <div class="flex items-center justify-between gap-2">
+          <h3 class="sinking-fund-title"></h3>
+          <div class="whitespace-nowrap">
+            ${plan.monthlySetAside > 0 && fund.lastSetAside !== getCurrentMonthKey() ? '<button type="button" class="contribute-sinking-fund-btn text-xs text-primary cursor-pointer">Add Set-Aside</button>' : ''}
+            <button type="button" class="pay-sinking-fund-btn text-xs text-primary cursor-pointer">Mark Paid</button>
+            <button type="button" class="remove-sinking-fund-btn text-xs text-primary cursor-pointer">Delete</button>
+          </div>
+        </div>
+        <p><strong>${toCurrency(plan.monthlySetAside)}</strong> / month toward ${toCurrency(plan.targetAmount)} due ${fund.dueDate}${fund.annual ? ', every year' : ''}${plan.monthsLeft > 0 && plan.monthlySetAside > 0 ? ` (${plan.monthsLeft} month${plan.monthsLeft === 1 ? '' : 's'} left)` : ''}</p>
+        <div class="progress-bar">
+          <div class="progress-fill" style="width: ${plan.progressPercent}%">
+            <span class="progress-text">${plan.progressPercent.toFixed(0)}%</span>
+          </div>
+        </div>
+        <label class="text-sm flex items-center gap-2 mt-2">Balance <input type="number" class="sinking-fund-balance" inputmode="decimal" step="0.01" min="0"></label>
+        ${statusText[plan.status] ? `<p class="text-sm text-gray-500">${statusText[plan.status]}</p>` : ''}
+      `;
+      item.querySelector('.sinking-fund-title').textContent = fund.name;
+      item.querySelector('.sinking-fund-balance').value = plan.balance.toFixed(2);
+      sinkingFundListEl.appendChild(item);
+    });
+
+    if (sinkingFundTotalEl) {
+      const saved = plans.reduce((sum, plan) => sum + plan.balance, 0);
+      const target = plans.reduce((sum, plan) => sum + plan.targetAmount, 0);
+      sinkingFundTotalEl.textContent = plans.length > 0
+        ? `Setting aside ${toCurrency(getSinkingFundTotal())}/month · ${toCurrency(saved)} of ${toCurrency(target)} saved`
+        : '';
+    }
+    updateAllExpenseVisuals();
+  }
+
+  /**
+   * Adds a sinking fund from the sinking fund inputs
+   */
+  function addSinkingFund() {
+    const name = sinkingFundNameInput.value.trim();
+    const targetAmount = sanitizeNumber(sinkingFundTargetInput.value);
+    if (!name || targetAmount <= 0 || !sinkingFundDueInput.value) {
+      showNotification('Enter a name, target amount and due date for the sinking fund.', 'error');
+      return;
+    }
+
+    FinancialDataStore.budget.sinkingFunds = [...(FinancialDataStore.budget.sinkingFunds || []), {
+      key: `sinking-${Date.now().toString(36)}`,
+      name,
+      targetAmount,
+      dueDate: sinkingFundDueInput.value,
+      balance: Math.max(0, sanitizeNumber(sinkingFundBalanceInput.value)),
+      classification: sinkingFundClassificationSelect.value,
+      annual: sinkingFundAnnualInput.checked
+    }];
+    saveFinancialData();
+    sinkingFundNameInput.value = '';
+    sinkingFundTargetInput.value = '';
+    sinkingFundBalanceInput.value = '';
+    renderSinkingFunds();
   }
 
   /**
-   * Handles income calculator form reset
-   * Clears all form fields and results
+   * Saves a balance typed into a sinking fund
+   * @param {Event} event - Change event from the sinking fund list
    */
-  function onReset() {
-    if (form) form.reset();
-    if (resultsEl) resultsEl.textContent = '';
-    if (budgetEl) budgetEl.innerHTML = '';
-    updateVisibility();
+  function onSinkingFundListChange(event) {
+    if (!event.target.classList.contains('sinking-fund-balance')) return;
+    const fund = (FinancialDataStore.budget.sinkingFunds || []).find(entry => entry.key === event.target.closest('.sinking-fund-row').dataset.key);
+    if (!fund) return;
+    fund.balance = Math.max(0, sanitizeNumber(event.target.value));
+    saveFinancialData();
+    renderSinkingFunds();
   }
 
   /**
-   * Handles budget planner form submission
-   * Analyzes expenses and generates recommendations
-   * @param {Event} event - Form submit event
+   * Records a month's set-aside, marks a fund's cost paid or deletes the fund. Paying spends
+   * the target from the balance; yearly funds then start saving for the next due date.
+   * @param {Event} event - Click event from the sinking fund list
    */
-  function onBudgetSubmit(event) {
-    event.preventDefault();
-    
-    // Collect and sanitize all form inputs
-    const monthlyIncome = sanitizeNumber(monthlyIncomeInput.value);
-    const expenses = expenseFieldConfig.reduce((acc, config) => {
-      const amountEl = config.amountEl;
-      acc[config.key] = amountEl ? sanitizeNumber(amountEl.value) : 0;
-      return acc;
-    }, {});
-
-    // Validate monthly income
-    if (monthlyIncome <= 0) {
-      budgetResultsEl.textContent = 'Please enter a valid monthly income.';
+  function onSinkingFundListClick(event) {
+    const row = event.target.closest('.sinking-fund-row');
+    if (!row) return;
+    const funds = FinancialDataStore.budget.sinkingFunds || [];
+    const plan = getSinkingFundPlans().find(entry => entry.fund.key === row.dataset.key);
+    if (!plan) return;
+    const { fund } = plan;
+
+    if (event.target.classList.contains('contribute-sinking-fund-btn')) {
+      fund.balance = Math.round((plan.balance + plan.monthlySetAside) * 100) / 100;
+      fund.lastSetAside = getCurrentMonthKey();
+    } else if (event.target.classList.contains('pay-sinking-fund-btn')) {
+      if (fund.annual) {
+        fund.balance = Math.max(0, Math.round((plan.balance - plan.targetAmount) * 100) / 100);
+        fund.dueDate = window.billCalendar.advanceDueDate(fund.dueDate, 'annual');
+      } else {
+        FinancialDataStore.budget.sinkingFunds = funds.filter(entry => entry !== fund);
+      }
+    } else if (event.target.classList.contains('remove-sinking-fund-btn')) {
+      FinancialDataStore.budget.sinkingFunds = funds.filter(entry => entry !== fund);
+    } else {
       return;
     }
 
-    // Perform budget analysis and generate recommendations
-    const analysis = calculateBudgetAnalysis(monthlyIncome, expenses);
-    analysis.income = monthlyIncome; // Persist income on the analysis object for downstream render helpers
+    saveFinancialData();
+    renderSinkingFunds();
+  }
 
-    const savingsRecommendations = generateSavingsRecommendations(analysis);
-    const expenseRecommendations = generateExpenseRecommendations(expenses, monthlyIncome);
+  // ============================================================================
+  // CASH-FLOW FORECAST
+  // ============================================================================
 
-    // Save budget data to FinancialDataStore
-    FinancialDataStore.budget.monthlyIncome = monthlyIncome;
-    FinancialDataStore.budget.expenses = expenses;
-    FinancialDataStore.budget.totalExpenses = Object.values(expenses).reduce((sum, expense) => sum + expense, 0);
-    FinancialDataStore.budget.analysis = analysis;
-    FinancialDataStore.budget.lastUpdated = new Date().toISOString();
+  // Days projected ahead by the forecast
+  const FORECAST_DAYS = 90;
 
-    // Save to localStorage and dashboard
-    saveFinancialData();
-    saveToLocalStorage('monthlyExpenses', FinancialDataStore.budget.totalExpenses);
-    saveToLocalStorage('budgetAnalysis', analysis);
-    saveToLocalStorage('lastBudgetUpdate', FinancialDataStore.budget.lastUpdated);
+  let cashFlowChart = null;
 
-    renderBudgetResults(analysis, savingsRecommendations, expenseRecommendations);
-    updateDashboard();
+  /**
+   * Collects every scheduled deposit and payment between two dates: take-home pay on the
+   * Income tab pay schedule, bills, debt minimum payments, and emergency fund, goal and
+   * sinking fund contributions on the first payday of each month
+   * @param {string} startISO - First day (YYYY-MM-DD)
+   * @param {string} endISO - Last day (YYYY-MM-DD)
+   * @param {number} debtDay - Day of the month debt payments are due
+   * @returns {Array<{date: string, amount: number, label: string, type: string}>} Flows, negative for money out
+   */
+  function buildCashFlowItems(startISO, endISO, debtDay) {
+    const inRange = date => date >= startISO && date <= endISO;
+    const startYear = Number(startISO.slice(0, 4));
+    const months = [];
+    for (let date = new Date(startYear, Number(startISO.slice(5, 7)) - 1, 1); window.billCalendar.toISODate(date) <= endISO; date.setMonth(date.getMonth() + 1)) {
+      months.push(window.billCalendar.toISODate(date).slice(0, 7));
+    }
+
+    const schedule = FinancialDataStore.income.paySchedule || getScheduleForFrequency(FinancialDataStore.income.payFrequency);
+    const payDates = getPayDatesBetween(startISO, endISO);
+    const netPay = (FinancialDataStore.income.monthlyNetIncome || 0) * 12 / window.calculators.PAY_SCHEDULES[schedule].periods;
+
+    const flows = [];
+    if (netPay > 0) {
+      payDates.filter(inRange).forEach(date => {
+        flows.push({ date, amount: Math.round(netPay * 100) / 100, label: 'Paycheck', type: 'income' });
+      });
+    }
+
+    window.billCalendar.getPaymentsDue(FinancialDataStore.bills || [], startISO, endISO).payments.forEach(({ bill, date }) => {
+      flows.push({ date, amount: -bill.amount, label: bill.name, type: 'bill' });
+    });
+
+    const debts = getCurrentDebts();
+    months.forEach(month => {
+      const date = `${month}-${String(debtDay).padStart(2, '0')}`;
+      if (!inRange(date)) return;
+      debts.forEach(debt => {
+        const payment = window.calculators.getDebtMinimumPayment(debt, debt.balance);
+        if (payment > 0) flows.push({ date, amount: -payment, label: `${debt.name} minimum payment`, type: 'debt' });
+      });
+    });
+
+    const fund = FinancialDataStore.emergencyFund || {};
+    const contributions = [
+      ...(fund.monthlyContribution > 0 && !(fund.targetAmount > 0 && fund.currentFund >= fund.targetAmount)
+        ? [{ label: 'Emergency fund', amount: fund.monthlyContribution }]
+        : []),
+      ...(FinancialDataStore.goals || [])
+        .filter(goal => goal.monthlyContribution > 0 && goal.currentAmount < goal.targetAmount)
+        .map(goal => ({ label: goal.name, amount: goal.monthlyContribution })),
+      ...getSinkingFundPlans()
+        .filter(plan => plan.monthlySetAside > 0)
+        // A fund already set aside this month next moves money next month
+        .map(plan => ({ label: `${plan.fund.name} sinking fund`, amount: plan.monthlySetAside, madeInMonth: plan.fund.lastSetAside }))
+    ];
+    months.forEach(month => {
+      const date = payDates.find(payDate => payDate.startsWith(month)) || `${month}-01`;
+      if (!inRange(date)) return;
+      contributions.filter(contribution => contribution.madeInMonth !== month).forEach(contribution => {
+        flows.push({ date, amount: -contribution.amount, label: `${contribution.label} contribution`, type: 'savings' });
+      });
+    });
+
+    return flows;
   }
 
   /**
-   * Handles budget planner form reset
-   * Clears all form fields and results
+   * Runs the forecast from the balance entered and shows the lowest balance, any dates the
+   * account would be overdrawn, a balance chart and the scheduled items
+   * @param {Event} event - Submit event
    */
-  function onBudgetReset() {
-    const incomeSnapshot = getMonthlyIncomeValue();
-    if (budgetForm) budgetForm.reset();
-    if (budgetResultsEl) budgetResultsEl.textContent = '';
-    monthlyIncomeInput.value = incomeSnapshot.toFixed(2);
-    if (monthlyIncomeDisplay) {
-      monthlyIncomeDisplay.textContent = toCurrency(incomeSnapshot);
+  function onForecastSubmit(event) {
+    event.preventDefault();
+    const today = window.billCalendar.toISODate(new Date());
+    const end = window.billCalendar.toISODate(new Date(new Date().getFullYear(), new Date().getMonth(), new Date().getDate() + FORECAST_DAYS - 1));
+    const debtDay = Math.min(28, Math.max(1, Math.round(sanitizeNumber(forecastDebtDayInput.value)) || 1));
+    if (forecastPaydayInput && forecastPaydayInput.value) {
+      FinancialDataStore.income.payday = forecastPaydayInput.value;
+      saveFinancialData();
     }
-    updateAllExpenseVisuals();
+    const flows = buildCashFlowItems(today, end, debtDay);
+    const forecast = window.calculators.projectCashFlow(sanitizeNumber(forecastBalanceInput.value), flows, today, FORECAST_DAYS);
+
+    let summary = `
+      <div class="tax-grid">
+        <div class="tax-item"><span class="tax-label">Lowest Balance:</span><span class="tax-amount">${toCurrency(forecast.lowest.balance)} on ${forecast.lowest.date}</span></div>
+        <div class="tax-item"><span class="tax-label">Balance in ${FORECAST_DAYS} Days:</span><span class="tax-amount">${toCurrency(forecast.endingBalance)}</span></div>
+        <div class="tax-item"><span class="tax-label">Money In:</span><span class="tax-amount">${toCurrency(forecast.totalIn)}</span></div>
+        <div class="tax-item"><span class="tax-label">Money Out:</span><span class="tax-amount">${toCurrency(forecast.totalOut)}</span></div>
+      </div>`;
+    if (!(FinancialDataStore.income.monthlyNetIncome > 0)) {
+      summary += '<div class="alert info">No paychecks are included. Calculate your income on the Income tab to add them.</div>';
+    }
+    forecast.shortfalls.forEach(shortfall => {
+      const dates = shortfall.start === shortfall.end ? `on ${shortfall.start}` : `from ${shortfall.start} to ${shortfall.end}`;
+      summary += `<div class="alert warning">Your balance goes negative ${dates}, reaching ${toCurrency(shortfall.lowestBalance)}.</div>`;
+    });
+    if (forecast.shortfalls.length === 0) {
+      summary += '<div class="alert success">Your balance stays above zero for the whole forecast.</div>';
+    }
+    forecastSummaryEl.innerHTML = summary;
+
+    forecastListEl.innerHTML = '';
+    forecast.timeline.forEach(day => {
+      let balance = day.balance - day.net;
+      day.flows.forEach(flow => {
+        balance += flow.amount;
+        const row = document.createElement('tr');
+        if (balance < 0) row.className = 'text-destructive';
+        row.innerHTML = `<td>${day.date}</td><td></td><td>${toCurrency(flow.amount)}</td><td>${toCurrency(balance)}</td>`;
+        row.querySelectorAll('td')[1].textContent = flow.label;
+        forecastListEl.appendChild(row);
+      });
+    });
+    if (!forecastListEl.children.length) {
+      forecastListEl.innerHTML = `<tr><td colspan="4" class="text-gray-500">Nothing is scheduled in the next ${FORECAST_DAYS} days.</td></tr>`;
+    }
+
+    forecastResultsEl.classList.remove('hidden');
+    renderCashFlowChart(forecast);
+  }
+
+  /**
+   * Draws the projected daily balance
+   * @param {object} forecast - Result of window.calculators.projectCashFlow
+   */
+  function renderCashFlowChart(forecast) {
+    const ctx = document.getElementById('cashFlowChart');
+    if (!ctx || typeof Chart === 'undefined') return;
+    if (cashFlowChart) cashFlowChart.destroy();
+
+    cashFlowChart = new Chart(ctx, {
+      type: 'line',
+      data: {
+        labels: forecast.timeline.map(day => day.date.slice(5)),
+        datasets: [
+          {
+            label: 'Balance',
+            data: forecast.timeline.map(day => day.balance),
+            borderColor: 'rgba(99, 102, 241, 0.8)',
+            backgroundColor: 'rgba(99, 102, 241, 0.2)',
+            // Overdrawn days are marked in red
+            pointBackgroundColor: forecast.timeline.map(day => (day.balance < 0 ? 'rgba(245, 101, 101, 1)' : 'rgba(99, 102, 241, 0.8)')),
+            pointRadius: forecast.timeline.map(day => (day.balance < 0 ? 3 : 0)),
+            stepped: true,
+            fill: true
+          }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: {
+            labels: {
+              color: '#ffffff',
+              usePointStyle: true
+            }
+          },
+          tooltip: {
+            backgroundColor: 'rgba(0, 0, 0, 0.8)',
+            titleColor: '#ffffff',
+            bodyColor: '#ffffff',
+            callbacks: {
+              label: function(context) {
+                return `${context.dataset.label}: ${toCurrency(context.parsed.y)}`;
+              }
+            }
+          }
+        },
+        scales: {
+          x: {
+            ticks: {
+              color: '#ffffff',
+              maxTicksLimit: 12
+            },
+            grid: {
+              color: 'rgba(255, 255, 255, 0.1)'
+            }
+          },
+          y: {
+            ticks: {
+              color: '#ffffff',
+              callback: function(value) {
+                return toCurrency(value);
+              }
+            },
+            grid: {
+              color: 'rgba(255, 255, 255, 0.1)'
+            }
+          }
+        }
+      }
+    });
   }
 
   // ============================================================================
@@ -1471,7 +5048,10 @@
     budgetSummarySection.style.display = 'block';
 
     const updateDate = lastUpdate ? new Date(lastUpdate).toLocaleDateString() : 'Unknown';
-    const { totalExpenses, remainingIncome, savingsRate, income } = budgetAnalysis;
+    const { totalExpenses, remainingIncome, savingsRate, income, classificationTotals, sinkingFundTotal } = budgetAnalysis;
+    const classificationPercent = amount => (income > 0 ? (amount / income) * 100 : 0).toFixed(0);
+    const sinkingFunds = FinancialDataStore.budget.sinkingFunds || [];
+    const sinkingFundBalance = sinkingFunds.reduce((sum, fund) => sum + fund.balance, 0);
 
     budgetSummaryContent.innerHTML = `
       <div class="budget-summary-grid">
@@ -1487,6 +5067,16 @@
           <div class="summary-label">Savings Rate</div>
           <div class="summary-value ${savingsRate >= 20 ? 'excellent' : savingsRate >= 10 ? 'good' : 'needs-improvement'}">${savingsRate.toFixed(1)}%</div>
         </div>
+        ${classificationTotals ? `
+        <div class="budget-summary-item">
+          <div class="summary-label">Needs / Wants / Savings</div>
+          <div class="summary-value">${classificationPercent(classificationTotals.needs)}% / ${classificationPercent(classificationTotals.wants)}% / ${classificationPercent(classificationTotals.savings)}%</div>
+        </div>` : ''}
+        ${sinkingFunds.length > 0 ? `
+        <div class="budget-summary-item">
+          <div class="summary-label">Sinking Funds</div>
+          <div class="summary-value">${toCurrency(sinkingFundTotal || 0)}/mo · ${toCurrency(sinkingFundBalance)} saved</div>
+        </div>` : ''}
         <div class="budget-summary-item">
           <div class="summary-label">Last Updated</div>
           <div class="summary-value">${updateDate}</div>
@@ -1606,22 +5196,63 @@
   let debts = [];
 
   /**
-   * Adds a new debt input to the form
+   * Adds a new debt input to the form, with the fields each debt type needs
    */
   function addDebtInput() {
     debtCounter++;
+    const typeOptions = Object.entries(window.calculators.DEBT_TYPES)
+      .map(([key, type]) => `<option value="${key}">${type.label}</option>`)
+      .join('');
     const debtItem = document.createElement('div');
     debtItem.className = 'debt-item';
   if (debtItem) debtItem.innerHTML = `
       <input type="text" placeholder="Debt name (e.g., Credit Card)" data-field="name" required>
+      <select data-field="type" aria-label="Debt type">${typeOptions}</select>
       <input type="number" placeholder="Balance" data-field="balance" step="0.01" min="0" required>
       <input type="number" placeholder="Interest Rate (%)" data-field="rate" step="0.01" min="0" required>
       <input type="number" placeholder="Min Payment" data-field="payment" step="0.01" min="0" required>
       <button type="button" class="remove-debt-btn" onclick="removeDebtInput(this)">×</button>
+      <div class="debt-type-fields" data-debt-type="credit-card">
+        <input type="number" placeholder="Min % of Balance (default ${window.calculators.CREDIT_CARD_MIN_PERCENT}%)" data-field="minPercent" step="0.1" min="0" max="100">
+      </div>
+      <div class="debt-type-fields" data-debt-type="promo" hidden>
+        <input type="number" placeholder="Promo Rate (%)" data-field="promoRate" step="0.01" min="0">
+        <input type="number" placeholder="Promo Months Left" data-field="promoMonths" step="1" min="0">
+      </div>
+      <div class="debt-type-fields" data-debt-type="variable" hidden>
+        <input type="text" placeholder="Rate changes as month:rate, e.g., 12:7.5, 24:8" data-field="rateChanges">
+      </div>
     `;
+    debtItem.querySelector('[data-field="type"]').addEventListener('change', () => updateDebtTypeFields(debtItem));
     if (debtListEl) debtListEl.appendChild(debtItem);
   }
 
+  /**
+   * Shows the fields for a debt's type. For promo debts the interest rate is the go-to rate.
+   * @param {HTMLElement} debtItem - Debt input row
+   */
+  function updateDebtTypeFields(debtItem) {
+    const type = debtItem.querySelector('[data-field="type"]').value;
+    debtItem.querySelectorAll('.debt-type-fields').forEach(group => {
+      group.hidden = group.dataset.debtType !== type;
+    });
+    debtItem.querySelector('[data-field="rate"]').placeholder = type === 'promo' ? 'Go-To Rate (%)' : 'Interest Rate (%)';
+  }
+
+  /**
+   * Parses a rate schedule such as "12:7.5, 24:8" into rate changes sorted by month
+   * @param {string} value - Comma-separated month:rate pairs
+   * @returns {Array|null} Rate changes, or null when an entry can't be read
+   */
+  function parseRateChanges(value) {
+    const entries = value.split(',').map(entry => entry.trim()).filter(Boolean);
+    const changes = entries.map(entry => {
+      const match = entry.match(/^(\d+)\s*:\s*(\d+(?:\.\d+)?)%?$/);
+      return match && Number(match[1]) > 0 ? { month: Number(match[1]), rate: parseFloat(match[2]) } : null;
+    });
+    return changes.includes(null) ? null : changes.sort((a, b) => a.month - b.month);
+  }
+
   /**
    * Removes a debt input from the form
    * @param {HTMLElement} button - Remove button element
@@ -1631,7 +5262,8 @@
   }
 
   /**
-   * Collects debt data from form inputs
+   * Collects debt data from form inputs. Name, balance, rate and payment are required;
+   * the fields for the debt's type are optional.
    * @returns {Array} Array of debt objects
    */
   function collectDebtData() {
@@ -1639,11 +5271,12 @@
     const debts = [];
 
     debtItems.forEach(item => {
-      const inputs = item.querySelectorAll('input[data-field]');
-      const debt = {};
+      const type = item.querySelector('[data-field="type"]').value;
+      const typeFields = item.querySelector(`.debt-type-fields[data-debt-type="${type}"]`);
+      const debt = { type };
       let valid = true;
 
-      inputs.forEach(input => {
+      item.querySelectorAll(':scope > input[data-field]').forEach(input => {
         const field = input.dataset.field;
         const value = input.value.trim();
 
@@ -1659,6 +5292,15 @@
         }
       });
 
+      if (typeFields) {
+        typeFields.querySelectorAll('input[data-field]').forEach(input => {
+          const field = input.dataset.field;
+          const value = input.value.trim();
+          if (!value) return;
+          debt[field] = field === 'rateChanges' ? parseRateChanges(value) : parseFloat(value);
+        });
+      }
+
       if (valid) {
         debts.push(debt);
       }
@@ -1667,6 +5309,15 @@
     return debts;
   }
 
+  /**
+   * Returns the debts listed on the Debt tab, or the last saved list when none are listed
+   * @returns {Array} Debt objects
+   */
+  function getCurrentDebts() {
+    const listedDebts = collectDebtData();
+    return listedDebts.length > 0 ? listedDebts : (FinancialDataStore.debts || []);
+  }
+
   /**
    * Calculates debt payoff using avalanche method (highest interest first)
    * @param {Array} debts - Array of debt objects
@@ -1674,8 +5325,7 @@
    * @returns {object} Payoff plan
    */
   function calculateAvalanche(debts, extraPayment) {
-    const sortedDebts = [...debts].sort((a, b) => b.rate - a.rate);
-    return calculatePayoffPlan(sortedDebts, extraPayment, 'Debt Avalanche');
+    return window.calculators.calculateAvalanche(debts, extraPayment);
   }
 
   /**
@@ -1685,67 +5335,7 @@
    * @returns {object} Payoff plan
    */
   function calculateSnowball(debts, extraPayment) {
-    const sortedDebts = [...debts].sort((a, b) => a.balance - b.balance);
-    return calculatePayoffPlan(sortedDebts, extraPayment, 'Debt Snowball');
-  }
-
-  /**
-   * Calculates detailed payoff plan for debts
-   * @param {Array} sortedDebts - Debts sorted by strategy
-   * @param {number} extraPayment - Extra monthly payment
-   * @param {string} strategyName - Name of the strategy
-   * @returns {object} Detailed payoff plan
-   */
-  function calculatePayoffPlan(sortedDebts, extraPayment, strategyName) {
-    let remainingDebts = sortedDebts.map(debt => ({...debt}));
-    let totalPaid = 0;
-    let totalInterest = 0;
-    let month = 0;
-    const timeline = [];
-
-    while (remainingDebts.length > 0 && month < 600) { // 50 year max
-      month++;
-      let monthlyExtra = extraPayment;
-
-      // Pay minimums on all debts first
-      remainingDebts.forEach(debt => {
-        const interestPayment = (debt.balance * (debt.rate / 100)) / 12;
-        const principalPayment = Math.min(debt.payment - interestPayment, debt.balance);
-
-        debt.balance -= principalPayment;
-        totalPaid += debt.payment;
-        totalInterest += interestPayment;
-      });
-
-      // Apply extra payment to priority debt
-      if (monthlyExtra > 0 && remainingDebts.length > 0) {
-        const priorityDebt = remainingDebts[0];
-        const extraApplied = Math.min(monthlyExtra, priorityDebt.balance);
-        priorityDebt.balance -= extraApplied;
-        totalPaid += extraApplied;
-      }
-
-      // Remove paid off debts
-      const paidOff = remainingDebts.filter(debt => debt.balance <= 0);
-      paidOff.forEach(debt => {
-        timeline.push({
-          month,
-          debtName: debt.name,
-          type: 'payoff'
-        });
-      });
-
-      remainingDebts = remainingDebts.filter(debt => debt.balance > 0);
-    }
-
-    return {
-      strategy: strategyName,
-      totalMonths: month,
-      totalPaid,
-      totalInterest,
-      timeline,
-      monthlySavings: extraPayment > 0 ? extraPayment : 0
-    };
+    return window.calculators.calculateSnowball(debts, extraPayment);
   }
 
   /**
@@ -1766,6 +5356,15 @@
       return;
     }
 
+    const unreadableSchedule = debts.find(debt => debt.rateChanges === null);
+    if (unreadableSchedule) {
+      if (debtResultsEl) {
+        debtResultsEl.innerHTML = '<div class="error-message"><h4>Error</h4><p></p></div>';
+        debtResultsEl.querySelector('p').textContent = `Enter the rate changes for ${unreadableSchedule.name} as month:rate pairs, e.g., 12:7.5, 24:8.`;
+      }
+      return;
+    }
+
     // Save debts data to FinancialDataStore
     FinancialDataStore.debts = debts;
     FinancialDataStore.debtStrategy = {
@@ -1794,10 +5393,15 @@
    * @param {Array} debts - Original debt data
    */
   function displayDebtResults(selectedPlan, alternativePlan, debts) {
-    const totalDebt = debts.reduce((sum, debt) => sum + debt.balance, 0);
-    const minPayments = debts.reduce((sum, debt) => sum + debt.payment, 0);
+    const plans = [selectedPlan, alternativePlan];
+    const avalanchePlan = plans.find(plan => plan.strategy === 'Debt Avalanche');
+    const snowballPlan = plans.find(plan => plan.strategy === 'Debt Snowball');
+    const formatMonths = months => `${Math.floor(months / 12)}y ${months % 12}m`;
 
     const html = `
+      ${selectedPlan.paidOff ? '' : `
+        <div class="alert warning">These payments don't pay off every debt within 50 years. Raise the extra payment or the minimums that don't cover interest.</div>
+      `}
       <div class="payoff-summary">
         <h3>${selectedPlan.strategy} Results</h3>
         <div class="overview-grid">
@@ -1815,7 +5419,7 @@
           </div>
           <div class="overview-item">
             <span class="label">Monthly Payment</span>
-            <span class="value">${toCurrency(minPayments + selectedPlan.monthlySavings)}</span>
+            <span class="value">${toCurrency(selectedPlan.monthlyPayment)}</span>
           </div>
         </div>
       </div>
@@ -1825,17 +5429,23 @@
         <div class="comparison-grid">
           <div class="comparison-item">
             <h4>Debt Avalanche</h4>
-            <p>Payoff time: ${Math.floor(avalanchePlan.totalMonths / 12)}y ${avalanchePlan.totalMonths % 12}m</p>
+            <p>Payoff time: ${formatMonths(avalanchePlan.totalMonths)}</p>
             <p>Interest paid: ${toCurrency(avalanchePlan.totalInterest)}</p>
           </div>
           <div class="comparison-item">
             <h4>Debt Snowball</h4>
-            <p>Payoff time: ${Math.floor(snowballPlan.totalMonths / 12)}y ${snowballPlan.totalMonths % 12}m</p>
+            <p>Payoff time: ${formatMonths(snowballPlan.totalMonths)}</p>
             <p>Interest paid: ${toCurrency(snowballPlan.totalInterest)}</p>
           </div>
         </div>
       </div>
 
+      <div class="debt-timeline">
+        <h3>Payoff Timeline</h3>
+        <ul class="debt-timeline-list"></ul>
+        <p class="text-xs text-muted-foreground">Credit card and promo balances accrue interest daily; credit card minimums follow the balance. The monthly payment stays the same, so each paid-off debt's payment moves to the next debt.</p>
+      </div>
+
       <div class="debt-tips">
         <h4>Tips for Success:</h4>
         <ul>
@@ -1847,7 +5457,17 @@
       </div>
     `;
 
-  if (debtResultsEl) debtResultsEl.innerHTML = html;
+    if (!debtResultsEl) return;
+    debtResultsEl.innerHTML = html;
+
+    const timelineListEl = debtResultsEl.querySelector('.debt-timeline-list');
+    selectedPlan.timeline.forEach(event => {
+      const item = document.createElement('li');
+      item.textContent = `Month ${event.month}: ${event.debtName} ${event.type === 'payoff'
+        ? 'paid off'
+        : `rate changes to ${event.rate.toFixed(2)}%`}`;
+      timelineListEl.appendChild(item);
+    });
   }
 
   /**
@@ -2214,6 +5834,7 @@
 
     const formData = new FormData(investmentForm);
     const investmentAmount = sanitizeNumber(formData.get('investmentAmount'));
+    const employerMatch = sanitizeNumber(formData.get('employerMatch'));
     const riskTolerance = formData.get('riskTolerance');
     const investmentTimeframe = formData.get('investmentTimeframe');
     const focusType = formData.get('focusType');
@@ -2226,6 +5847,7 @@
     // Save investment data to FinancialDataStore
     FinancialDataStore.investments = {
       amount: investmentAmount,
+      employerMatch: employerMatch,
       riskTolerance: riskTolerance,
       timeframe: investmentTimeframe,
       focusType: focusType,
@@ -2236,7 +5858,7 @@
     saveFinancialData();
 
     try {
-      displayInvestmentResults(investmentAmount, riskTolerance, investmentTimeframe, focusType);
+      displayInvestmentResults(investmentAmount, riskTolerance, investmentTimeframe, focusType, employerMatch);
     } catch (error) {
       displayInvestmentError('An error occurred while generating recommendations: ' + error.message);
     }
@@ -2248,11 +5870,13 @@
    * @param {string} risk - Risk tolerance
    * @param {string} timeframe - Investment timeframe
    * @param {string} focus - Investment focus type
+   * @param {number} employerMatch - Monthly employer 401(k) match added to the contribution
    */
-  async function displayInvestmentResults(amount, risk, timeframe, focus) {
+  async function displayInvestmentResults(amount, risk, timeframe, focus, employerMatch = 0) {
   if (investmentResultsEl) investmentResultsEl.innerHTML = '<div class="loading">Generating recommendations...</div>';
 
     const recommendations = getInvestmentRecommendations(risk, focus);
+    const monthlyTotal = amount + employerMatch;
 
     if (recommendations.length === 0) {
       displayInvestmentError('No recommendations found for your criteria.');
@@ -2264,7 +5888,8 @@
         <h3>Investment Recommendations</h3>
         <div class="investment-params">
           <p><strong>Monthly Investment:</strong> ${toCurrency(amount)}</p>
-          <p><strong>Annual Investment:</strong> ${toCurrency(amount * 12)}</p>
+          ${employerMatch > 0 ? `<p><strong>Employer 401(k) Match:</strong> ${toCurrency(employerMatch)} · <strong>Total Monthly:</strong> ${toCurrency(monthlyTotal)}</p>` : ''}
+          <p><strong>Annual Investment:</strong> ${toCurrency(monthlyTotal * 12)}</p>
           <p><strong>Risk Level:</strong> ${risk.charAt(0).toUpperCase() + risk.slice(1)}</p>
           <p><strong>Focus:</strong> ${focus.charAt(0).toUpperCase() + focus.slice(1)}</p>
           <p><strong>Timeframe:</strong> ${timeframe === 'short' ? '1-3 years' : timeframe === 'medium' ? '3-10 years' : '10+ years'}</p>
@@ -2313,7 +5938,7 @@
             </div>
           `}
           <div class="allocation-suggestion">
-            <p>Suggested allocation: ${Math.round(100 / recommendations.length)}% (${toCurrency(amount * (1 / recommendations.length))} monthly)</p>
+            <p>Suggested allocation: ${Math.round(100 / recommendations.length)}% (${toCurrency(monthlyTotal * (1 / recommendations.length))} monthly)</p>
           </div>
         </div>
       `;
@@ -2334,7 +5959,7 @@
             <span class="price-note">Real-time data unavailable</span>
           </div>
           <div class="allocation-suggestion">
-            <p>Suggested allocation: ${Math.round(100 / recommendations.length)}% (${toCurrency(amount * (1 / recommendations.length))} monthly)</p>
+            <p>Suggested allocation: ${Math.round(100 / recommendations.length)}% (${toCurrency(monthlyTotal * (1 / recommendations.length))} monthly)</p>
           </div>
         </div>
       `;
@@ -2343,6 +5968,8 @@
     resultsHTML += `
       </div>
 
+      ${renderAfterTaxProjection(amount, timeframe, employerMatch)}
+
       <div class="investment-tips">
         <h4>Important Notes:</h4>
         <ul>
@@ -2361,10 +5988,81 @@
     const chartsContainer = document.getElementById('investment-charts');
     if (chartsContainer) {
       chartsContainer.style.display = 'block';
-      createInvestmentCharts(recommendations, amount, risk, timeframe);
+      createInvestmentCharts(recommendations, monthlyTotal, risk, timeframe);
     }
   }
 
+  /**
+   * Renders the projected growth of the monthly investment after tax on the gains,
+   * using the income, ZIP and filing status from the last income calculation
+   * @param {number} amount - Monthly investment amount
+   * @param {string} timeframe - Investment timeframe (short, medium, long)
+   * @param {number} employerMatch - Monthly employer 401(k) match, which is left out
+   * @returns {string} After-tax projection markup
+   */
+  function renderAfterTaxProjection(amount, timeframe, employerMatch = 0) {
+    const years = timeframe === 'short' ? 3 : timeframe === 'medium' ? 10 : 20;
+    const income = FinancialDataStore.income;
+    const hasIncome = income.annualGrossIncome > 0;
+    // Only the tax added by the sale counts, so net profit can stand in for wages and
+    // household gross is taken without the investment income passed separately
+    const earnedIncome = income.incomeType === '1099'
+      ? income.annualGrossIncome - (income.businessExpenses || 0)
+      : income.additionalEarners && income.additionalEarners.length > 0
+        ? income.annualGrossIncome - window.calculators.summarizeInvestmentIncome(income.investmentIncome).total
+        : income.annualGrossIncome;
+    const taxProfile = hasIncome ? {
+      income: earnedIncome,
+      zipcode: income.zipcode,
+      filingStatus: income.filingStatus,
+      taxYear: income.taxYear,
+      deductions: income.incomeType === '1099' ? [] : window.calculators.buildPayrollDeductions(income.payrollDeductions || {}),
+      investmentIncome: income.investmentIncome
+    } : {};
+
+    // Annual return in percent, matching the growth chart's scenarios
+    const scenarios = [
+      { name: 'Conservative (4%)', rate: 4 },
+      { name: 'Moderate (7%)', rate: 7 },
+      { name: 'Optimistic (10%)', rate: 10 }
+    ];
+    const rows = scenarios.map(scenario => {
+      const projection = window.calculators.calculateInvestmentProjectionAfterTax(0, amount, scenario.rate, years, taxProfile);
+      return `
+            <tr>
+              <td class="py-1 pr-4">${scenario.name}</td>
+              <td class="py-1 pr-4 text-right">${toCurrency(projection.finalBalance)}</td>
+              <td class="py-1 pr-4 text-right">${toCurrency(projection.totalEarnings)}</td>
+              <td class="py-1 pr-4 text-right">${toCurrency(projection.taxOnGains)} (${projection.effectiveTaxRateOnGains.toFixed(1)}%)</td>
+              <td class="py-1 text-right">${toCurrency(projection.afterTaxBalance)}</td>
+            </tr>`;
+    }).join('');
+
+    return `
+      <div class="investment-summary">
+        <h3>Projected Growth After Tax (${years} years)</h3>
+        <div class="overflow-x-auto">
+          <table class="w-full text-sm">
+            <thead>
+              <tr>
+                <th class="py-1 pr-4 text-left">Scenario</th>
+                <th class="py-1 pr-4 text-right">Balance</th>
+                <th class="py-1 pr-4 text-right">Gains</th>
+                <th class="py-1 pr-4 text-right">Tax on Gains</th>
+                <th class="py-1 text-right">After Tax</th>
+              </tr>
+            </thead>
+            <tbody>${rows}
+            </tbody>
+          </table>
+        </div>
+        <p class="text-sm text-gray-500 mt-2">${hasIncome
+          ? `Assumes the gains are sold in one year as long-term capital gains on top of your ${toCurrency(earnedIncome)} ${income.incomeType === '1099' ? 'net profit' : 'earned income'} (${income.taxYear} · ${window.calculators.FILING_STATUSES[window.calculators.normalizeFilingStatus(income.filingStatus)]}), including NIIT and state tax.`
+          : 'Calculate your income on the Income tab to see tax at your own bracket and state; shown here as the only income of a single filer with no state tax.'}${employerMatch > 0 ? ' The employer match grows tax-deferred in your 401(k) and is not included.' : ''}</p>
+      </div>
+    `;
+  }
+
   /**
    * Displays investment error message
    * @param {string} message - Error message to display
@@ -2849,7 +6547,8 @@
     // Refresh data when switching to specific tabs
     if (tabName === 'budget') {
       const savedIncome = loadFromLocalStorage('monthlyIncome', 0);
-      if (savedIncome > 0) {
+      // Variable-income mode budgets on its baseline even before income is calculated
+      if (savedIncome > 0 || getIncomeBaseline()) {
         syncFromIncome(savedIncome);
       }
       updateAllExpenseVisuals();
@@ -2864,15 +6563,27 @@
   
   // Initialize form visibility and event listeners
   updateVisibility();
+  populateTaxYearOptions();
   
   // Income calculator event listeners
   form.addEventListener('submit', onSubmit);
   payFrequencySelect.addEventListener('change', updateVisibility);
+  if (incomeTypeSelect) incomeTypeSelect.addEventListener('change', updateVisibility);
+  if (addEarnerBtn) addEarnerBtn.addEventListener('click', () => addEarnerInput());
+  if (raiseAmountInput) raiseAmountInput.addEventListener('input', renderNextDollar);
+  if (extra401kInput) extra401kInput.addEventListener('input', renderNextDollar);
+
+  // Offer comparison event listeners
+  if (offerForm) offerForm.addEventListener('submit', onOfferSubmit);
+  if (addOfferBtn) addOfferBtn.addEventListener('click', () => addOfferInput());
+  addOfferInput({ name: 'Current Job' });
+  addOfferInput({ name: 'New Offer' });
   resetBtn.addEventListener('click', onReset);
 
   // Budget planner event listeners
   budgetForm.addEventListener('submit', onBudgetSubmit);
   budgetResetBtn.addEventListener('click', onBudgetReset);
+  if (budgetMethodSelect) budgetMethodSelect.addEventListener('change', updateBudgetMethodFields);
 
   // Investment form event listeners
   investmentForm.addEventListener('submit', onInvestmentSubmit);
@@ -2890,11 +6601,100 @@
   // Goals form event listeners
   goalsForm.addEventListener('submit', onGoalsSubmit);
 
-  expenseFieldConfig.forEach(config => {
-    if (config.amountEl) {
-      config.amountEl.addEventListener('input', updateAllExpenseVisuals);
-    }
+  // Expense fields are re-rendered when categories change, so listen on the form
+  budgetForm.addEventListener('input', event => {
+    if (event.target.classList.contains('expense-input')) updateAllExpenseVisuals();
   });
+  if (toggleCategoryManagerBtn) {
+    toggleCategoryManagerBtn.addEventListener('click', () => categoryManagerEl.classList.toggle('hidden'));
+  }
+  if (addCategoryBtn) addCategoryBtn.addEventListener('click', addBudgetCategory);
+  if (newCategoryNameInput) {
+    newCategoryNameInput.addEventListener('keydown', event => {
+      if (event.key !== 'Enter') return;
+      event.preventDefault();
+      addBudgetCategory();
+    });
+  }
+  if (categoryListEl) {
+    categoryListEl.addEventListener('change', onCategoryListChange);
+    categoryListEl.addEventListener('click', onCategoryListClick);
+  }
+  renderExpenseFields();
+  renderCategoryManager();
+
+  // Sinking fund event listeners
+  if (addSinkingFundBtn) addSinkingFundBtn.addEventListener('click', addSinkingFund);
+  if (sinkingFundListEl) {
+    sinkingFundListEl.addEventListener('change', onSinkingFundListChange);
+    sinkingFundListEl.addEventListener('click', onSinkingFundListClick);
+  }
+  renderSinkingFunds();
+
+  // Variable income event listeners
+  if (variableIncomeToggle) {
+    variableIncomeToggle.addEventListener('change', () => {
+      getVariableIncome().enabled = variableIncomeToggle.checked;
+      onVariableIncomeChanged();
+    });
+  }
+  if (incomeBaselineMethodSelect) {
+    incomeBaselineMethodSelect.addEventListener('change', () => {
+      getVariableIncome().method = incomeBaselineMethodSelect.value;
+      onVariableIncomeChanged();
+    });
+  }
+  if (addIncomeHistoryBtn) addIncomeHistoryBtn.addEventListener('click', addIncomeHistoryMonth);
+  if (incomeHistoryListEl) {
+    incomeHistoryListEl.addEventListener('click', event => {
+      if (!event.target.classList.contains('remove-income-history-btn')) return;
+      const { month } = event.target.closest('.income-history-row').dataset;
+      const variableIncome = getVariableIncome();
+      variableIncome.history = variableIncome.history.filter(entry => entry.month !== month);
+      onVariableIncomeChanged();
+    });
+  }
+  if (surplusIncomeInput) surplusIncomeInput.addEventListener('input', renderSurplusPlan);
+  renderVariableIncome();
+
+  // Budget history event listeners
+  if (budgetMonthInput) {
+    budgetMonthInput.value = getCurrentMonthKey();
+    budgetMonthInput.addEventListener('change', onBudgetMonthChange);
+  }
+  if (historyMonthSelect) {
+    historyMonthSelect.addEventListener('change', () => renderBudgetHistory(historyMonthSelect.value));
+  }
+  if (actualForm) actualForm.addEventListener('submit', onActualSubmit);
+  renderBudgetHistory();
+
+  // Transaction ledger event listeners
+  if (transactionFileInput) transactionFileInput.addEventListener('change', onTransactionFileChange);
+  if (csvImportBtn) csvImportBtn.addEventListener('click', onCsvImport);
+  if (csvCancelBtn) csvCancelBtn.addEventListener('click', hideCsvMapping);
+  if (ledgerMonthSelect) ledgerMonthSelect.addEventListener('change', () => renderLedger(ledgerMonthSelect.value));
+  if (transactionListEl) {
+    transactionListEl.addEventListener('change', onTransactionCategoryChange);
+    transactionListEl.addEventListener('click', onTransactionListClick);
+  }
+  renderLedger();
+
+  // Categorization rule event listeners
+  if (addRuleBtn) addRuleBtn.addEventListener('click', addRule);
+  if (ruleListEl) ruleListEl.addEventListener('click', onRuleListClick);
+  if (previewRulesBtn) previewRulesBtn.addEventListener('click', onPreviewRules);
+  renderRules();
+
+  // Bills calendar event listeners
+  if (billForm) billForm.addEventListener('submit', onBillSubmit);
+  if (billListEl) billListEl.addEventListener('click', onBillListClick);
+  if (nextPaydayInput) nextPaydayInput.addEventListener('change', onNextPaydayChange);
+  if (availableCashInput) availableCashInput.addEventListener('input', renderPaydayCheck);
+  if (billCalendarPrevBtn) billCalendarPrevBtn.addEventListener('click', () => shiftBillCalendar(-1));
+  if (billCalendarNextBtn) billCalendarNextBtn.addEventListener('click', () => shiftBillCalendar(1));
+  if (detectBillsBtn) detectBillsBtn.addEventListener('click', onDetectBills);
+  if (billSuggestionsEl) billSuggestionsEl.addEventListener('click', onBillSuggestionClick);
+  renderBills();
 
   // Initialize budget form with saved income
   const savedIncome = loadFromLocalStorage('monthlyIncome', 0);
@@ -2910,7 +6710,7 @@
    */
   function syncFromIncome(monthlyIncome) {
     try {
-      const normalized = Number(monthlyIncome) || 0;
+      const normalized = Number(resolveBudgetIncome(monthlyIncome)) || 0;
       const monthlyIncomeInputEl = document.getElementById('monthly-income');
       const monthlyIncomeDisplayEl = document.getElementById('monthly-income-display');
 
@@ -2928,10 +6728,14 @@
     }
   }
 
+  renderRecurringExpenses();
+  setBudgetIncomeLabel(FinancialDataStore.income.incomeType);
   updateAllExpenseVisuals();
 
   // Initialize dashboard and goals display
   updateDashboard();
+  if (forecastForm) forecastForm.addEventListener('submit', onForecastSubmit);
+  if (forecastPaydayInput) forecastPaydayInput.value = FinancialDataStore.income.payday || '';
   displayGoals();
 
   // Tab navigation event listeners - use fresh selectors to ensure elements are found
@@ -2983,7 +6787,10 @@ function switchTab(tabName) {
     // Sync budget form with saved income
     try {
       const savedIncome = JSON.parse(localStorage.getItem('monthlyIncome') || '0');
-      if (savedIncome > 0) {
+      // Variable-income mode budgets on its baseline, which the budget module fills in
+      const savedData = JSON.parse(localStorage.getItem('financialData') || '{}');
+      const variableIncome = savedData.budget && savedData.budget.variableIncome;
+      if (savedIncome > 0 && !(variableIncome && variableIncome.enabled)) {
         const monthlyIncomeInput = document.getElementById('monthly-income');
         const monthlyIncomeDisplay = document.getElementById('monthly-income-display');
 
@@ -3083,6 +6890,18 @@ document.addEventListener('DOMContentLoaded', function() {
 
     const formData = new FormData(form);
 
+    // SE tax and the estimated-payment schedule only come from the full 1099 calculation
+    if (formData.get('incomeType') === '1099') return;
+
+    // Households are taxed together, with the joint vs. separate comparison, on Calculate
+    if (form.querySelector('#earner-list .earner-item')) return;
+
+    // Per-check stubs and the year-to-date table for a pay schedule come from Calculate
+    if (formData.get('paySchedule')) return;
+
+    // The W-4 checkup needs the paystub's withholding, which only Calculate reads
+    if ((parseFloat(formData.get('ytdWithholding')) || 0) > 0) return;
+
     // Base income calculation
     const payAmount = parseFloat(formData.get('payAmount')) || 0;
     const payFrequency = formData.get('payFrequency');
@@ -3130,21 +6949,43 @@ document.addEventListener('DOMContentLoaded', function() {
     // Total gross income
     const totalGrossIncome = annualIncome + bonusAmount + overtimeIncome + commissionIncome;
 
-    // Pre-tax deductions
-    const healthInsurance = (parseFloat(formData.get('healthInsurance')) || 0) * 12;
-    const retirement401k = (parseFloat(formData.get('retirement401k')) || 0) * 12;
-    const otherDeductions = (parseFloat(formData.get('otherDeductions')) || 0) * 12;
-    const totalDeductions = healthInsurance + retirement401k + otherDeductions;
+    // Tax calculation
+    const filingStatus = formData.get('filingStatus') || 'single';
+    const taxYear = parseInt(formData.get('taxYear')) || undefined;
+
+    // 401(k) deferrals stop at the 402(g) limit; the employer match is shown alongside
+    const retirementPlan = window.calculators.calculateRetirementPlan(totalGrossIncome, formData.get('retirement401k'), {
+      age: formData.get('taxpayerAge'),
+      taxYear: window.calculators.getTaxTable(taxYear).year,
+      matchFormula: window.calculators.buildMatchFormula({
+        matchRate1: formData.get('matchRate1'),
+        matchLimit1: formData.get('matchLimit1'),
+        matchRate2: formData.get('matchRate2'),
+        matchLimit2: formData.get('matchLimit2')
+      })
+    });
+
+    // Paycheck deductions, each tagged with the taxes it reduces
+    const deductions = window.calculators.buildPayrollDeductions({
+      healthInsurance: formData.get('healthInsurance'),
+      retirement401k: formData.get('retirement401k'),
+      retirement401kType: formData.get('retirement401kType'),
+      otherDeductions: formData.get('otherDeductions'),
+      otherDeductionsType: formData.get('otherDeductionsType'),
+      retirement401kLimit: retirementPlan.limit
+    });
+
+    // Dependents, IRA contributions and education expenses for federal credits
+    const creditInputs = window.collectCreditInputs();
 
-    // Taxable income
-    const taxableIncome = totalGrossIncome - totalDeductions;
+    // Interest, dividends and capital gains taxed alongside wages
+    const investmentIncome = window.collectInvestmentIncome();
 
-    // Basic tax calculation (simplified)
-    const filingStatus = formData.get('filingStatus') || 'single';
-    const taxes = calculateSimplifiedTaxes(taxableIncome, filingStatus);
+    const zipcode = formData.get('zipcode') || '';
+    const taxes = calculateSimplifiedTaxes(totalGrossIncome, filingStatus, taxYear, zipcode, deductions, creditInputs, investmentIncome);
 
-    // Net income
-    const netIncome = taxableIncome - taxes.total;
+    // Take-home pay after taxes and every deduction
+    const netIncome = taxes.takeHomePay;
 
     // Update the results display
     displayEnhancedResults({
@@ -3153,51 +6994,40 @@ document.addEventListener('DOMContentLoaded', function() {
       bonus: bonusAmount,
       overtime: overtimeIncome,
       commission: commissionIncome,
-      deductions: totalDeductions,
-      taxableIncome: taxableIncome,
+      preTaxDeductions: taxes.preTaxDeductions,
+      postTaxDeductions: taxes.postTaxDeductions,
+      taxableIncome: taxes.federalWages,
       taxes: taxes,
+      taxYear: window.calculators.getTaxTable(taxYear).year,
+      retirementPlan: retirementPlan,
       netIncome: netIncome
     });
   }
 
-  // Simplified tax calculation
-  function calculateSimplifiedTaxes(income, filingStatus) {
-    // 2024 Tax Brackets (simplified)
-    const brackets = {
-      single: [
-        { min: 0, max: 11000, rate: 0.10 },
-        { min: 11000, max: 44725, rate: 0.12 },
-        { min: 44725, max: 95375, rate: 0.22 },
-        { min: 95375, max: 182050, rate: 0.24 },
-        { min: 182050, max: 231250, rate: 0.32 },
-        { min: 231250, max: 578125, rate: 0.35 },
-        { min: 578125, max: Infinity, rate: 0.37 }
-      ]
-    };
-
-    const bracketData = brackets[filingStatus] || brackets.single;
-    let federalTax = 0;
-
-    for (const bracket of bracketData) {
-      if (income > bracket.min) {
-        const taxableAtBracket = Math.min(income, bracket.max) - bracket.min;
-        federalTax += taxableAtBracket * bracket.rate;
-      }
-    }
-
-    // FICA taxes
-    const socialSecurity = Math.min(income * 0.062, 160200 * 0.062); // 2024 SS wage base
-    const medicare = income * 0.0145;
-
-    // Estimated state tax (5% average)
-    const stateTax = income * 0.05;
+  // Tax calculation through the shared engine, honoring each deduction's tax treatment and credit
+  // and taxing investment income at capital gains rates plus NIIT
+  function calculateSimplifiedTaxes(income, filingStatus, taxYear, zipcode, deductions, creditInputs = null, investmentIncome = null) {
+    const taxData = window.calculators.calculateAllTaxes(income, zipcode, filingStatus, taxYear, deductions, creditInputs, investmentIncome);
 
     return {
-      federal: federalTax,
-      socialSecurity: socialSecurity,
-      medicare: medicare,
-      state: stateTax,
-      total: federalTax + socialSecurity + medicare + stateTax
+      investmentIncome: taxData.investmentIncome,
+      capitalGains: taxData.capitalGainsTax,
+      netInvestmentIncome: taxData.netInvestmentIncomeTax,
+      federalBeforeCredits: taxData.federalTaxBeforeCredits,
+      credits: taxData.taxCredits,
+      federal: taxData.federalTax,
+      socialSecurity: taxData.socialSecurityTax,
+      medicare: taxData.medicareTax,
+      state: taxData.stateTax,
+      stateEffectiveRate: taxData.stateEffectiveRate,
+      stateMarginalRate: taxData.stateMarginalRate,
+      local: taxData.localTax,
+      localJurisdiction: taxData.localJurisdiction,
+      federalWages: taxData.federalWages,
+      preTaxDeductions: taxData.preTaxDeductions,
+      postTaxDeductions: taxData.postTaxDeductions,
+      takeHomePay: taxData.takeHomePay,
+      total: taxData.totalTax
     };
   }
 
@@ -3206,6 +7036,9 @@ document.addEventListener('DOMContentLoaded', function() {
     const resultsContainer = document.getElementById('results');
     if (!resultsContainer) return;
 
+    // The rate explorer still charts the last Calculate, not these inputs
+    window.hideRateExplorer();
+
     const monthly = {
       gross: data.grossIncome / 12,
       net: data.netIncome / 12,
@@ -3239,7 +7072,7 @@ document.addEventListener('DOMContentLoaded', function() {
           </div>
         </div>
 
-        ${data.bonus > 0 || data.overtime > 0 || data.commission > 0 ? `
+        ${data.bonus > 0 || data.overtime > 0 || data.commission > 0 || data.taxes.investmentIncome.total > 0 ? `
           <div class="income-breakdown mb-4">
             <h4 class="text-sm font-medium mb-2">Income Breakdown</h4>
             <div class="space-y-2">
@@ -3265,27 +7098,63 @@ document.addEventListener('DOMContentLoaded', function() {
                   <span class="tax-amount-enhanced">${toCurrency(data.commission)}</span>
                 </div>
               ` : ''}
+              ${data.taxes.investmentIncome.total > 0 ? `
+                <div class="flex justify-between">
+                  <span class="tax-label-enhanced">Investment Income (${toCurrency(data.taxes.investmentIncome.preferential)} qualified dividends & long-term gains)</span>
+                  <span class="tax-amount-enhanced">${toCurrency(data.taxes.investmentIncome.total)}</span>
+                </div>
+              ` : ''}
             </div>
           </div>
         ` : ''}
 
         <div class="tax-breakdown-enhanced">
-          <h4>Tax & Deduction Breakdown</h4>
+          <h4>Tax & Deduction Breakdown (${data.taxYear})</h4>
           <div class="space-y-1">
-            ${data.deductions > 0 ? `
+            ${data.preTaxDeductions > 0 ? `
               <div class="tax-item-enhanced">
                 <span class="tax-label-enhanced">Pre-tax Deductions</span>
-                <span class="tax-amount-enhanced">-${toCurrency(data.deductions)}</span>
+                <span class="tax-amount-enhanced">-${toCurrency(data.preTaxDeductions)}</span>
               </div>
               <div class="tax-item-enhanced">
-                <span class="tax-label-enhanced">Taxable Income</span>
+                <span class="tax-label-enhanced">Federal Taxable Wages</span>
                 <span class="tax-amount-enhanced">${toCurrency(data.taxableIncome)}</span>
               </div>
             ` : ''}
+            ${data.postTaxDeductions > 0 ? `
+              <div class="tax-item-enhanced">
+                <span class="tax-label-enhanced">Post-tax Deductions</span>
+                <span class="tax-amount-enhanced">-${toCurrency(data.postTaxDeductions)}</span>
+              </div>
+            ` : ''}
+            ${data.taxes.credits.length > 0 ? `
+              <div class="tax-item-enhanced">
+                <span class="tax-label-enhanced">Federal Tax Before Credits</span>
+                <span class="tax-amount-enhanced">-${toCurrency(data.taxes.federalBeforeCredits)}</span>
+              </div>
+              ${data.taxes.credits.map(credit => `
+                <div class="tax-item-enhanced">
+                  <span class="tax-label-enhanced">${credit.label}${credit.refundable > 0 ? ` (${toCurrency(credit.refundable)} refundable)` : ''}</span>
+                  <span class="tax-amount-enhanced">+${toCurrency(credit.amount)}</span>
+                </div>
+              `).join('')}
+            ` : ''}
             <div class="tax-item-enhanced">
-              <span class="tax-label-enhanced">Federal Tax</span>
-              <span class="tax-amount-enhanced">-${toCurrency(data.taxes.federal)}</span>
+              <span class="tax-label-enhanced">${data.taxes.credits.length > 0 ? 'Federal Tax After Credits' : 'Federal Tax'}</span>
+              <span class="tax-amount-enhanced">${data.taxes.federal < 0 ? '+' : '-'}${toCurrency(Math.abs(data.taxes.federal))}</span>
             </div>
+            ${data.taxes.investmentIncome.preferential > 0 ? `
+              <div class="tax-item-enhanced">
+                <span class="tax-label-enhanced">Included in Federal: Capital Gains Tax (0/15/20%)</span>
+                <span class="tax-amount-enhanced">${toCurrency(data.taxes.capitalGains)}</span>
+              </div>
+            ` : ''}
+            ${data.taxes.netInvestmentIncome > 0 ? `
+              <div class="tax-item-enhanced">
+                <span class="tax-label-enhanced">Net Investment Income Tax (3.8%)</span>
+                <span class="tax-amount-enhanced">-${toCurrency(data.taxes.netInvestmentIncome)}</span>
+              </div>
+            ` : ''}
             <div class="tax-item-enhanced">
               <span class="tax-label-enhanced">Social Security</span>
               <span class="tax-amount-enhanced">-${toCurrency(data.taxes.socialSecurity)}</span>
@@ -3295,15 +7164,39 @@ document.addEventListener('DOMContentLoaded', function() {
               <span class="tax-amount-enhanced">-${toCurrency(data.taxes.medicare)}</span>
             </div>
             <div class="tax-item-enhanced">
-              <span class="tax-label-enhanced">State Tax (Est.)</span>
+              <span class="tax-label-enhanced">State Tax (${data.taxes.stateEffectiveRate.toFixed(2)}% eff. · ${data.taxes.stateMarginalRate.toFixed(2)}% marginal)</span>
               <span class="tax-amount-enhanced">-${toCurrency(data.taxes.state)}</span>
             </div>
+            ${data.taxes.localJurisdiction ? `
+              <div class="tax-item-enhanced">
+                <span class="tax-label-enhanced">Local Tax (${data.taxes.localJurisdiction})</span>
+                <span class="tax-amount-enhanced">-${toCurrency(data.taxes.local)}</span>
+              </div>
+            ` : ''}
             <div class="tax-item-enhanced total">
               <span class="tax-label-enhanced">Total Taxes</span>
               <span class="tax-amount-enhanced">-${toCurrency(data.taxes.total)}</span>
             </div>
           </div>
         </div>
+
+        ${data.retirementPlan.employerMatch > 0 || data.retirementPlan.unclaimedMatch > 0 ? `
+          <div class="tax-breakdown-enhanced">
+            <h4>401(k) Employer Match</h4>
+            <div class="space-y-1">
+              <div class="tax-item-enhanced">
+                <span class="tax-label-enhanced">Employer Match</span>
+                <span class="tax-amount-enhanced">+${toCurrency(data.retirementPlan.employerMatch)}</span>
+              </div>
+              ${data.retirementPlan.unclaimedMatch > 0 ? `
+                <div class="tax-item-enhanced">
+                  <span class="tax-label-enhanced">⚠️ Unclaimed Match (contribute ${toCurrency(data.retirementPlan.monthlyForFullMatch)}/month)</span>
+                  <span class="tax-amount-enhanced">${toCurrency(data.retirementPlan.unclaimedMatch)}</span>
+                </div>
+              ` : ''}
+            </div>
+          </div>
+        ` : ''}
       </div>
     `;
 